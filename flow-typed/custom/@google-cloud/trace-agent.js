@@ -10,6 +10,14 @@ declare interface traceagent$Span {
      * was called if not provided.
      */
     endSpan(timestamp?: Date): void;
+
+    /**
+     * Adds a key-value pair as a label to the trace span. The value will be
+     * converted to a string.
+     * @param key The label's key.
+     * @param value The label's value.
+     */
+    addLabel(key: string, value: any): void;
 }
 
 /**
@@ -41,6 +49,7 @@ declare module '@google-cloud/trace-agent' {
     declare export type Config = traceagent$Config;
     declare export type SpanOptions = traceagent$SpanOptions;
     declare export type Span = traceagent$Span;
+    declare export type Tracer = traceagent$Tracer;
     declare module.exports: {
         start: typeof traceagent$start,
     };
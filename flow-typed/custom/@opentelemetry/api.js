@@ -0,0 +1,117 @@
+// NOTE: This covers just the parts of the OpenTelemetry API that we use.
+declare interface otelapi$Context {
+    getValue(key: symbol): mixed;
+    setValue(key: symbol, value: mixed): otelapi$Context;
+    deleteValue(key: symbol): otelapi$Context;
+}
+
+declare type otelapi$SpanContext = {
+    traceId: string,
+    spanId: string,
+    traceFlags: number,
+    isRemote?: boolean,
+    ...
+};
+
+declare type otelapi$SpanAttributes = {
+    +[name: string]: string | number | boolean | void,
+    ...
+};
+
+declare type otelapi$SpanStatus = {
+    code: number,
+    message?: string,
+    ...
+};
+
+declare interface otelapi$Span {
+    spanContext(): otelapi$SpanContext;
+    setAttribute(key: string, value: string | number | boolean): otelapi$Span;
+    setStatus(status: otelapi$SpanStatus): otelapi$Span;
+    end(endTime?: number): void;
+    isRecording(): boolean;
+}
+
+declare type otelapi$SpanOptions = {
+    kind?: number,
+    attributes?: otelapi$SpanAttributes,
+    ...
+};
+
+declare interface otelapi$Tracer {
+    startSpan(
+        name: string,
+        options?: otelapi$SpanOptions,
+        context?: otelapi$Context,
+    ): otelapi$Span;
+}
+
+declare type otelapi$TextMapGetter<Carrier> = {
+    keys(carrier: Carrier): Array<string>,
+    get(carrier: Carrier, key: string): void | string | Array<string>,
+    ...
+};
+
+declare type otelapi$TextMapSetter<Carrier> = {
+    set(carrier: Carrier, key: string, value: string): void,
+    ...
+};
+
+declare interface otelapi$TextMapPropagator {
+    inject<Carrier>(
+        context: otelapi$Context,
+        carrier: Carrier,
+        setter: otelapi$TextMapSetter<Carrier>,
+    ): void;
+    extract<Carrier>(
+        context: otelapi$Context,
+        carrier: Carrier,
+        getter: otelapi$TextMapGetter<Carrier>,
+    ): otelapi$Context;
+}
+
+declare interface otelapi$ContextManager {
+    active(): otelapi$Context;
+    with<R>(context: otelapi$Context, fn: () => R): R;
+    bind<T>(context: otelapi$Context, target: T): T;
+    enable(): otelapi$ContextManager;
+    disable(): otelapi$ContextManager;
+}
+
+declare module '@opentelemetry/api' {
+    declare export type Context = otelapi$Context;
+    declare export type Span = otelapi$Span;
+    declare export type SpanContext = otelapi$SpanContext;
+    declare export type SpanAttributes = otelapi$SpanAttributes;
+    declare export type SpanStatus = otelapi$SpanStatus;
+    declare export type Tracer = otelapi$Tracer;
+    declare export type TextMapPropagator = otelapi$TextMapPropagator;
+    declare export type ContextManager = otelapi$ContextManager;
+
+    declare module.exports: {
+        ROOT_CONTEXT: otelapi$Context,
+        SpanKind: {
+            INTERNAL: 0,
+            SERVER: 1,
+            CLIENT: 2,
+            PRODUCER: 3,
+            CONSUMER: 4,
+        },
+        SpanStatusCode: {
+            UNSET: 0,
+            OK: 1,
+            ERROR: 2,
+        },
+        defaultTextMapGetter: otelapi$TextMapGetter<any>,
+        defaultTextMapSetter: otelapi$TextMapSetter<any>,
+        trace: {
+            getSpan(context: otelapi$Context): otelapi$Span | void,
+            setSpan(
+                context: otelapi$Context,
+                span: otelapi$Span,
+            ): otelapi$Context,
+            ...
+        },
+        ...
+    };
+}
@@ -0,0 +1,16 @@
+// NOTE: This covers just the parts of @opentelemetry/context-async-hooks
+// that we use.
+declare class otelcontextasynchooks$AsyncLocalStorageContextManager
+    implements otelapi$ContextManager {
+    active(): otelapi$Context;
+    with<R>(context: otelapi$Context, fn: () => R): R;
+    bind<T>(context: otelapi$Context, target: T): T;
+    enable(): this;
+    disable(): this;
+}
+
+declare module '@opentelemetry/context-async-hooks' {
+    declare module.exports: {
+        AsyncLocalStorageContextManager: typeof otelcontextasynchooks$AsyncLocalStorageContextManager,
+    };
+}
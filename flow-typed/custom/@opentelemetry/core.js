@@ -0,0 +1,23 @@
+// NOTE: This covers just the parts of @opentelemetry/core that we use.
+declare class otelcore$W3CTraceContextPropagator
+    implements otelapi$TextMapPropagator {
+    inject<Carrier>(
+        context: otelapi$Context,
+        carrier: Carrier,
+        setter: otelapi$TextMapSetter<Carrier>,
+    ): void;
+    extract<Carrier>(
+        context: otelapi$Context,
+        carrier: Carrier,
+        getter: otelapi$TextMapGetter<Carrier>,
+    ): otelapi$Context;
+}
+
+declare module '@opentelemetry/core' {
+    declare module.exports: {
+        W3CTraceContextPropagator: typeof otelcore$W3CTraceContextPropagator,
+        setGlobalErrorHandler(handler: (error: mixed) => void): void,
+        globalErrorHandler(error: mixed): void,
+        ...
+    };
+}
@@ -0,0 +1,24 @@
+// NOTE: This covers just the parts of @opentelemetry/exporter-trace-otlp-http
+// that we use.
+declare type oteltraceotlphttp$Config = {
+    url?: string,
+    headers?: {[name: string]: string, ...},
+    timeoutMillis?: number,
+    ...
+};
+
+declare class oteltraceotlphttp$OTLPTraceExporter
+    implements oteltracebase$SpanExporter {
+    constructor(config?: oteltraceotlphttp$Config): this;
+    export(
+        spans: Array<oteltracebase$ReadableSpan>,
+        resultCallback: (result: oteltracebase$ExportResult) => void,
+    ): void;
+    shutdown(): Promise<void>;
+}
+
+declare module '@opentelemetry/exporter-trace-otlp-http' {
+    declare module.exports: {
+        OTLPTraceExporter: typeof oteltraceotlphttp$OTLPTraceExporter,
+    };
+}
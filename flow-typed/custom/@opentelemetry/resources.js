@@ -0,0 +1,12 @@
+// NOTE: This covers just the parts of @opentelemetry/resources that we use.
+declare class otelresources$Resource {
+    constructor(attributes: otelapi$SpanAttributes): this;
+    +attributes: otelapi$SpanAttributes;
+}
+
+declare module '@opentelemetry/resources' {
+    declare module.exports: {
+        Resource: typeof otelresources$Resource,
+        ...
+    };
+}
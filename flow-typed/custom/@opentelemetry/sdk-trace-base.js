@@ -0,0 +1,100 @@
+// NOTE: This covers just the parts of @opentelemetry/sdk-trace-base that we
+// use.
+declare interface oteltracebase$ReadableSpan {
+    +name: string;
+    +kind: number;
+    +spanContext: () => otelapi$SpanContext;
+    +parentSpanId?: string;
+    +status: otelapi$SpanStatus;
+    +attributes: otelapi$SpanAttributes;
+    +ended: boolean;
+    +resource: otelresources$Resource;
+}
+
+declare type oteltracebase$ExportResult = {
+    code: number,
+    error?: Error,
+    ...
+};
+
+declare interface oteltracebase$SpanExporter {
+    export(
+        spans: Array<oteltracebase$ReadableSpan>,
+        resultCallback: (result: oteltracebase$ExportResult) => void,
+    ): void;
+    shutdown(): Promise<void>;
+}
+
+declare interface oteltracebase$SpanProcessor {
+    forceFlush(): Promise<void>;
+    onStart(span: otelapi$Span, parentContext: otelapi$Context): void;
+    onEnd(span: oteltracebase$ReadableSpan): void;
+    shutdown(): Promise<void>;
+}
+
+declare type oteltracebase$TracerConfig = {
+    resource?: otelresources$Resource,
+    ...
+};
+
+declare class oteltracebase$BasicTracerProvider {
+    constructor(config?: oteltracebase$TracerConfig): this;
+    addSpanProcessor(spanProcessor: oteltracebase$SpanProcessor): void;
+    getTracer(name: string, version?: string): otelapi$Tracer;
+    forceFlush(): Promise<void>;
+    shutdown(): Promise<void>;
+}
+
+declare type oteltracebase$BufferConfig = {
+    maxExportBatchSize?: number,
+    scheduledDelayMillis?: number,
+    exportTimeoutMillis?: number,
+    maxQueueSize?: number,
+    ...
+};
+
+declare class oteltracebase$BatchSpanProcessor
+    implements oteltracebase$SpanProcessor {
+    constructor(
+        exporter: oteltracebase$SpanExporter,
+        config?: oteltracebase$BufferConfig,
+    ): this;
+    forceFlush(): Promise<void>;
+    onStart(span: otelapi$Span, parentContext: otelapi$Context): void;
+    onEnd(span: oteltracebase$ReadableSpan): void;
+    shutdown(): Promise<void>;
+}
+
+declare class oteltracebase$SimpleSpanProcessor
+    implements oteltracebase$SpanProcessor {
+    constructor(exporter: oteltracebase$SpanExporter): this;
+    forceFlush(): Promise<void>;
+    onStart(span: otelapi$Span, parentContext: otelapi$Context): void;
+    onEnd(span: oteltracebase$ReadableSpan): void;
+    shutdown(): Promise<void>;
+}
+
+declare class oteltracebase$InMemorySpanExporter
+    implements oteltracebase$SpanExporter {
+    export(
+        spans: Array<oteltracebase$ReadableSpan>,
+        resultCallback: (result: oteltracebase$ExportResult) => void,
+    ): void;
+    shutdown(): Promise<void>;
+    reset(): void;
+    getFinishedSpans(): Array<oteltracebase$ReadableSpan>;
+}
+
+declare module '@opentelemetry/sdk-trace-base' {
+    declare export type ReadableSpan = oteltracebase$ReadableSpan;
+    declare export type SpanExporter = oteltracebase$SpanExporter;
+    declare export type SpanProcessor = oteltracebase$SpanProcessor;
+
+    declare module.exports: {
+        BasicTracerProvider: typeof oteltracebase$BasicTracerProvider,
+        BatchSpanProcessor: typeof oteltracebase$BatchSpanProcessor,
+        SimpleSpanProcessor: typeof oteltracebase$SimpleSpanProcessor,
+        InMemorySpanExporter: typeof oteltracebase$InMemorySpanExporter,
+        ...
+    };
+}
@@ -0,0 +1,13 @@
+// NOTE: Flow's own node library doesn't know about async_hooks yet, so
+// this covers just the parts that we use.
+declare class async_hooks$AsyncLocalStorage<T> {
+    getStore(): T | void;
+    run<R>(store: T, callback: (...args: Array<any>) => R, ...args: Array<any>): R;
+    disable(): void;
+}
+
+declare module 'async_hooks' {
+    declare module.exports: {
+        AsyncLocalStorage: typeof async_hooks$AsyncLocalStorage,
+    };
+}
@@ -29,7 +29,7 @@ declare export class jsdom$JSDOM  {
      * Behind the scenes, a jsdom Window is indeed a VM context.
      * To get access to this ability, use the runVMScript() method.
      */
-    runVMScript(script: vm$Script): any;
+    runVMScript(script: vm$Script, options?: vm$ScriptOptions): any;
     reconfigure(settings: jsdom$ReconfigureSettings): void;
 }
 
@@ -0,0 +1,39 @@
+// NOTE: This covers just the parts of source-map 0.6 that we use.
+declare type source_map$MappedPosition = {
+    source: ?string,
+    line: ?number,
+    column: ?number,
+    name: ?string,
+    ...
+};
+
+declare class source_map$SourceMapConsumer {
+    constructor(rawSourceMap: mixed, sourceMapUrl?: string): void;
+    originalPositionFor(generatedPosition: {
+        line: number,
+        column: number,
+        bias?: number,
+        ...
+    }): source_map$MappedPosition;
+}
+
+declare class source_map$SourceMapGenerator {
+    constructor(options?: {file?: string, sourceRoot?: string, ...}): void;
+    addMapping(mapping: {
+        generated: {line: number, column: number, ...},
+        original?: {line: number, column: number, ...},
+        source?: string,
+        name?: string,
+        ...
+    }): void;
+    toString(): string;
+}
+
+declare module 'source-map' {
+    declare type MappedPosition = source_map$MappedPosition;
+
+    declare module.exports: {
+        SourceMapConsumer: typeof source_map$SourceMapConsumer,
+        SourceMapGenerator: typeof source_map$SourceMapGenerator,
+    };
+}
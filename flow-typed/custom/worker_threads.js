@@ -0,0 +1,39 @@
+// NOTE: Flow's own node library doesn't know about worker_threads yet, so
+// this covers just the parts that we use.
+declare class worker_threads$MessagePort extends events$EventEmitter {
+    postMessage(value: mixed, transferList?: Array<mixed>): void;
+    close(): void;
+    ref(): void;
+    unref(): void;
+}
+
+declare type worker_threads$WorkerOptions = {
+    eval?: boolean,
+    workerData?: mixed,
+    stdout?: boolean,
+    stderr?: boolean,
+    ...
+};
+
+declare class worker_threads$Worker extends events$EventEmitter {
+    constructor(
+        filename: string,
+        options?: worker_threads$WorkerOptions,
+    ): this;
+    threadId: number;
+    postMessage(value: mixed, transferList?: Array<mixed>): void;
+    terminate(): Promise<number>;
+    ref(): void;
+    unref(): void;
+}
+
+declare module 'worker_threads' {
+    declare module.exports: {
+        isMainThread: boolean,
+        parentPort: ?worker_threads$MessagePort,
+        threadId: number,
+        workerData: any,
+        Worker: typeof worker_threads$Worker,
+        MessagePort: typeof worker_threads$MessagePort,
+    };
+}
@@ -89,6 +89,9 @@ declare type $winstonLogger<T: $winstonLevels> = {
   // Start: https://github.com/Khan/react-render-server/pull/21
   startTimer: () => $winstonProfiler<T>;
   // End: https://github.com/Khan/react-render-server/pull/21
+  // Loggers are streams, which we end to flush them (see flushLogs).
+  end: () => void,
+  once: (event: string, listener: () => mixed) => mixed,
   ...
 };
 
@@ -28,8 +28,11 @@ def gen_pm2_conf(ports):
     with open(PM2_TEMPLATE) as f:
         d = json.load(f)
     for port in ports:
+        # pm2 kills an app that hasn't exited 1.6s after asking it to by
+        # default. Give it time to drain (see --drain-timeout) first.
         d['apps'].append({'script': 'src/main.js',
-                          'args': '-p {:d}'.format(port)})
+                          'args': '-p {:d}'.format(port),
+                          'kill_timeout': 40000})
     with open(PM2_FILE, 'w') as f:
         json.dump(d, f, indent=4)
 
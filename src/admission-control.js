@@ -0,0 +1,231 @@
+// @flow
+/**
+ * Admission control for renders, so that we shed load we can't handle
+ * rather than getting slower at everything.
+ *
+ * We work on at most --max-concurrent-renders renders at once. Renders
+ * beyond that wait their turn in a first-in, first-out queue, for up to
+ * --render-queue-timeout milliseconds. Renders beyond
+ * --render-queue-size waiting renders are refused right away. Either way, a
+ * refused render gets an AdmissionError saying when it is worth retrying.
+ *
+ * A batch of renders (see /render/batch in server.js) is admitted as a
+ * whole, taking one turn for each of its renders.
+ */
+import args from "./arguments.js";
+
+import type {AbortablePromise, Logger} from "./types.js";
+
+export type AdmissionRefusal = "queue-full" | "queue-timeout" | "aborted";
+
+export class AdmissionError extends Error {
+    reason: AdmissionRefusal;
+    // How many seconds until it is worth trying again.
+    retryAfter: number;
+
+    constructor(reason: AdmissionRefusal, retryAfter: number, message: string) {
+        super(message);
+        this.name = "AdmissionError";
+        this.reason = reason;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Determine if an error is an AdmissionError.
+ */
+export const isAdmissionError = (err: any): boolean %checks =>
+    err != null && err.name === "AdmissionError";
+
+export type AdmissionStats = {
+    // How many renders are being worked on.
+    active: number,
+    // How many renders are waiting their turn.
+    queued: number,
+    // How many renders have been refused because the queue was full.
+    refusedQueueFull: number,
+    // How many renders have been refused because they waited too long.
+    refusedQueueTimeout: number,
+};
+
+type Waiter = {
+    queuedAt: number,
+    renders: number,
+    admit: () => void,
+    timeout: TimeoutID,
+};
+
+export class AdmissionController {
+    _active: number;
+    _queue: Array<Waiter>;
+    _refusedQueueFull: number;
+    _refusedQueueTimeout: number;
+
+    constructor() {
+        this._active = 0;
+        this._queue = [];
+        this._refusedQueueFull = 0;
+        this._refusedQueueTimeout = 0;
+    }
+
+    get _enabled(): boolean {
+        return args.maxConcurrentRenders > 0;
+    }
+
+    /**
+     * How many seconds a refused render should wait before retrying. By
+     * then, everything that is waiting now has either been admitted or
+     * given up.
+     */
+    get _retryAfter(): number {
+        return Math.max(1, Math.ceil(args.renderQueueTimeout / 1000));
+    }
+
+    _describeCounts(): string {
+        const {active, queued} = this.getStats();
+        return `${active} active, ${queued} queued`;
+    }
+
+    _removeWaiter(waiter: Waiter): void {
+        clearTimeout(waiter.timeout);
+        this._queue = this._queue.filter((w) => w !== waiter);
+        // The renders that were waiting behind it may fit now.
+        this._admitWaiting();
+    }
+
+    /**
+     * Admit the waiting renders at the front of the queue, for as long as
+     * there is room for them.
+     */
+    _admitWaiting(): void {
+        while (
+            this._queue.length > 0 &&
+            this._active + this._queue[0].renders <= args.maxConcurrentRenders
+        ) {
+            const next = this._queue.shift();
+            this._active += next.renders;
+            next.admit();
+        }
+    }
+
+    /**
+     * Wait for our turn to render. Each render that is admitted must call
+     * release() when it is done.
+     *
+     * @param {number} [renders] - How many renders to wait for a turn for,
+     * all at once. They are released together, too. This is capped at
+     * --max-concurrent-renders, so that they can be admitted at all.
+     * @returns {AbortablePromise<number>} How many milliseconds we waited
+     * in the queue. It rejects with an AdmissionError if we are refused, or
+     * if it is aborted while we are still waiting.
+     */
+    admit(logging: Logger, renders?: number = 1): AbortablePromise<number> {
+        let abort = () => {};
+        const admission: any = new Promise((resolve, reject) => {
+            const count = this._enabled
+                ? Math.min(renders, args.maxConcurrentRenders)
+                : renders;
+            if (
+                !this._enabled ||
+                (this._queue.length === 0 &&
+                    this._active + count <= args.maxConcurrentRenders)
+            ) {
+                this._active += count;
+                resolve(0);
+                return;
+            }
+
+            if (this._queue.length >= args.renderQueueSize) {
+                this._refusedQueueFull++;
+                logging.warn(
+                    `Refusing render, the render queue is full (${this._describeCounts()})`,
+                );
+                reject(
+                    new AdmissionError(
+                        "queue-full",
+                        this._retryAfter,
+                        "Too many renders are waiting",
+                    ),
+                );
+                return;
+            }
+
+            const waiter: Waiter = {
+                queuedAt: Date.now(),
+                renders: count,
+                // We are counted as active by _admitWaiting().
+                admit: () => {
+                    clearTimeout(waiter.timeout);
+                    resolve(Date.now() - waiter.queuedAt);
+                },
+                timeout: setTimeout(() => {
+                    this._removeWaiter(waiter);
+                    this._refusedQueueTimeout++;
+                    logging.warn(
+                        `Refusing render after waiting ${
+                            args.renderQueueTimeout
+                        }ms in the render queue (${this._describeCounts()})`,
+                    );
+                    reject(
+                        new AdmissionError(
+                            "queue-timeout",
+                            this._retryAfter,
+                            "Timed out waiting to render",
+                        ),
+                    );
+                }, args.renderQueueTimeout),
+            };
+            abort = () => {
+                if (this._queue.includes(waiter)) {
+                    this._removeWaiter(waiter);
+                    reject(
+                        new AdmissionError(
+                            "aborted",
+                            this._retryAfter,
+                            "Stopped waiting to render",
+                        ),
+                    );
+                }
+            };
+            this._queue.push(waiter);
+        });
+        admission.abort = () => abort();
+        return admission;
+    }
+
+    /**
+     * Finish renders that were admitted, letting the next waiting renders
+     * have their turn.
+     *
+     * @param {number} [renders] - How many renders were admitted together.
+     */
+    release(renders?: number = 1): void {
+        const count = this._enabled
+            ? Math.min(renders, args.maxConcurrentRenders)
+            : renders;
+        this._active = Math.max(0, this._active - count);
+        this._admitWaiting();
+    }
+
+    getStats(): AdmissionStats {
+        return {
+            active: this._active,
+            queued: this._queue.length,
+            refusedQueueFull: this._refusedQueueFull,
+            refusedQueueTimeout: this._refusedQueueTimeout,
+        };
+    }
+
+    /**
+     * Forget every render and reset the counts, for tests.
+     */
+    clear(): void {
+        this._queue.forEach(({timeout}) => clearTimeout(timeout));
+        this._active = 0;
+        this._queue = [];
+        this._refusedQueueFull = 0;
+        this._refusedQueueTimeout = 0;
+    }
+}
+
+export default new AdmissionController();
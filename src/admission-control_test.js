@@ -0,0 +1,187 @@
+// @flow
+import {assert} from "chai";
+import sinon from "sinon";
+import args from "./arguments.js";
+import {rootLogger} from "./logging.js";
+import {AdmissionController} from "./admission-control.js";
+
+describe("AdmissionController", () => {
+    let clock;
+    let maxConcurrentRendersStub;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(1000);
+        maxConcurrentRendersStub = sinon
+            .stub(args, "maxConcurrentRenders")
+            .get(() => 1);
+        sinon.stub(args, "renderQueueSize").get(() => 2);
+        sinon.stub(args, "renderQueueTimeout").get(() => 3000);
+        sinon.stub(rootLogger, "warn");
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should admit renders right away up to the limit", async () => {
+        // Arrange
+        const controller = new AdmissionController();
+
+        // Act
+        const result = await controller.admit(rootLogger);
+
+        // Assert
+        assert.equal(result, 0);
+        assert.equal(controller.getStats().active, 1);
+    });
+
+    it("should admit any number of renders when there is no limit", async () => {
+        // Arrange
+        maxConcurrentRendersStub.get(() => 0);
+        const controller = new AdmissionController();
+
+        // Act
+        const result = await Promise.all([
+            controller.admit(rootLogger),
+            controller.admit(rootLogger),
+            controller.admit(rootLogger),
+            controller.admit(rootLogger),
+        ]);
+
+        // Assert
+        assert.deepEqual(result, [0, 0, 0, 0]);
+    });
+
+    it("should admit waiting renders in order as renders are released", async () => {
+        // Arrange
+        const controller = new AdmissionController();
+        await controller.admit(rootLogger);
+        const admitted = [];
+        const first = controller
+            .admit(rootLogger)
+            .then(() => admitted.push("first"));
+        const second = controller
+            .admit(rootLogger)
+            .then(() => admitted.push("second"));
+
+        // Act
+        controller.release();
+        await first;
+        controller.release();
+        await second;
+
+        // Assert
+        assert.deepEqual(admitted, ["first", "second"]);
+        assert.equal(controller.getStats().active, 1);
+    });
+
+    it("should say how long a render waited", async () => {
+        // Arrange
+        const controller = new AdmissionController();
+        await controller.admit(rootLogger);
+        const waiting = controller.admit(rootLogger);
+
+        // Act
+        clock.tick(1200);
+        controller.release();
+        const result = await waiting;
+
+        // Assert
+        assert.equal(result, 1200);
+    });
+
+    it("should refuse renders beyond the queue size", async () => {
+        // Arrange
+        const controller = new AdmissionController();
+        await controller.admit(rootLogger);
+        controller.admit(rootLogger);
+        controller.admit(rootLogger);
+
+        // Act
+        const underTest = controller.admit(rootLogger);
+
+        // Assert
+        const err: any = await assert.isRejected(
+            underTest,
+            "Too many renders are waiting",
+        );
+        assert.equal(err.reason, "queue-full");
+        assert.equal(err.retryAfter, 3);
+        assert.equal(controller.getStats().refusedQueueFull, 1);
+        controller.clear();
+    });
+
+    it("should refuse renders that wait longer than the queue timeout", async () => {
+        // Arrange
+        const controller = new AdmissionController();
+        await controller.admit(rootLogger);
+        const underTest = controller.admit(rootLogger);
+
+        // Act
+        clock.tick(3000);
+
+        // Assert
+        const err: any = await assert.isRejected(
+            underTest,
+            "Timed out waiting to render",
+        );
+        assert.equal(err.reason, "queue-timeout");
+        assert.deepEqual(controller.getStats(), {
+            active: 1,
+            queued: 0,
+            refusedQueueFull: 0,
+            refusedQueueTimeout: 1,
+        });
+    });
+
+    it("should stop waiting when aborted", async () => {
+        // Arrange
+        const controller = new AdmissionController();
+        await controller.admit(rootLogger);
+        const underTest = controller.admit(rootLogger);
+
+        // Act
+        underTest.abort();
+
+        // Assert
+        await assert.isRejected(underTest, "Stopped waiting to render");
+        assert.equal(controller.getStats().queued, 0);
+    });
+
+    it("should admit a batch of renders once there is room for all of them", async () => {
+        // Arrange
+        maxConcurrentRendersStub.get(() => 3);
+        const controller = new AdmissionController();
+        await controller.admit(rootLogger, 2);
+        const admitted = [];
+        const batch = controller
+            .admit(rootLogger, 2)
+            .then(() => admitted.push("batch"));
+        const single = controller
+            .admit(rootLogger)
+            .then(() => admitted.push("single"));
+
+        // Act
+        await Promise.resolve();
+        const admittedBeforeRelease = [...admitted];
+        controller.release(2);
+        await Promise.all([batch, single]);
+
+        // Assert
+        assert.deepEqual(admittedBeforeRelease, []);
+        assert.deepEqual(admitted, ["batch", "single"]);
+        assert.equal(controller.getStats().active, 3);
+    });
+
+    it("should free up a slot when released with nothing waiting", async () => {
+        // Arrange
+        const controller = new AdmissionController();
+        await controller.admit(rootLogger);
+
+        // Act
+        controller.release();
+
+        // Assert
+        assert.equal(controller.getStats().active, 0);
+    });
+});
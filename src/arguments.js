@@ -2,19 +2,70 @@
 /**
  * Parse the arguments for our application.
  */
+import os from "os";
+import path from "path";
+import {isMainThread, workerData} from "worker_threads";
 import argparse from "argparse";
 
 import packageInfo from "../package.json";
 
-import type {LogLevel, PackageJson, IProvideArguments} from "./types.js";
+import type {
+    FlushTransportType,
+    LogFormat,
+    LogLevel,
+    PackageCacheBackend,
+    PackageJson,
+    IProvideArguments,
+    TracingBackend,
+} from "./types.js";
 
-type RawParsedArgs = {
+export type RawParsedArgs = {
     log_level: LogLevel,
+    log_format: LogFormat,
+    log_file: ?string,
     dev: boolean,
     port: number,
     use_cache: boolean,
+    context_pool_size: number,
+    script_cache_size: number,
+    script_cache_dir: ?string,
+    render_workers: number,
+    render_timeout: number,
+    script_timeout: number,
+    package_cache: PackageCacheBackend,
+    package_cache_dir: string,
+    package_cache_size: number,
+    allowed_package_url: ?Array<string>,
+    allowed_package_urls_file: ?string,
+    signature_max_age: number,
+    allow_body_secret: boolean,
+    secret_file: string,
+    secret_dir: ?string,
+    auth_failure_limit: number,
+    auth_failure_window: number,
+    trust_proxy_hops: number,
+    flush_transport: FlushTransportType,
+    flush_port: number,
+    flush_peer: ?Array<string>,
+    flush_ack_timeout: number,
+    warmup_manifest: ?string,
+    readiness_max_pending_renders: number,
+    liveness_max_event_loop_delay: number,
+    drain_timeout: number,
+    max_concurrent_renders: number,
+    render_queue_size: number,
+    render_queue_timeout: number,
+    tracing: TracingBackend,
+    otlp_endpoint: string,
 };
 
+const DEFAULT_PACKAGE_CACHE_DIR = path.join(
+    os.tmpdir(),
+    "react-render-server-packages",
+);
+
+const DEFAULT_SECRET_FILE = path.normalize(__dirname + "/../secret");
+
 const packageInfoJson: PackageJson = packageInfo;
 
 const parser = new argparse.ArgumentParser({
@@ -36,22 +87,244 @@ parser.addArgument(["--log-level"], {
     choices: ["silly", "debug", "verbose", "info", "warn", "error"],
     help: "What level to log at.",
 });
+parser.addArgument(["--log-format"], {
+    defaultValue: "text",
+    choices: ["text", "json"],
+    help:
+        "How to write log entries: as text, or as JSON with their metadata (like requestStats) as separate fields. JSON goes to the console in production too, rather than to Stackdriver.",
+});
+parser.addArgument(["--log-file"], {
+    defaultValue: null,
+    help: "A file to also write log entries to, as JSON.",
+});
 parser.addArgument(["--use-cache"], {
     action: "storeTrue",
     help:
         "Force caching of JS files on. Only has an effect when combined with --dev as caching is always on for non-dev runs.",
 });
+parser.addArgument(["--context-pool-size"], {
+    type: "int",
+    defaultValue: 0,
+    help:
+        "How many idle render contexts to keep for reuse by renders of the same packages for the same origin. 0 disables reuse. Module-level state in packages is kept between renders, so entrypoints must read globals at render time, and keep anything for one request out of module-level state, for reuse to be safe.",
+});
+parser.addArgument(["--script-cache-size"], {
+    type: "int",
+    defaultValue: 200,
+    help:
+        "How many compiled package scripts to keep for reuse. 0 disables the script cache.",
+});
+parser.addArgument(["--script-cache-dir"], {
+    defaultValue: null,
+    help:
+        "A directory in which to save V8 code cache data for compiled package scripts, so that a restarted server starts warm.",
+});
+parser.addArgument(["--render-workers"], {
+    type: "int",
+    defaultValue: 1,
+    help:
+        "How many worker threads to render in, so that renders don't block the server. 0 renders on the main thread.",
+});
+parser.addArgument(["--render-timeout"], {
+    type: "int",
+    defaultValue: 30000,
+    help:
+        "How many milliseconds a render can take before it fails. Requests can override this. 0 means no limit.",
+});
+parser.addArgument(["--script-timeout"], {
+    type: "int",
+    defaultValue: 5000,
+    help:
+        "How many milliseconds each synchronous run of code in a render context can take, such as evaluating a package. 0 means no limit.",
+});
+parser.addArgument(["--package-cache"], {
+    defaultValue: "memory",
+    choices: ["memory", "filesystem"],
+    help:
+        "Where to cache fetched JS files. Files cached on the filesystem survive restarts.",
+});
+parser.addArgument(["--package-cache-dir"], {
+    defaultValue: DEFAULT_PACKAGE_CACHE_DIR,
+    help: "The directory for the filesystem package cache.",
+});
+parser.addArgument(["--package-cache-size"], {
+    type: "int",
+    defaultValue: 256,
+    help:
+        "The most megabytes of JS files to keep in the package cache. The least recently used files are evicted to stay within this.",
+});
+parser.addArgument(["--allowed-package-url"], {
+    action: "append",
+    defaultValue: null,
+    help:
+        "A URL that JS files can be fetched from; anything under it is allowed. Can be given more than once. If no URLs are allowed by this or --allowed-package-urls-file, all URLs are allowed.",
+});
+parser.addArgument(["--allowed-package-urls-file"], {
+    defaultValue: null,
+    help:
+        "A file listing URLs that JS files can be fetched from, one per line, as for --allowed-package-url.",
+});
+parser.addArgument(["--signature-max-age"], {
+    type: "int",
+    defaultValue: 300,
+    help:
+        "How many seconds old (or in the future) a signed request's timestamp can be before the request is rejected.",
+});
+parser.addArgument(["--allow-body-secret"], {
+    action: "storeTrue",
+    help:
+        "Also accept unsigned requests that send the shared secret in the request body, for clients that don't sign requests yet. Always on with --dev.",
+});
+parser.addArgument(["--secret-file"], {
+    defaultValue: DEFAULT_SECRET_FILE,
+    help:
+        "A file of shared secrets for authenticating requests, one per line. It is reloaded when it changes.",
+});
+parser.addArgument(["--secret-dir"], {
+    defaultValue: null,
+    help:
+        "A directory of files that each hold a shared secret for authenticating requests, named for the secret's id. It is reloaded when it changes.",
+});
+parser.addArgument(["--auth-failure-limit"], {
+    type: "int",
+    defaultValue: 10,
+    help:
+        "How many times a client IP can fail to authenticate before its requests are refused for a while. 0 means no limit.",
+});
+parser.addArgument(["--auth-failure-window"], {
+    type: "int",
+    defaultValue: 60,
+    help:
+        "How many seconds it takes for a client IP to be allowed --auth-failure-limit failures again.",
+});
+parser.addArgument(["--trust-proxy-hops"], {
+    type: "int",
+    defaultValue: 0,
+    help:
+        "How many proxies (such as load balancers) are in front of the server, so that the client IP can be taken from X-Forwarded-For.",
+});
+parser.addArgument(["--flush-transport"], {
+    defaultValue: "none",
+    choices: ["none", "udp"],
+    help:
+        "How to tell the other instances to flush their caches when /flush is called. With none, only this instance is flushed.",
+});
+parser.addArgument(["--flush-port"], {
+    type: "int",
+    defaultValue: 8181,
+    help: "The UDP port to receive flush messages on, for the udp transport.",
+});
+parser.addArgument(["--flush-peer"], {
+    action: "append",
+    defaultValue: null,
+    help:
+        "The host:port of another instance to send flush messages to, for the udp transport. Can be given more than once.",
+});
+parser.addArgument(["--flush-ack-timeout"], {
+    type: "int",
+    defaultValue: 1000,
+    help:
+        "How many milliseconds /flush waits for other instances to acknowledge a flush.",
+});
+parser.addArgument(["--warmup-manifest"], {
+    defaultValue: null,
+    help:
+        "A JSON file listing sets of package URLs to fetch and evaluate at startup, before /_ah/health reports that we are ready. Each set is the packages of a render, in order.",
+});
+parser.addArgument(["--readiness-max-pending-renders"], {
+    type: "int",
+    defaultValue: 100,
+    help:
+        "How many renders can be in progress before the readiness check reports that we aren't ready for more. 0 means no limit.",
+});
+parser.addArgument(["--liveness-max-event-loop-delay"], {
+    type: "int",
+    defaultValue: 10000,
+    help:
+        "How many milliseconds the event loop can be blocked for before the liveness check fails. 0 disables the check.",
+});
+parser.addArgument(["--drain-timeout"], {
+    type: "int",
+    defaultValue: 30000,
+    help:
+        "The most milliseconds to wait for renders to finish when draining before we stop.",
+});
+parser.addArgument(["--max-concurrent-renders"], {
+    type: "int",
+    defaultValue: 0,
+    help:
+        "How many renders we work on at once, counting each job of a /render/batch. Beyond this, renders wait in a queue. 0 means no limit.",
+});
+parser.addArgument(["--render-queue-size"], {
+    type: "int",
+    defaultValue: 100,
+    help:
+        "How many renders can wait for --max-concurrent-renders. Beyond this, renders are refused with a 503.",
+});
+parser.addArgument(["--render-queue-timeout"], {
+    type: "int",
+    defaultValue: 10000,
+    help:
+        "The most milliseconds a render can wait in the queue before it is refused with a 503.",
+});
+parser.addArgument(["--tracing"], {
+    defaultValue: "stackdriver",
+    choices: ["stackdriver", "opentelemetry", "none"],
+    help:
+        "How to trace requests: with the Stackdriver trace agent (which is off with --dev), with OpenTelemetry, exporting to --otlp-endpoint, or not at all.",
+});
+parser.addArgument(["--otlp-endpoint"], {
+    defaultValue: "http://localhost:4318/v1/traces",
+    help:
+        "The URL of the OpenTelemetry collector to send spans to with OTLP/HTTP, for --tracing opentelemetry.",
+});
 
 // We only want to parse the args if we're running inside our main app.
 // Could be src/main.js or dist/main.js.
-const args: RawParsedArgs = process.argv[1].endsWith("/main.js")
+// Render worker threads are given the arguments that the main app parsed.
+const args: RawParsedArgs = !isMainThread
+    ? workerData.args
+    : process.argv[1].endsWith("/main.js")
     ? parser.parseArgs<RawParsedArgs>()
     : {
           // Some defaults for tests and the like.
           log_level: "debug",
+          log_format: "text",
+          log_file: null,
           dev: true,
           port: 42,
           use_cache: false,
+          context_pool_size: 0,
+          script_cache_size: 0,
+          script_cache_dir: null,
+          render_workers: 0,
+          render_timeout: 30000,
+          script_timeout: 5000,
+          package_cache: "memory",
+          package_cache_dir: DEFAULT_PACKAGE_CACHE_DIR,
+          package_cache_size: 256,
+          allowed_package_url: null,
+          allowed_package_urls_file: null,
+          signature_max_age: 300,
+          allow_body_secret: false,
+          secret_file: DEFAULT_SECRET_FILE,
+          secret_dir: null,
+          auth_failure_limit: 10,
+          auth_failure_window: 60,
+          trust_proxy_hops: 0,
+          flush_transport: "none",
+          flush_port: 8181,
+          flush_peer: null,
+          flush_ack_timeout: 1000,
+          warmup_manifest: null,
+          readiness_max_pending_renders: 100,
+          liveness_max_event_loop_delay: 10000,
+          drain_timeout: 30000,
+          max_concurrent_renders: 0,
+          render_queue_size: 100,
+          render_queue_timeout: 10000,
+          tracing: "none",
+          otlp_endpoint: "http://localhost:4318/v1/traces",
       };
 
 /**
@@ -72,6 +345,14 @@ class ArgumentProvider implements IProvideArguments {
         return this._args.log_level;
     }
 
+    get logFormat(): LogFormat {
+        return this._args.log_format;
+    }
+
+    get logFile(): ?string {
+        return this._args.log_file;
+    }
+
     get dev(): boolean {
         return this._args.dev;
     }
@@ -80,13 +361,177 @@ class ArgumentProvider implements IProvideArguments {
         return this._args.use_cache || !this.dev;
     }
 
+    get contextPoolSize(): number {
+        return this._args.context_pool_size;
+    }
+
+    get scriptCacheSize(): number {
+        return this._args.script_cache_size;
+    }
+
+    get scriptCacheDir(): ?string {
+        return this._args.script_cache_dir;
+    }
+
+    get renderWorkers(): number {
+        return this._args.render_workers;
+    }
+
+    get renderTimeout(): number {
+        return this._args.render_timeout;
+    }
+
+    get scriptTimeout(): number {
+        return this._args.script_timeout;
+    }
+
+    get packageCache(): PackageCacheBackend {
+        return this._args.package_cache;
+    }
+
+    get packageCacheDir(): string {
+        return this._args.package_cache_dir;
+    }
+
+    get packageCacheSize(): number {
+        return this._args.package_cache_size;
+    }
+
+    get allowedPackageUrls(): Array<string> {
+        return this._args.allowed_package_url || [];
+    }
+
+    get allowedPackageUrlsFile(): ?string {
+        return this._args.allowed_package_urls_file;
+    }
+
+    get signatureMaxAge(): number {
+        return this._args.signature_max_age;
+    }
+
+    get allowBodySecret(): boolean {
+        return this._args.allow_body_secret || this.dev;
+    }
+
+    get secretFile(): string {
+        return this._args.secret_file;
+    }
+
+    get secretDir(): ?string {
+        return this._args.secret_dir;
+    }
+
+    get authFailureLimit(): number {
+        return this._args.auth_failure_limit;
+    }
+
+    get authFailureWindow(): number {
+        return this._args.auth_failure_window;
+    }
+
+    get trustProxyHops(): number {
+        return this._args.trust_proxy_hops;
+    }
+
+    get flushTransport(): FlushTransportType {
+        return this._args.flush_transport;
+    }
+
+    get flushPort(): number {
+        return this._args.flush_port;
+    }
+
+    get flushPeers(): Array<string> {
+        return this._args.flush_peer || [];
+    }
+
+    get flushAckTimeout(): number {
+        return this._args.flush_ack_timeout;
+    }
+
+    get warmupManifest(): ?string {
+        return this._args.warmup_manifest;
+    }
+
+    get readinessMaxPendingRenders(): number {
+        return this._args.readiness_max_pending_renders;
+    }
+
+    get livenessMaxEventLoopDelay(): number {
+        return this._args.liveness_max_event_loop_delay;
+    }
+
+    get drainTimeout(): number {
+        return this._args.drain_timeout;
+    }
+
+    get maxConcurrentRenders(): number {
+        return this._args.max_concurrent_renders;
+    }
+
+    get renderQueueSize(): number {
+        return this._args.render_queue_size;
+    }
+
+    get renderQueueTimeout(): number {
+        return this._args.render_queue_timeout;
+    }
+
+    get tracing(): TracingBackend {
+        return this._args.tracing;
+    }
+
+    get otlpEndpoint(): string {
+        return this._args.otlp_endpoint;
+    }
+
+    /**
+     * The raw arguments, for passing on to render worker threads.
+     */
+    get rawArgs(): RawParsedArgs {
+        return this._args;
+    }
+
     toString() {
         return JSON.stringify(
             {
                 port: this.port,
                 logLevel: this.logLevel,
+                logFormat: this.logFormat,
+                logFile: this.logFile,
                 dev: this.dev,
                 useCache: this.useCache,
+                contextPoolSize: this.contextPoolSize,
+                scriptCacheSize: this.scriptCacheSize,
+                scriptCacheDir: this.scriptCacheDir,
+                renderWorkers: this.renderWorkers,
+                renderTimeout: this.renderTimeout,
+                scriptTimeout: this.scriptTimeout,
+                packageCache: this.packageCache,
+                packageCacheDir: this.packageCacheDir,
+                packageCacheSize: this.packageCacheSize,
+                allowedPackageUrls: this.allowedPackageUrls,
+                allowedPackageUrlsFile: this.allowedPackageUrlsFile,
+                signatureMaxAge: this.signatureMaxAge,
+                allowBodySecret: this.allowBodySecret,
+                secretFile: this.secretFile,
+                secretDir: this.secretDir,
+                authFailureLimit: this.authFailureLimit,
+                authFailureWindow: this.authFailureWindow,
+                trustProxyHops: this.trustProxyHops,
+                flushTransport: this.flushTransport,
+                flushPort: this.flushPort,
+                flushPeers: this.flushPeers,
+                flushAckTimeout: this.flushAckTimeout,
+                warmupManifest: this.warmupManifest,
+                readinessMaxPendingRenders: this.readinessMaxPendingRenders,
+                livenessMaxEventLoopDelay: this.livenessMaxEventLoopDelay,
+                drainTimeout: this.drainTimeout,
+                maxConcurrentRenders: this.maxConcurrentRenders,
+                renderQueueSize: this.renderQueueSize,
+                renderQueueTimeout: this.renderQueueTimeout,
+                tracing: this.tracing,
+                otlpEndpoint: this.otlpEndpoint,
             },
             null,
             "    ",
@@ -0,0 +1,159 @@
+// @flow
+/**
+ * Throttling of clients that keep failing to authenticate.
+ *
+ * Each client IP address has a token bucket that holds up to
+ * --auth-failure-limit tokens and refills completely in
+ * --auth-failure-window seconds. Each failure to authenticate takes a token,
+ * and while a client's bucket is empty, its requests are refused without
+ * checking their credentials. This makes guessing our secret impractical
+ * without getting in the way of a client that is briefly misconfigured.
+ */
+import args from "./arguments.js";
+
+import type {Logger} from "./types.js";
+
+type Bucket = {
+    tokens: number,
+    updatedAt: number,
+};
+
+export type AuthFailureStats = {
+    // How many requests have failed to authenticate.
+    failures: number,
+    // How many requests were refused because their client was blocked.
+    blockedRequests: number,
+    // How many clients are blocked right now.
+    blockedClients: number,
+};
+
+// We stop tracking clients whose buckets have refilled once we are tracking
+// this many, so that lots of clients can't use up our memory.
+const MAX_TRACKED_CLIENTS = 10000;
+
+export class AuthFailureLimiter {
+    _buckets: Map<string, Bucket>;
+    _failures: number;
+    _blockedRequests: number;
+
+    constructor() {
+        this._buckets = new Map();
+        this._failures = 0;
+        this._blockedRequests = 0;
+    }
+
+    get _enabled(): boolean {
+        return args.authFailureLimit > 0;
+    }
+
+    /**
+     * How many tokens a bucket refills by per millisecond.
+     */
+    get _refillRate(): number {
+        return args.authFailureLimit / (args.authFailureWindow * 1000);
+    }
+
+    /**
+     * How many tokens the given client has right now.
+     */
+    _getTokens(ip: string, now: number): number {
+        const bucket = this._buckets.get(ip);
+        if (bucket == null) {
+            return args.authFailureLimit;
+        }
+        const refilled = (now - bucket.updatedAt) * this._refillRate;
+        return Math.min(args.authFailureLimit, bucket.tokens + refilled);
+    }
+
+    /**
+     * Stop tracking the clients whose buckets have refilled.
+     */
+    _prune(now: number): void {
+        for (const ip of this._buckets.keys()) {
+            if (this._getTokens(ip, now) >= args.authFailureLimit) {
+                this._buckets.delete(ip);
+            }
+        }
+    }
+
+    _describeCounts(): string {
+        const {failures, blockedRequests, blockedClients} = this.getStats();
+        return (
+            `${failures} auth failures, ${blockedRequests} blocked ` +
+            `requests, ${blockedClients} blocked clients`
+        );
+    }
+
+    /**
+     * Check if a client is blocked. If it is, the request is counted and
+     * logged.
+     *
+     * @returns {number} How many seconds until the client can try again,
+     * or 0 if it isn't blocked.
+     */
+    getRetryAfter(logging: Logger, ip: string): number {
+        if (!this._enabled) {
+            return 0;
+        }
+        const tokens = this._getTokens(ip, Date.now());
+        if (tokens >= 1) {
+            return 0;
+        }
+
+        this._blockedRequests++;
+        const retryAfter = Math.ceil((1 - tokens) / this._refillRate / 1000);
+        logging.warn(
+            `Refusing request from ${ip} after repeated auth failures; ` +
+                `it can retry in ${retryAfter}s (${this._describeCounts()})`,
+        );
+        return retryAfter;
+    }
+
+    /**
+     * Record that a client failed to authenticate.
+     */
+    recordFailure(logging: Logger, ip: string): void {
+        this._failures++;
+        if (!this._enabled) {
+            logging.warn(`Auth failure from ${ip} (${this._describeCounts()})`);
+            return;
+        }
+
+        const now = Date.now();
+        if (this._buckets.size >= MAX_TRACKED_CLIENTS) {
+            this._prune(now);
+        }
+        const tokens = Math.max(0, this._getTokens(ip, now) - 1);
+        this._buckets.set(ip, {tokens, updatedAt: now});
+        logging.warn(
+            `Auth failure from ${ip}, ${Math.floor(tokens)} more allowed ` +
+                `(${this._describeCounts()})`,
+        );
+    }
+
+    getStats(): AuthFailureStats {
+        const now = Date.now();
+        let blockedClients = 0;
+        for (const ip of this._buckets.keys()) {
+            if (this._getTokens(ip, now) < 1) {
+                blockedClients++;
+            }
+        }
+        return {
+            failures: this._failures,
+            blockedRequests: this._blockedRequests,
+            blockedClients,
+        };
+    }
+
+    /**
+     * Forget every client and reset the counts.
+     */
+    clear(): void {
+        this._buckets = new Map();
+        this._failures = 0;
+        this._blockedRequests = 0;
+    }
+}
+
+export default new AuthFailureLimiter();
@@ -0,0 +1,141 @@
+// @flow
+import {assert} from "chai";
+import sinon from "sinon";
+import args from "./arguments.js";
+import {rootLogger} from "./logging.js";
+import {AuthFailureLimiter} from "./auth-failure-limiter.js";
+
+describe("AuthFailureLimiter", () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(1000);
+        sinon.stub(args, "authFailureLimit").get(() => 3);
+        sinon.stub(args, "authFailureWindow").get(() => 60);
+        sinon.stub(rootLogger, "warn");
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const failTimes = (
+        limiter: AuthFailureLimiter,
+        ip: string,
+        times: number,
+    ): void => {
+        for (let i = 0; i < times; i++) {
+            limiter.recordFailure(rootLogger, ip);
+        }
+    };
+
+    it("should not block a client with fewer failures than the limit", () => {
+        // Arrange
+        const limiter = new AuthFailureLimiter();
+        failTimes(limiter, "1.2.3.4", 2);
+
+        // Act
+        const result = limiter.getRetryAfter(rootLogger, "1.2.3.4");
+
+        // Assert
+        assert.equal(result, 0);
+    });
+
+    it("should block a client that reaches the limit", () => {
+        // Arrange
+        const limiter = new AuthFailureLimiter();
+        failTimes(limiter, "1.2.3.4", 3);
+
+        // Act
+        const result = limiter.getRetryAfter(rootLogger, "1.2.3.4");
+
+        // Assert
+        // One token refills every 20 seconds.
+        assert.equal(result, 20);
+    });
+
+    it("should not block other clients", () => {
+        // Arrange
+        const limiter = new AuthFailureLimiter();
+        failTimes(limiter, "1.2.3.4", 3);
+
+        // Act
+        const result = limiter.getRetryAfter(rootLogger, "5.6.7.8");
+
+        // Assert
+        assert.equal(result, 0);
+    });
+
+    it("should unblock a client once a token refills", () => {
+        // Arrange
+        const limiter = new AuthFailureLimiter();
+        failTimes(limiter, "1.2.3.4", 3);
+        clock.tick(20000);
+
+        // Act
+        const result = limiter.getRetryAfter(rootLogger, "1.2.3.4");
+
+        // Assert
+        assert.equal(result, 0);
+    });
+
+    it("should not block anyone when there is no limit", () => {
+        // Arrange
+        sinon.stub(args, "authFailureLimit").get(() => 0);
+        const limiter = new AuthFailureLimiter();
+        failTimes(limiter, "1.2.3.4", 100);
+
+        // Act
+        const result = limiter.getRetryAfter(rootLogger, "1.2.3.4");
+
+        // Assert
+        assert.equal(result, 0);
+    });
+
+    it("should count failures, blocked requests and blocked clients", () => {
+        // Arrange
+        const limiter = new AuthFailureLimiter();
+        failTimes(limiter, "1.2.3.4", 3);
+        failTimes(limiter, "5.6.7.8", 1);
+        limiter.getRetryAfter(rootLogger, "1.2.3.4");
+        limiter.getRetryAfter(rootLogger, "1.2.3.4");
+
+        // Act
+        const result = limiter.getStats();
+
+        // Assert
+        assert.deepEqual(result, {
+            failures: 4,
+            blockedRequests: 2,
+            blockedClients: 1,
+        });
+    });
+
+    it("should log the counts with each failure", () => {
+        // Arrange
+        const limiter = new AuthFailureLimiter();
+
+        // Act
+        failTimes(limiter, "1.2.3.4", 1);
+
+        // Assert
+        sinon.assert.calledWith(
+            rootLogger.warn,
+            "Auth failure from 1.2.3.4, 2 more allowed " +
+                "(1 auth failures, 0 blocked requests, 0 blocked clients)",
+        );
+    });
+
+    it("should forget everything when cleared", () => {
+        // Arrange
+        const limiter = new AuthFailureLimiter();
+        failTimes(limiter, "1.2.3.4", 3);
+
+        // Act
+        limiter.clear();
+
+        // Assert
+        assert.equal(limiter.getRetryAfter(rootLogger, "1.2.3.4"), 0);
+        assert.equal(limiter.getStats().failures, 0);
+    });
+});
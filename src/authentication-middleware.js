@@ -0,0 +1,134 @@
+// @flow
+import args from "./arguments.js";
+import * as renderSecret from "./secret.js";
+import * as requestSignature from "./request-signature.js";
+import authFailureLimiter from "./auth-failure-limiter.js";
+import {getLogger} from "./logging.js";
+
+import type {$Request, $Response, NextFunction} from "express";
+import type {Logger, RenderBody} from "./types.js";
+
+type AuthenticationCallback = (
+    err: ?Error,
+    authenticated: ?boolean,
+    credential: ?string,
+    credentialName: string,
+) => void;
+
+// A bearer token in an Authorization header, like "Bearer <secret>".
+const BEARER_REGEX = /^Bearer\s+(\S+)$/i;
+
+/**
+ * Let a request through if the given check authenticates it, and respond
+ * for it if not.
+ *
+ * We respond with a 401 if the request has no credentials, and a 403 if
+ * they are wrong. A client that fails too often is blocked for a while (see
+ * auth-failure-limiter.js), and we respond to it with a 429.
+ */
+const authenticate = (
+    req: $Request,
+    res: $Response,
+    next: NextFunction,
+    check: (logging: Logger, done: AuthenticationCallback) => void,
+): void => {
+    const logging = getLogger(req);
+    const ip = req.ip;
+
+    const retryAfter = authFailureLimiter.getRetryAfter(logging, ip);
+    if (retryAfter > 0) {
+        res.set("Retry-After", `${retryAfter}`);
+        res.status(429).send({
+            error: "Too many authentication failures",
+            code: "auth",
+        });
+        return;
+    }
+
+    check(logging, (err, authenticated, credential, credentialName) => {
+        if (err != null) {
+            logging.error(`Unable to authenticate request: ${err.message}`);
+            res.status(500).send({
+                error: "Unable to authenticate request",
+                code: "auth",
+            });
+            return;
+        }
+        if (!authenticated) {
+            authFailureLimiter.recordFailure(logging, ip);
+            if (credential == null) {
+                res.status(401).send({
+                    error: `Missing ${credentialName}`,
+                    code: "auth",
+                });
+            } else {
+                res.status(403).send({
+                    error: `Invalid ${credentialName}`,
+                    code: "auth",
+                });
+            }
+            return;
+        }
+        next();
+    });
+};
+
+/**
+ * Only let through requests that are signed with our shared secret, or that
+ * send the secret in the body if we allow that.
+ */
+export const checkAuthentication = function(
+    req: $Request,
+    res: $Response,
+    next: NextFunction,
+): mixed {
+    authenticate(req, res, next, (logging, done) => {
+        const signature = req.get(requestSignature.SIGNATURE_HEADER);
+        if (signature == null && args.allowBodySecret) {
+            const {secret}: RenderBody = (req.body: any);
+            renderSecret.matches(
+                logging,
+                secret,
+                (err: ?Error, secretMatches: ?boolean) =>
+                    done(err, secretMatches, secret, "secret"),
+            );
+            return;
+        }
+
+        requestSignature.verify(
+            logging,
+            {
+                timestamp: req.get(requestSignature.TIMESTAMP_HEADER),
+                signature,
+                body: (res.locals.rawBody: any) || "",
+            },
+            (err: ?Error, verified: ?boolean) =>
+                done(err, verified, signature, "signature"),
+        );
+    });
+};
+
+/**
+ * Only let through requests that send our shared secret as a bearer token
+ * (an "Authorization: Bearer <secret>" header), or that checkAuthentication
+ * would let through. This is for scrapers, like Prometheus, that can send a
+ * token but can't sign their requests.
+ */
+export const checkScraperAuthentication = function(
+    req: $Request,
+    res: $Response,
+    next: NextFunction,
+): mixed {
+    const bearer = BEARER_REGEX.exec(req.get("Authorization") || "");
+    if (bearer == null) {
+        return checkAuthentication(req, res, next);
+    }
+    authenticate(req, res, next, (logging, done) =>
+        renderSecret.matches(
+            logging,
+            bearer[1],
+            (err: ?Error, secretMatches: ?boolean) =>
+                done(err, secretMatches, bearer[1], "bearer token"),
+        ),
+    );
+};
@@ -9,6 +9,9 @@
  * can include things such as cookies and xsrf tokens.
  * Requests will automatically timeout after 1000ms, unless another
  * timeout is provided via a 'timeout' property.
+ *
+ * If the render is part of a trace, the requests are sent with its
+ * traceparent header so that they continue the trace (see tracing.js).
  */
 import * as ApolloClientModule from "apollo-client";
 import {InMemoryCache} from "apollo-cache-inmemory";
@@ -44,6 +47,7 @@ const timeout = async (timeout: number, errorMsg: string): Promise<void> => {
 
 export default function configureApolloNetwork(
     apolloNetwork: ?ApolloNetworkConfiguration,
+    traceparent?: ?string,
 ): ?ApolloGlobals {
     if (apolloNetwork == null) {
         return null;
@@ -56,8 +60,16 @@ export default function configureApolloNetwork(
             );
         }
 
+        const tracedParams =
+            traceparent == null
+                ? params
+                : {
+                      ...params,
+                      headers: {...(params && params.headers), traceparent},
+                  };
+
         const result = await Promise.race([
-            fetch(url, params),
+            fetch(url, tracedParams),
             // After a specified timeout we abort the request if
             // it's still on-going.
             timeout(
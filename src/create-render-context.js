@@ -2,16 +2,35 @@
 
 /**
  * Create a render context object.
+ *
+ * With --context-pool-size, contexts are reused by later renders of the same
+ * packages for the same origin (see render-context-pool.js). A reused
+ * context is reset to how it was once its packages were evaluated, as far as
+ * we know how: the globals and per-render keys that we set on the window are
+ * removed, so are the nodes that the render added to the document, and the
+ * render's timers no longer fire. Anything else that a render changes is
+ * still there for the next render, in particular module-level state in the
+ * packages and anything they put on the window themselves. Renders for one
+ * origin never see the contexts of another, but entrypoints must keep
+ * anything that is for one request out of module-level state for pooling to
+ * be safe.
  */
 
 import vm from "vm";
+import {URL} from "url";
 
-import {JSDOM, VirtualConsole} from "jsdom";
+import {JSDOM} from "jsdom";
 
+import args from "./arguments.js";
 import profile from "./profile.js";
 import {CustomResourceLoader} from "./custom-resource-loader.js";
+import {RenderConsole} from "./render-console.js";
+import {RenderContextPool} from "./render-context-pool.js";
+import {getRunOptions} from "./render-timeout.js";
+import {ScriptCache} from "./script-cache.js";
 
 import type {
+    ConsoleEntry,
     Globals,
     JavaScriptPackage,
     RenderContext,
@@ -19,11 +38,33 @@ import type {
     Logger,
 } from "./types.js";
 
-type RenderContextWithSize = {
+/**
+ * Everything we need to know about a context to reuse it.
+ */
+type PooledRenderContext = {
     context: RenderContext,
     cumulativePackageSize: number,
+    resourceLoader: CustomResourceLoader,
+    renderConsole: RenderConsole,
+    // The global keys that were set for the current render.
+    globalKeys: Array<string>,
+    // The nodes in the document head and body once the packages were
+    // evaluated. Anything else is removed between renders.
+    headNodes: Array<mixed>,
+    bodyNodes: Array<mixed>,
 };
 
+/**
+ * These are set on the window by render.js for each individual render, so
+ * we remove them when a context goes back into the pool.
+ */
+const PER_RENDER_WINDOW_KEYS = [
+    "ssrProps",
+    "ApolloClientModule",
+    "ApolloNetworkLink",
+    "ApolloCache",
+];
+
 const getScript = function(
     fnOrText: Function | string,
     options: vm$ScriptOptions,
@@ -43,12 +84,23 @@ const getScript = function(
     }
 };
 
+/**
+ * Compiled package scripts, shared by all the contexts we create.
+ */
+const scriptCache = new ScriptCache(
+    () => args.scriptCacheSize,
+    () => args.scriptCacheDir,
+);
+
 const runInContext = function(
     jsdomContext: RenderContext,
     fnOrText: Function | string,
     options: vm$ScriptOptions = {},
 ): any {
-    return jsdomContext.runVMScript(getScript(fnOrText, options));
+    return jsdomContext.runVMScript(
+        getScript(fnOrText, options),
+        getRunOptions(),
+    );
 };
 
 const patchTimers = (): void => {
@@ -57,20 +109,25 @@ const patchTimers = (): void => {
         obj: any,
         fnName: string,
         gateName: string,
+        generationName: string,
     ) => {
         const old = obj[fnName];
         delete obj[fnName];
         obj[fnName] = (callback, ...args) => {
+            // Timers only fire for the render that created them, so that
+            // a reused context doesn't run timers from an earlier render.
+            const generation = obj[generationName];
             const gatedCallback = () => {
-                if (obj[gateName]) {
+                if (obj[gateName] && obj[generationName] === generation) {
                     callback();
                     return;
                 }
                 if (!warned) {
                     warned = true;
                     /**
-                     * This has to use console because it runs in the VM
-                     * and so it doesn't have access to our winston logging.
+                     * This runs in the VM, so it doesn't have access to our
+                     * winston logging, but the VM's console is logged for
+                     * the render (see render-console.js).
                      */
                     // eslint-disable-next-line no-console
                     console.warn("Dangling timer(s) encountered");
@@ -82,24 +139,42 @@ const patchTimers = (): void => {
 
     // Patch the timer functions on window so that dangling timers don't kill
     // us when we close the window.
-    patchCallbackFnWithGate(window, "setTimeout", "__SSR_ACTIVE__");
-    patchCallbackFnWithGate(window, "setInterval", "__SSR_ACTIVE__");
-    patchCallbackFnWithGate(window, "requestAnimationFrame", "__SSR_ACTIVE__");
+    patchCallbackFnWithGate(
+        window,
+        "setTimeout",
+        "__SSR_ACTIVE__",
+        "__SSR_GENERATION__",
+    );
+    patchCallbackFnWithGate(
+        window,
+        "setInterval",
+        "__SSR_ACTIVE__",
+        "__SSR_GENERATION__",
+    );
+    patchCallbackFnWithGate(
+        window,
+        "requestAnimationFrame",
+        "__SSR_ACTIVE__",
+        "__SSR_GENERATION__",
+    );
 };
 
-const createVirtualConsole = () => {
-    const virtualConsole = new VirtualConsole();
-    virtualConsole.on("jsdomError", (e: Error) => {
-        if (e.message.indexOf("Could not load img") >= 0) {
-            // We know that images cannot load. We're deliberately blocking
-            // them.
-            return;
-        }
-        // eslint-disable-next-line no-console
-        console.error(`JSDOM: ${e.stack}`);
+/**
+ * Set the given globals on the context, returning the keys that were set.
+ */
+const applyGlobals = (
+    context: RenderContext,
+    globals: Globals,
+): Array<string> => {
+    if (!globals) {
+        return [];
+    }
+    // Location is a special case, so we want to block changing that.
+    const keys = Object.keys(globals).filter((key) => key !== "location");
+    keys.forEach((key) => {
+        context.window[key] = globals[key];
     });
-    virtualConsole.sendTo(console, {omitJSDOMErrors: true});
-    return virtualConsole;
+    return keys;
 };
 
 /**
@@ -108,7 +183,7 @@ const createVirtualConsole = () => {
  * @param {string} locationUrl
  * @param {any} globals
  * @param {[{content: string, url: string}]} jsPackages
- * @returns {{context: JSDOM, cumulativePackageSize: number}}
+ * @returns {PooledRenderContext}
  */
 const createRenderContext = function(
     logging: Logger,
@@ -116,8 +191,10 @@ const createRenderContext = function(
     globals: Globals,
     jsPackages: Array<JavaScriptPackage>,
     requestStats?: RequestStats,
-): RenderContextWithSize {
+    consoleEntries?: ?Array<ConsoleEntry>,
+): PooledRenderContext {
     const resourceLoader = new CustomResourceLoader(logging, requestStats);
+    const renderConsole = new RenderConsole(logging, consoleEntries);
 
     // A minimal document, for parts of our code that assume there's a DOM.
     const context: RenderContext = (new JSDOM(
@@ -139,9 +216,9 @@ const createRenderContext = function(
             // actually rendering things. While JSDOM does not render, we can
             // have it pretend that it is (it still isn't).
             pretendToBeVisual: true,
-            // We pass in our own console, which we can use to filter out
-            // messages we really really don't care about.
-            virtualConsole: createVirtualConsole(),
+            // We pass in our own console, which logs what the render logs
+            // and filters out messages we really really don't care about.
+            virtualConsole: renderConsole.virtualConsole,
         },
     ): any);
 
@@ -189,33 +266,22 @@ const createRenderContext = function(
             };
         };
         window.__SSR_ACTIVE__ = true;
+        window.__SSR_GENERATION__ = 0;
     });
     context.run(patchTimers);
 
-    // Set up a close handler to be called after rendering is done.
-    context.close = () => {
-        context.run(() => {
-            window.__SSR_ACTIVE__ = false;
-        });
-        resourceLoader.close();
-        context.window.close();
-    };
-
     // Now, before we load any code, we make sure any globals we've been asked
     // to set are made available to the VM context.
-    if (globals) {
-        Object.keys(globals).forEach((key) => {
-            // Location is a special case, so we want to block changing that.
-            if (key !== "location") {
-                context.window[key] = globals[key];
-            }
-        });
-    }
+    const globalKeys = applyGlobals(context, globals);
 
     // Now we execute inside the sandbox context each script package.
     let cumulativePackageSize = 0;
     jsPackages.forEach(({content, url}) => {
-        context.run(content, {filename: url});
+        context.runVMScript(
+            scriptCache.getScript(logging, content, url, requestStats),
+            getRunOptions(),
+        );
+        scriptCache.saveCodeCache(logging, url);
 
         // A size estimate; it's really just an estimate
         // though as we don't consider anything but the script text.
@@ -227,18 +293,136 @@ const createRenderContext = function(
         cumulativePackageSize += content.length * 2;
     });
 
+    const {head, body} = (context.window.document: any);
     return {
         context,
         cumulativePackageSize,
+        resourceLoader,
+        renderConsole,
+        globalKeys,
+        headNodes: Array.from(head.childNodes),
+        bodyNodes: Array.from(body.childNodes),
     };
 };
 
 /**
+ * Stop a context from doing anything more for the render that used it.
+ */
+const deactivateRenderContext = (pooled: PooledRenderContext): void => {
+    pooled.context.run(() => {
+        window.__SSR_ACTIVE__ = false;
+        window.__SSR_GENERATION__++;
+    });
+    pooled.resourceLoader.close();
+    pooled.renderConsole.close();
+};
+
+/**
+ * Get a used context back to the state it was in once its packages were
+ * evaluated, ready for another render.
+ *
+ * We remove the per-render props and Apollo setup, the globals from the
+ * last render and anything that render added to the document.
+ */
+const resetRenderContext = (pooled: PooledRenderContext): void => {
+    const window: any = pooled.context.window;
+    PER_RENDER_WINDOW_KEYS.concat(pooled.globalKeys).forEach((key) => {
+        delete window[key];
+    });
+    pooled.globalKeys = [];
+
+    const removeAddedNodes = (parent: any, keep: Array<mixed>) =>
+        Array.from(parent.childNodes)
+            .filter((node) => !keep.includes(node))
+            .forEach((node) => parent.removeChild(node));
+    removeAddedNodes(window.document.head, pooled.headNodes);
+    removeAddedNodes(window.document.body, pooled.bodyNodes);
+};
+
+/**
+ * Get a reset context ready for a new render.
+ */
+const activateRenderContext = (
+    pooled: PooledRenderContext,
+    logging: Logger,
+    locationUrl: string,
+    globals: Globals,
+    requestStats?: RequestStats,
+    consoleEntries?: ?Array<ConsoleEntry>,
+): void => {
+    const {context} = pooled;
+    context.reconfigure({url: locationUrl});
+    pooled.resourceLoader.reopen(logging, requestStats);
+    pooled.renderConsole.reopen(logging, consoleEntries);
+    pooled.globalKeys = applyGlobals(context, globals);
+    context.run(() => {
+        window.__SSR_ACTIVE__ = true;
+    });
+};
+
+const disposeRenderContext = (pooled: PooledRenderContext): void => {
+    pooled.context.window.close();
+};
+
+/**
+ * Contexts are pooled by the origin of the location that they render for,
+ * followed by the ordered list of URLs of the packages evaluated in them.
+ */
+const getPoolKey = (
+    locationUrl: string,
+    jsPackages: Array<JavaScriptPackage>,
+): string =>
+    [new URL(locationUrl).origin]
+        .concat(jsPackages.map(({url}) => url))
+        .join("\n");
+
+/**
+ * Get the URLs of the packages of a pool key.
+ */
+const getPoolKeyUrls = (key: string): Array<string> => key.split("\n").slice(1);
+
+const contextPool: RenderContextPool<PooledRenderContext> = new RenderContextPool(
+    () => args.contextPoolSize,
+    disposeRenderContext,
+);
+
+/**
+ * Dispose of the idle render contexts and compiled package scripts.
+ *
+ * @param {(url: string) => boolean} [matches] - If given, only the scripts
+ * for package URLs that match, and the contexts that evaluated any of them,
+ * are disposed of; otherwise, all of them are.
+ */
+export const flushRenderContexts = (
+    matches?: (url: string) => boolean,
+): void => {
+    if (matches == null) {
+        contextPool.flush();
+        scriptCache.flush();
+        return;
+    }
+    contextPool.flush((key) => getPoolKeyUrls(key).some(matches));
+    scriptCache.flush(matches);
+};
+
+/**
+ * Get a render context, reusing an idle one from the pool for the same
+ * packages and origin if there is one, or creating a new one.
+ *
+ * When the render is done with the context, it must call `close`, passing
+ * true if the context can be reused (i.e. the render was successful).
+ *
+ * Globals are applied before each render, so entrypoints that are rendered
+ * with pooling enabled should read globals when rendering rather than when
+ * their packages are evaluated.
  *
  * @param {string} locationUrl
  * @param {any} globals
  * @param {[{content: string, url: string}]} jsPackages
  * @param {any} requestStats
+ * @param {Array<ConsoleEntry>} [consoleEntries] - Where to capture what the
+ * render logs to the console, if it is being debugged. It is logged either
+ * way.
  * @returns {JSDOM}
  */
 export default function createRenderContextWithStats(
@@ -247,26 +431,92 @@ export default function createRenderContextWithStats(
     globals: Globals,
     jsPackages: Array<any>,
     requestStats?: RequestStats,
+    consoleEntries?: ?Array<ConsoleEntry>,
 ): RenderContext {
-    const vmConstructionProfile = profile.start(
-        logging,
-        `building VM ${(globals && `for ${globals["location"]}`) || ""}`,
-    );
-
-    const {context, cumulativePackageSize} = createRenderContext(
-        logging,
-        locationUrl,
-        globals,
-        jsPackages,
-        requestStats,
-    );
+    const poolKey = getPoolKey(locationUrl, jsPackages);
+    const reused = contextPool.acquire(poolKey);
 
-    vmConstructionProfile.end();
+    let pooled;
+    let buildMs = 0;
+    if (reused != null) {
+        const resetProfile = profile.start(
+            logging,
+            `resetting VM ${(globals && `for ${globals["location"]}`) || ""}`,
+        );
+        activateRenderContext(
+            reused,
+            logging,
+            locationUrl,
+            globals,
+            requestStats,
+            consoleEntries,
+        );
+        pooled = reused;
+        resetProfile.end();
+    } else {
+        const vmConstructionProfile = profile.start(
+            logging,
+            `building VM ${(globals && `for ${globals["location"]}`) || ""}`,
+        );
+        const buildStartedAt = Date.now();
+        pooled = createRenderContext(
+            logging,
+            locationUrl,
+            globals,
+            jsPackages,
+            requestStats,
+            consoleEntries,
+        );
+        buildMs = Date.now() - buildStartedAt;
+        vmConstructionProfile.end();
+    }
 
     if (requestStats) {
-        requestStats.createdVmContext = true;
-        requestStats.vmContextSize = cumulativePackageSize;
+        requestStats.createdVmContext = reused == null;
+        requestStats.vmContextSize = pooled.cumulativePackageSize;
+        requestStats.vmContextBuildMs = buildMs;
     }
 
+    // Set up a close handler to be called after rendering is done.
+    const {context} = pooled;
+    let closed = false;
+    context.close = (reusable?: boolean) => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        deactivateRenderContext(pooled);
+        if (!reusable || !contextPool.enabled) {
+            disposeRenderContext(pooled);
+            return;
+        }
+        try {
+            resetRenderContext(pooled);
+        } catch (e) {
+            disposeRenderContext(pooled);
+            throw e;
+        }
+        contextPool.release(poolKey, pooled);
+    };
+
     return context;
 }
+
+/**
+ * Evaluate packages in a render context and leave it idle in the pool, so
+ * that the first render of those packages can reuse it. Their compiled
+ * scripts are cached too, even if pooling is disabled.
+ */
+export const warmRenderContext = (
+    logging: Logger,
+    jsPackages: Array<JavaScriptPackage>,
+    globals: Globals,
+): void => {
+    const context = createRenderContextWithStats(
+        logging,
+        (globals && globals["location"]) || "http://www.khanacademy.org",
+        globals,
+        jsPackages,
+    );
+    context.close(true);
+};
@@ -5,15 +5,43 @@ import {applyAbortPatch} from "./patch-promise.js";
 import {ResourceLoader} from "jsdom";
 
 import fetchPackage from "./fetch_package.js";
+import {
+    PackageUrlNotAllowedError,
+    isAllowedPackageUrl,
+} from "./package-allowlist.js";
 
 import type {FetchOptions} from "jsdom";
-import type {RequestStats, Logger} from "./types.js";
+import type {
+    AbortablePromise,
+    JavaScriptPackage,
+    RequestStats,
+    Logger,
+} from "./types.js";
+
+type PackageFetcher = (
+    logging: Logger,
+    url: string,
+    requester: "JSDOM",
+    requestStats?: ?RequestStats,
+) => AbortablePromise<JavaScriptPackage>;
 
 /**
  * Make sure any promises that get made have an abort.
  */
 applyAbortPatch();
 
+/**
+ * Override how JavaScript files requested by JSDOM are fetched. By default,
+ * we use fetchPackage.
+ *
+ * Render worker threads use this to have the main thread do the fetching so
+ * that all threads share the main thread's package cache.
+ */
+let packageFetcher: ?PackageFetcher = null;
+export const setPackageFetcher = (fetcher: ?PackageFetcher): void => {
+    packageFetcher = fetcher;
+};
+
 export class CustomResourceLoader extends ResourceLoader {
     _active: boolean;
     _requestStats: ?RequestStats;
@@ -41,9 +69,26 @@ export class CustomResourceLoader extends ResourceLoader {
         this._active = false;
     }
 
+    /**
+     * Make a closed loader active again so that a reused render context can
+     * load resources for a new render.
+     */
+    reopen(logging: Logger, requestStats?: RequestStats): void {
+        this._active = true;
+        this._requestStats = requestStats;
+        this._logging = logging;
+    }
+
     _fetchJavaScript(url: string): Promise<Buffer> {
         const logging = this._logging;
-        const abortableFetch = fetchPackage(
+        if (!isAllowedPackageUrl(url)) {
+            const error = new PackageUrlNotAllowedError(url);
+            logging.error(error.message);
+            return Promise.reject(error);
+        }
+
+        const fetcher = packageFetcher || fetchPackage;
+        const abortableFetch = fetcher(
             logging,
             url,
             "JSDOM",
@@ -2,6 +2,7 @@
 import * as sinon from "sinon";
 import {assert} from "chai";
 import {ResourceLoader} from "jsdom";
+import args from "./arguments.js";
 import {rootLogger as logging} from "./logging.js";
 import * as FetchPackageModule from "./fetch_package.js";
 import {CustomResourceLoader} from "./custom-resource-loader.js";
@@ -76,6 +77,59 @@ describe("CustomResourceLoader", () => {
         });
     });
 
+    describe("#reopen", () => {
+        it("should set isActive to true", () => {
+            // Arrange
+            const underTest = new CustomResourceLoader(logging);
+            underTest.close();
+
+            // Act
+            underTest.reopen(logging);
+            const result = underTest.isActive;
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should use the new requestStats for fetches", () => {
+            // Arrange
+            const fetchPackageSpy = sinon
+                .stub(FetchPackageModule, "default")
+                .returns(new Promise((resolve, reject) => {}));
+            const requestStats: RequestStats = {
+                pendingRenderRequests: 0,
+                queueWaitMs: 0,
+                packageFetches: 0,
+                fromCache: 0,
+                packageFetchRetries: 0,
+                packageFetchMs: 0,
+                vmContextSize: 0,
+                createdVmContext: false,
+                vmContextBuildMs: 0,
+                scriptCacheHits: 0,
+                scriptCacheMisses: 0,
+                packageCacheSize: 0,
+                packageCacheEntries: 0,
+                packageCacheEvictions: 0,
+            };
+            const underTest = new CustomResourceLoader(logging);
+            underTest.close();
+
+            // Act
+            underTest.reopen(logging, requestStats);
+            underTest.fetch("http://example.com/test.js", {});
+
+            // Assert
+            sinon.assert.calledWith(
+                fetchPackageSpy,
+                logging,
+                "http://example.com/test.js",
+                "JSDOM",
+                requestStats,
+            );
+        });
+    });
+
     describe("#fetch", () => {
         describe("when not a JavaScript file", () => {
             it("should return EMPTY promise", () => {
@@ -113,6 +167,32 @@ describe("CustomResourceLoader", () => {
                 );
             });
 
+            it("should reject without fetching when the URL is not allowed", async () => {
+                // Arrange
+                sinon
+                    .stub(args, "allowedPackageUrls")
+                    .get(() => ["https://cdn.example.com"]);
+                sinon.stub(logging, "error");
+                const fetchPackageSpy = sinon.stub(
+                    FetchPackageModule,
+                    "default",
+                );
+                const underTest = new CustomResourceLoader(logging);
+
+                // Act
+                const result = underTest.fetch(
+                    "http://example.com/test.js",
+                    {},
+                );
+
+                // Assert
+                await assert.isRejected(
+                    (result: any),
+                    "Package URL is not allowed: http://example.com/test.js",
+                );
+                sinon.assert.notCalled(fetchPackageSpy);
+            });
+
             it("should invoke fetchPackage with requestStats", () => {
                 // Arrange
                 const fetchPackageSpy = sinon
@@ -120,10 +200,19 @@ describe("CustomResourceLoader", () => {
                     .returns(new Promise((resolve, reject) => {}));
                 const requestStats: RequestStats = {
                     pendingRenderRequests: 0,
+                    queueWaitMs: 0,
                     packageFetches: 0,
                     fromCache: 0,
+                    packageFetchRetries: 0,
+                    packageFetchMs: 0,
                     vmContextSize: 0,
                     createdVmContext: true,
+                    vmContextBuildMs: 0,
+                    scriptCacheHits: 0,
+                    scriptCacheMisses: 0,
+                    packageCacheSize: 0,
+                    packageCacheEntries: 0,
+                    packageCacheEvictions: 0,
                 };
                 const underTest = new CustomResourceLoader(
                     logging,
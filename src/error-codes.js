@@ -0,0 +1,97 @@
+// @flow
+/**
+ * The kinds of error that we respond with.
+ *
+ * Every error response has a stable "code" that clients can act on, along
+ * with the "error" message and, for failed renders, the "stack":
+ *
+ *     code               status  when
+ *     validation         400     The request is invalid (403 for package
+ *                                URLs that we aren't allowed to fetch).
+ *     auth               401     The request has no credentials (403 if
+ *                                they are wrong, 429 if the client has
+ *                                failed too often, 500 if we can't check).
+ *     fetch              502     A package couldn't be fetched, or doesn't
+ *                                match its integrity.
+ *     package-eval       500     Evaluating a package threw.
+ *     no-registration    500     The packages didn't call
+ *                                __registerForSSR__.
+ *     render             500     The render threw or rejected.
+ *     apollo             502     A GraphQL request that the render made
+ *                                failed.
+ *     timeout            504     The render overran its deadline or CPU
+ *                                budget (see render-timeout.js).
+ *
+ * Errors from renders get their code where they happen (see withErrorCode)
+ * since they may come from a render worker as plain errors, which keep
+ * their primitive properties but not their class.
+ */
+import {isRenderTimeoutError} from "./render-timeout.js";
+
+export type ErrorCode =
+    | "validation"
+    | "auth"
+    | "fetch"
+    | "package-eval"
+    | "no-registration"
+    | "render"
+    | "apollo"
+    | "timeout";
+
+const ERROR_STATUSES: {[code: ErrorCode]: number, ...} = {
+    validation: 400,
+    auth: 401,
+    fetch: 502,
+    "package-eval": 500,
+    "no-registration": 500,
+    render: 500,
+    apollo: 502,
+    timeout: 504,
+};
+
+/**
+ * Get the HTTP status to respond with for an error with the given code.
+ */
+export const getErrorStatus = (code: ErrorCode): number => ERROR_STATUSES[code];
+
+const isErrorCode = (code: mixed): boolean %checks =>
+    typeof code === "string" &&
+    Object.prototype.hasOwnProperty.call(ERROR_STATUSES, code);
+
+/**
+ * Give an error the given code, unless it already has one. Anything that
+ * isn't an object is returned as it is.
+ *
+ * The code is kept as the `errorCode` of the error, since many errors
+ * already have a `code` of their own (like "ECONNRESET").
+ */
+export const withErrorCode = (err: any, code: ErrorCode): any => {
+    if (err != null && typeof err === "object" && !isErrorCode(err.errorCode)) {
+        err.errorCode = code;
+    }
+    return err;
+};
+
+/**
+ * Get the code of an error, or the given code if it doesn't have one.
+ */
+export const getErrorCode = (err: any, fallback: ErrorCode): ErrorCode => {
+    if (isRenderTimeoutError(err)) {
+        return "timeout";
+    }
+    if (err != null && isErrorCode(err.errorCode)) {
+        return err.errorCode;
+    }
+    return fallback;
+};
+
+/**
+ * Determine if an error is from Apollo failing to get data for a render.
+ *
+ * This checks the properties of the error rather than its class, since it
+ * comes from the Apollo client in the render context.
+ */
+export const isApolloError = (err: any): boolean %checks =>
+    err != null &&
+    typeof err === "object" &&
+    Object.prototype.hasOwnProperty.call(err, "graphQLErrors");
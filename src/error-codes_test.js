@@ -0,0 +1,136 @@
+// @flow
+import {assert} from "chai";
+import {
+    getErrorCode,
+    getErrorStatus,
+    isApolloError,
+    withErrorCode,
+} from "./error-codes.js";
+import {RenderTimeoutError} from "./render-timeout.js";
+
+describe("error-codes", () => {
+    describe("#getErrorStatus", () => {
+        [
+            ["validation", 400],
+            ["auth", 401],
+            ["fetch", 502],
+            ["package-eval", 500],
+            ["no-registration", 500],
+            ["render", 500],
+            ["apollo", 502],
+            ["timeout", 504],
+        ].forEach(([code, status]) => {
+            it(`should respond to ${code} errors with a ${status}`, () => {
+                // Act
+                const result = getErrorStatus(code);
+
+                // Assert
+                assert.equal(result, status);
+            });
+        });
+    });
+
+    describe("#withErrorCode", () => {
+        it("should give the error the code", () => {
+            // Arrange
+            const err = new Error("Boom");
+
+            // Act
+            withErrorCode(err, "render");
+
+            // Assert
+            assert.equal(getErrorCode(err, "fetch"), "render");
+        });
+
+        it("should keep the code that the error already has", () => {
+            // Arrange
+            const err = withErrorCode(new Error("Boom"), "no-registration");
+
+            // Act
+            withErrorCode(err, "render");
+
+            // Assert
+            assert.equal(getErrorCode(err, "fetch"), "no-registration");
+        });
+
+        it("should leave the error's own code alone", () => {
+            // Arrange
+            const err: any = new Error("Boom");
+            err.code = "ECONNRESET";
+
+            // Act
+            withErrorCode(err, "fetch");
+
+            // Assert
+            assert.equal(err.code, "ECONNRESET");
+            assert.equal(getErrorCode(err, "render"), "fetch");
+        });
+
+        it("should return things that aren't errors as they are", () => {
+            // Act
+            const result = withErrorCode("Boom", "render");
+
+            // Assert
+            assert.equal(result, "Boom");
+        });
+    });
+
+    describe("#getErrorCode", () => {
+        it("should say that a render timeout is a timeout", () => {
+            // Arrange
+            const err = withErrorCode(
+                new RenderTimeoutError("render", 50, "Too slow"),
+                "render",
+            );
+
+            // Act
+            const result = getErrorCode(err, "render");
+
+            // Assert
+            assert.equal(result, "timeout");
+        });
+
+        it("should give the fallback for an error without a code", () => {
+            // Act
+            const result = getErrorCode(new Error("Boom"), "fetch");
+
+            // Assert
+            assert.equal(result, "fetch");
+        });
+
+        it("should ignore codes that aren't ours", () => {
+            // Arrange
+            const err: any = new Error("Boom");
+            err.errorCode = "oops";
+
+            // Act
+            const result = getErrorCode(err, "render");
+
+            // Assert
+            assert.equal(result, "render");
+        });
+    });
+
+    describe("#isApolloError", () => {
+        it("should recognize errors from Apollo by their GraphQL errors", () => {
+            // Arrange
+            const err: any = new Error("Network error: Boom");
+            err.graphQLErrors = [];
+            err.networkError = new Error("Boom");
+
+            // Act
+            const result = isApolloError(err);
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should not think other errors are from Apollo", () => {
+            // Act
+            const result = isApolloError(new Error("Boom"));
+
+            // Assert
+            assert.isFalse(result);
+        });
+    });
+});
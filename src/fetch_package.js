@@ -8,20 +8,34 @@
  * provides the function for taking the url of a package and
  * actually retrieving the package.
  *
- * The server that holds the package information is hard-coded in this
- * file, to avoid letting this server execute arbitrary code.
+ * To avoid letting this server execute arbitrary code, we only fetch
+ * packages from the URLs that we are configured to allow (see
+ * package-allowlist.js). We don't follow redirects, since they could take
+ * us anywhere. A render request can also give the hashes that
+ * the packages must match (see package-integrity.js); content that doesn't
+ * match is never cached or returned.
  */
 
 import superagent from "superagent";
 import superagentCachePlugin from "superagent-cache-plugin";
-import cacheModule from "cache-service-cache-module";
 import Agent from "agentkeepalive";
 
 import args from "./arguments.js";
 import profile from "./profile.js";
+import createPackageCache from "./package-cache.js";
+import {assertAllowedPackageUrl} from "./package-allowlist.js";
+import {
+    IntegrityMismatchError,
+    isIntegrityMismatchError,
+    matchesIntegrity,
+    verifyIntegrity,
+} from "./package-integrity.js";
 
 import type {
+    CachedPackage,
+    IPackageCache,
     JavaScriptPackage,
+    PackageCacheStats,
     RequestStats,
     AbortablePromise,
     Logger,
@@ -29,22 +43,50 @@ import type {
 import type {SuperAgentRequest} from "superagent";
 
 type InflightRequests = {
-    [url: string]: AbortablePromise<JavaScriptPackage>,
+    [key: string]: AbortablePromise<JavaScriptPackage>,
     ...,
 };
 
 // How many times we retry on 5xx error or similar, before giving up.
 const DEFAULT_NUM_RETRIES: number = 2; // so 3 tries total
 
+/**
+ * If a fetch failed because it was redirected, get the error to fail it
+ * with.
+ */
+const getRedirectError = (url: string, err: any): ?Error => {
+    const status = err != null ? err.status : null;
+    if (typeof status !== "number" || status < 300 || status >= 400) {
+        return null;
+    }
+    const location = err.response && err.response.headers.location;
+    return new Error(
+        `Package URL redirected to ${location || "nowhere"}, ` +
+            `and we don't follow redirects: ${url}`,
+    );
+};
+
 // What requests are currently in flight?
 const inFlightRequests: InflightRequests = {};
 
 /**
  * Setup caching stuff. We may not use it if caching isn't enabled
  * but it won't do any harm just sitting there.
+ *
+ * The cache backend is configurable; see package-cache.js. It is set up the
+ * first time that it is needed, since render worker threads import this
+ * module but fetch through the main thread (see render-worker.js), and
+ * mustn't have caches of their own.
  */
-const cache = new cacheModule();
-const superagentCache = superagentCachePlugin(cache);
+let packageCache: ?{cache: IPackageCache, plugin: mixed} = null;
+
+const getPackageCache = (): {cache: IPackageCache, plugin: mixed} => {
+    if (packageCache == null) {
+        const cache = createPackageCache();
+        packageCache = {cache, plugin: superagentCachePlugin(cache)};
+    }
+    return packageCache;
+};
 
 /**
  * Setup keep-alive so that we can make more effective use of our connection
@@ -56,6 +98,39 @@ const keepaliveAgent = new Agent({
     freeSocketTimeout: 30000, // free socket keepalive for 30 seconds
 });
 
+/**
+ * Get the stats of the package cache.
+ */
+export function getPackageCacheStats(): PackageCacheStats {
+    return getPackageCache().cache.getStats();
+}
+
+/**
+ * Record the state of the package cache in the given request stats.
+ */
+const recordPackageCacheStats = (requestStats: RequestStats): void => {
+    const {size, entryCount, evictions} = getPackageCache().cache.getStats();
+    requestStats.packageCacheSize = size;
+    requestStats.packageCacheEntries = entryCount;
+    requestStats.packageCacheEvictions = evictions;
+};
+
+/**
+ * Abort all the package fetches that are in progress, such as when we are
+ * shutting down.
+ *
+ * @returns {number} How many fetches were aborted.
+ */
+export function abortInFlightRequests(): number {
+    const keys = Object.keys(inFlightRequests);
+    keys.forEach((key) => {
+        const request = inFlightRequests[key];
+        delete inFlightRequests[key];
+        request.abort();
+    });
+    return keys.length;
+}
+
 /**
  * Flush the cache.
  */
@@ -64,10 +139,63 @@ export function flushCache() {
      * Guard this in case we never enabled caching.
      */
     if (args.useCache) {
-        cache.flush();
+        getPackageCache().cache.flush();
     }
 }
 
+/**
+ * Get the package URL that a cache key is for.
+ *
+ * superagent-cache-plugin makes its keys by JSON-encoding the request's
+ * method, URL, query params and headers.
+ */
+const getCacheKeyUrl = (key: string): ?string => {
+    try {
+        const {uri} = JSON.parse(key);
+        return typeof uri === "string" ? uri : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Flush the cache of the packages whose URLs match.
+ *
+ * @returns {Array<string>} The URLs of the packages that were flushed.
+ */
+export function flushCacheMatching(
+    matches: (url: string) => boolean,
+): Array<string> {
+    /**
+     * Guard this in case we never enabled caching.
+     */
+    if (!args.useCache) {
+        return [];
+    }
+    const flushedKeys = getPackageCache().cache.flushMatching((key) => {
+        const url = getCacheKeyUrl(key);
+        return url != null && matches(url);
+    });
+    const flushedUrls = flushedKeys.map((key) => getCacheKeyUrl(key) || key);
+    return Array.from(new Set(flushedUrls));
+}
+
+/**
+ * Describe the packages in the cache, most recently used first.
+ */
+export function getCachedPackages(): Array<CachedPackage> {
+    const packages = [];
+    getPackageCache()
+        .cache.getEntries()
+        .forEach(({key, ...details}) => {
+            const url = getCacheKeyUrl(key);
+            if (url != null) {
+                packages.push({url, ...details});
+            }
+        });
+    return packages.sort((a, b) => b.lastUsed - a.lastUsed);
+}
+
 /**
  * Flush the cache of anything that hasn't been used in the last 15 minutes.
  */
@@ -76,15 +204,16 @@ export function flushUnusedCache() {
      * Guard this in case we never enabled caching.
      */
     if (args.useCache) {
-        cache.flushUnused(15 * 60);
+        getPackageCache().cache.flushUnused(15 * 60);
     }
 }
 
 function isCacheable(url: string): boolean {
     /**
-     * For now, let's just cache JS files.
+     * For now, let's just cache JS files and their source maps (see
+     * source-maps.js).
      */
-    const JSFileRegex = /^.*\.js(?:\?.*)?/g;
+    const JSFileRegex = /^.*\.js(?:\.map)?(?:\?.*)?$/;
     return JSFileRegex.test(url);
 }
 
@@ -93,25 +222,45 @@ function isCacheable(url: string): boolean {
  * return a promise holding the package contents.  If requestStats is
  * defined, we update it with how many fetches we had to do.
  *
+ * If the url is not one that we are allowed to fetch, we reject with a
+ * PackageUrlNotAllowedError.
+ *
+ * If integrity metadata is given, the content must match it or we reject
+ * with an IntegrityMismatchError. Content that doesn't match isn't cached,
+ * and we don't retry, since the same content is likely to come back.
+ *
  * @returns {AbortablePromise<JavaScriptPackage>} A promise of an object
  * containing the content and the url from which it came.
  */
 export default async function fetchPackage(
     logging: Logger,
     url: string,
-    requester: "JSDOM" | "SERVER" | "TEST",
+    requester: "JSDOM" | "SERVER" | "PREFETCH" | "SOURCEMAP" | "TEST",
     requestStats?: ?RequestStats,
+    integrity?: ?string,
     triesLeftAfterThisOne?: number = DEFAULT_NUM_RETRIES,
 ): AbortablePromise<JavaScriptPackage> {
+    assertAllowedPackageUrl(url);
+
     // If a different request has already asked for this url, just
-    // tag along with it rather than making our own request.
-    if (inFlightRequests[url]) {
+    // tag along with it rather than making our own request. A request
+    // that checks a different integrity has to make its own, though.
+    const inFlightKey = integrity == null ? url : `${url} ${integrity}`;
+    if (inFlightRequests[inFlightKey]) {
         // We know that that this is abortable so we can leave it like this
         // $FlowFixMe
-        return inFlightRequests[url];
+        return inFlightRequests[inFlightKey];
     }
 
-    const getFetcher = (url: string, token: number): SuperAgentRequest => {
+    // If the fetched content doesn't match the integrity, this is the
+    // error that we fail with.
+    let integrityError: ?IntegrityMismatchError = null;
+
+    const getFetcher = (
+        url: string,
+        token: number,
+        traceparent: ?string,
+    ): SuperAgentRequest => {
         // We give the fetcher 60 seconds to get a response.
         const fetcher = superagent
             .agent(keepaliveAgent)
@@ -121,7 +270,14 @@ export default async function fetchPackage(
                 `${process.env.GAE_SERVICE || "react-render-server"} ${process
                     .env.GAE_VERSION || "UNKNOWN"}`,
             )
-            .timeout(60000);
+            .timeout(60000)
+            // A redirect fails the fetch (see getRedirectError).
+            .redirects(0);
+
+        // Continue the trace that we are fetching for (see tracing.js).
+        if (traceparent != null) {
+            fetcher.set("traceparent", traceparent);
+        }
 
         /**
          * We only want to go via the cache if it's something we want to cache.
@@ -136,21 +292,42 @@ export default async function fetchPackage(
          */
         return (
             fetcher
-                .use(superagentCache)
+                .use(getPackageCache().plugin)
                 /**
                  * Set the expiration of the cache to be really high (24 hours)
                  * as the files aren't expected to ever change.
                  */
                 .expiration(24 * 60 * 60)
+                /**
+                 * If `prune` gives us nothing, it isn't cached.
+                 */
+                .cacheWhenEmpty(false)
+                /**
+                 * Headers are part of the cache key, but the trace that a
+                 * fetch is part of has nothing to do with what it gets.
+                 */
+                .pruneHeader(["traceparent"])
                 .prune((response, gutResponse) => {
                     /**
                      * We want to use our own `prune` method so that we can track
-                     * what comes from cache versus what doesn't.
+                     * what comes from cache versus what doesn't, and so that
+                     * we can check the integrity of the content before it is
+                     * cached.
                      *
-                     * But we still do the same thing that superagent-cache would
-                     * do, for now.
+                     * Otherwise, we do the same thing that superagent-cache
+                     * would do, for now.
                      */
                     const guttedResponse = gutResponse(response);
+                    if (
+                        integrity != null &&
+                        !matchesIntegrity(guttedResponse.text, integrity)
+                    ) {
+                        integrityError = new IntegrityMismatchError(
+                            url,
+                            integrity,
+                        );
+                        return null;
+                    }
                     guttedResponse._token = token;
                     return guttedResponse;
                 })
@@ -184,8 +361,8 @@ export default async function fetchPackage(
         };
 
         // Now create the request.
-        const fetcher = getFetcher(url, token);
-        registerAbortFn(fetcher.abort);
+        const fetcher = getFetcher(url, token, fetchProfile.span.traceparent);
+        registerAbortFn(() => fetcher.abort());
 
         let success = false;
         let cached = false;
@@ -193,13 +370,19 @@ export default async function fetchPackage(
             // Now we handle when the request ends, either successfully or
             // otherwise.
             const result = await fetcher.buffer();
+            if (integrityError != null) {
+                throw integrityError;
+            }
+            // Things that came from the cache, or that we didn't cache,
+            // haven't been checked yet.
+            verifyIntegrity(url, result.text, integrity);
             success = true;
 
             // (Note: when running tests, our key may not be in
             // inFlightRequests, if this promise resolves after the
             // termination of the test.  In that case, we can just bail,
             // since the test isn't running anymore anyway.)
-            if (!inFlightRequests[url]) {
+            if (!inFlightRequests[inFlightKey]) {
                 throw new Error("We've moved on to other tests, my friend");
             }
 
@@ -209,6 +392,7 @@ export default async function fetchPackage(
                 cached = true;
                 requestStats && requestStats.fromCache++;
             }
+            requestStats && recordPackageCacheStats(requestStats);
 
             return {
                 content: result.text,
@@ -217,7 +401,7 @@ export default async function fetchPackage(
         } finally {
             reportFetchTime(success, cached);
             // The request is done: don't say it's inflight anymore!
-            delete inFlightRequests[url];
+            delete inFlightRequests[inFlightKey];
         }
     };
 
@@ -227,18 +411,35 @@ export default async function fetchPackage(
      * can abort the fetch on close.
      */
     let abort;
+    let aborted = false;
     const registerAbortFn = (abortFn: Function): void => {
-        abort = abortFn;
+        abort = () => {
+            aborted = true;
+            abortFn();
+        };
     };
     const fetchPromise = doFetch(Date.now(), registerAbortFn).catch((err) => {
+        // Being redirected again won't help.
+        const redirectError = getRedirectError(url, err);
+        if (redirectError != null) {
+            throw redirectError;
+        }
+
         // If we get here, we have a 5xx error or similar
         // (socket timeout, maybe).  Let's retry a few times.
-        if (triesLeftAfterThisOne > 0) {
+        // There is no point retrying a fetch that we aborted on purpose.
+        if (
+            triesLeftAfterThisOne > 0 &&
+            !isIntegrityMismatchError(err) &&
+            !aborted
+        ) {
+            requestStats && requestStats.packageFetchRetries++;
             return fetchPackage(
                 logging,
                 url,
                 requester,
                 requestStats,
+                integrity,
                 triesLeftAfterThisOne - 1,
             );
         }
@@ -249,15 +450,15 @@ export default async function fetchPackage(
 
     // Let other concurrent requests know that we're fetching this
     // url, so they don't try to do it too.
-    inFlightRequests[url] = (fetchPromise: any);
+    inFlightRequests[inFlightKey] = (fetchPromise: any);
 
     /**
      * We attach the captured abort so that it can be used to abort
      * this request.
      */
-    inFlightRequests[url].abort = abort || (() => {});
+    inFlightRequests[inFlightKey].abort = abort || (() => {});
 
     // We know that that this is abortable so we can leave it like this
     // $FlowFixMe
-    return inFlightRequests[url];
+    return inFlightRequests[inFlightKey];
 }
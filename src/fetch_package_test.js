@@ -1,11 +1,23 @@
 // @flow
+import crypto from "crypto";
 import {rootLogger} from "./logging.js";
-import fetchPackage, {flushCache} from "./fetch_package.js";
+import fetchPackage, {
+    abortInFlightRequests,
+    flushCache,
+    flushCacheMatching,
+    getCachedPackages,
+} from "./fetch_package.js";
 import args from "./arguments.js";
 import {assert} from "chai";
 import nock from "nock";
 import sinon from "sinon";
 
+const sha384 = (content: string): string =>
+    `sha384-${crypto
+        .createHash("sha384")
+        .update(content)
+        .digest("base64")}`;
+
 describe("fetchPackage", () => {
     let mockScope;
 
@@ -22,6 +34,7 @@ describe("fetchPackage", () => {
     afterEach(() => {
         global._fetched = undefined;
         nock.cleanAll();
+        sinon.restore();
     });
 
     it("should fetch files", async () => {
@@ -132,6 +145,120 @@ describe("fetchPackage", () => {
         assert.equal(result.content, "global._fetched = 'yay!';");
         mockScope.done();
     });
+
+    it("should reject urls that are not allowed without fetching", async () => {
+        // Arrange
+        sinon
+            .stub(args, "allowedPackageUrls")
+            .get(() => ["https://cdn.ka.org"]);
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'yay!';");
+
+        // Act
+        const underTest = fetchPackage(
+            rootLogger,
+            "https://www.ka.org/ok.js",
+            "TEST",
+        );
+
+        // Assert
+        await assert.isRejected(
+            underTest,
+            "Package URL is not allowed: https://www.ka.org/ok.js",
+        );
+        assert.equal(mockScope.pendingMocks().length, 1);
+    });
+
+    it("should not follow redirects", async () => {
+        // Arrange
+        sinon
+            .stub(args, "allowedPackageUrls")
+            .get(() => ["https://www.ka.org"]);
+        mockScope
+            .get("/ok.js")
+            .reply(302, "", {Location: "https://evil.example.com/evil.js"});
+        const evilScope = nock("https://evil.example.com")
+            .get("/evil.js")
+            .reply(200, "global._fetched = 'evil';");
+
+        // Act
+        const underTest = fetchPackage(
+            rootLogger,
+            "https://www.ka.org/ok.js",
+            "TEST",
+        );
+
+        // Assert
+        await assert.isRejected(
+            underTest,
+            "Package URL redirected to https://evil.example.com/evil.js, " +
+                "and we don't follow redirects: https://www.ka.org/ok.js",
+        );
+        mockScope.done();
+        assert.isFalse(evilScope.isDone());
+    });
+
+    it("should fetch files that match their integrity", async () => {
+        // Arrange
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'yay!';");
+
+        // Act
+        const result = await fetchPackage(
+            rootLogger,
+            "https://www.ka.org/ok.js",
+            "TEST",
+            null,
+            sha384("global._fetched = 'yay!';"),
+        );
+
+        // Assert
+        assert.equal(result.content, "global._fetched = 'yay!';");
+        mockScope.done();
+    });
+
+    it("should reject files that don't match their integrity without retrying", async () => {
+        // Arrange
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'evil';");
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'yay!';");
+
+        // Act
+        const underTest = fetchPackage(
+            rootLogger,
+            "https://www.ka.org/ok.js",
+            "TEST",
+            null,
+            sha384("global._fetched = 'yay!';"),
+        );
+
+        // Assert
+        await assert.isRejected(
+            underTest,
+            "Integrity check failed for https://www.ka.org/ok.js",
+        );
+        assert.equal(mockScope.pendingMocks().length, 1);
+    });
+
+    it("should abort fetches in progress without retrying", async () => {
+        // Arrange
+        mockScope
+            .get("/slow.js")
+            .delay(1000)
+            .reply(200, "global._fetched = 'late';");
+        mockScope.get("/slow.js").reply(200, "global._fetched = 'retry';");
+        sinon.stub(rootLogger, "error");
+        const underTest = fetchPackage(
+            rootLogger,
+            "https://www.ka.org/slow.js",
+            "TEST",
+        );
+
+        // Act
+        const result = abortInFlightRequests();
+
+        // Assert
+        assert.equal(result, 1);
+        await assert.isRejected(underTest);
+        assert.equal(mockScope.pendingMocks().length, 1);
+    });
 });
 
 describe("fetchPackage with cache", () => {
@@ -179,6 +306,51 @@ describe("fetchPackage with cache", () => {
         assert.notEqual(0, mockScope.pendingMocks().length);
     });
 
+    it("should not cache files that don't match their integrity", async () => {
+        // Arrange
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'evil';");
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'yay!';");
+        await assert.isRejected(
+            fetchPackage(
+                rootLogger,
+                "https://www.ka.org/ok.js",
+                "TEST",
+                null,
+                sha384("global._fetched = 'yay!';"),
+            ),
+            "Integrity check failed",
+        );
+
+        // Act
+        const result = await fetchPackage(
+            rootLogger,
+            "https://www.ka.org/ok.js",
+            "TEST",
+        );
+
+        // Assert
+        assert.equal(result.content, "global._fetched = 'yay!';");
+        mockScope.done();
+    });
+
+    it("should reject cached files that don't match their integrity", async () => {
+        // Arrange
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'yay!';");
+        await fetchPackage(rootLogger, "https://www.ka.org/ok.js", "TEST");
+
+        // Act
+        const underTest = fetchPackage(
+            rootLogger,
+            "https://www.ka.org/ok.js",
+            "TEST",
+            null,
+            sha384("global._fetched = 'other';"),
+        );
+
+        // Assert
+        await assert.isRejected(underTest, "Integrity check failed");
+    });
+
     it("should retry on 4xx even with cache", async () => {
         // Arrange
         mockScope.get("/ok.js").reply(404, "global._fetched = 'boo';");
@@ -218,6 +390,63 @@ describe("fetchPackage with cache", () => {
         throw new Error("Should have failed on 5xx");
     });
 
+    it("should cache source maps", async () => {
+        // Arrange
+        mockScope.get("/ok.js.map").reply(200, "{}");
+        await fetchPackage(rootLogger, "https://www.ka.org/ok.js.map", "TEST");
+
+        // Act
+        const result = await fetchPackage(
+            rootLogger,
+            "https://www.ka.org/ok.js.map",
+            "TEST",
+        );
+
+        // Assert
+        mockScope.done();
+        assert.equal(result.content, "{}");
+        assert.deepEqual(getCachedPackages().map(({url}) => url), [
+            "https://www.ka.org/ok.js.map",
+        ]);
+    });
+
+    it("should list the cached packages", async () => {
+        // Arrange
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'yay!';");
+        await fetchPackage(rootLogger, "https://www.ka.org/ok.js", "TEST");
+        await fetchPackage(rootLogger, "https://www.ka.org/ok.js", "TEST");
+
+        // Act
+        const result = getCachedPackages();
+
+        // Assert
+        assert.deepEqual(result.map(({url, hits}) => ({url, hits})), [
+            {url: "https://www.ka.org/ok.js", hits: 1},
+        ]);
+    });
+
+    it("should fetch again after the package is flushed", async () => {
+        // Arrange
+        mockScope.get("/bad.js").reply(200, "global._fetched = 'bad';");
+        mockScope.get("/bad.js").reply(200, "global._fetched = 'good';");
+        mockScope.get("/ok.js").reply(200, "global._fetched = 'yay!';");
+        await fetchPackage(rootLogger, "https://www.ka.org/bad.js", "TEST");
+        await fetchPackage(rootLogger, "https://www.ka.org/ok.js", "TEST");
+
+        // Act
+        const flushed = flushCacheMatching((url) => url.endsWith("/bad.js"));
+        const result = await fetchPackage(
+            rootLogger,
+            "https://www.ka.org/bad.js",
+            "TEST",
+        );
+
+        // Assert
+        assert.deepEqual(flushed, ["https://www.ka.org/bad.js"]);
+        assert.equal(result.content, "global._fetched = 'good';");
+        mockScope.done();
+    });
+
     it("should succeed on 4xx followed by 200", async () => {
         // Arrange
         mockScope.get("/ok.js").reply(404, "global._fetched = 'boo';");
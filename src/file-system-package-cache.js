@@ -0,0 +1,445 @@
+// @flow
+/**
+ * A package cache that keeps fetched packages on disk, so that they survive
+ * restarts and deploys.
+ *
+ * Each entry is a JSON file in the cache directory, named for the hash of
+ * its key (which includes the package URL). The total size of the files is
+ * capped, and when we go over it, the least recently used entries are
+ * removed. We touch an entry's file when it is used so that the order
+ * survives restarts too.
+ *
+ * Writes are atomic (we write a temporary file and rename it) so that a
+ * partially written entry is never read, even by another server process
+ * that shares the directory. Each process keeps its own index of the
+ * directory, though, so with several processes the size cap is approximate.
+ *
+ * The index has the key of each entry, so that we can list and flush
+ * entries without reading them. Each file starts with its key, so that we
+ * only have to read the start of the files that we haven't indexed yet.
+ * Listing and flushing entries look for those that other processes have
+ * added, but at most every RESCAN_INTERVAL_MS, so that doing either often
+ * doesn't mean reading the directory every time. Until then, the entries
+ * that other processes have just added aren't listed or flushed.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import type {
+    IPackageCache,
+    PackageCacheEntry,
+    PackageCacheStats,
+} from "./types.js";
+
+type IndexEntry = {
+    // Null if the file isn't an entry that we can read.
+    key: ?string,
+    fetchedAt: ?number,
+    size: number,
+    lastUsed: number,
+    hits: number,
+};
+
+// The key comes first, and the value last, so that we can read the key
+// from the start of the file (see readHeader).
+type StoredEntry = {
+    key: string,
+    expiresAt: ?number,
+    // Entries written by older versions don't have this.
+    fetchedAt?: number,
+    value: mixed,
+};
+
+const ENTRY_EXTENSION = ".json";
+
+// How much of the start of an entry's file we read to find its key.
+const HEADER_BYTES = 4096;
+
+// How often we look for the entries that other processes have added, at
+// most.
+const RESCAN_INTERVAL_MS = 5 * 1000;
+
+const HEADER_REGEX = /^\{"key":("(?:[^"\\]|\\.)*"),"expiresAt":[^,]*,"fetchedAt":(\d+),/;
+
+/**
+ * Read the key of the entry in the given file, reading as little of it as we
+ * can.
+ */
+const readHeader = (
+    filePath: string,
+): {key: ?string, fetchedAt: ?number, size: number, lastUsed: number} => {
+    const fd = fs.openSync(filePath, "r");
+    let stats;
+    let header;
+    try {
+        stats = fs.fstatSync(fd);
+        const buffer = Buffer.alloc(Math.min(HEADER_BYTES, stats.size));
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        header = HEADER_REGEX.exec(buffer.toString("utf8", 0, bytesRead));
+    } finally {
+        fs.closeSync(fd);
+    }
+    const {size, mtimeMs: lastUsed} = stats;
+    if (header != null) {
+        return {
+            key: JSON.parse(header[1]),
+            fetchedAt: parseInt(header[2], 10),
+            size,
+            lastUsed,
+        };
+    }
+
+    // Entries written by older versions, or with very long keys, have to
+    // be read whole.
+    try {
+        const stored: ?StoredEntry = JSON.parse(
+            fs.readFileSync(filePath, "utf8"),
+        );
+        if (stored != null && typeof stored.key === "string") {
+            return {
+                key: stored.key,
+                fetchedAt: stored.fetchedAt,
+                size,
+                lastUsed,
+            };
+        }
+    } catch (e) {
+        // It isn't an entry.
+    }
+    return {key: null, fetchedAt: null, size, lastUsed};
+};
+
+const getFileName = (key: string): string =>
+    crypto
+        .createHash("sha256")
+        .update(key)
+        .digest("hex") + ENTRY_EXTENSION;
+
+export class FileSystemPackageCache implements IPackageCache {
+    _dir: string;
+    _maxBytes: number;
+    // Map iteration order is insertion order, which we use to evict the
+    // least recently used entry first.
+    _index: Map<string, IndexEntry>;
+    _totalBytes: number;
+    _evictions: number;
+    _nextTempID: number;
+    // When we last looked for entries on disk, in milliseconds since the
+    // epoch.
+    _lastLoadedAt: number;
+
+    /**
+     * @param {string} dir - The directory to keep the cache in. It is
+     * created if it doesn't exist, and anything already cached there is
+     * used.
+     * @param {number} maxBytes - The most bytes of entries to keep.
+     */
+    constructor(dir: string, maxBytes: number) {
+        this._dir = dir;
+        this._maxBytes = maxBytes;
+        this._index = new Map();
+        this._totalBytes = 0;
+        this._evictions = 0;
+        this._nextTempID = 0;
+        this._lastLoadedAt = 0;
+
+        fs.mkdirSync(dir, {recursive: true});
+        this._loadIndex();
+    }
+
+    _getPath(fileName: string): string {
+        return path.join(this._dir, fileName);
+    }
+
+    /**
+     * Index the entries on disk that aren't in our index yet, least
+     * recently used first. That's all of them when we start, and after
+     * that those that other processes have added.
+     */
+    _loadIndex(): void {
+        this._lastLoadedAt = Date.now();
+        let fileNames;
+        try {
+            fileNames = fs.readdirSync(this._dir);
+        } catch (e) {
+            // The directory has been removed, so there's nothing to index.
+            return;
+        }
+        const found = [];
+        fileNames.forEach((fileName) => {
+            if (
+                !fileName.endsWith(ENTRY_EXTENSION) ||
+                this._index.has(fileName)
+            ) {
+                return;
+            }
+            try {
+                found.push({
+                    fileName,
+                    ...readHeader(this._getPath(fileName)),
+                });
+            } catch (e) {
+                // Another process removed it; that's fine.
+            }
+        });
+        found
+            .sort((a, b) => a.lastUsed - b.lastUsed)
+            .forEach(({fileName, key, fetchedAt, size, lastUsed}) =>
+                this._addToIndex(fileName, {
+                    key,
+                    fetchedAt,
+                    size,
+                    lastUsed,
+                    hits: 0,
+                }),
+            );
+        this._evict();
+    }
+
+    /**
+     * Index the entries on disk that other processes have added, unless we
+     * looked in the last RESCAN_INTERVAL_MS.
+     */
+    _loadIndexIfStale(): void {
+        if (Date.now() - this._lastLoadedAt >= RESCAN_INTERVAL_MS) {
+            this._loadIndex();
+        }
+    }
+
+    _addToIndex(fileName: string, entry: IndexEntry): void {
+        this._removeFromIndex(fileName);
+        this._index.set(fileName, entry);
+        this._totalBytes += entry.size;
+    }
+
+    _removeFromIndex(fileName: string): boolean {
+        const existing = this._index.get(fileName);
+        if (existing == null) {
+            return false;
+        }
+        this._index.delete(fileName);
+        this._totalBytes -= existing.size;
+        return true;
+    }
+
+    _remove(fileName: string): boolean {
+        const removed = this._removeFromIndex(fileName);
+        fs.unlink(this._getPath(fileName), () => {});
+        return removed;
+    }
+
+    _evict(): void {
+        for (const fileName of this._index.keys()) {
+            if (this._totalBytes <= this._maxBytes) {
+                break;
+            }
+            this._remove(fileName);
+            this._evictions++;
+        }
+    }
+
+    /**
+     * Mark an entry as the most recently used.
+     */
+    _touch(fileName: string, stored: StoredEntry, size: number): void {
+        const now = Date.now();
+        const existing = this._index.get(fileName);
+        const hits = existing == null ? 1 : existing.hits + 1;
+        this._addToIndex(fileName, {
+            key: stored.key,
+            fetchedAt: stored.fetchedAt,
+            size,
+            lastUsed: now,
+            hits,
+        });
+        const time = now / 1000;
+        fs.utimes(this._getPath(fileName), time, time, () => {});
+    }
+
+    /**
+     * Get the value for the given key, or null if we don't have it.
+     *
+     * We look on disk even if the entry isn't in our index, since another
+     * process may have added it.
+     */
+    get(key: string, cb: (err: ?Error, value: mixed) => void): void {
+        const fileName = getFileName(key);
+        fs.readFile(this._getPath(fileName), "utf8", (err, data) => {
+            if (err != null) {
+                this._removeFromIndex(fileName);
+                cb((err: any).code === "ENOENT" ? null : err, null);
+                return;
+            }
+
+            let stored: ?StoredEntry;
+            try {
+                stored = JSON.parse(data);
+            } catch (e) {
+                stored = null;
+            }
+            if (
+                stored == null ||
+                stored.key !== key ||
+                (stored.expiresAt != null && stored.expiresAt <= Date.now())
+            ) {
+                this._remove(fileName);
+                cb(null, null);
+                return;
+            }
+
+            this._touch(fileName, stored, Buffer.byteLength(data));
+            this._evict();
+            cb(null, stored.value);
+        });
+    }
+
+    /**
+     * Set the value for the given key, with an optional expiration in
+     * seconds.
+     *
+     * The callback is called once the write is done. Failing to write to
+     * the cache isn't an error for the caller, so it is always called
+     * without one.
+     */
+    set(
+        key: string,
+        value: mixed,
+        expiration?: ?number,
+        cb?: ?() => void,
+    ): void {
+        const fileName = getFileName(key);
+        const filePath = this._getPath(fileName);
+        const fetchedAt = Date.now();
+        const stored: StoredEntry = {
+            key,
+            expiresAt: expiration ? fetchedAt + expiration * 1000 : null,
+            fetchedAt,
+            value,
+        };
+        const data = JSON.stringify(stored);
+        const tempPath = `${filePath}.${process.pid}.${this._nextTempID++}.tmp`;
+        const done = () => cb && cb();
+
+        fs.writeFile(tempPath, data, (writeErr: ?Error) => {
+            if (writeErr) {
+                fs.unlink(tempPath, () => {});
+                done();
+                return;
+            }
+            fs.rename(tempPath, filePath, (renameErr: ?Error) => {
+                if (renameErr) {
+                    fs.unlink(tempPath, () => {});
+                } else {
+                    this._addToIndex(fileName, {
+                        key,
+                        fetchedAt,
+                        size: Buffer.byteLength(data),
+                        lastUsed: Date.now(),
+                        hits: 0,
+                    });
+                    this._evict();
+                }
+                done();
+            });
+        });
+    }
+
+    /**
+     * Delete the entries for the given key or keys.
+     */
+    del(
+        keys: string | Array<string>,
+        cb?: ?(err: ?Error, count: number) => void,
+    ): void {
+        const keyList = Array.isArray(keys) ? keys : [keys];
+        const count = keyList.filter((key) => this._remove(getFileName(key)))
+            .length;
+        cb && cb(null, count);
+    }
+
+    /**
+     * Delete every entry in the cache directory.
+     */
+    flush(cb?: ?() => void): void {
+        this._index = new Map();
+        this._totalBytes = 0;
+        let fileNames;
+        try {
+            fileNames = fs.readdirSync(this._dir);
+        } catch (e) {
+            // The directory has been removed, so there's nothing to delete.
+            fileNames = [];
+        }
+        fileNames
+            .filter((fileName) => fileName.endsWith(ENTRY_EXTENSION))
+            .forEach((fileName) => this._remove(fileName));
+        cb && cb();
+    }
+
+    /**
+     * Delete the entries that we haven't used in the given number of
+     * seconds.
+     */
+    flushUnused(maxIdleSeconds: number): void {
+        const cutoff = Date.now() - maxIdleSeconds * 1000;
+        for (const [fileName, {lastUsed}] of this._index) {
+            // The index is in order of use, so the rest are newer.
+            if (lastUsed >= cutoff) {
+                break;
+            }
+            this._remove(fileName);
+        }
+    }
+
+    /**
+     * Delete the entries whose keys match, returning their keys. This
+     * includes those that other processes have added, as of when we last
+     * looked (see RESCAN_INTERVAL_MS).
+     */
+    flushMatching(predicate: (key: string) => boolean): Array<string> {
+        this._loadIndexIfStale();
+        const flushed = [];
+        for (const [fileName, {key}] of this._index) {
+            if (key != null && predicate(key)) {
+                this._remove(fileName);
+                flushed.push(key);
+            }
+        }
+        return flushed;
+    }
+
+    getStats(): PackageCacheStats {
+        return {
+            size: this._totalBytes,
+            maxSize: this._maxBytes,
+            entryCount: this._index.size,
+            evictions: this._evictions,
+        };
+    }
+
+    /**
+     * Describe every entry in the cache directory, including those that
+     * other processes have added, as of when we last looked (see
+     * RESCAN_INTERVAL_MS).
+     *
+     * Entries that another process added, and that we haven't used, were
+     * last used when their file was last touched and have no hits.
+     */
+    getEntries(): Array<PackageCacheEntry> {
+        this._loadIndexIfStale();
+        const entries = [];
+        for (const [, {key, fetchedAt, size, lastUsed, hits}] of this._index) {
+            if (key != null) {
+                entries.push({
+                    key,
+                    size,
+                    fetchedAt,
+                    lastUsed,
+                    hits,
+                });
+            }
+        }
+        return entries;
+    }
+}
@@ -0,0 +1,338 @@
+// @flow
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {assert} from "chai";
+import sinon from "sinon";
+import {FileSystemPackageCache} from "./file-system-package-cache.js";
+
+describe("FileSystemPackageCache", () => {
+    let cacheDir;
+
+    const get = (cache: FileSystemPackageCache, key: string): Promise<mixed> =>
+        new Promise((resolve, reject) =>
+            cache.get(key, (err, value) =>
+                err != null ? reject(err) : resolve(value),
+            ),
+        );
+
+    const set = (
+        cache: FileSystemPackageCache,
+        key: string,
+        value: mixed,
+        expiration?: number,
+    ): Promise<void> =>
+        new Promise((resolve) => cache.set(key, value, expiration, resolve));
+
+    // Entries of about 150 bytes each.
+    const VALUE = "x".repeat(100);
+
+    beforeEach(() => {
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "rrs-packages-"));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        fs.readdirSync(cacheDir).forEach((file) => {
+            try {
+                fs.unlinkSync(path.join(cacheDir, file));
+            } catch (e) {
+                // The cache removed it in the meantime.
+            }
+        });
+        fs.rmdirSync(cacheDir);
+    });
+
+    it("should get a value that was set", async () => {
+        // Arrange
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "KEY", {text: "CONTENT"});
+
+        // Act
+        const result = await get(underTest, "KEY");
+
+        // Assert
+        assert.deepEqual(result, {text: "CONTENT"});
+    });
+
+    it("should get null for a value that was not set", async () => {
+        // Arrange
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+
+        // Act
+        const result = await get(underTest, "KEY");
+
+        // Assert
+        assert.isNull(result);
+    });
+
+    it("should get null for a value that has expired", async () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "KEY", "CONTENT", 10);
+        clock.tick(10 * 1000);
+
+        // Act
+        const result = await get(underTest, "KEY");
+
+        // Assert
+        assert.isNull(result);
+    });
+
+    it("should keep values for a new instance using the same directory", async () => {
+        // Arrange
+        const first = new FileSystemPackageCache(cacheDir, 1000);
+        await set(first, "KEY", "CONTENT");
+
+        // Act
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        const result = await get(underTest, "KEY");
+
+        // Assert
+        assert.equal(result, "CONTENT");
+        assert.equal(underTest.getStats().entryCount, 1);
+        assert.equal(underTest.getStats().size, first.getStats().size);
+    });
+
+    it("should not leave temporary files behind", async () => {
+        // Arrange
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+
+        // Act
+        await set(underTest, "KEY", "CONTENT");
+
+        // Assert
+        assert.deepEqual(
+            fs.readdirSync(cacheDir).filter((file) => !file.endsWith(".json")),
+            [],
+        );
+    });
+
+    it("should evict the least recently used values when too big", async () => {
+        // Arrange
+        const underTest = new FileSystemPackageCache(cacheDir, 400);
+        await set(underTest, "KEY1", VALUE);
+        await set(underTest, "KEY2", VALUE);
+        await get(underTest, "KEY1");
+
+        // Act
+        await set(underTest, "KEY3", VALUE);
+
+        // Assert
+        assert.equal(underTest.getStats().entryCount, 2);
+        assert.equal(underTest.getStats().evictions, 1);
+        assert.isNull(await get(underTest, "KEY2"));
+        assert.equal(await get(underTest, "KEY1"), VALUE);
+        assert.equal(await get(underTest, "KEY3"), VALUE);
+    });
+
+    it("should evict values on disk that are over the size when created", async () => {
+        // Arrange
+        const first = new FileSystemPackageCache(cacheDir, 1000);
+        await set(first, "KEY1", VALUE);
+        await set(first, "KEY2", VALUE);
+        await set(first, "KEY3", VALUE);
+
+        // Act
+        const underTest = new FileSystemPackageCache(cacheDir, 400);
+
+        // Assert
+        assert.equal(underTest.getStats().entryCount, 2);
+    });
+
+    it("should delete the given keys", async () => {
+        // Arrange
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "KEY1", "CONTENT");
+        await set(underTest, "KEY2", "CONTENT");
+        const callback = sinon.fake();
+
+        // Act
+        underTest.del(["KEY1", "OTHER"], callback);
+
+        // Assert
+        sinon.assert.calledWith(callback, null, 1);
+        assert.isNull(await get(underTest, "KEY1"));
+        assert.equal(await get(underTest, "KEY2"), "CONTENT");
+    });
+
+    it("should delete everything when flushed", async () => {
+        // Arrange
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "KEY1", "CONTENT");
+        await set(underTest, "KEY2", "CONTENT");
+
+        // Act
+        underTest.flush();
+
+        // Assert
+        assert.equal(underTest.getStats().entryCount, 0);
+        assert.equal(underTest.getStats().size, 0);
+        assert.isNull(await get(underTest, "KEY1"));
+        assert.isNull(await get(underTest, "KEY2"));
+    });
+
+    it("should not throw when flushed after its directory was removed", async () => {
+        // Arrange
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "KEY", "CONTENT");
+        fs.readdirSync(cacheDir).forEach((file) =>
+            fs.unlinkSync(path.join(cacheDir, file)),
+        );
+        fs.rmdirSync(cacheDir);
+
+        // Act
+        underTest.flush();
+        fs.mkdirSync(cacheDir);
+
+        // Assert
+        assert.equal(underTest.getStats().entryCount, 0);
+    });
+
+    it("should delete the values whose keys match when flushing matching", async () => {
+        // Arrange
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "BAD", "CONTENT");
+        await set(underTest, "GOOD", "CONTENT");
+
+        // Act
+        const result = underTest.flushMatching((key) => key === "BAD");
+
+        // Assert
+        assert.deepEqual(result, ["BAD"]);
+        assert.equal(underTest.getStats().entryCount, 1);
+        assert.isNull(await get(underTest, "BAD"));
+        assert.equal(await get(underTest, "GOOD"), "CONTENT");
+    });
+
+    it("should delete matching values that another process added when flushing matching", async () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const other = new FileSystemPackageCache(cacheDir, 1000);
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(other, "BAD", "CONTENT");
+        clock.tick(5000);
+
+        // Act
+        const result = underTest.flushMatching((key) => key === "BAD");
+
+        // Assert
+        assert.deepEqual(result, ["BAD"]);
+        assert.isNull(await get(other, "BAD"));
+    });
+
+    it("should flush matching values without reading them", async () => {
+        // Arrange
+        const other = new FileSystemPackageCache(cacheDir, 1000);
+        await set(other, "BAD", VALUE);
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "GOOD", VALUE);
+        const readFileSyncSpy = sinon.spy(fs, "readFileSync");
+
+        // Act
+        const result = underTest.flushMatching((key) => key === "BAD");
+
+        // Assert
+        assert.deepEqual(result, ["BAD"]);
+        sinon.assert.notCalled(readFileSyncSpy);
+    });
+
+    it("should index entries written by older versions", async () => {
+        // Arrange
+        const fileName =
+            crypto
+                .createHash("sha256")
+                .update("OLD")
+                .digest("hex") + ".json";
+        fs.writeFileSync(
+            path.join(cacheDir, fileName),
+            JSON.stringify({key: "OLD", value: "CONTENT", expiresAt: null}),
+        );
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+
+        // Act
+        const result = underTest.getEntries();
+
+        // Assert
+        assert.deepEqual(result.map(({key}) => key), ["OLD"]);
+        assert.equal(await get(underTest, "OLD"), "CONTENT");
+    });
+
+    it("should describe its entries", async () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "KEY", "CONTENT");
+        clock.tick(500);
+        await get(underTest, "KEY");
+
+        // Act
+        const result = underTest.getEntries();
+
+        // Assert
+        assert.deepEqual(result, [
+            {
+                key: "KEY",
+                size: underTest.getStats().size,
+                fetchedAt: 1000,
+                lastUsed: 1500,
+                hits: 1,
+            },
+        ]);
+    });
+
+    it("should describe entries that another process added", async () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const other = new FileSystemPackageCache(cacheDir, 1000);
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(other, "KEY", "CONTENT");
+        clock.tick(5000);
+
+        // Act
+        const result = underTest.getEntries();
+
+        // Assert
+        assert.deepEqual(result.map(({key, hits}) => ({key, hits})), [
+            {key: "KEY", hits: 0},
+        ]);
+    });
+
+    it("should not look for entries that another process added again straight away", async () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const other = new FileSystemPackageCache(cacheDir, 1000);
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(other, "KEY", "CONTENT");
+        clock.tick(4999);
+        const readdirSyncSpy = sinon.spy(fs, "readdirSync");
+
+        // Act
+        const entries = underTest.getEntries();
+        const flushed = underTest.flushMatching(() => true);
+
+        // Assert
+        assert.isEmpty(entries);
+        assert.isEmpty(flushed);
+        sinon.assert.notCalled(readdirSyncSpy);
+    });
+
+    it("should delete values that have not been used recently when flushing unused", async () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const underTest = new FileSystemPackageCache(cacheDir, 1000);
+        await set(underTest, "OLD", "CONTENT");
+        clock.tick(60 * 1000);
+        await set(underTest, "NEW", "CONTENT");
+
+        // Act
+        underTest.flushUnused(30);
+
+        // Assert
+        assert.isNull(await get(underTest, "OLD"));
+        assert.equal(await get(underTest, "NEW"), "CONTENT");
+    });
+});
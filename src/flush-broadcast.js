@@ -0,0 +1,223 @@
+// @flow
+/**
+ * Flushing the caches of every instance, not just the one that gets /flush.
+ *
+ * When an instance is asked to flush, it flushes itself and publishes a
+ * "flush" message over the flush transport (see flush-transport.js). Every
+ * instance subscribes to the transport, and when one gets a flush message
+ * from another instance, it flushes itself and publishes an "ack" message
+ * back. The instance that was asked to flush waits --flush-ack-timeout
+ * milliseconds for the acks, so that it can report which instances flushed.
+ *
+ * A flush can be limited to the packages that a selector matches (see
+ * flush-selector.js), in which case each instance reports which of them it
+ * evicted.
+ *
+ * Without a transport, only the instance that was asked to flush does.
+ */
+import crypto from "crypto";
+import os from "os";
+
+import args from "./arguments.js";
+import {flushCache, flushCacheMatching} from "./fetch_package.js";
+import {createUrlMatcher} from "./flush-selector.js";
+import {flushAllRenderContexts} from "./render-worker-pool.js";
+import {flushSourceMaps} from "./source-maps.js";
+
+import type {
+    FlushMessage,
+    FlushResult,
+    FlushSelector,
+    IFlushTransport,
+    Logger,
+} from "./types.js";
+
+// Flush this instance, returning the URLs of the packages that were evicted
+// by a selective flush.
+type FlushLocally = (selector: ?FlushSelector) => Array<string>;
+
+/**
+ * The id that this instance is known by in flush messages.
+ */
+export const getInstanceId = (): string =>
+    process.env["GAE_INSTANCE"] || `${os.hostname()}:${process.pid}`;
+
+export class FlushBroadcaster {
+    _logging: Logger;
+    _transport: IFlushTransport;
+    _instanceId: string;
+    _flushLocally: FlushLocally;
+    // The results for the flushes that we have asked for, by flush id.
+    _pendingAcks: Map<string, Array<FlushResult>>;
+
+    /**
+     * @param {Logger} logging - The logger for flushes that other instances
+     * ask for.
+     * @param {IFlushTransport} transport - The transport to send and
+     * receive flush messages over.
+     * @param {string} instanceId - The id of this instance.
+     * @param {FlushLocally} flushLocally - Flush this instance.
+     */
+    constructor(
+        logging: Logger,
+        transport: IFlushTransport,
+        instanceId: string,
+        flushLocally: FlushLocally,
+    ) {
+        this._logging = logging;
+        this._transport = transport;
+        this._instanceId = instanceId;
+        this._flushLocally = flushLocally;
+        this._pendingAcks = new Map();
+    }
+
+    /**
+     * Start listening for flush messages from other instances.
+     */
+    start(): void {
+        this._transport.subscribe((message) => this._handleMessage(message));
+    }
+
+    _publish(message: FlushMessage): Promise<void> {
+        return this._transport
+            .publish(message)
+            .catch((err) =>
+                this._logging.error(
+                    `Unable to publish flush ${message.type}: ${err.message}`,
+                ),
+            );
+    }
+
+    _handleMessage(message: FlushMessage): void {
+        if (message.from === this._instanceId) {
+            // Transports may give us our own messages back.
+            return;
+        }
+
+        switch (message.type) {
+            case "flush": {
+                this._logging.info(`Flushing, as asked by ${message.from}`);
+                const evicted = this._flushLocally(message.selector);
+                this._publish({
+                    type: "ack",
+                    id: message.id,
+                    from: this._instanceId,
+                    to: message.from,
+                    evicted,
+                });
+                break;
+            }
+
+            case "ack": {
+                const acks = this._pendingAcks.get(message.id);
+                if (message.to === this._instanceId && acks != null) {
+                    acks.push({
+                        instance: message.from,
+                        evicted: message.evicted || [],
+                    });
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Flush this instance and every other instance that is listening.
+     *
+     * @param {number} ackTimeoutMs - How long to wait for acks.
+     * @param {FlushSelector} [selector] - If given, only flush the packages
+     * that it matches.
+     * @returns {Promise<Array<FlushResult>>} What each instance flushed:
+     * this one first, followed by those that acknowledged the flush within
+     * the given time.
+     */
+    async flushAll(
+        ackTimeoutMs: number,
+        selector?: ?FlushSelector,
+    ): Promise<Array<FlushResult>> {
+        const evicted = this._flushLocally(selector);
+
+        const id = crypto.randomBytes(8).toString("hex");
+        const acks = [];
+        this._pendingAcks.set(id, acks);
+        try {
+            await this._publish({
+                type: "flush",
+                id,
+                from: this._instanceId,
+                selector,
+            });
+            await new Promise((resolve) => setTimeout(resolve, ackTimeoutMs));
+        } finally {
+            this._pendingAcks.delete(id);
+        }
+        return [{instance: this._instanceId, evicted}, ...acks];
+    }
+
+    close(): Promise<void> {
+        return this._transport.close();
+    }
+}
+
+/**
+ * Flush the package cache and the render contexts and source maps built
+ * from it, or just the packages that the given selector matches.
+ */
+const flushLocally = (selector: ?FlushSelector): Array<string> => {
+    flushAllRenderContexts(selector);
+    if (selector == null) {
+        flushSourceMaps();
+        flushCache();
+        return [];
+    }
+    const matches = createUrlMatcher(selector);
+    flushSourceMaps(matches);
+    return flushCacheMatching(matches);
+};
+
+let broadcaster: ?FlushBroadcaster = null;
+
+/**
+ * Start flushing with the other instances that use the given transport.
+ */
+export const startFlushBroadcast = (
+    logging: Logger,
+    transport: IFlushTransport,
+): void => {
+    broadcaster = new FlushBroadcaster(
+        logging,
+        transport,
+        getInstanceId(),
+        flushLocally,
+    );
+    broadcaster.start();
+};
+
+/**
+ * Stop flushing with other instances, if we were.
+ */
+export const stopFlushBroadcast = async (): Promise<void> => {
+    if (broadcaster != null) {
+        const stoppingBroadcaster = broadcaster;
+        broadcaster = null;
+        await stoppingBroadcaster.close();
+    }
+};
+
+/**
+ * Flush this instance and, if we have started flush broadcasts, every
+ * other instance.
+ *
+ * @param {FlushSelector} [selector] - If given, only flush the packages
+ * that it matches.
+ * @returns {Promise<Array<FlushResult>>} What each instance flushed.
+ */
+export const flushAllInstances = (
+    selector?: ?FlushSelector,
+): Promise<Array<FlushResult>> => {
+    if (broadcaster == null) {
+        const evicted = flushLocally(selector);
+        return Promise.resolve([{instance: getInstanceId(), evicted}]);
+    }
+    return broadcaster.flushAll(args.flushAckTimeout, selector);
+};
@@ -0,0 +1,139 @@
+// @flow
+import EventEmitter from "events";
+
+import {assert} from "chai";
+import sinon from "sinon";
+import {rootLogger} from "./logging.js";
+import {FlushBroadcaster} from "./flush-broadcast.js";
+import {InProcessFlushTransport} from "./flush-transport.js";
+
+describe("FlushBroadcaster", () => {
+    let channel;
+    let broadcasters;
+
+    const startInstance = (
+        instanceId: string,
+        flushLocally: (selector: any) => Array<string>,
+    ) => {
+        const broadcaster = new FlushBroadcaster(
+            rootLogger,
+            new InProcessFlushTransport(channel),
+            instanceId,
+            flushLocally,
+        );
+        broadcaster.start();
+        broadcasters.push(broadcaster);
+        return broadcaster;
+    };
+
+    beforeEach(() => {
+        channel = new EventEmitter();
+        broadcasters = [];
+        sinon.stub(rootLogger, "info");
+    });
+
+    afterEach(async () => {
+        await Promise.all(broadcasters.map((b) => b.close()));
+        sinon.restore();
+    });
+
+    it("should flush this instance and every other instance", async () => {
+        // Arrange
+        const flushA = sinon.stub().returns([]);
+        const flushB = sinon.stub().returns([]);
+        const flushC = sinon.stub().returns([]);
+        const underTest = startInstance("a", flushA);
+        startInstance("b", flushB);
+        startInstance("c", flushC);
+
+        // Act
+        await underTest.flushAll(10);
+
+        // Assert
+        sinon.assert.calledOnce(flushA);
+        sinon.assert.calledOnce(flushB);
+        sinon.assert.calledOnce(flushC);
+    });
+
+    it("should report the instances that acknowledged the flush", async () => {
+        // Arrange
+        const underTest = startInstance("a", sinon.stub().returns([]));
+        startInstance("b", sinon.stub().returns([]));
+        startInstance("c", sinon.stub().returns([]));
+
+        // Act
+        const result = await underTest.flushAll(10);
+
+        // Assert
+        assert.deepEqual(result.map(({instance}) => instance), ["a", "b", "c"]);
+    });
+
+    it("should not count acks for other instances' flushes", async () => {
+        // Arrange
+        const underTest = startInstance("a", sinon.stub().returns([]));
+        const other = startInstance("b", sinon.stub().returns([]));
+        startInstance("c", sinon.stub().returns([]));
+
+        // Act
+        const [result] = await Promise.all([
+            underTest.flushAll(10),
+            other.flushAll(10),
+        ]);
+
+        // Assert
+        assert.deepEqual(result.map(({instance}) => instance), ["a", "b", "c"]);
+    });
+
+    it("should pass the selector to every instance and report what they evicted", async () => {
+        // Arrange
+        const selector = {glob: "*/bad.js"};
+        const flushA = sinon.stub().returns(["https://a.com/bad.js"]);
+        const flushB = sinon.stub().returns(["https://b.com/bad.js"]);
+        const underTest = startInstance("a", flushA);
+        startInstance("b", flushB);
+
+        // Act
+        const result = await underTest.flushAll(10, selector);
+
+        // Assert
+        sinon.assert.calledWith(flushA, selector);
+        sinon.assert.calledWith(flushB, selector);
+        assert.deepEqual(result, [
+            {instance: "a", evicted: ["https://a.com/bad.js"]},
+            {instance: "b", evicted: ["https://b.com/bad.js"]},
+        ]);
+    });
+
+    it("should report just this instance when there are no others", async () => {
+        // Arrange
+        const underTest = startInstance("a", sinon.stub().returns([]));
+
+        // Act
+        const result = await underTest.flushAll(10);
+
+        // Assert
+        assert.deepEqual(result, [{instance: "a", evicted: []}]);
+    });
+
+    it("should still flush this instance if publishing fails", async () => {
+        // Arrange
+        const flushA = sinon.stub().returns([]);
+        const transport = new InProcessFlushTransport(channel);
+        sinon.stub(transport, "publish").rejects(new Error("Network down"));
+        sinon.stub(rootLogger, "error");
+        const underTest = new FlushBroadcaster(
+            rootLogger,
+            transport,
+            "a",
+            flushA,
+        );
+        underTest.start();
+
+        // Act
+        const result = await underTest.flushAll(10);
+
+        // Assert
+        sinon.assert.calledOnce(flushA);
+        assert.deepEqual(result, [{instance: "a", evicted: []}]);
+    });
+});
@@ -0,0 +1,77 @@
+// @flow
+/**
+ * Choosing which packages to flush, so that one bad package can be thrown
+ * away without losing the rest of the warm cache.
+ *
+ * A selector can list exact package URLs, give a glob over them (where *
+ * matches any run of characters, including "/", and ? matches any one
+ * character) or give a regular expression over them. A package that matches
+ * any of these is flushed.
+ */
+import type {FlushSelector} from "./types.js";
+
+const isValidRegex = (regex: string): boolean => {
+    try {
+        // eslint-disable-next-line no-new
+        new RegExp(regex);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Determine if something is a flush selector that selects anything.
+ */
+export const isValidFlushSelector = (selector: any): boolean => {
+    if (selector == null || typeof selector !== "object") {
+        return false;
+    }
+    const {urls, glob, regex} = selector;
+    if (urls == null && glob == null && regex == null) {
+        return false;
+    }
+    return (
+        (urls == null ||
+            (Array.isArray(urls) &&
+                urls.every((url) => typeof url === "string"))) &&
+        (glob == null || (typeof glob === "string" && glob !== "")) &&
+        (regex == null ||
+            (typeof regex === "string" && regex !== "" && isValidRegex(regex)))
+    );
+};
+
+const globToRegExp = (glob: string): RegExp => {
+    const pattern = glob
+        .split("")
+        .map((char) => {
+            switch (char) {
+                case "*":
+                    return ".*";
+                case "?":
+                    return ".";
+                default:
+                    return char.replace(/[\\^$.|+()[\]{}]/, "\\$&");
+            }
+        })
+        .join("");
+    return new RegExp(`^${pattern}$`);
+};
+
+/**
+ * Create a function that determines if a package URL is selected.
+ */
+export const createUrlMatcher = (
+    selector: FlushSelector,
+): ((url: string) => boolean) => {
+    const urls = new Set(selector.urls || []);
+    const patterns = [];
+    if (selector.glob) {
+        patterns.push(globToRegExp(selector.glob));
+    }
+    if (selector.regex) {
+        patterns.push(new RegExp(selector.regex));
+    }
+    return (url: string): boolean =>
+        urls.has(url) || patterns.some((pattern) => pattern.test(url));
+};
@@ -0,0 +1,109 @@
+// @flow
+import {assert} from "chai";
+import {createUrlMatcher, isValidFlushSelector} from "./flush-selector.js";
+
+describe("flush-selector", () => {
+    describe("#isValidFlushSelector", () => {
+        [
+            {urls: ["https://cdn.example.com/a.js"]},
+            {glob: "https://cdn.example.com/*.js"},
+            {regex: "^https://cdn\\.example\\.com/"},
+            {urls: [], glob: "*"},
+        ].forEach((selector) => {
+            it(`should accept ${JSON.stringify(selector)}`, () => {
+                // Act
+                const result = isValidFlushSelector(selector);
+
+                // Assert
+                assert.isTrue(result);
+            });
+        });
+
+        [
+            null,
+            "https://cdn.example.com/a.js",
+            {},
+            {urls: "https://cdn.example.com/a.js"},
+            {urls: [42]},
+            {glob: ""},
+            {glob: 42},
+            {regex: "("},
+        ].forEach((selector) => {
+            it(`should reject ${JSON.stringify(selector)}`, () => {
+                // Act
+                const result = isValidFlushSelector(selector);
+
+                // Assert
+                assert.isFalse(result);
+            });
+        });
+    });
+
+    describe("#createUrlMatcher", () => {
+        it("should match the given URLs exactly", () => {
+            // Arrange
+            const underTest = createUrlMatcher({
+                urls: ["https://cdn.example.com/a.js"],
+            });
+
+            // Act
+            const result = [
+                "https://cdn.example.com/a.js",
+                "https://cdn.example.com/a.js.map",
+            ].map(underTest);
+
+            // Assert
+            assert.deepEqual(result, [true, false]);
+        });
+
+        it("should match URLs with a glob", () => {
+            // Arrange
+            const underTest = createUrlMatcher({
+                glob: "https://cdn.example.com/*/a?.js",
+            });
+
+            // Act
+            const result = [
+                "https://cdn.example.com/genfiles/v1/a1.js",
+                "https://cdn.example.com/a1.js",
+                "https://cdn.example.com/genfiles/a1.jsx",
+                "https://cdnXexample.com/genfiles/a1.js",
+            ].map(underTest);
+
+            // Assert
+            assert.deepEqual(result, [true, false, false, false]);
+        });
+
+        it("should match URLs with a regex", () => {
+            // Arrange
+            const underTest = createUrlMatcher({regex: "/v[12]/"});
+
+            // Act
+            const result = [
+                "https://cdn.example.com/v1/a.js",
+                "https://cdn.example.com/v3/a.js",
+            ].map(underTest);
+
+            // Assert
+            assert.deepEqual(result, [true, false]);
+        });
+
+        it("should match URLs that match any part of the selector", () => {
+            // Arrange
+            const underTest = createUrlMatcher({
+                urls: ["https://cdn.example.com/a.js"],
+                glob: "*/b.js",
+            });
+
+            // Act
+            const result = [
+                "https://cdn.example.com/a.js",
+                "https://cdn.example.com/b.js",
+                "https://cdn.example.com/c.js",
+            ].map(underTest);
+
+            // Assert
+            assert.deepEqual(result, [true, true, false]);
+        });
+    });
+});
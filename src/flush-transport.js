@@ -0,0 +1,238 @@
+// @flow
+/**
+ * The ways that instances can send each other flush messages (see
+ * flush-broadcast.js).
+ *
+ * The UDP transport sends each message to the peers given by --flush-peer
+ * and receives them on --flush-port. Messages are signed with our shared
+ * secret, just like requests (see request-signature.js), so that nobody else
+ * can make us flush. Each one is signed with a nonce too, which we remember
+ * for as long as its signature is current, so that nobody can replay a
+ * message that they have captured. The in-process transport is for tests,
+ * and for running more than one server in a process.
+ */
+import crypto from "crypto";
+import dgram from "dgram";
+import EventEmitter from "events";
+
+import args from "./arguments.js";
+import * as renderSecret from "./secret.js";
+import * as requestSignature from "./request-signature.js";
+
+import type {FlushMessage, IFlushTransport, Logger} from "./types.js";
+
+type Peer = {
+    host: string,
+    port: number,
+};
+
+// The signed form of a message, as sent over UDP.
+type Envelope = {
+    timestamp: string,
+    signature: string,
+    // The Body, as JSON.
+    body: string,
+};
+
+// What is signed: the message, and a nonce that is only ever sent once.
+type Body = {
+    nonce: string,
+    message: FlushMessage,
+};
+
+const parsePeer = (peer: string): Peer => {
+    const separatorIndex = peer.lastIndexOf(":");
+    const port = Number(peer.slice(separatorIndex + 1));
+    if (separatorIndex <= 0 || !Number.isInteger(port)) {
+        throw new Error(`Flush peer must be host:port, not ${peer}`);
+    }
+    return {host: peer.slice(0, separatorIndex), port};
+};
+
+export class UdpFlushTransport implements IFlushTransport {
+    _logging: Logger;
+    _peers: Array<Peer>;
+    _socket: dgram$Socket;
+    _handlers: Array<(message: FlushMessage) => mixed>;
+    // The nonces of the messages that we have received, and when their
+    // signatures stop being current, in milliseconds since the epoch.
+    _seenNonces: Map<string, number>;
+
+    /**
+     * @param {Logger} logging - The logger for problems with messages.
+     * @param {number} port - The UDP port to receive messages on.
+     * @param {Array<string>} peers - The host:port of each instance to send
+     * messages to.
+     */
+    constructor(logging: Logger, port: number, peers: Array<string>) {
+        this._logging = logging;
+        this._peers = peers.map(parsePeer);
+        this._handlers = [];
+        this._seenNonces = new Map();
+        this._socket = dgram.createSocket("udp4");
+        this._socket.on("message", (data: Buffer) => this._receive(data));
+        this._socket.on("error", (err: Error) =>
+            logging.error(`Flush transport error: ${err.message}`),
+        );
+        this._socket.bind(port);
+    }
+
+    _receive(data: Buffer): void {
+        let envelope: ?Envelope;
+        try {
+            envelope = JSON.parse(data.toString("utf8"));
+        } catch (e) {
+            envelope = null;
+        }
+        if (envelope == null || typeof envelope.body !== "string") {
+            this._logging.error("Ignoring malformed flush message");
+            return;
+        }
+
+        const {timestamp, signature, body} = envelope;
+        requestSignature.verify(
+            this._logging,
+            {timestamp, signature, body},
+            (err: ?Error, verified: ?boolean) => {
+                if (err != null || !verified) {
+                    this._logging.error("Ignoring unverified flush message");
+                    return;
+                }
+                let parsed: ?Body;
+                try {
+                    parsed = JSON.parse(body);
+                } catch (e) {
+                    parsed = null;
+                }
+                if (parsed == null || typeof parsed.nonce !== "string") {
+                    this._logging.error("Ignoring malformed flush message");
+                    return;
+                }
+                const {nonce, message} = parsed;
+                if (!this._rememberNonce(nonce, timestamp)) {
+                    this._logging.error("Ignoring replayed flush message");
+                    return;
+                }
+                this._handlers.forEach((handler) => handler(message));
+            },
+        );
+    }
+
+    /**
+     * Remember the nonce of a verified message until its signature is no
+     * longer current, forgetting those that are no longer current.
+     *
+     * @returns {boolean} Whether the nonce is new to us.
+     */
+    _rememberNonce(nonce: string, timestamp: string): boolean {
+        const now = Date.now();
+        for (const [seenNonce, expiresAt] of this._seenNonces) {
+            if (expiresAt < now) {
+                this._seenNonces.delete(seenNonce);
+            }
+        }
+        if (this._seenNonces.has(nonce)) {
+            return false;
+        }
+        this._seenNonces.set(
+            nonce,
+            (Number(timestamp) + args.signatureMaxAge) * 1000,
+        );
+        return true;
+    }
+
+    _send(data: Buffer, {host, port}: Peer): Promise<void> {
+        return new Promise((resolve, reject) =>
+            this._socket.send(data, port, host, (err: ?Error) =>
+                err ? reject(err) : resolve(),
+            ),
+        );
+    }
+
+    async publish(message: FlushMessage): Promise<void> {
+        const secret = await new Promise((resolve, reject) =>
+            renderSecret.get(this._logging, (err: ?Error, secret: ?string) =>
+                err || !secret
+                    ? reject(err || new Error("No secret to sign with"))
+                    : resolve(secret),
+            ),
+        );
+        const signed: Body = {
+            nonce: crypto.randomBytes(16).toString("hex"),
+            message,
+        };
+        const body = JSON.stringify(signed);
+        const timestamp = `${Math.floor(Date.now() / 1000)}`;
+        const envelope: Envelope = {
+            timestamp,
+            signature: requestSignature.signRequest(secret, timestamp, body),
+            body,
+        };
+        const data = Buffer.from(JSON.stringify(envelope));
+        await Promise.all(this._peers.map((peer) => this._send(data, peer)));
+    }
+
+    subscribe(handler: (message: FlushMessage) => mixed): void {
+        this._handlers.push(handler);
+    }
+
+    close(): Promise<void> {
+        return new Promise((resolve) => {
+            this._socket.once("close", () => resolve());
+            this._socket.close();
+        });
+    }
+}
+
+// The channel that in-process transports share by default.
+const defaultChannel = new EventEmitter();
+
+export class InProcessFlushTransport implements IFlushTransport {
+    _channel: EventEmitter;
+    _handlers: Array<(message: FlushMessage) => mixed>;
+
+    /**
+     * @param {EventEmitter} channel - Messages are published to every
+     * transport with the same channel.
+     */
+    constructor(channel?: EventEmitter = defaultChannel) {
+        this._channel = channel;
+        this._handlers = [];
+    }
+
+    async publish(message: FlushMessage): Promise<void> {
+        // Like a real transport, we deliver messages asynchronously.
+        await Promise.resolve();
+        this._channel.emit("message", message);
+    }
+
+    subscribe(handler: (message: FlushMessage) => mixed): void {
+        this._handlers.push(handler);
+        this._channel.on("message", handler);
+    }
+
+    close(): Promise<void> {
+        this._handlers.forEach((handler) =>
+            this._channel.removeListener("message", handler),
+        );
+        this._handlers = [];
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Create the flush transport that our arguments ask for, if any.
+ */
+export const createFlushTransport = (logging: Logger): ?IFlushTransport => {
+    switch (args.flushTransport) {
+        case "udp":
+            return new UdpFlushTransport(
+                logging,
+                args.flushPort,
+                args.flushPeers,
+            );
+
+        default:
+            return null;
+    }
+};
@@ -0,0 +1,182 @@
+// @flow
+import {assert} from "chai";
+import sinon from "sinon";
+import args from "./arguments.js";
+import * as renderSecret from "./secret.js";
+import {rootLogger} from "./logging.js";
+import {
+    InProcessFlushTransport,
+    UdpFlushTransport,
+    createFlushTransport,
+} from "./flush-transport.js";
+
+import type {FlushMessage} from "./types.js";
+
+const waitForMessage = (transport): Promise<FlushMessage> =>
+    new Promise((resolve) => transport.subscribe(resolve));
+
+describe("flush-transport", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("InProcessFlushTransport", () => {
+        it("should deliver messages to every transport", async () => {
+            // Arrange
+            const sender = new InProcessFlushTransport();
+            const receiver = new InProcessFlushTransport();
+            const received = Promise.all([
+                waitForMessage(sender),
+                waitForMessage(receiver),
+            ]);
+            const message = {type: "flush", id: "1", from: "a"};
+
+            // Act
+            await sender.publish(message);
+
+            // Assert
+            assert.deepEqual(await received, [message, message]);
+            await sender.close();
+            await receiver.close();
+        });
+    });
+
+    describe("UdpFlushTransport", () => {
+        let transports;
+
+        beforeEach(() => {
+            transports = [];
+            sinon.stub(args, "dev").get(() => false);
+            sinon
+                .stub(renderSecret, "getAll")
+                .callsFake((logging, callback) =>
+                    callback(null, [{id: "secret:1", value: "sekret"}]),
+                );
+        });
+
+        afterEach(async () => {
+            await Promise.all(transports.map((t) => t.close()));
+        });
+
+        const createTransport = (port: number, peers: Array<string>) => {
+            const transport = new UdpFlushTransport(rootLogger, port, peers);
+            transports.push(transport);
+            return transport;
+        };
+
+        it("should deliver signed messages to its peers", async () => {
+            // Arrange
+            sinon
+                .stub(renderSecret, "get")
+                .callsFake((logging, callback) => callback(null, "sekret"));
+            const sender = createTransport(48181, ["127.0.0.1:48182"]);
+            const receiver = createTransport(48182, []);
+            const received = waitForMessage(receiver);
+            const message = {type: "flush", id: "1", from: "a"};
+
+            // Act
+            await sender.publish(message);
+
+            // Assert
+            assert.deepEqual(await received, message);
+        });
+
+        it("should ignore messages signed with another secret", async () => {
+            // Arrange
+            sinon
+                .stub(renderSecret, "get")
+                .callsFake((logging, callback) => callback(null, "bad"));
+            const errorStub = sinon.stub(rootLogger, "error");
+            const handler = sinon.fake();
+            const sender = createTransport(48183, ["127.0.0.1:48184"]);
+            const receiver = createTransport(48184, []);
+            receiver.subscribe(handler);
+            const ignored = new Promise((resolve) =>
+                errorStub
+                    .withArgs("Ignoring unverified flush message")
+                    .callsFake(resolve),
+            );
+
+            // Act
+            await sender.publish({type: "flush", id: "1", from: "a"});
+
+            // Assert
+            await ignored;
+            sinon.assert.notCalled(handler);
+        });
+
+        it("should ignore messages that it has already received", async () => {
+            // Arrange
+            sinon
+                .stub(renderSecret, "get")
+                .callsFake((logging, callback) => callback(null, "sekret"));
+            const errorStub = sinon.stub(rootLogger, "error");
+            const handler = sinon.fake();
+            const sender = createTransport(48186, ["127.0.0.1:48187"]);
+            const sendSpy = sinon.spy(sender, "_send");
+            const receiver = createTransport(48187, []);
+            receiver.subscribe(handler);
+            const received = waitForMessage(receiver);
+            await sender.publish({type: "flush", id: "1", from: "a"});
+            await received;
+            const ignored = new Promise((resolve) =>
+                errorStub
+                    .withArgs("Ignoring replayed flush message")
+                    .callsFake(resolve),
+            );
+
+            // Act
+            receiver._receive(sendSpy.firstCall.args[0]);
+
+            // Assert
+            await ignored;
+            sinon.assert.calledOnce(handler);
+        });
+
+        it("should forget the messages that it received once they are too old to be replayed", async () => {
+            // Arrange
+            sinon
+                .stub(renderSecret, "get")
+                .callsFake((logging, callback) => callback(null, "sekret"));
+            const sender = createTransport(48188, ["127.0.0.1:48189"]);
+            const receiver = createTransport(48189, []);
+            const received = waitForMessage(receiver);
+            await sender.publish({type: "flush", id: "1", from: "a"});
+            await received;
+            const clock = sinon.useFakeTimers(
+                Date.now() + (args.signatureMaxAge + 1) * 1000,
+            );
+
+            // Act
+            receiver._rememberNonce(
+                "another",
+                `${Math.floor(Date.now() / 1000)}`,
+            );
+            clock.restore();
+
+            // Assert
+            assert.deepEqual(Array.from(receiver._seenNonces.keys()), [
+                "another",
+            ]);
+        });
+
+        it("should reject peers that aren't host:port", () => {
+            // Act
+            const underTest = () =>
+                new UdpFlushTransport(rootLogger, 48185, ["localhost"]);
+
+            // Assert
+            assert.throws(underTest, "Flush peer must be host:port");
+        });
+    });
+
+    describe("#createFlushTransport", () => {
+        it("should create no transport by default", () => {
+            // Act
+            const result = createFlushTransport(rootLogger);
+
+            // Assert
+            assert.isNull(result);
+        });
+    });
+});
@@ -0,0 +1,235 @@
+// @flow
+/**
+ * Whether we are ready for traffic, whether we are alive at all, and
+ * draining before we stop.
+ *
+ * We are ready (see getReadinessProblems) once we have warmed up (see
+ * prefetch.js) and loaded our secrets, as long as we aren't draining and
+ * aren't already busy with --readiness-max-pending-renders renders.
+ *
+ * We are alive as long as our event loop hasn't been blocked for more than
+ * --liveness-max-event-loop-delay milliseconds recently. We can't answer at
+ * all while it is blocked, so we keep track of how late a regular timer
+ * fires (see EventLoopMonitor) and report on the worst of that when asked.
+ *
+ * To drain (see drain), we stop accepting renders, wait for the ones in
+ * progress to finish and then call the drain handlers, which stop the
+ * server.
+ */
+import args from "./arguments.js";
+import {isWarmedUp} from "./prefetch.js";
+import * as renderSecret from "./secret.js";
+
+import type {Logger, Secret} from "./types.js";
+
+// How often we check how late the event loop is.
+const EVENT_LOOP_CHECK_INTERVAL_MS = 500;
+
+// How far back the liveness check looks for event loop delays.
+const EVENT_LOOP_DELAY_WINDOW_MS = 10000;
+
+// How often we check if renders have finished while draining.
+const DRAIN_CHECK_INTERVAL_MS = 100;
+
+/**
+ * Keeps track of how late a regular timer fires, which is how long the
+ * event loop was blocked for.
+ */
+export class EventLoopMonitor {
+    _intervalMs: number;
+    _windowMs: number;
+    _timer: ?IntervalID;
+    _lastTickAt: number;
+    _delays: Array<{at: number, delay: number}>;
+
+    /**
+     * @param {number} intervalMs - How often to check.
+     * @param {number} windowMs - How long to remember delays for.
+     */
+    constructor(intervalMs: number, windowMs: number) {
+        this._intervalMs = intervalMs;
+        this._windowMs = windowMs;
+        this._timer = null;
+        this._lastTickAt = 0;
+        this._delays = [];
+    }
+
+    start(): void {
+        if (this._timer != null) {
+            return;
+        }
+        this._lastTickAt = Date.now();
+        const timer = setInterval(() => this._tick(), this._intervalMs);
+        // The monitor shouldn't keep the process running.
+        (timer: any).unref();
+        this._timer = timer;
+    }
+
+    stop(): void {
+        clearInterval(this._timer);
+        this._timer = null;
+        this._delays = [];
+    }
+
+    _tick(): void {
+        const now = Date.now();
+        const delay = Math.max(0, now - this._lastTickAt - this._intervalMs);
+        this._lastTickAt = now;
+        if (delay > 0) {
+            this._delays.push({at: now, delay});
+        }
+        this._forgetOldDelays(now);
+    }
+
+    _forgetOldDelays(now: number): void {
+        this._delays = this._delays.filter(({at}) => at > now - this._windowMs);
+    }
+
+    /**
+     * Get the longest that the event loop has been blocked for recently, in
+     * milliseconds, including if it is overdue for a check right now.
+     */
+    getMaxDelay(): number {
+        if (this._timer == null) {
+            return 0;
+        }
+        const now = Date.now();
+        this._forgetOldDelays(now);
+        const overdue = Math.max(0, now - this._lastTickAt - this._intervalMs);
+        return this._delays.reduce(
+            (maxDelay, {delay}) => Math.max(maxDelay, delay),
+            overdue,
+        );
+    }
+}
+
+const eventLoopMonitor = new EventLoopMonitor(
+    EVENT_LOOP_CHECK_INTERVAL_MS,
+    EVENT_LOOP_DELAY_WINDOW_MS,
+);
+
+/**
+ * Start keeping track of event loop delays for the liveness check.
+ */
+export const startEventLoopMonitor = (): void => eventLoopMonitor.start();
+
+export const stopEventLoopMonitor = (): void => eventLoopMonitor.stop();
+
+/**
+ * Get the reason that we aren't alive, or null if we are.
+ */
+export const getLivenessProblem = (): ?string => {
+    const maxDelay = args.livenessMaxEventLoopDelay;
+    const delay = eventLoopMonitor.getMaxDelay();
+    if (maxDelay > 0 && delay > maxDelay) {
+        return `event loop was blocked for ${delay}ms`;
+    }
+    return null;
+};
+
+let pendingRenders = 0;
+let draining: ?Promise<void> = null;
+let drainHandlers: Array<() => mixed> = [];
+
+/**
+ * Count a render as in progress, for readiness and draining.
+ */
+export const renderStarted = (): number => ++pendingRenders;
+
+/**
+ * Count a render as no longer in progress.
+ */
+export const renderFinished = (): number => --pendingRenders;
+
+export const getPendingRenders = (): number => pendingRenders;
+
+export const isDraining = (): boolean => draining != null;
+
+/**
+ * Call the given handler once we have drained.
+ */
+export const onDrained = (handler: () => mixed): void => {
+    drainHandlers.push(handler);
+};
+
+/**
+ * Stop accepting renders, wait for the renders in progress to finish (or
+ * for --drain-timeout milliseconds, whichever comes first) and then call the
+ * drain handlers.
+ *
+ * Draining more than once waits for the same drain.
+ */
+export const drain = (logging: Logger): Promise<void> => {
+    if (draining != null) {
+        return draining;
+    }
+
+    logging.info(`Draining ${pendingRenders} renders in progress`);
+    draining = new Promise((resolve) => {
+        const startedAt = Date.now();
+        const check = () => {
+            const timedOut = Date.now() - startedAt >= args.drainTimeout;
+            if (pendingRenders > 0 && !timedOut) {
+                setTimeout(check, DRAIN_CHECK_INTERVAL_MS);
+                return;
+            }
+            if (pendingRenders > 0) {
+                logging.warn(
+                    `Stopped waiting for ${pendingRenders} renders to finish after ${args.drainTimeout}ms`,
+                );
+            } else {
+                logging.info("Drained");
+            }
+            drainHandlers.forEach((handler) => handler());
+            resolve();
+        };
+        check();
+    });
+    return draining;
+};
+
+/**
+ * Determine if we have any secrets to authenticate requests with. We don't
+ * need any in dev.
+ */
+const hasSecrets = (logging: Logger): Promise<boolean> => {
+    if (args.dev) {
+        return Promise.resolve(true);
+    }
+    return new Promise((resolve) =>
+        renderSecret.getAll(logging, (err: ?Error, secrets: ?Array<Secret>) =>
+            resolve(err == null && secrets != null && secrets.length > 0),
+        ),
+    );
+};
+
+/**
+ * Get the reasons that we aren't ready for traffic, if any.
+ */
+export const getReadinessProblems = async (
+    logging: Logger,
+): Promise<Array<string>> => {
+    const problems = [];
+    if (!isWarmedUp()) {
+        problems.push("warming up");
+    }
+    if (!(await hasSecrets(logging))) {
+        problems.push("no secrets loaded");
+    }
+    if (isDraining()) {
+        problems.push("draining");
+    }
+    const maxPendingRenders = args.readinessMaxPendingRenders;
+    if (maxPendingRenders > 0 && pendingRenders >= maxPendingRenders) {
+        problems.push(`${pendingRenders} renders in progress`);
+    }
+    return problems;
+};
+
+/**
+ * Forget that we were draining, for tests.
+ */
+export const resetDraining = (): void => {
+    draining = null;
+    drainHandlers = [];
+};
@@ -0,0 +1,218 @@
+// @flow
+import {assert} from "chai";
+import sinon from "sinon";
+import args from "./arguments.js";
+import {rootLogger as logging} from "./logging.js";
+import * as prefetch from "./prefetch.js";
+import {
+    EventLoopMonitor,
+    drain,
+    getReadinessProblems,
+    isDraining,
+    onDrained,
+    renderFinished,
+    renderStarted,
+    resetDraining,
+} from "./health.js";
+
+describe("health", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("EventLoopMonitor", () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        it("should report no delay when not started", () => {
+            // Arrange
+            const underTest = new EventLoopMonitor(500, 10000);
+
+            // Act
+            clock.tick(5000);
+            const result = underTest.getMaxDelay();
+
+            // Assert
+            assert.equal(result, 0);
+        });
+
+        it("should report how late the timer fired", () => {
+            // Arrange
+            const underTest = new EventLoopMonitor(500, 10000);
+            underTest.start();
+
+            // Act
+            // Blocking the event loop for 2 seconds looks like the clock
+            // jumping forward without any timers firing.
+            clock.setSystemTime(2000);
+            clock.tick(500);
+            const result = underTest.getMaxDelay();
+            underTest.stop();
+
+            // Assert
+            assert.equal(result, 2000);
+        });
+
+        it("should report how overdue the timer is", () => {
+            // Arrange
+            const underTest = new EventLoopMonitor(500, 10000);
+            underTest.start();
+
+            // Act
+            clock.setSystemTime(3500);
+            const result = underTest.getMaxDelay();
+            underTest.stop();
+
+            // Assert
+            assert.equal(result, 3000);
+        });
+
+        it("should forget delays from before the window", () => {
+            // Arrange
+            const underTest = new EventLoopMonitor(500, 10000);
+            underTest.start();
+            clock.setSystemTime(2000);
+            clock.tick(500);
+
+            // Act
+            clock.tick(11000);
+            const result = underTest.getMaxDelay();
+            underTest.stop();
+
+            // Assert
+            assert.equal(result, 0);
+        });
+    });
+
+    describe("#getReadinessProblems", () => {
+        it("should have no problems when ready", async () => {
+            // Act
+            const result = await getReadinessProblems(logging);
+
+            // Assert
+            assert.deepEqual(result, []);
+        });
+
+        it("should have a problem while warming up", async () => {
+            // Arrange
+            sinon.stub(prefetch, "isWarmedUp").returns(false);
+
+            // Act
+            const result = await getReadinessProblems(logging);
+
+            // Assert
+            assert.deepEqual(result, ["warming up"]);
+        });
+
+        it("should have a problem when too many renders are in progress", async () => {
+            // Arrange
+            sinon.stub(args, "readinessMaxPendingRenders").get(() => 2);
+            renderStarted();
+            renderStarted();
+
+            // Act
+            const result = await getReadinessProblems(logging);
+            renderFinished();
+            renderFinished();
+
+            // Assert
+            assert.deepEqual(result, ["2 renders in progress"]);
+        });
+
+        it("should not limit renders in progress when the max is 0", async () => {
+            // Arrange
+            sinon.stub(args, "readinessMaxPendingRenders").get(() => 0);
+            renderStarted();
+
+            // Act
+            const result = await getReadinessProblems(logging);
+            renderFinished();
+
+            // Assert
+            assert.deepEqual(result, []);
+        });
+    });
+
+    describe("#drain", () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            sinon.stub(logging, "info");
+            sinon.stub(logging, "warn");
+        });
+
+        afterEach(() => {
+            resetDraining();
+        });
+
+        it("should call the drain handlers right away if nothing is rendering", async () => {
+            // Arrange
+            const handler = sinon.stub();
+            onDrained(handler);
+
+            // Act
+            await drain(logging);
+
+            // Assert
+            sinon.assert.calledOnce(handler);
+            assert.isTrue(isDraining());
+        });
+
+        it("should wait for renders in progress to finish", async () => {
+            // Arrange
+            const handler = sinon.stub();
+            onDrained(handler);
+            renderStarted();
+
+            // Act
+            const drainPromise = drain(logging);
+            clock.tick(1000);
+            const calledBeforeFinish = handler.called;
+            renderFinished();
+            clock.tick(100);
+            await drainPromise;
+
+            // Assert
+            assert.isFalse(calledBeforeFinish);
+            sinon.assert.calledOnce(handler);
+        });
+
+        it("should stop waiting after the drain timeout", async () => {
+            // Arrange
+            sinon.stub(args, "drainTimeout").get(() => 1000);
+            const handler = sinon.stub();
+            onDrained(handler);
+            renderStarted();
+
+            // Act
+            const drainPromise = drain(logging);
+            clock.tick(1000);
+            await drainPromise;
+            renderFinished();
+
+            // Assert
+            sinon.assert.calledOnce(handler);
+            sinon.assert.calledWith(
+                logging.warn,
+                "Stopped waiting for 1 renders to finish after 1000ms",
+            );
+        });
+
+        it("should only drain once", async () => {
+            // Arrange
+            const handler = sinon.stub();
+            onDrained(handler);
+
+            // Act
+            await drain(logging);
+            await drain(logging);
+
+            // Assert
+            sinon.assert.calledOnce(handler);
+        });
+    });
+});
@@ -2,18 +2,34 @@
 
 /**
  * Logging setup for our application.
+ *
+ * --log-format picks how log entries are written:
+ *
+ *   - "text": a line of text for each entry, which is easy to read. In
+ *     production, entries go to Stackdriver with the LoggingWinston
+ *     transport.
+ *   - "json": a line of JSON for each entry, with the metadata that was
+ *     logged along with it (like the requestID, entrypoint and location of
+ *     a render, its requestStats and durations) as separate fields, so
+ *     that they can be queried. Entries go to the console, in production
+ *     too.
+ *
+ * With --log-file, entries are also written to that file, as JSON.
  */
+import fs from "fs";
 import stream from "stream";
+import {isMainThread, parentPort} from "worker_threads";
 import expressWinston from "express-winston";
 import winston from "winston";
 
 import * as lw from "@google-cloud/logging-winston";
 
 import args from "./arguments.js";
+import {getRequestID} from "./get-request-id.js";
 
 import type {Middleware, $Request} from "express";
 import type {Transport, NpmLogLevels, Format} from "winston";
-import type {Info, Logger, LogLevel} from "./types.js";
+import type {Info, LogFormat, Logger, LogLevel} from "./types.js";
 
 /**
  * This is how the log message gets formatted.
@@ -23,18 +39,25 @@ import type {Info, Logger, LogLevel} from "./types.js";
 const devFormatter = ({level, message, durationMs}: Info): string =>
     `${level}: ${message} ${(durationMs && `(${durationMs}ms)`) || ""}`;
 
-function getFormatters() {
+export function getFormatters(logFormat: LogFormat): Format {
     const formatters: Array<Format> = [
         winston.format.splat(), // Allows for %s style substitutions
     ];
 
-    formatters.push(winston.format.cli({level: true}));
-    formatters.push(winston.format.printf((info: any) => devFormatter(info)));
+    if (logFormat === "json") {
+        formatters.push(winston.format.timestamp());
+        formatters.push(winston.format.json());
+    } else {
+        formatters.push(winston.format.cli({level: true}));
+        formatters.push(
+            winston.format.printf((info: any) => devFormatter(info)),
+        );
+    }
 
     return winston.format.combine(...formatters);
 }
 
-function getTransport(isDev: boolean): Transport {
+function getTransport(isDev: boolean, logFormat: LogFormat): Transport {
     if (process.env.NODE_ENV === "test") {
         // During testing, we just dump logging to a stream.
         // This isn't used for anything at all right now, but we could use
@@ -43,17 +66,18 @@ function getTransport(isDev: boolean): Transport {
         // This is a hack to make our writable stream work $FlowFixMe
         sink._write = sink.write;
         return new winston.transports.Stream({
-            format: getFormatters(),
+            format: getFormatters(logFormat),
             stream: sink,
         });
     }
 
     /**
-     * If we're in dev mode, just use a console transport.
+     * If we're in dev mode, or we're logging JSON, just use a console
+     * transport.
      */
-    if (isDev) {
+    if (isDev || logFormat === "json") {
         return new winston.transports.Console({
-            format: getFormatters(),
+            format: getFormatters(logFormat),
         });
     }
 
@@ -66,18 +90,73 @@ function getTransport(isDev: boolean): Transport {
     return new lw.LoggingWinston();
 }
 
-function initLogging(logLevel: LogLevel, isDev: boolean): Logger {
+// The stream that we write --log-file with, if we have one. Winston's own
+// file transport says that it has finished before everything has been
+// written, so we write the file ourselves, and flushLogs waits for it.
+let logFileStream: ?stream.Writable = null;
+
+/**
+ * In a render worker thread, the main thread does the logging, so all we
+ * do is send it what is logged (see render-worker-pool.js).
+ */
+function getWorkerTransport(): Transport {
+    const port = parentPort;
+    return new winston.transports.Stream({
+        stream: new stream.Writable({
+            objectMode: true,
+            write(info: any, encoding, callback) {
+                if (port != null) {
+                    port.postMessage({
+                        type: "log",
+                        id: null,
+                        level: info.level,
+                        message: info.message,
+                    });
+                }
+                callback();
+            },
+        }),
+    });
+}
+
+function getTransports(
+    isDev: boolean,
+    logFormat: LogFormat,
+    logFile: ?string,
+): Array<Transport> {
+    if (!isMainThread) {
+        return [getWorkerTransport()];
+    }
+    const transports = [getTransport(isDev, logFormat)];
+    if (logFile != null && process.env.NODE_ENV !== "test") {
+        logFileStream = fs.createWriteStream(logFile, {flags: "a"});
+        transports.push(
+            new winston.transports.Stream({
+                format: getFormatters("json"),
+                stream: logFileStream,
+            }),
+        );
+    }
+    return transports;
+}
+
+function initLogging(
+    logLevel: LogLevel,
+    isDev: boolean,
+    logFormat: LogFormat,
+    logFile: ?string,
+): Logger {
     // This is the logger that we use to log general information in our app.
     // Whereever one might use console, use this instead.
     const winstonLogger = winston.createLogger<NpmLogLevels>({
         level: logLevel,
-        transports: getTransport(isDev),
+        transports: getTransports(isDev, logFormat, logFile),
     });
 
     winstonLogger.debug(
         `Intialized logging with Level=${logLevel} DeveloperMode=${
             isDev ? "true" : "false"
-        }`,
+        } Format=${logFormat}`,
     );
 
     return winstonLogger;
@@ -122,10 +201,12 @@ export function makeErrorMiddleware(logger: Logger): Middleware {
 }
 
 export function makeRequestMiddleware(logger: Logger): Promise<Middleware> {
+    const json = args.logFormat === "json";
     // This is the logger that captures requests handled by our express server.
-    return args.dev
+    return args.dev || json
         ? /**
-           * If we're in dev, we're going to use the expressWinston logger
+           * If we're in dev, or we're logging JSON, we're going to use the
+           * expressWinston logger
            */
           Promise.resolve(
               expressWinston.logger({
@@ -141,8 +222,17 @@ export function makeRequestMiddleware(logger: Logger): Promise<Middleware> {
                    */
                   winstonInstance: logger,
                   expressFormat: true,
-                  colorize: true,
-                  meta: false,
+                  colorize: !json,
+
+                  /**
+                   * When logging JSON, the request is described in fields
+                   * too. We leave out the headers, which can hold secrets.
+                   */
+                  meta: json,
+                  requestWhitelist: ["method", "originalUrl"],
+                  dynamicMeta: (req: $Request) => ({
+                      requestID: getRequestID(req),
+                  }),
               }),
           )
         : /**
@@ -150,10 +240,39 @@ export function makeRequestMiddleware(logger: Logger): Promise<Middleware> {
            * This does some nice things including adding the appropriate
            * logging transport for us.
            */
-          lw.express.makeMiddleware(logger, getTransport(false));
+          lw.express.makeMiddleware(logger, getTransport(false, "text"));
 }
 
-export const rootLogger: Logger = initLogging(args.logLevel, args.dev);
+export const rootLogger: Logger = initLogging(
+    args.logLevel,
+    args.dev,
+    args.logFormat,
+    args.logFile,
+);
+
+/**
+ * Wait for the given logger to write out everything that has been logged to
+ * it, such as before we exit. The logger can't be used afterwards.
+ *
+ * We give up waiting after timeoutMs milliseconds, so that a transport that
+ * can't write doesn't stop us from exiting.
+ */
+export const flushLogs = (logger: Logger, timeoutMs: number): Promise<void> =>
+    new Promise((resolve) => {
+        const timeout = setTimeout(resolve, timeoutMs);
+        const finished = () => {
+            clearTimeout(timeout);
+            resolve();
+        };
+        logger.once("finish", () => {
+            if (logFileStream == null) {
+                finished();
+                return;
+            }
+            logFileStream.end(finished);
+        });
+        logger.end();
+    });
 
 export const getLogger = (req: $Request): Logger => {
     /**
@@ -162,3 +281,22 @@ export const getLogger = (req: $Request): Logger => {
      */
     return req.log == null ? rootLogger : req.log;
 };
+
+/**
+ * Add fields to everything that is logged for the given request from now
+ * on, such as the entrypoint of a render.
+ *
+ * @returns {Logger} The logger for the request, which getLogger now returns.
+ */
+export const addLogContext = (
+    req: $Request,
+    fields: {+[name: string]: mixed, ...},
+): Logger => {
+    const logging = getLogger(req).child(fields);
+    /**
+     * NOTE: the $Request type doesn't have a log field, officially.
+     * $FlowIgnore
+     */
+    req.log = logging;
+    return logging;
+};
@@ -0,0 +1,88 @@
+// @flow
+import stream from "stream";
+import {assert} from "chai";
+import winston from "winston";
+import {addLogContext, getFormatters, getLogger} from "./logging.js";
+
+import type {LogFormat} from "./types.js";
+
+describe("logging", () => {
+    let lines;
+
+    const createLogger = (logFormat: LogFormat) =>
+        winston.createLogger({
+            level: "debug",
+            format: getFormatters(logFormat),
+            transports: [
+                new winston.transports.Stream({
+                    stream: new stream.Writable({
+                        write: (chunk, encoding, callback) => {
+                            lines.push(chunk.toString().trim());
+                            callback();
+                        },
+                    }),
+                }),
+            ],
+        });
+
+    // Winston writes entries out asynchronously.
+    const waitForLogs = () => new Promise((resolve) => setImmediate(resolve));
+
+    beforeEach(() => {
+        lines = [];
+    });
+
+    describe("#getFormatters", () => {
+        it("should log text with just the duration", async () => {
+            // Arrange
+            const logger = createLogger("text");
+
+            // Act
+            logger.info("rendered", {durationMs: 12, requestID: "abc"});
+            await waitForLogs();
+
+            // Assert
+            assert.lengthOf(lines, 1);
+            assert.match(lines[0], /info.*: +rendered \(12ms\)$/);
+            assert.notInclude(lines[0], "abc");
+        });
+
+        it("should log JSON with metadata as separate fields", async () => {
+            // Arrange
+            const logger = createLogger("json");
+
+            // Act
+            logger.info("rendered entry.js", {
+                durationMs: 12,
+                requestStats: {packageFetches: 2},
+            });
+            await waitForLogs();
+
+            // Assert
+            const result = JSON.parse(lines[0]);
+            assert.equal(result.level, "info");
+            assert.equal(result.message, "rendered entry.js");
+            assert.equal(result.durationMs, 12);
+            assert.deepEqual(result.requestStats, {packageFetches: 2});
+            assert.isString(result.timestamp);
+        });
+    });
+
+    describe("#addLogContext", () => {
+        it("should add the fields to everything logged for the request", async () => {
+            // Arrange
+            const req: any = {log: createLogger("json")};
+
+            // Act
+            addLogContext(req, {entrypoint: "entry.js"});
+            addLogContext(req, {location: "https://www.ka.org/"});
+            getLogger(req).info("rendered");
+            await waitForLogs();
+
+            // Assert
+            const result = JSON.parse(lines[0]);
+            assert.equal(result.entrypoint, "entry.js");
+            assert.equal(result.location, "https://www.ka.org/");
+        });
+    });
+});
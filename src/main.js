@@ -18,6 +18,11 @@ import {
     makeRequestMiddleware,
 } from "./logging.js";
 import {requestIDMiddleware} from "./request-id-middleware.js";
+import {createFlushTransport} from "./flush-transport.js";
+import {startFlushBroadcast} from "./flush-broadcast.js";
+import {warmUp} from "./prefetch.js";
+import {onDrained, startEventLoopMonitor} from "./health.js";
+import {isShuttingDown, shutdown} from "./shutdown.js";
 import app from "./server.js";
 
 async function main() {
@@ -70,6 +75,31 @@ async function main() {
         }
     }
 
+    /**
+     * Listen for the other instances asking us to flush our caches, if we
+     * have a way to hear them.
+     */
+    const flushTransport = createFlushTransport(logging);
+    if (flushTransport != null) {
+        startFlushBroadcast(logging, flushTransport);
+    }
+
+    /**
+     * Start warming up, if we have been told what to warm up with. We don't
+     * wait for it, since /_ah/health has to answer in the meantime; it
+     * reports that we aren't ready until we have warmed up.
+     */
+    const warmupManifest = args.warmupManifest;
+    if (warmupManifest) {
+        warmUp(logging, warmupManifest);
+    }
+
+    /**
+     * Keep track of how long our event loop gets blocked for, for the
+     * liveness check.
+     */
+    startEventLoopMonitor();
+
     /**
      * Create the express app.
      *
@@ -142,6 +172,17 @@ async function main() {
      * [3] https://khanacademy.slack.com/archives/CJSE4TMQX/p1573252787333500
      */
     if (server != null) {
+        /**
+         * Once we have drained (see /_ah/stop), stop listening for new
+         * connections.
+         */
+        onDrained(() => {
+            if (server.listening) {
+                logging.info("Closing server");
+                server.close();
+            }
+        });
+
         server.keepAliveTimeout = 90000;
         /**
          * Flow's node types don't support this yet.
@@ -149,6 +190,21 @@ async function main() {
          */
         server.headersTimeout = server.keepAliveTimeout + 5000;
     }
+
+    /**
+     * Shut down gracefully when pm2 or a deploy asks us to stop (see
+     * shutdown.js). If we are asked again while we are at it, we stop
+     * waiting and exit right away.
+     */
+    ["SIGTERM", "SIGINT"].forEach((signal) =>
+        process.on(signal, async () => {
+            if (isShuttingDown()) {
+                process.exit(1);
+            }
+            await shutdown(logging, server, `received ${signal}`);
+            process.exit(0);
+        }),
+    );
 }
 
 main().catch((err) => {
@@ -0,0 +1,181 @@
+// @flow
+/**
+ * A package cache that keeps fetched packages in memory, up to a byte
+ * budget.
+ *
+ * When adding an entry takes us over the budget, the least recently used
+ * entries are evicted. Sizes are estimates: we assume 2 bytes per character
+ * of the entry as JSON, since that's how strings are held in memory.
+ */
+import type {
+    IPackageCache,
+    PackageCacheEntry,
+    PackageCacheStats,
+} from "./types.js";
+
+type MemoryEntry = {
+    value: mixed,
+    size: number,
+    expiresAt: ?number,
+    fetchedAt: number,
+    lastUsed: number,
+    hits: number,
+};
+
+const estimateSize = (value: mixed): number =>
+    (JSON.stringify(value) || "").length * 2;
+
+export class MemoryPackageCache implements IPackageCache {
+    _maxBytes: number;
+    // Map iteration order is insertion order, which we use to evict the
+    // least recently used entry first.
+    _entries: Map<string, MemoryEntry>;
+    _totalBytes: number;
+    _evictions: number;
+
+    /**
+     * @param {number} maxBytes - The most bytes of entries to keep.
+     */
+    constructor(maxBytes: number) {
+        this._maxBytes = maxBytes;
+        this._entries = new Map();
+        this._totalBytes = 0;
+        this._evictions = 0;
+    }
+
+    _remove(key: string): boolean {
+        const existing = this._entries.get(key);
+        if (existing == null) {
+            return false;
+        }
+        this._entries.delete(key);
+        this._totalBytes -= existing.size;
+        return true;
+    }
+
+    _evict(): void {
+        for (const key of this._entries.keys()) {
+            if (this._totalBytes <= this._maxBytes) {
+                break;
+            }
+            this._remove(key);
+            this._evictions++;
+        }
+    }
+
+    /**
+     * Get the value for the given key, or null if we don't have it.
+     */
+    get(key: string, cb: (err: ?Error, value: mixed) => void): void {
+        const entry = this._entries.get(key);
+        if (entry == null) {
+            cb(null, null);
+            return;
+        }
+        if (entry.expiresAt != null && entry.expiresAt <= Date.now()) {
+            this._remove(key);
+            cb(null, null);
+            return;
+        }
+
+        // Move it to the end, so it is the most recently used.
+        this._entries.delete(key);
+        entry.lastUsed = Date.now();
+        entry.hits++;
+        this._entries.set(key, entry);
+        cb(null, entry.value);
+    }
+
+    /**
+     * Set the value for the given key, with an optional expiration in
+     * seconds.
+     */
+    set(
+        key: string,
+        value: mixed,
+        expiration?: ?number,
+        cb?: ?() => void,
+    ): void {
+        const now = Date.now();
+        const size = estimateSize(value);
+        this._remove(key);
+        this._entries.set(key, {
+            value,
+            size,
+            expiresAt: expiration ? now + expiration * 1000 : null,
+            fetchedAt: now,
+            lastUsed: now,
+            hits: 0,
+        });
+        this._totalBytes += size;
+        this._evict();
+        cb && cb();
+    }
+
+    /**
+     * Delete the entries for the given key or keys.
+     */
+    del(
+        keys: string | Array<string>,
+        cb?: ?(err: ?Error, count: number) => void,
+    ): void {
+        const keyList = Array.isArray(keys) ? keys : [keys];
+        const count = keyList.filter((key) => this._remove(key)).length;
+        cb && cb(null, count);
+    }
+
+    /**
+     * Delete every entry.
+     */
+    flush(cb?: ?() => void): void {
+        this._entries = new Map();
+        this._totalBytes = 0;
+        cb && cb();
+    }
+
+    /**
+     * Delete the entries that we haven't used in the given number of
+     * seconds.
+     */
+    flushUnused(maxIdleSeconds: number): void {
+        const cutoff = Date.now() - maxIdleSeconds * 1000;
+        for (const [key, {lastUsed}] of this._entries) {
+            // The entries are in order of use, so the rest are newer.
+            if (lastUsed >= cutoff) {
+                break;
+            }
+            this._remove(key);
+        }
+    }
+
+    /**
+     * Delete the entries whose keys match, returning their keys.
+     */
+    flushMatching(predicate: (key: string) => boolean): Array<string> {
+        const keys = Array.from(this._entries.keys()).filter(predicate);
+        keys.forEach((key) => this._remove(key));
+        return keys;
+    }
+
+    getStats(): PackageCacheStats {
+        return {
+            size: this._totalBytes,
+            maxSize: this._maxBytes,
+            entryCount: this._entries.size,
+            evictions: this._evictions,
+        };
+    }
+
+    getEntries(): Array<PackageCacheEntry> {
+        return Array.from(
+            this._entries,
+            ([key, {size, fetchedAt, lastUsed, hits}]) => ({
+                key,
+                size,
+                fetchedAt,
+                lastUsed,
+                hits,
+            }),
+        );
+    }
+}
@@ -0,0 +1,179 @@
+// @flow
+import {assert} from "chai";
+import sinon from "sinon";
+import {MemoryPackageCache} from "./memory-package-cache.js";
+
+describe("MemoryPackageCache", () => {
+    const get = (cache: MemoryPackageCache, key: string): mixed => {
+        let result;
+        cache.get(key, (err, value) => {
+            result = value;
+        });
+        return result;
+    };
+
+    // Entries of 204 bytes each: 2 bytes per character of JSON.
+    const VALUE = "x".repeat(100);
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should get a value that was set", () => {
+        // Arrange
+        const underTest = new MemoryPackageCache(1000);
+        underTest.set("KEY", {text: "CONTENT"});
+
+        // Act
+        const result = get(underTest, "KEY");
+
+        // Assert
+        assert.deepEqual(result, {text: "CONTENT"});
+    });
+
+    it("should get null for a value that has expired", () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const underTest = new MemoryPackageCache(1000);
+        underTest.set("KEY", "CONTENT", 10);
+        clock.tick(10 * 1000);
+
+        // Act
+        const result = get(underTest, "KEY");
+
+        // Assert
+        assert.isNull(result);
+    });
+
+    it("should track the size and number of entries", () => {
+        // Arrange
+        const underTest = new MemoryPackageCache(1000);
+
+        // Act
+        underTest.set("KEY1", VALUE);
+        underTest.set("KEY2", VALUE);
+
+        // Assert
+        assert.deepEqual(underTest.getStats(), {
+            size: 408,
+            maxSize: 1000,
+            entryCount: 2,
+            evictions: 0,
+        });
+    });
+
+    it("should not count a replaced value twice", () => {
+        // Arrange
+        const underTest = new MemoryPackageCache(1000);
+        underTest.set("KEY", VALUE);
+
+        // Act
+        underTest.set("KEY", VALUE);
+
+        // Assert
+        assert.equal(underTest.getStats().size, 204);
+    });
+
+    it("should evict the least recently used values when too big", () => {
+        // Arrange
+        const underTest = new MemoryPackageCache(500);
+        underTest.set("KEY1", VALUE);
+        underTest.set("KEY2", VALUE);
+        get(underTest, "KEY1");
+
+        // Act
+        underTest.set("KEY3", VALUE);
+
+        // Assert
+        assert.deepEqual(underTest.getStats(), {
+            size: 408,
+            maxSize: 500,
+            entryCount: 2,
+            evictions: 1,
+        });
+        assert.isNull(get(underTest, "KEY2"));
+        assert.equal(get(underTest, "KEY1"), VALUE);
+        assert.equal(get(underTest, "KEY3"), VALUE);
+    });
+
+    it("should delete the given keys", () => {
+        // Arrange
+        const underTest = new MemoryPackageCache(1000);
+        underTest.set("KEY1", VALUE);
+        underTest.set("KEY2", VALUE);
+        const callback = sinon.fake();
+
+        // Act
+        underTest.del(["KEY1", "OTHER"], callback);
+
+        // Assert
+        sinon.assert.calledWith(callback, null, 1);
+        assert.isNull(get(underTest, "KEY1"));
+        assert.equal(underTest.getStats().size, 204);
+    });
+
+    it("should delete everything when flushed", () => {
+        // Arrange
+        const underTest = new MemoryPackageCache(1000);
+        underTest.set("KEY1", VALUE);
+        underTest.set("KEY2", VALUE);
+
+        // Act
+        underTest.flush();
+
+        // Assert
+        assert.equal(underTest.getStats().size, 0);
+        assert.equal(underTest.getStats().entryCount, 0);
+    });
+
+    it("should delete the values whose keys match when flushing matching", () => {
+        // Arrange
+        const underTest = new MemoryPackageCache(1000);
+        underTest.set("BAD1", "CONTENT");
+        underTest.set("GOOD", "CONTENT");
+        underTest.set("BAD2", "CONTENT");
+
+        // Act
+        const result = underTest.flushMatching((key) => key.startsWith("BAD"));
+
+        // Assert
+        assert.deepEqual(result, ["BAD1", "BAD2"]);
+        assert.isNull(get(underTest, "BAD1"));
+        assert.equal(get(underTest, "GOOD"), "CONTENT");
+        assert.equal(underTest.getStats().entryCount, 1);
+    });
+
+    it("should describe its entries", () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const underTest = new MemoryPackageCache(1000);
+        underTest.set("KEY", VALUE);
+        clock.tick(500);
+        get(underTest, "KEY");
+        get(underTest, "KEY");
+
+        // Act
+        const result = underTest.getEntries();
+
+        // Assert
+        assert.deepEqual(result, [
+            {key: "KEY", size: 204, fetchedAt: 1000, lastUsed: 1500, hits: 2},
+        ]);
+    });
+
+    it("should delete values that have not been used recently when flushing unused", () => {
+        // Arrange
+        const clock = sinon.useFakeTimers(1000);
+        const underTest = new MemoryPackageCache(1000);
+        underTest.set("OLD", "CONTENT");
+        clock.tick(60 * 1000);
+        underTest.set("NEW", "CONTENT");
+
+        // Act
+        underTest.flushUnused(30);
+
+        // Assert
+        assert.isNull(get(underTest, "OLD"));
+        assert.equal(get(underTest, "NEW"), "CONTENT");
+    });
+});
@@ -0,0 +1,303 @@
+// @flow
+/**
+ * Metrics in the Prometheus text exposition format, for /metrics.
+ *
+ * There are counters, which only go up, gauges, which go up and down, and
+ * histograms, which count observations into cumulative buckets. Each metric
+ * has a fixed set of label names, and keeps a separate series for each set
+ * of label values that it is given.
+ *
+ * See https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+export type Labels = {[name: string]: string, ...};
+
+export type MetricType = "counter" | "gauge" | "histogram";
+
+export interface IMetric {
+    +name: string;
+    +help: string;
+    +type: MetricType;
+
+    /**
+     * The sample lines for this metric, without its HELP and TYPE lines.
+     */
+    getSamples(): Array<string>;
+
+    /**
+     * Forget every series.
+     */
+    reset(): void;
+}
+
+// The default histogram buckets, in seconds, suited to request latencies.
+export const DEFAULT_BUCKETS: Array<number> = [
+    0.005,
+    0.01,
+    0.025,
+    0.05,
+    0.1,
+    0.25,
+    0.5,
+    1,
+    2.5,
+    5,
+    10,
+];
+
+const escapeLabelValue = (value: string): string =>
+    value
+        .replace(/\\/g, "\\\\")
+        .replace(/\n/g, "\\n")
+        .replace(/"/g, '\\"');
+
+const formatLabels = (labels: Array<[string, string]>): string =>
+    labels.length === 0
+        ? ""
+        : `{${labels
+              .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+              .join(",")}}`;
+
+const formatValue = (value: number): string => {
+    if (value === Infinity) {
+        return "+Inf";
+    }
+    if (value === -Infinity) {
+        return "-Inf";
+    }
+    return `${value}`;
+};
+
+/**
+ * The base for our metrics, which keeps a series of type T for each set of
+ * label values.
+ */
+class Metric<T> {
+    +name: string;
+    +help: string;
+    _labelNames: Array<string>;
+    _series: Map<string, {labels: Array<[string, string]>, value: T}>;
+
+    constructor(name: string, help: string, labelNames: Array<string>) {
+        this.name = name;
+        this.help = help;
+        this._labelNames = labelNames;
+        this._series = new Map();
+    }
+
+    _createValue(): T {
+        throw new Error("Must be implemented by the metric");
+    }
+
+    _getLabelValues(labels: Labels): Array<[string, string]> {
+        return this._labelNames.map((name) => {
+            const value = labels[name];
+            if (value == null) {
+                throw new Error(`Missing label ${name} for ${this.name}`);
+            }
+            return [name, value];
+        });
+    }
+
+    /**
+     * Get the series for the given labels, creating it if need be.
+     */
+    _getSeries(labels: Labels): T {
+        const labelValues = this._getLabelValues(labels);
+        const key = JSON.stringify(labelValues);
+        let series = this._series.get(key);
+        if (series == null) {
+            series = {labels: labelValues, value: this._createValue()};
+            this._series.set(key, series);
+        }
+        return series.value;
+    }
+
+    /**
+     * Forget the series for the given labels, so that it isn't exposed
+     * until it is used again.
+     */
+    remove(labels: Labels = {}): void {
+        this._series.delete(JSON.stringify(this._getLabelValues(labels)));
+    }
+
+    reset(): void {
+        this._series = new Map();
+    }
+}
+
+export class Counter extends Metric<{count: number}> implements IMetric {
+    +type: MetricType = "counter";
+
+    _createValue(): {count: number} {
+        return {count: 0};
+    }
+
+    inc(labels: Labels = {}, amount: number = 1): void {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} can't go down`);
+        }
+        this._getSeries(labels).count += amount;
+    }
+
+    getSamples(): Array<string> {
+        return Array.from(this._series.values()).map(
+            ({labels, value}) =>
+                `${this.name}${formatLabels(labels)} ${formatValue(
+                    value.count,
+                )}`,
+        );
+    }
+}
+
+export class Gauge extends Metric<{value: number}> implements IMetric {
+    +type: MetricType = "gauge";
+
+    _createValue(): {value: number} {
+        return {value: 0};
+    }
+
+    set(labels: Labels = {}, value: number): void {
+        this._getSeries(labels).value = value;
+    }
+
+    inc(labels: Labels = {}, amount: number = 1): void {
+        this._getSeries(labels).value += amount;
+    }
+
+    dec(labels: Labels = {}, amount: number = 1): void {
+        this._getSeries(labels).value -= amount;
+    }
+
+    /**
+     * Get the value for the given labels.
+     */
+    get(labels: Labels = {}): number {
+        const series = this._series.get(
+            JSON.stringify(this._getLabelValues(labels)),
+        );
+        return series != null ? series.value.value : 0;
+    }
+
+    getSamples(): Array<string> {
+        return Array.from(this._series.values()).map(
+            ({labels, value}) =>
+                `${this.name}${formatLabels(labels)} ${formatValue(
+                    value.value,
+                )}`,
+        );
+    }
+}
+
+type HistogramValue = {
+    // The count of observations in each bucket, not cumulative.
+    buckets: Array<number>,
+    sum: number,
+    count: number,
+};
+
+export class Histogram extends Metric<HistogramValue> implements IMetric {
+    +type: MetricType = "histogram";
+    _buckets: Array<number>;
+
+    /**
+     * @param {Array<number>} [buckets] - The upper bounds of the buckets.
+     * There is always a +Inf bucket on top of these.
+     */
+    constructor(
+        name: string,
+        help: string,
+        labelNames: Array<string>,
+        buckets: Array<number> = DEFAULT_BUCKETS,
+    ) {
+        super(name, help, labelNames);
+        this._buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    _createValue(): HistogramValue {
+        return {buckets: this._buckets.map(() => 0), sum: 0, count: 0};
+    }
+
+    observe(labels: Labels = {}, value: number): void {
+        const series = this._getSeries(labels);
+        const index = this._buckets.findIndex((bound) => value <= bound);
+        if (index >= 0) {
+            series.buckets[index]++;
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    getSamples(): Array<string> {
+        const samples = [];
+        this._series.forEach(({labels, value}) => {
+            let cumulative = 0;
+            this._buckets.forEach((bound, i) => {
+                cumulative += value.buckets[i];
+                samples.push(
+                    `${this.name}_bucket${formatLabels([
+                        ...labels,
+                        ["le", formatValue(bound)],
+                    ])} ${cumulative}`,
+                );
+            });
+            samples.push(
+                `${this.name}_bucket${formatLabels([
+                    ...labels,
+                    ["le", "+Inf"],
+                ])} ${value.count}`,
+                `${this.name}_sum${formatLabels(labels)} ${formatValue(
+                    value.sum,
+                )}`,
+                `${this.name}_count${formatLabels(labels)} ${value.count}`,
+            );
+        });
+        return samples;
+    }
+}
+
+export class MetricsRegistry {
+    _metrics: Map<string, IMetric>;
+
+    constructor() {
+        this._metrics = new Map();
+    }
+
+    /**
+     * Add a metric to those that we expose.
+     */
+    register<T: IMetric>(metric: T): T {
+        if (this._metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this._metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Describe every metric in the Prometheus text exposition format.
+     */
+    getMetrics(): string {
+        const lines = [];
+        this._metrics.forEach((metric) => {
+            lines.push(
+                `# HELP ${metric.name} ${metric.help.replace(/\n/g, " ")}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.getSamples(),
+            );
+        });
+        return lines.length === 0 ? "" : `${lines.join("\n")}\n`;
+    }
+
+    /**
+     * Forget every series of every metric, for tests.
+     */
+    reset(): void {
+        this._metrics.forEach((metric) => metric.reset());
+    }
+}
+
+// The content type of the Prometheus text exposition format.
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export default new MetricsRegistry();
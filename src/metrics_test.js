@@ -0,0 +1,187 @@
+// @flow
+import {assert} from "chai";
+import {Counter, Gauge, Histogram, MetricsRegistry} from "./metrics.js";
+
+describe("metrics", () => {
+    describe("Counter", () => {
+        it("should count each set of labels separately", () => {
+            // Arrange
+            const underTest = new Counter("renders_total", "Renders.", [
+                "entrypoint",
+            ]);
+
+            // Act
+            underTest.inc({entrypoint: "a.js"});
+            underTest.inc({entrypoint: "a.js"}, 2);
+            underTest.inc({entrypoint: "b.js"});
+            const result = underTest.getSamples();
+
+            // Assert
+            assert.deepEqual(result, [
+                'renders_total{entrypoint="a.js"} 3',
+                'renders_total{entrypoint="b.js"} 1',
+            ]);
+        });
+
+        it("should not go down", () => {
+            // Arrange
+            const underTest = new Counter("renders_total", "Renders.", []);
+
+            // Act
+            const underTestFn = () => underTest.inc({}, -1);
+
+            // Assert
+            assert.throws(underTestFn, "Counter renders_total can't go down");
+        });
+
+        it("should require every label", () => {
+            // Arrange
+            const underTest = new Counter("renders_total", "Renders.", [
+                "entrypoint",
+            ]);
+
+            // Act
+            const underTestFn = () => underTest.inc({});
+
+            // Assert
+            assert.throws(
+                underTestFn,
+                "Missing label entrypoint for renders_total",
+            );
+        });
+
+        it("should escape label values", () => {
+            // Arrange
+            const underTest = new Counter("renders_total", "Renders.", [
+                "entrypoint",
+            ]);
+
+            // Act
+            underTest.inc({entrypoint: 'a\\"b"\n'});
+            const result = underTest.getSamples();
+
+            // Assert
+            assert.deepEqual(result, [
+                'renders_total{entrypoint="a\\\\\\"b\\"\\n"} 1',
+            ]);
+        });
+    });
+
+    describe("Gauge", () => {
+        it("should go up and down", () => {
+            // Arrange
+            const underTest = new Gauge("pending", "Pending.", []);
+
+            // Act
+            underTest.inc();
+            underTest.inc();
+            underTest.dec();
+            const result = underTest.getSamples();
+
+            // Assert
+            assert.deepEqual(result, ["pending 1"]);
+        });
+
+        it("should forget a series that is removed", () => {
+            // Arrange
+            const underTest = new Gauge("pending", "Pending.", ["entrypoint"]);
+            underTest.inc({entrypoint: "a.js"});
+            underTest.inc({entrypoint: "b.js"});
+
+            // Act
+            underTest.remove({entrypoint: "a.js"});
+            const result = underTest.getSamples();
+
+            // Assert
+            assert.deepEqual(result, ['pending{entrypoint="b.js"} 1']);
+            assert.equal(underTest.get({entrypoint: "a.js"}), 0);
+        });
+    });
+
+    describe("Histogram", () => {
+        it("should count observations into cumulative buckets", () => {
+            // Arrange
+            const underTest = new Histogram(
+                "duration_seconds",
+                "Durations.",
+                ["entrypoint"],
+                [1, 0.1],
+            );
+
+            // Act
+            underTest.observe({entrypoint: "a.js"}, 0.05);
+            underTest.observe({entrypoint: "a.js"}, 0.5);
+            underTest.observe({entrypoint: "a.js"}, 5);
+            const result = underTest.getSamples();
+
+            // Assert
+            assert.deepEqual(result, [
+                'duration_seconds_bucket{entrypoint="a.js",le="0.1"} 1',
+                'duration_seconds_bucket{entrypoint="a.js",le="1"} 2',
+                'duration_seconds_bucket{entrypoint="a.js",le="+Inf"} 3',
+                'duration_seconds_sum{entrypoint="a.js"} 5.55',
+                'duration_seconds_count{entrypoint="a.js"} 3',
+            ]);
+        });
+    });
+
+    describe("MetricsRegistry", () => {
+        it("should describe every metric", () => {
+            // Arrange
+            const underTest = new MetricsRegistry();
+            underTest
+                .register(new Counter("renders_total", "Renders.", []))
+                .inc();
+            underTest.register(new Gauge("pending", "Pending.", [])).set({}, 2);
+
+            // Act
+            const result = underTest.getMetrics();
+
+            // Assert
+            assert.equal(
+                result,
+                "# HELP renders_total Renders.\n" +
+                    "# TYPE renders_total counter\n" +
+                    "renders_total 1\n" +
+                    "# HELP pending Pending.\n" +
+                    "# TYPE pending gauge\n" +
+                    "pending 2\n",
+            );
+        });
+
+        it("should refuse two metrics with the same name", () => {
+            // Arrange
+            const underTest = new MetricsRegistry();
+            underTest.register(new Counter("renders_total", "Renders.", []));
+
+            // Act
+            const underTestFn = () =>
+                underTest.register(new Gauge("renders_total", "Renders.", []));
+
+            // Assert
+            assert.throws(
+                underTestFn,
+                "Metric renders_total is already registered",
+            );
+        });
+
+        it("should forget every series when reset", () => {
+            // Arrange
+            const underTest = new MetricsRegistry();
+            underTest
+                .register(new Counter("renders_total", "Renders.", []))
+                .inc();
+
+            // Act
+            underTest.reset();
+            const result = underTest.getMetrics();
+
+            // Assert
+            assert.equal(
+                result,
+                "# HELP renders_total Renders.\n" +
+                    "# TYPE renders_total counter\n",
+            );
+        });
+    });
+});
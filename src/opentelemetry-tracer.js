@@ -0,0 +1,203 @@
+// @flow
+/**
+ * Tracing with OpenTelemetry, for --tracing opentelemetry (see tracing.js).
+ *
+ * This puts the OpenTelemetry SDK behind our ITracer. We keep track of the
+ * current span with an AsyncLocalStorage, so that the spans started while
+ * handling a request are part of its trace. Traces are continued from, and
+ * passed on with, W3C traceparent headers. Spans of traces that whoever
+ * started them isn't sampling are not exported.
+ *
+ * Spans that have ended are handed to a span processor. createOtlpTracer
+ * sends them in batches to an OpenTelemetry collector with OTLP/HTTP. Tests
+ * can use the SDK's InMemorySpanExporter to see what was traced.
+ */
+import {
+    ROOT_CONTEXT,
+    SpanKind as OtelSpanKind,
+    SpanStatusCode,
+    defaultTextMapGetter,
+    defaultTextMapSetter,
+    trace,
+} from "@opentelemetry/api";
+import {AsyncLocalStorageContextManager} from "@opentelemetry/context-async-hooks";
+import {
+    W3CTraceContextPropagator,
+    globalErrorHandler,
+    setGlobalErrorHandler,
+} from "@opentelemetry/core";
+import {OTLPTraceExporter} from "@opentelemetry/exporter-trace-otlp-http";
+import {Resource} from "@opentelemetry/resources";
+import {
+    BasicTracerProvider,
+    BatchSpanProcessor,
+} from "@opentelemetry/sdk-trace-base";
+
+import type {Context, Span, Tracer} from "@opentelemetry/api";
+import type {SpanProcessor} from "@opentelemetry/sdk-trace-base";
+import type {
+    ISpan,
+    ITracer,
+    SpanAttributeValue,
+    SpanOptions,
+} from "./tracing.js";
+import type {Logger} from "./types.js";
+
+const OTEL_SPAN_KINDS = {
+    internal: OtelSpanKind.INTERNAL,
+    server: OtelSpanKind.SERVER,
+    client: OtelSpanKind.CLIENT,
+};
+
+const propagator = new W3CTraceContextPropagator();
+
+/**
+ * Get the traceparent header that continues the trace in the given context,
+ * if there is one.
+ */
+const getTraceparent = (context: Context): ?string => {
+    const carrier: {[name: string]: string, ...} = {};
+    propagator.inject(context, carrier, defaultTextMapSetter);
+    return carrier.traceparent != null ? carrier.traceparent : null;
+};
+
+class OpenTelemetrySpan implements ISpan {
+    +span: Span;
+    _ended: boolean;
+
+    constructor(span: Span) {
+        this.span = span;
+        this._ended = false;
+    }
+
+    get traceparent(): ?string {
+        return getTraceparent(trace.setSpan(ROOT_CONTEXT, this.span));
+    }
+
+    setAttribute(name: string, value: SpanAttributeValue): void {
+        this.span.setAttribute(name, value);
+    }
+
+    recordError(error: mixed): void {
+        this.span.setStatus({
+            code: SpanStatusCode.ERROR,
+            message: error instanceof Error ? error.message : String(error),
+        });
+    }
+
+    end(): void {
+        if (this._ended) {
+            return;
+        }
+        this._ended = true;
+        this.span.end();
+    }
+}
+
+export class OpenTelemetryTracer implements ITracer {
+    _provider: BasicTracerProvider;
+    _tracer: Tracer;
+    _contextManager: AsyncLocalStorageContextManager;
+
+    /**
+     * @param {SpanProcessor} spanProcessor - What to do with spans that have
+     * ended, such as export them.
+     */
+    constructor(spanProcessor: SpanProcessor) {
+        this._provider = new BasicTracerProvider({
+            resource: new Resource({
+                "service.name":
+                    process.env.GAE_SERVICE || "react-render-server",
+            }),
+        });
+        this._provider.addSpanProcessor(spanProcessor);
+        this._tracer = this._provider.getTracer("react-render-server");
+        this._contextManager = new AsyncLocalStorageContextManager().enable();
+    }
+
+    _createSpan(name: string, parent: Context, options?: SpanOptions): ISpan {
+        const kind = (options && options.kind) || "internal";
+        return new OpenTelemetrySpan(
+            this._tracer.startSpan(
+                name,
+                {
+                    kind: OTEL_SPAN_KINDS[kind],
+                    attributes: {...(options && options.attributes)},
+                },
+                parent,
+            ),
+        );
+    }
+
+    startSpan(name: string, options?: SpanOptions): ISpan {
+        return this._createSpan(name, this._contextManager.active(), options);
+    }
+
+    startRequestSpan(
+        name: string,
+        traceparent: ?string,
+        options?: SpanOptions,
+    ): ISpan {
+        const parent = propagator.extract(
+            ROOT_CONTEXT,
+            traceparent != null ? {traceparent} : {},
+            defaultTextMapGetter,
+        );
+        return this._createSpan(name, parent, options);
+    }
+
+    withSpan<T>(span: ISpan, fn: () => T): T {
+        if (!(span instanceof OpenTelemetrySpan)) {
+            return fn();
+        }
+        return this._contextManager.with(
+            trace.setSpan(this._contextManager.active(), span.span),
+            fn,
+        );
+    }
+
+    bind<F: Function>(fn: F): F {
+        const current = this._contextManager.active();
+        if (trace.getSpan(current) == null) {
+            return fn;
+        }
+        return this._contextManager.bind(current, fn);
+    }
+
+    getTraceparent(): ?string {
+        return getTraceparent(this._contextManager.active());
+    }
+
+    shutdown(): Promise<void> {
+        this._contextManager.disable();
+        // Spans that we can't export are reported to the global error
+        // handler, like they are when the SDK exports them by itself.
+        return this._provider.shutdown().catch(globalErrorHandler);
+    }
+}
+
+/**
+ * Make a tracer that exports spans to an OpenTelemetry collector with
+ * OTLP/HTTP, in batches.
+ *
+ * A batch that can't be sent is logged and dropped; tracing is not worth
+ * failing, or piling up, for.
+ *
+ * @param {string} endpoint - The URL to POST spans to, such as
+ * http://localhost:4318/v1/traces.
+ */
+export const createOtlpTracer = (
+    endpoint: string,
+    logging: Logger,
+): ITracer => {
+    setGlobalErrorHandler((error: mixed) =>
+        logging.warn(
+            `Unable to export spans to ${endpoint}: ${
+                error instanceof Error ? error.message : String(error)
+            }`,
+        ),
+    );
+    return new OpenTelemetryTracer(
+        new BatchSpanProcessor(new OTLPTraceExporter({url: endpoint})),
+    );
+};
@@ -0,0 +1,236 @@
+// @flow
+import {assert} from "chai";
+import nock from "nock";
+import sinon from "sinon";
+import {SpanKind, SpanStatusCode} from "@opentelemetry/api";
+import {
+    InMemorySpanExporter,
+    SimpleSpanProcessor,
+} from "@opentelemetry/sdk-trace-base";
+import {rootLogger} from "./logging.js";
+import {OpenTelemetryTracer, createOtlpTracer} from "./opentelemetry-tracer.js";
+
+describe("OpenTelemetryTracer", () => {
+    const INCOMING_TRACEPARENT =
+        "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01";
+
+    let exporter;
+    let tracer;
+
+    beforeEach(() => {
+        exporter = new InMemorySpanExporter();
+        tracer = new OpenTelemetryTracer(new SimpleSpanProcessor(exporter));
+    });
+
+    it("should export spans when they end", () => {
+        // Arrange
+        const span = tracer.startSpan("doing foo", {
+            attributes: {url: "https://www.ka.org/ok.js"},
+        });
+        span.setAttribute("cached", true);
+
+        // Act
+        span.end();
+        span.end();
+
+        // Assert
+        const result = exporter.getFinishedSpans();
+        assert.lengthOf(result, 1);
+        assert.equal(result[0].name, "doing foo");
+        assert.equal(result[0].kind, SpanKind.INTERNAL);
+        assert.isUndefined(result[0].parentSpanId);
+        assert.equal(result[0].status.code, SpanStatusCode.UNSET);
+        assert.deepEqual(result[0].attributes, {
+            url: "https://www.ka.org/ok.js",
+            cached: true,
+        });
+    });
+
+    it("should mark spans that failed", () => {
+        // Arrange
+        const span = tracer.startSpan("doing foo");
+
+        // Act
+        span.recordError(new Error("Oh no"));
+        span.end();
+
+        // Assert
+        const [result] = exporter.getFinishedSpans();
+        assert.deepEqual(result.status, {
+            code: SpanStatusCode.ERROR,
+            message: "Oh no",
+        });
+    });
+
+    it("should continue the trace from an incoming traceparent", () => {
+        // Arrange
+        const span = tracer.startRequestSpan(
+            "POST /render",
+            INCOMING_TRACEPARENT,
+            {kind: "server"},
+        );
+
+        // Act
+        span.end();
+
+        // Assert
+        const [result] = exporter.getFinishedSpans();
+        assert.equal(
+            result.spanContext().traceId,
+            "0af7651916cd43dd8448eb211c80319c",
+        );
+        assert.equal(result.parentSpanId, "b7ad6b7169203331");
+        assert.equal(result.kind, SpanKind.SERVER);
+    });
+
+    it("should start a new trace for an invalid traceparent", () => {
+        // Arrange
+        const span = tracer.startRequestSpan("POST /render", "garbage");
+
+        // Act
+        span.end();
+
+        // Assert
+        const [result] = exporter.getFinishedSpans();
+        assert.match(result.spanContext().traceId, /^[0-9a-f]{32}$/);
+        assert.isUndefined(result.parentSpanId);
+    });
+
+    it("should not export spans of traces that aren't sampled", () => {
+        // Arrange
+        const span = tracer.startRequestSpan(
+            "POST /render",
+            "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00",
+        );
+
+        // Act
+        span.end();
+
+        // Assert
+        assert.isEmpty(exporter.getFinishedSpans());
+    });
+
+    it("should make spans children of the current span", async () => {
+        // Arrange
+        const parent = tracer.startRequestSpan(
+            "POST /render",
+            INCOMING_TRACEPARENT,
+        );
+
+        // Act
+        await tracer.withSpan(parent, async () => {
+            await Promise.resolve();
+            tracer.startSpan("fetching").end();
+        });
+        parent.end();
+
+        // Assert
+        const [child, result] = exporter.getFinishedSpans();
+        assert.equal(child.spanContext().traceId, result.spanContext().traceId);
+        assert.equal(child.parentSpanId, result.spanContext().spanId);
+    });
+
+    it("should give the traceparent of the current span", () => {
+        // Arrange
+        const span = tracer.startRequestSpan(
+            "POST /render",
+            INCOMING_TRACEPARENT,
+        );
+
+        // Act
+        const result = tracer.withSpan(span, () => tracer.getTraceparent());
+
+        // Assert
+        assert.equal(result, span.traceparent);
+        assert.match(
+            result || "",
+            /^00-0af7651916cd43dd8448eb211c80319c-[0-9a-f]{16}-01$/,
+        );
+    });
+
+    it("should have no traceparent outside of a span", () => {
+        // Act
+        const result = tracer.getTraceparent();
+
+        // Assert
+        assert.isNull(result);
+    });
+
+    it("should call bound functions with the span that was current", () => {
+        // Arrange
+        const span = tracer.startRequestSpan(
+            "POST /render",
+            INCOMING_TRACEPARENT,
+        );
+        const bound = tracer.withSpan(span, () =>
+            tracer.bind(
+                (suffix: string) => `${tracer.getTraceparent() || ""}${suffix}`,
+            ),
+        );
+
+        // Act
+        const result = bound("!");
+
+        // Assert
+        assert.equal(result, `${span.traceparent || ""}!`);
+    });
+});
+
+describe("createOtlpTracer", () => {
+    before(() => {
+        nock.disableNetConnect();
+        nock.enableNetConnect("127.0.0.1");
+    });
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    it("should send the spans that are waiting when shut down", async () => {
+        // Arrange
+        const scope = nock("http://collector:4318")
+            .post(
+                "/v1/traces",
+                (body) =>
+                    body.resourceSpans[0].scopeSpans[0].spans.length === 2,
+            )
+            .reply(200, {});
+        const tracer = createOtlpTracer(
+            "http://collector:4318/v1/traces",
+            rootLogger,
+        );
+        tracer.startSpan("doing foo").end();
+        tracer.startSpan("doing bar").end();
+
+        // Act
+        await tracer.shutdown();
+
+        // Assert
+        scope.done();
+    });
+
+    it("should log spans that it can't send", async () => {
+        // Arrange
+        const warnStub = sinon.stub(rootLogger, "warn");
+        nock("http://collector:4318")
+            .post("/v1/traces")
+            .reply(503, {});
+        const tracer = createOtlpTracer(
+            "http://collector:4318/v1/traces",
+            rootLogger,
+        );
+        tracer.startSpan("doing foo").end();
+
+        // Act
+        await tracer.shutdown();
+
+        // Assert
+        sinon.assert.calledWith(
+            warnStub,
+            sinon.match(
+                "Unable to export spans to http://collector:4318/v1/traces",
+            ),
+        );
+    });
+});
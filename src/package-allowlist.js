@@ -0,0 +1,107 @@
+// @flow
+/**
+ * Which package URLs we are allowed to fetch.
+ *
+ * We execute the packages that we fetch, so we only fetch packages from the
+ * places that we have been told to trust. Those are given by the
+ * --allowed-package-url argument (which can be given more than once) and by
+ * the file given by --allowed-package-urls-file, which lists one allowed URL
+ * per line. Blank lines and lines starting with # are ignored.
+ *
+ * An allowed URL like "https://cdn.example.com" allows anything from that
+ * origin, while "https://cdn.example.com/genfiles/" only allows things
+ * under that path. If no URLs are allowed at all, every URL is allowed.
+ */
+import fs from "fs";
+import {URL} from "url";
+
+import args from "./arguments.js";
+
+type AllowlistEntry = {
+    origin: string,
+    pathPrefix: string,
+};
+
+export class PackageUrlNotAllowedError extends Error {
+    url: string;
+
+    constructor(url: string) {
+        super(`Package URL is not allowed: ${url}`);
+        this.name = "PackageUrlNotAllowedError";
+        this.url = url;
+    }
+}
+
+const parseEntry = (allowedUrl: string): AllowlistEntry => {
+    const {origin, pathname} = new URL(allowedUrl);
+    return {
+        origin,
+        // A prefix of "/" allows everything on the origin, so there's
+        // no need to treat a URL with no path differently.
+        pathPrefix: pathname.endsWith("/") ? pathname : `${pathname}/`,
+    };
+};
+
+const readAllowlistFile = (filePath: string): Array<string> =>
+    fs
+        .readFileSync(filePath, "utf8")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line !== "" && !line.startsWith("#"));
+
+let cachedAllowlist: ?{
+    source: string,
+    entries: Array<AllowlistEntry>,
+} = null;
+
+/**
+ * Get the allowlist, reading the allowlist file the first time it is
+ * needed.
+ */
+const getAllowlist = (): Array<AllowlistEntry> => {
+    const allowedUrls = args.allowedPackageUrls;
+    const allowlistFile = args.allowedPackageUrlsFile;
+    const source = JSON.stringify([allowedUrls, allowlistFile]);
+    if (cachedAllowlist == null || cachedAllowlist.source !== source) {
+        const fromFile = allowlistFile ? readAllowlistFile(allowlistFile) : [];
+        cachedAllowlist = {
+            source,
+            entries: allowedUrls.concat(fromFile).map(parseEntry),
+        };
+    }
+    return cachedAllowlist.entries;
+};
+
+/**
+ * Determine if we are allowed to fetch a package from the given URL.
+ */
+export const isAllowedPackageUrl = (url: string): boolean => {
+    const allowlist = getAllowlist();
+    if (allowlist.length === 0) {
+        return true;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+    const {origin, pathname} = parsed;
+    return allowlist.some(
+        (entry) =>
+            entry.origin === origin &&
+            (pathname.startsWith(entry.pathPrefix) ||
+                `${pathname}/` === entry.pathPrefix),
+    );
+};
+
+/**
+ * Throw a PackageUrlNotAllowedError if we are not allowed to fetch a package
+ * from the given URL.
+ */
+export const assertAllowedPackageUrl = (url: string): void => {
+    if (!isAllowedPackageUrl(url)) {
+        throw new PackageUrlNotAllowedError(url);
+    }
+};
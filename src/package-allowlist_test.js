@@ -0,0 +1,134 @@
+// @flow
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {assert} from "chai";
+import sinon from "sinon";
+import args from "./arguments.js";
+import {
+    PackageUrlNotAllowedError,
+    assertAllowedPackageUrl,
+    isAllowedPackageUrl,
+} from "./package-allowlist.js";
+
+describe("package-allowlist", () => {
+    const allowUrls = (urls: Array<string>) =>
+        sinon.stub(args, "allowedPackageUrls").get(() => urls);
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("#isAllowedPackageUrl", () => {
+        it("should allow every URL when nothing is allowed", () => {
+            // Arrange
+            allowUrls([]);
+
+            // Act
+            const result = isAllowedPackageUrl("https://evil.example.com/a.js");
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should allow anything from an allowed origin", () => {
+            // Arrange
+            allowUrls(["https://cdn.example.com"]);
+
+            // Act
+            const result = isAllowedPackageUrl(
+                "https://cdn.example.com/genfiles/a.js",
+            );
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should not allow other origins", () => {
+            // Arrange
+            allowUrls(["https://cdn.example.com"]);
+
+            // Act
+            const results = [
+                "http://cdn.example.com/a.js",
+                "https://cdn.example.com:8080/a.js",
+                "https://cdn.example.com.evil.com/a.js",
+                "https://evil.com/cdn.example.com/a.js",
+            ].map(isAllowedPackageUrl);
+
+            // Assert
+            assert.deepEqual(results, [false, false, false, false]);
+        });
+
+        it("should only allow URLs under an allowed path", () => {
+            // Arrange
+            allowUrls(["https://cdn.example.com/genfiles"]);
+
+            // Act
+            const results = [
+                "https://cdn.example.com/genfiles/a.js",
+                "https://cdn.example.com/genfiles-evil/a.js",
+                "https://cdn.example.com/a.js",
+                "https://cdn.example.com/genfiles/../a.js",
+            ].map(isAllowedPackageUrl);
+
+            // Assert
+            assert.deepEqual(results, [true, false, false, false]);
+        });
+
+        it("should not allow URLs that are not valid", () => {
+            // Arrange
+            allowUrls(["https://cdn.example.com"]);
+
+            // Act
+            const result = isAllowedPackageUrl("/genfiles/a.js");
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should allow URLs listed in the allowlist file", () => {
+            // Arrange
+            const allowlistPath = path.join(
+                fs.mkdtempSync(path.join(os.tmpdir(), "rrs-allowlist-")),
+                "allowlist",
+            );
+            fs.writeFileSync(
+                allowlistPath,
+                "# Our CDN\n\nhttps://cdn.example.com/genfiles/\n",
+            );
+            allowUrls([]);
+            sinon.stub(args, "allowedPackageUrlsFile").get(() => allowlistPath);
+
+            // Act
+            const results = [
+                "https://cdn.example.com/genfiles/a.js",
+                "https://cdn.example.com/a.js",
+            ].map(isAllowedPackageUrl);
+
+            // Assert
+            assert.deepEqual(results, [true, false]);
+            fs.unlinkSync(allowlistPath);
+            fs.rmdirSync(path.dirname(allowlistPath));
+        });
+    });
+
+    describe("#assertAllowedPackageUrl", () => {
+        it("should throw a PackageUrlNotAllowedError naming the URL", () => {
+            // Arrange
+            allowUrls(["https://cdn.example.com"]);
+
+            // Act
+            const underTest = () =>
+                assertAllowedPackageUrl("https://evil.com/a.js");
+
+            // Assert
+            assert.throws(
+                underTest,
+                PackageUrlNotAllowedError,
+                "Package URL is not allowed: https://evil.com/a.js",
+            );
+        });
+    });
+});
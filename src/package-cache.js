@@ -0,0 +1,32 @@
+// @flow
+/**
+ * Create the cache that fetched packages are kept in.
+ *
+ * The backend is chosen by the --package-cache argument:
+ *   - "memory" keeps packages in memory, so they are lost on restart.
+ *   - "filesystem" keeps packages on disk in --package-cache-dir, so that
+ *     they survive restarts and deploys.
+ * Either way, the cache holds at most --package-cache-size megabytes,
+ * evicting the least recently used packages to stay within that.
+ *
+ * Any backend must implement IPackageCache (see types.js), which is what
+ * superagent-cache-plugin expects of a cache, plus `flushUnused`,
+ * `flushMatching`, `getStats` and `getEntries`.
+ */
+import args from "./arguments.js";
+import {FileSystemPackageCache} from "./file-system-package-cache.js";
+import {MemoryPackageCache} from "./memory-package-cache.js";
+
+import type {IPackageCache} from "./types.js";
+
+export default function createPackageCache(): IPackageCache {
+    const maxBytes = args.packageCacheSize * 1024 * 1024;
+    switch (args.packageCache) {
+        case "filesystem":
+            return new FileSystemPackageCache(args.packageCacheDir, maxBytes);
+
+        case "memory":
+        default:
+            return new MemoryPackageCache(maxBytes);
+    }
+}
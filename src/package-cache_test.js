@@ -0,0 +1,46 @@
+// @flow
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {assert} from "chai";
+import sinon from "sinon";
+import args from "./arguments.js";
+import createPackageCache from "./package-cache.js";
+import {FileSystemPackageCache} from "./file-system-package-cache.js";
+import {MemoryPackageCache} from "./memory-package-cache.js";
+
+describe("createPackageCache", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should create an in-memory cache of the configured size by default", () => {
+        // Arrange
+        sinon.stub(args, "packageCacheSize").get(() => 2);
+
+        // Act
+        const result = createPackageCache();
+
+        // Assert
+        assert.instanceOf(result, MemoryPackageCache);
+        assert.equal(result.getStats().maxSize, 2 * 1024 * 1024);
+    });
+
+    it("should create a filesystem cache in the configured directory", () => {
+        // Arrange
+        const cacheDir = fs.mkdtempSync(
+            path.join(os.tmpdir(), "rrs-packages-"),
+        );
+        sinon.stub(args, "packageCache").get(() => "filesystem");
+        sinon.stub(args, "packageCacheDir").get(() => cacheDir);
+
+        // Act
+        const result = createPackageCache();
+
+        // Assert
+        assert.instanceOf(result, FileSystemPackageCache);
+        assert.equal((result: any)._dir, cacheDir);
+        fs.rmdirSync(cacheDir);
+    });
+});
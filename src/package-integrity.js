@@ -0,0 +1,128 @@
+// @flow
+/**
+ * Subresource integrity checks for the packages that we fetch.
+ *
+ * A render request can give the expected hashes of its packages, in the
+ * same syntax as the HTML `integrity` attribute: a whitespace-separated list
+ * of hashes like "sha384-<base64 digest>". As with browsers, only the
+ * strongest algorithm in the list is used, and the content matches if it
+ * matches any of the hashes for that algorithm. Hashes for algorithms that
+ * we don't support are ignored.
+ *
+ * See https://www.w3.org/TR/SRI/ for the details.
+ */
+import crypto from "crypto";
+
+import type {IntegrityMap} from "./types.js";
+
+type IntegrityHash = {
+    algorithm: string,
+    digest: string,
+};
+
+// The algorithms that we support, weakest first.
+const ALGORITHMS = ["sha256", "sha384", "sha512"];
+
+const HASH_REGEX = /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})(?:\?.*)?$/;
+
+export class IntegrityMismatchError extends Error {
+    url: string;
+    integrity: string;
+
+    constructor(url: string, integrity: string) {
+        super(
+            `Integrity check failed for ${url}: ` +
+                `content does not match "${integrity}"`,
+        );
+        this.name = "IntegrityMismatchError";
+        this.url = url;
+        this.integrity = integrity;
+    }
+}
+
+/**
+ * Determine if an error is an IntegrityMismatchError.
+ *
+ * This checks the name rather than the class, since errors from render
+ * workers are rebuilt as plain errors on the main thread.
+ */
+export const isIntegrityMismatchError = (err: any): boolean %checks =>
+    err != null && err.name === "IntegrityMismatchError";
+
+/**
+ * Get the hashes from integrity metadata that we can check, which are the
+ * ones for the strongest algorithm that it uses.
+ */
+const getStrongestHashes = (integrity: string): Array<IntegrityHash> => {
+    const hashes = integrity
+        .trim()
+        .split(/\s+/)
+        .map((token) => HASH_REGEX.exec(token))
+        .filter(Boolean)
+        .map(([_, algorithm, digest]) => ({algorithm, digest}));
+    const strongest = Math.max(
+        -1,
+        ...hashes.map(({algorithm}) => ALGORITHMS.indexOf(algorithm)),
+    );
+    return hashes.filter(
+        ({algorithm}) => ALGORITHMS.indexOf(algorithm) === strongest,
+    );
+};
+
+/**
+ * Determine if integrity metadata has any hashes that we can check.
+ */
+export const isValidIntegrity = (integrity: mixed): boolean =>
+    typeof integrity === "string" && getStrongestHashes(integrity).length > 0;
+
+/**
+ * Determine if an integrity map, as given in a render request, is valid: an
+ * object of URLs to integrity metadata that we can check.
+ */
+export const isValidIntegrityMap = (integrityMap: mixed): boolean =>
+    integrityMap != null &&
+    typeof integrityMap === "object" &&
+    !Array.isArray(integrityMap) &&
+    Object.keys(integrityMap).every((url) =>
+        isValidIntegrity(integrityMap[url]),
+    );
+
+/**
+ * Determine if some content matches the given integrity metadata.
+ */
+export const matchesIntegrity = (content: string, integrity: string): boolean =>
+    getStrongestHashes(integrity).some(
+        ({algorithm, digest}) =>
+            crypto
+                .createHash(algorithm)
+                .update(content, "utf8")
+                .digest("base64") === digest,
+    );
+
+/**
+ * Throw an IntegrityMismatchError if the content of a package doesn't
+ * match the given integrity metadata. If there is no metadata, there is
+ * nothing to check.
+ */
+export const verifyIntegrity = (
+    url: string,
+    content: string,
+    integrity: ?string,
+): void => {
+    if (integrity != null && !matchesIntegrity(content, integrity)) {
+        throw new IntegrityMismatchError(url, integrity);
+    }
+};
+
+/**
+ * Get the integrity metadata for a URL from an integrity map, if it has
+ * any.
+ */
+export const getIntegrity = (
+    integrityMap: ?IntegrityMap,
+    url: string,
+): ?string =>
+    integrityMap != null &&
+    Object.prototype.hasOwnProperty.call(integrityMap, url)
+        ? integrityMap[url]
+        : null;
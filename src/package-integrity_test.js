@@ -0,0 +1,257 @@
+// @flow
+import crypto from "crypto";
+
+import {assert} from "chai";
+import {
+    IntegrityMismatchError,
+    getIntegrity,
+    isIntegrityMismatchError,
+    isValidIntegrity,
+    isValidIntegrityMap,
+    matchesIntegrity,
+    verifyIntegrity,
+} from "./package-integrity.js";
+
+describe("package-integrity", () => {
+    const CONTENT = "window.__rendered = true;";
+    const hash = (algorithm: string, content: string = CONTENT): string =>
+        `${algorithm}-${crypto
+            .createHash(algorithm)
+            .update(content)
+            .digest("base64")}`;
+
+    describe("#matchesIntegrity", () => {
+        it("should match a sha256 hash of the content", () => {
+            // Arrange
+            const integrity = hash("sha256");
+
+            // Act
+            const result = matchesIntegrity(CONTENT, integrity);
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should match a sha384 hash of the content", () => {
+            // Arrange
+            const integrity = hash("sha384");
+
+            // Act
+            const result = matchesIntegrity(CONTENT, integrity);
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should not match a hash of other content", () => {
+            // Arrange
+            const integrity = hash("sha384", "window.__evil = true;");
+
+            // Act
+            const result = matchesIntegrity(CONTENT, integrity);
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should match any of the hashes for an algorithm", () => {
+            // Arrange
+            const integrity = `${hash("sha384", "old")}  ${hash("sha384")}`;
+
+            // Act
+            const result = matchesIntegrity(CONTENT, integrity);
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should only use the strongest algorithm", () => {
+            // Arrange
+            const integrity = `${hash("sha256")} ${hash("sha384", "other")}`;
+
+            // Act
+            const result = matchesIntegrity(CONTENT, integrity);
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should ignore options on a hash", () => {
+            // Arrange
+            const integrity = `${hash("sha256")}?some-option`;
+
+            // Act
+            const result = matchesIntegrity(CONTENT, integrity);
+
+            // Assert
+            assert.isTrue(result);
+        });
+    });
+
+    describe("#isValidIntegrity", () => {
+        it("should be true for a supported hash", () => {
+            // Arrange
+            const integrity = `md5-abc= ${hash("sha512")}`;
+
+            // Act
+            const result = isValidIntegrity(integrity);
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should be false without a supported hash", () => {
+            // Arrange
+            const integrity = "md5-abc=";
+
+            // Act
+            const result = isValidIntegrity(integrity);
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should be false for a non-string", () => {
+            // Act
+            const result = isValidIntegrity(42);
+
+            // Assert
+            assert.isFalse(result);
+        });
+    });
+
+    describe("#isValidIntegrityMap", () => {
+        it("should be true for URLs to valid integrity metadata", () => {
+            // Arrange
+            const integrityMap = {"https://cdn.ka.org/a.js": hash("sha256")};
+
+            // Act
+            const result = isValidIntegrityMap(integrityMap);
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should be false if any integrity metadata is invalid", () => {
+            // Arrange
+            const integrityMap = {
+                "https://cdn.ka.org/a.js": hash("sha256"),
+                "https://cdn.ka.org/b.js": "not-a-hash",
+            };
+
+            // Act
+            const result = isValidIntegrityMap(integrityMap);
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should be false for an array", () => {
+            // Act
+            const result = isValidIntegrityMap([hash("sha256")]);
+
+            // Assert
+            assert.isFalse(result);
+        });
+    });
+
+    describe("#verifyIntegrity", () => {
+        it("should do nothing if the content matches", () => {
+            // Arrange
+            const integrity = hash("sha384");
+
+            // Act
+            const underTest = () =>
+                verifyIntegrity("https://cdn.ka.org/a.js", CONTENT, integrity);
+
+            // Assert
+            assert.doesNotThrow(underTest);
+        });
+
+        it("should do nothing without integrity metadata", () => {
+            // Act
+            const underTest = () =>
+                verifyIntegrity("https://cdn.ka.org/a.js", CONTENT, null);
+
+            // Assert
+            assert.doesNotThrow(underTest);
+        });
+
+        it("should throw an IntegrityMismatchError on a mismatch", () => {
+            // Arrange
+            const integrity = hash("sha384", "other");
+
+            // Act
+            const underTest = () =>
+                verifyIntegrity("https://cdn.ka.org/a.js", CONTENT, integrity);
+
+            // Assert
+            assert.throws(
+                underTest,
+                IntegrityMismatchError,
+                "Integrity check failed for https://cdn.ka.org/a.js",
+            );
+        });
+    });
+
+    describe("#isIntegrityMismatchError", () => {
+        it("should be true for an error named IntegrityMismatchError", () => {
+            // Arrange
+            const error = Object.assign(new Error("Bad"), {
+                name: "IntegrityMismatchError",
+            });
+
+            // Act
+            const result = isIntegrityMismatchError(error);
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should be false for other errors", () => {
+            // Act
+            const result = isIntegrityMismatchError(new Error("Bad"));
+
+            // Assert
+            assert.isFalse(result);
+        });
+    });
+
+    describe("#getIntegrity", () => {
+        it("should get the integrity metadata for a URL", () => {
+            // Arrange
+            const integrityMap = {"https://cdn.ka.org/a.js": "sha256-abc="};
+
+            // Act
+            const result = getIntegrity(
+                integrityMap,
+                "https://cdn.ka.org/a.js",
+            );
+
+            // Assert
+            assert.equal(result, "sha256-abc=");
+        });
+
+        it("should be null for a URL that isn't in the map", () => {
+            // Arrange
+            const integrityMap = {"https://cdn.ka.org/a.js": "sha256-abc="};
+
+            // Act
+            const result = getIntegrity(
+                integrityMap,
+                "https://cdn.ka.org/b.js",
+            );
+
+            // Assert
+            assert.isNull(result);
+        });
+
+        it("should be null without a map", () => {
+            // Act
+            const result = getIntegrity(null, "https://cdn.ka.org/a.js");
+
+            // Assert
+            assert.isNull(result);
+        });
+    });
+});
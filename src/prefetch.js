@@ -0,0 +1,191 @@
+// @flow
+/**
+ * Fetching packages before they are needed.
+ *
+ * Otherwise, a new instance pays the full cost of fetching every package on
+ * its first render of it. /prefetch pulls packages into the package cache
+ * and can also evaluate them in a render context for later renders to reuse
+ * (see warmRenderContexts in render-worker-pool.js). Evaluating packages is
+ * as much work as a render, so it waits for a turn like a render does (see
+ * admission-control.js).
+ *
+ * At startup, we do the same for each set of packages in the file given by
+ * --warmup-manifest, and /_ah/health doesn't report that we are ready until
+ * we are done. The manifest is a JSON array of sets of package URLs, each
+ * being the packages of a render, in order:
+ * [
+ *     [
+ *         "https://cdn.example.com/genfiles/runtime.js",
+ *         "https://cdn.example.com/genfiles/entrypoint.js"
+ *     ],
+ *     ...
+ * ]
+ */
+import fs from "fs";
+
+import admissionControl from "./admission-control.js";
+import fetchPackage from "./fetch_package.js";
+import {getIntegrity} from "./package-integrity.js";
+import {warmRenderContexts} from "./render-worker-pool.js";
+
+import type {Globals, IntegrityMap, Logger} from "./types.js";
+
+export type PrefetchOptions = {
+    integrity?: ?IntegrityMap,
+    // Whether to evaluate the packages in a render context too.
+    warm?: ?boolean,
+    // The globals to evaluate the packages with.
+    globals?: ?Globals,
+};
+
+export type PrefetchResult = {
+    // The URLs that were fetched, or already cached.
+    fetched: Array<string>,
+    // The URLs that couldn't be fetched, and why.
+    failed: Array<{url: string, error: string}>,
+    // Whether the packages were evaluated in a render context. We only do
+    // that if they were all fetched.
+    warmed: boolean,
+    // Why evaluating the packages failed, if it did.
+    warmError: ?string,
+};
+
+const DEFAULT_LOCATION = "http://www.khanacademy.org";
+
+/**
+ * Fetch packages into the package cache and, if asked, evaluate them in a
+ * render context.
+ *
+ * If we are too busy to evaluate them, we reject with the AdmissionError
+ * that we were refused with.
+ *
+ * @param {Array<string>} urls - The package URLs, in the order that they
+ * are evaluated in.
+ */
+export const prefetchPackages = async (
+    logging: Logger,
+    urls: Array<string>,
+    {integrity, warm, globals}: PrefetchOptions = {},
+): Promise<PrefetchResult> => {
+    const fetches = await Promise.all(
+        urls.map((url) =>
+            fetchPackage(
+                logging,
+                url,
+                "PREFETCH",
+                undefined,
+                getIntegrity(integrity, url),
+            ).then(
+                (jsPackage) => ({url, jsPackage, error: null}),
+                (err) => ({url, jsPackage: null, error: err}),
+            ),
+        ),
+    );
+
+    const result: PrefetchResult = {
+        fetched: [],
+        failed: [],
+        warmed: false,
+        warmError: null,
+    };
+    const jsPackages = [];
+    fetches.forEach(({url, jsPackage, error}) => {
+        if (jsPackage != null) {
+            result.fetched.push(url);
+            jsPackages.push(jsPackage);
+        } else {
+            const message = (error && error.message) || "Unknown error";
+            logging.error(`Unable to prefetch ${url}: ${message}`);
+            result.failed.push({url, error: message});
+        }
+    });
+
+    if (warm && result.failed.length === 0) {
+        await admissionControl.admit(logging);
+        try {
+            await warmRenderContexts(
+                logging,
+                jsPackages,
+                globals || {location: DEFAULT_LOCATION},
+            );
+            result.warmed = true;
+        } catch (err) {
+            logging.error(`Unable to warm render context: ${err.message}`);
+            result.warmError = err.message;
+        } finally {
+            admissionControl.release();
+        }
+    }
+    return result;
+};
+
+const isValidManifest = (manifest: mixed): boolean =>
+    Array.isArray(manifest) &&
+    manifest.every(
+        (urls) =>
+            Array.isArray(urls) && urls.every((url) => typeof url === "string"),
+    );
+
+/**
+ * Read a warmup manifest.
+ */
+const readManifest = (manifestPath: string): Promise<Array<Array<string>>> =>
+    new Promise((resolve, reject) =>
+        fs.readFile(manifestPath, "utf8", (err: ?Error, contents: string) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            let manifest;
+            try {
+                manifest = JSON.parse(contents);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+            if (!isValidManifest(manifest)) {
+                reject(
+                    new Error(
+                        "Warmup manifest must be an array of arrays of package URLs",
+                    ),
+                );
+                return;
+            }
+            resolve((manifest: any));
+        }),
+    );
+
+let warmingUp = false;
+
+/**
+ * Determine if we have finished warming up, if we were asked to.
+ */
+export const isWarmedUp = (): boolean => !warmingUp;
+
+/**
+ * Prefetch and evaluate each set of packages in a warmup manifest, one set
+ * at a time. Until this is done, isWarmedUp() is false.
+ *
+ * Problems are logged rather than thrown: a package we can't warm up
+ * shouldn't keep us from serving everything else.
+ */
+export const warmUp = async (
+    logging: Logger,
+    manifestPath: string,
+): Promise<void> => {
+    warmingUp = true;
+    try {
+        const manifest = await readManifest(manifestPath);
+        logging.info(
+            `Warming up ${manifest.length} sets of packages from ${manifestPath}`,
+        );
+        for (const urls of manifest) {
+            await prefetchPackages(logging, urls, {warm: true});
+        }
+        logging.info("Warmed up");
+    } catch (err) {
+        logging.error(`Unable to warm up from ${manifestPath}: ${err.message}`);
+    } finally {
+        warmingUp = false;
+    }
+};
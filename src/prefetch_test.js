@@ -0,0 +1,254 @@
+// @flow
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {assert} from "chai";
+import nock from "nock";
+import sinon from "sinon";
+import admissionControl, {AdmissionError} from "./admission-control.js";
+import {rootLogger as logging} from "./logging.js";
+import * as renderWorkerPool from "./render-worker-pool.js";
+import {isWarmedUp, prefetchPackages, warmUp} from "./prefetch.js";
+
+describe("prefetch", () => {
+    let mockScope;
+    let warmStub;
+
+    before(() => {
+        nock.disableNetConnect();
+        nock.enableNetConnect("127.0.0.1");
+    });
+
+    beforeEach(() => {
+        mockScope = nock("https://www.ka.org");
+        warmStub = sinon
+            .stub(renderWorkerPool, "warmRenderContexts")
+            .resolves();
+        sinon.stub(logging, "error");
+    });
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    describe("#prefetchPackages", () => {
+        it("should fetch every package", async () => {
+            // Arrange
+            mockScope.get("/a.js").reply(200, "var a;");
+            mockScope.get("/b.js").reply(200, "var b;");
+
+            // Act
+            const result = await prefetchPackages(logging, [
+                "https://www.ka.org/a.js",
+                "https://www.ka.org/b.js",
+            ]);
+
+            // Assert
+            assert.deepEqual(result, {
+                fetched: ["https://www.ka.org/a.js", "https://www.ka.org/b.js"],
+                failed: [],
+                warmed: false,
+                warmError: null,
+            });
+            mockScope.done();
+        });
+
+        it("should report the packages that can't be fetched", async () => {
+            // Arrange
+            mockScope.get("/a.js").reply(200, "var a;");
+            mockScope
+                .get("/b.js")
+                .times(3)
+                .reply(404, "Not found");
+
+            // Act
+            const result = await prefetchPackages(logging, [
+                "https://www.ka.org/a.js",
+                "https://www.ka.org/b.js",
+            ]);
+
+            // Assert
+            assert.deepEqual(result.fetched, ["https://www.ka.org/a.js"]);
+            assert.deepEqual(result.failed, [
+                {url: "https://www.ka.org/b.js", error: "Not Found"},
+            ]);
+        });
+
+        it("should warm a render context with the packages if asked", async () => {
+            // Arrange
+            mockScope.get("/a.js").reply(200, "var a;");
+            const globals = {location: "https://www.ka.org/page"};
+
+            // Act
+            const result = await prefetchPackages(
+                logging,
+                ["https://www.ka.org/a.js"],
+                {warm: true, globals},
+            );
+
+            // Assert
+            sinon.assert.calledWith(
+                warmStub,
+                logging,
+                [{url: "https://www.ka.org/a.js", content: "var a;"}],
+                globals,
+            );
+            assert.isTrue(result.warmed);
+        });
+
+        it("should not warm a render context if a package can't be fetched", async () => {
+            // Arrange
+            mockScope
+                .get("/a.js")
+                .times(3)
+                .reply(404, "Not found");
+
+            // Act
+            const result = await prefetchPackages(
+                logging,
+                ["https://www.ka.org/a.js"],
+                {warm: true},
+            );
+
+            // Assert
+            sinon.assert.notCalled(warmStub);
+            assert.isFalse(result.warmed);
+        });
+
+        it("should report why a render context couldn't be warmed", async () => {
+            // Arrange
+            mockScope.get("/a.js").reply(200, "var a;");
+            warmStub.rejects(new Error("Broken package"));
+
+            // Act
+            const result = await prefetchPackages(
+                logging,
+                ["https://www.ka.org/a.js"],
+                {warm: true},
+            );
+
+            // Assert
+            assert.isFalse(result.warmed);
+            assert.equal(result.warmError, "Broken package");
+        });
+
+        it("should wait for a turn to warm a render context", async () => {
+            // Arrange
+            mockScope.get("/a.js").reply(200, "var a;");
+            const admitStub = sinon.stub(admissionControl, "admit").resolves(0);
+            const releaseStub = sinon.stub(admissionControl, "release");
+
+            // Act
+            await prefetchPackages(logging, ["https://www.ka.org/a.js"], {
+                warm: true,
+            });
+
+            // Assert
+            sinon.assert.callOrder(admitStub, warmStub, releaseStub);
+        });
+
+        it("should not warm a render context if it is too busy", async () => {
+            // Arrange
+            mockScope.get("/a.js").reply(200, "var a;");
+            const refusal = new AdmissionError(
+                "queue-full",
+                1,
+                "Refusing render, the render queue is full",
+            );
+            sinon.stub(admissionControl, "admit").rejects(refusal);
+
+            // Act
+            const underTest = prefetchPackages(
+                logging,
+                ["https://www.ka.org/a.js"],
+                {warm: true},
+            );
+
+            // Assert
+            await assert.isRejected(underTest, refusal);
+            sinon.assert.notCalled(warmStub);
+        });
+    });
+
+    describe("#warmUp", () => {
+        let manifestDir;
+        let manifestPath;
+
+        beforeEach(() => {
+            manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "warmup-"));
+            manifestPath = path.join(manifestDir, "manifest.json");
+            sinon.stub(logging, "info");
+        });
+
+        afterEach(() => {
+            if (fs.existsSync(manifestPath)) {
+                fs.unlinkSync(manifestPath);
+            }
+            fs.rmdirSync(manifestDir);
+        });
+
+        it("should warm up with each set of packages in the manifest", async () => {
+            // Arrange
+            fs.writeFileSync(
+                manifestPath,
+                JSON.stringify([
+                    ["https://www.ka.org/a.js"],
+                    ["https://www.ka.org/a.js", "https://www.ka.org/b.js"],
+                ]),
+            );
+            mockScope.get("/a.js").reply(200, "var a;");
+            mockScope.get("/a.js").reply(200, "var a;");
+            mockScope.get("/b.js").reply(200, "var b;");
+
+            // Act
+            await warmUp(logging, manifestPath);
+
+            // Assert
+            assert.deepEqual(
+                warmStub
+                    .getCalls()
+                    .map((call) => call.args[1].map(({url}) => url)),
+                [
+                    ["https://www.ka.org/a.js"],
+                    ["https://www.ka.org/a.js", "https://www.ka.org/b.js"],
+                ],
+            );
+        });
+
+        it("should not be warmed up until it is done", async () => {
+            // Arrange
+            fs.writeFileSync(
+                manifestPath,
+                JSON.stringify([["https://www.ka.org/a.js"]]),
+            );
+            mockScope.get("/a.js").reply(200, "var a;");
+
+            // Act
+            const warmUpPromise = warmUp(logging, manifestPath);
+            const duringWarmUp = isWarmedUp();
+            await warmUpPromise;
+
+            // Assert
+            assert.isFalse(duringWarmUp);
+            assert.isTrue(isWarmedUp());
+        });
+
+        it("should be warmed up even if the manifest is invalid", async () => {
+            // Arrange
+            fs.writeFileSync(manifestPath, JSON.stringify({urls: []}));
+
+            // Act
+            await warmUp(logging, manifestPath);
+
+            // Assert
+            sinon.assert.calledWith(
+                logging.error,
+                `Unable to warm up from ${manifestPath}: ` +
+                    "Warmup manifest must be an array of arrays of package URLs",
+            );
+            assert.isTrue(isWarmedUp());
+        });
+    });
+});
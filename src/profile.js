@@ -18,11 +18,16 @@
  *
  *     PROFILE(end): doing foo (40ms)
  */
-import {tracer} from "./trace-agent.js";
+import {getTracer} from "./tracing.js";
+import type {ISpan} from "./tracing.js";
 import type {LogLevel, Logger} from "./types.js";
 
 type ProfileSession = {
-    end: (endMsg?: string, level?: LogLevel) => void,
+    // The trace span for this session, for passing the trace on.
+    span: ISpan,
+    // Any metadata is logged as separate fields, along with the
+    // durationMs.
+    end: (endMsg?: string, level?: LogLevel, metadata?: {...}) => void,
 };
 
 const start = (logging: Logger, msg: string): ProfileSession => {
@@ -40,18 +45,24 @@ const start = (logging: Logger, msg: string): ProfileSession => {
     logging.silly(`PROFILE(start): ${msg}`);
 
     /**
-     * Start a trace section for this so it will appear in Stackdriver Trace
-     * We annotate the start with "PROFILE:" so that it is clear in the trace
-     * which spans were created by this API and which were inserted by other
-     * means.
+     * Start a trace span for this so it will appear in our traces (see
+     * tracing.js). We annotate the start with "PROFILE:" so that it is clear
+     * in the trace which spans were created by this API and which were
+     * inserted by other means.
      */
-    const span = tracer.createChildSpan({name: `PROFILE: ${msg}`});
+    const span = getTracer().startSpan(`PROFILE: ${msg}`);
     const profiler = logging.startTimer();
     return {
-        end: (endMsg?: string, level?: LogLevel = "debug") => {
-            span.endSpan();
+        span,
+        end: (
+            endMsg?: string,
+            level?: LogLevel = "debug",
+            metadata?: {...} = {},
+        ) => {
+            span.end();
             const message = endMsg || msg;
             profiler.done({
+                ...metadata,
                 message: `PROFILE(end): ${message}`,
                 level,
             });
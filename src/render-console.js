@@ -0,0 +1,105 @@
+// @flow
+/**
+ * The console of a render context.
+ *
+ * Whatever the code in a render context logs to its console, and the errors
+ * that JSDOM reports, go to the logger of the render that is using the
+ * context, so that they are logged against its request. A render that is
+ * being debugged (see the `debug` option of /render in server.js) also
+ * gets a copy of them, to return to whoever asked for the render.
+ */
+import util from "util";
+
+import {VirtualConsole} from "jsdom";
+
+import type {ConsoleEntry, ConsoleLevel, Logger, LogLevel} from "./types.js";
+
+// The console methods that we pass on, and the level we log each at.
+const CONSOLE_LOG_LEVELS: {[method: ConsoleLevel]: LogLevel, ...} = {
+    error: "error",
+    warn: "warn",
+    info: "info",
+    log: "info",
+    debug: "debug",
+    trace: "debug",
+};
+
+// We capture at most this many entries for a render, so that a render that
+// logs in a loop doesn't fill our memory, or its response.
+export const MAX_CONSOLE_ENTRIES = 200;
+
+/**
+ * Work out where the code in the render context called the console from.
+ *
+ * The console calls our listener synchronously, so the frame after the one
+ * for JSDOM's console is the caller.
+ */
+const getSource = (): ?string => {
+    const frames = (new Error().stack || "").split("\n");
+    const consoleFrame = frames.findIndex((frame) =>
+        /[/\\]jsdom[/\\]browser[/\\]Window\.js/.test(frame),
+    );
+    const callerFrame = consoleFrame >= 0 ? frames[consoleFrame + 1] : null;
+    if (callerFrame == null) {
+        return null;
+    }
+    const match = /^\s*at (?:.* \((.*)\)|(.*))$/.exec(callerFrame);
+    return match && (match[1] || match[2]);
+};
+
+export class RenderConsole {
+    +virtualConsole: VirtualConsole;
+    _logging: Logger;
+    _entries: ?Array<ConsoleEntry>;
+
+    constructor(logging: Logger, entries?: ?Array<ConsoleEntry>) {
+        this._logging = logging;
+        this._entries = entries;
+
+        this.virtualConsole = new VirtualConsole();
+        Object.keys(CONSOLE_LOG_LEVELS).forEach((method: any) => {
+            (this.virtualConsole: any).on(method, (...args) =>
+                this._add(method, util.format(...args), getSource()),
+            );
+        });
+        this.virtualConsole.on("jsdomError", (e: Error) => {
+            if (e.message.indexOf("Could not load img") >= 0) {
+                // We know that images cannot load. We're deliberately
+                // blocking them.
+                return;
+            }
+            this._add("error", `JSDOM: ${e.stack}`, null);
+        });
+    }
+
+    _add(level: ConsoleLevel, message: string, source: ?string): void {
+        const at = source != null ? ` (at ${source})` : "";
+        this._logging[CONSOLE_LOG_LEVELS[level]](`Console: ${message}${at}`);
+
+        const entries = this._entries;
+        if (entries != null && entries.length < MAX_CONSOLE_ENTRIES) {
+            entries.push({level, message, source});
+        }
+    }
+
+    /**
+     * Send what is logged to the console of a reused render context to the
+     * next render that uses it.
+     *
+     * @param {Array<ConsoleEntry>} [entries] - Where to capture what is
+     * logged, if the render is being debugged.
+     */
+    reopen(logging: Logger, entries?: ?Array<ConsoleEntry>): void {
+        this._logging = logging;
+        this._entries = entries;
+    }
+
+    /**
+     * Stop capturing what is logged for the render that was using the
+     * context. Anything logged later, like by dangling timers, is still
+     * logged.
+     */
+    close(): void {
+        this._entries = null;
+    }
+}
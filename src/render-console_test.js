@@ -0,0 +1,149 @@
+// @flow
+import vm from "vm";
+import {JSDOM} from "jsdom";
+import {assert} from "chai";
+import sinon from "sinon";
+import {rootLogger as logging} from "./logging.js";
+import {MAX_CONSOLE_ENTRIES, RenderConsole} from "./render-console.js";
+
+describe("RenderConsole", () => {
+    const runInConsole = (renderConsole: RenderConsole, code: string) => {
+        const dom = new JSDOM("<!DOCTYPE html>", {
+            runScripts: "dangerously",
+            virtualConsole: renderConsole.virtualConsole,
+        });
+        dom.runVMScript(
+            new vm.Script(code, {filename: "https://www.ka.org/entry.js"}),
+        );
+        dom.window.close();
+    };
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should log what is logged to the console", () => {
+        // Arrange
+        const warnStub = sinon.stub(logging, "warn");
+        const renderConsole = new RenderConsole(logging);
+
+        // Act
+        runInConsole(renderConsole, 'console.warn("Oh no", {count: 2});');
+
+        // Assert
+        sinon.assert.calledWith(
+            warnStub,
+            "Console: Oh no { count: 2 } (at https://www.ka.org/entry.js:1:9)",
+        );
+    });
+
+    it("should capture what is logged, with where it was logged from", () => {
+        // Arrange
+        sinon.stub(logging, "info");
+        const entries = [];
+        const renderConsole = new RenderConsole(logging, entries);
+
+        // Act
+        runInConsole(
+            renderConsole,
+            'function greet() {\n    console.log("Hello %s", "world");\n}\ngreet();',
+        );
+
+        // Assert
+        assert.deepEqual(entries, [
+            {
+                level: "log",
+                message: "Hello world",
+                source: "https://www.ka.org/entry.js:2:13",
+            },
+        ]);
+    });
+
+    it("should capture errors from JSDOM", () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        const entries = [];
+        const renderConsole = new RenderConsole(logging, entries);
+
+        // Act
+        renderConsole.virtualConsole.emit(
+            "jsdomError",
+            new Error("Could not parse CSS"),
+        );
+
+        // Assert
+        assert.lengthOf(entries, 1);
+        assert.equal(entries[0].level, "error");
+        assert.match(entries[0].message, /^JSDOM: Error: Could not parse CSS/);
+    });
+
+    it("should ignore images that could not load", () => {
+        // Arrange
+        const errorStub = sinon.stub(logging, "error");
+        const entries = [];
+        const renderConsole = new RenderConsole(logging, entries);
+
+        // Act
+        renderConsole.virtualConsole.emit(
+            "jsdomError",
+            new Error("Could not load img: https://www.ka.org/a.png"),
+        );
+
+        // Assert
+        assert.isEmpty(entries);
+        sinon.assert.notCalled(errorStub);
+    });
+
+    it("should capture no more than MAX_CONSOLE_ENTRIES", () => {
+        // Arrange
+        sinon.stub(logging, "info");
+        const entries = [];
+        const renderConsole = new RenderConsole(logging, entries);
+
+        // Act
+        runInConsole(
+            renderConsole,
+            `for (let i = 0; i < ${MAX_CONSOLE_ENTRIES + 5}; i++) {
+                console.info(i);
+            }`,
+        );
+
+        // Assert
+        assert.lengthOf(entries, MAX_CONSOLE_ENTRIES);
+    });
+
+    it("should stop capturing, but not logging, once closed", () => {
+        // Arrange
+        const warnStub = sinon.stub(logging, "warn");
+        const entries = [];
+        const renderConsole = new RenderConsole(logging, entries);
+
+        // Act
+        renderConsole.close();
+        runInConsole(renderConsole, 'console.warn("Dangling");');
+
+        // Assert
+        assert.isEmpty(entries);
+        sinon.assert.calledOnce(warnStub);
+    });
+
+    it("should log and capture for the next render once reopened", () => {
+        // Arrange
+        const firstLogging = logging.child({render: 1});
+        const nextLogging = logging.child({render: 2});
+        const firstStub = sinon.stub(firstLogging, "warn");
+        const nextStub = sinon.stub(nextLogging, "warn");
+        const entries = [];
+        const renderConsole = new RenderConsole(firstLogging);
+
+        // Act
+        renderConsole.close();
+        renderConsole.reopen(nextLogging, entries);
+        runInConsole(renderConsole, 'console.warn("Hi");');
+
+        // Assert
+        sinon.assert.notCalled(firstStub);
+        sinon.assert.calledOnce(nextStub);
+        assert.lengthOf(entries, 1);
+    });
+});
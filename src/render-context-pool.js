@@ -0,0 +1,94 @@
+// @flow
+/**
+ * A pool of idle render contexts that can be reused by later renders.
+ *
+ * Building a render context means creating a new JSDOM and evaluating every
+ * package inside it, which is the most expensive part of a render. Contexts
+ * are pooled by key (see create-render-context.js, which keys them by the
+ * origin of the render and the ordered list of package URLs) so that a
+ * render for the same set of packages can skip all that work.
+ *
+ * A context is only ever used by one render at a time; it is taken out of the
+ * pool with `acquire` and put back with `release`. When the pool is full, the
+ * least recently released context is disposed of to make room.
+ */
+
+type PoolEntry<T> = {
+    key: string,
+    item: T,
+};
+
+export class RenderContextPool<T> {
+    _getMaxSize: () => number;
+    _dispose: (item: T) => void;
+    _idle: Array<PoolEntry<T>>;
+
+    /**
+     * @param {() => number} getMaxSize - Get the maximum number of idle
+     * contexts to hold. This is a function so that configuration changes
+     * (and test stubs) are respected. Zero disables pooling.
+     * @param {(item: T) => void} dispose - Called for contexts that are
+     * evicted or flushed from the pool.
+     */
+    constructor(getMaxSize: () => number, dispose: (item: T) => void) {
+        this._getMaxSize = getMaxSize;
+        this._dispose = dispose;
+        this._idle = [];
+    }
+
+    get enabled(): boolean {
+        return this._getMaxSize() > 0;
+    }
+
+    get size(): number {
+        return this._idle.length;
+    }
+
+    /**
+     * Take the most recently released idle context for the given key out of
+     * the pool, if there is one.
+     */
+    acquire(key: string): ?T {
+        for (let i = this._idle.length - 1; i >= 0; i--) {
+            if (this._idle[i].key === key) {
+                return this._idle.splice(i, 1)[0].item;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Return a context to the pool so that it can be reused.
+     *
+     * If pooling is disabled, the context is disposed of immediately.
+     */
+    release(key: string, item: T): void {
+        if (!this.enabled) {
+            this._dispose(item);
+            return;
+        }
+
+        this._idle.push({key, item});
+        while (this._idle.length > this._getMaxSize()) {
+            this._dispose(this._idle.shift().item);
+        }
+    }
+
+    /**
+     * Dispose of idle contexts.
+     *
+     * @param {(key: string) => boolean} [predicate] - If given, only contexts
+     * whose key matches are disposed of; otherwise, all of them are.
+     */
+    flush(predicate?: (key: string) => boolean): void {
+        const remaining = [];
+        for (const entry of this._idle) {
+            if (predicate == null || predicate(entry.key)) {
+                this._dispose(entry.item);
+            } else {
+                remaining.push(entry);
+            }
+        }
+        this._idle = remaining;
+    }
+}
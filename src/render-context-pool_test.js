@@ -0,0 +1,112 @@
+// @flow
+import {assert} from "chai";
+import sinon from "sinon";
+import {RenderContextPool} from "./render-context-pool.js";
+
+describe("RenderContextPool", () => {
+    describe("#acquire", () => {
+        it("should return null when nothing has been released", () => {
+            // Arrange
+            const underTest = new RenderContextPool(() => 2, () => {});
+
+            // Act
+            const result = underTest.acquire("KEY");
+
+            // Assert
+            assert.isNull(result);
+        });
+
+        it("should return a released item for the same key", () => {
+            // Arrange
+            const underTest = new RenderContextPool(() => 2, () => {});
+            const item = {};
+            underTest.release("KEY", item);
+
+            // Act
+            const result = underTest.acquire("KEY");
+
+            // Assert
+            assert.strictEqual(result, item);
+            assert.equal(underTest.size, 0);
+        });
+
+        it("should not return a released item for a different key", () => {
+            // Arrange
+            const underTest = new RenderContextPool(() => 2, () => {});
+            underTest.release("KEY", {});
+
+            // Act
+            const result = underTest.acquire("OTHER_KEY");
+
+            // Assert
+            assert.isNull(result);
+            assert.equal(underTest.size, 1);
+        });
+    });
+
+    describe("#release", () => {
+        it("should dispose of the item if pooling is disabled", () => {
+            // Arrange
+            const dispose = sinon.spy();
+            const underTest = new RenderContextPool(() => 0, dispose);
+            const item = {};
+
+            // Act
+            underTest.release("KEY", item);
+
+            // Assert
+            sinon.assert.calledWith(dispose, item);
+            assert.equal(underTest.size, 0);
+        });
+
+        it("should dispose of the least recently released item when full", () => {
+            // Arrange
+            const dispose = sinon.spy();
+            const underTest = new RenderContextPool(() => 2, dispose);
+            const first = {};
+            underTest.release("A", first);
+            underTest.release("B", {});
+
+            // Act
+            underTest.release("C", {});
+
+            // Assert
+            sinon.assert.calledOnce(dispose);
+            sinon.assert.calledWith(dispose, first);
+            assert.isNull(underTest.acquire("A"));
+        });
+    });
+
+    describe("#flush", () => {
+        it("should dispose of everything", () => {
+            // Arrange
+            const dispose = sinon.spy();
+            const underTest = new RenderContextPool(() => 2, dispose);
+            underTest.release("A", {});
+            underTest.release("B", {});
+
+            // Act
+            underTest.flush();
+
+            // Assert
+            sinon.assert.calledTwice(dispose);
+            assert.equal(underTest.size, 0);
+        });
+
+        it("should only dispose of items with matching keys", () => {
+            // Arrange
+            const dispose = sinon.spy();
+            const underTest = new RenderContextPool(() => 2, dispose);
+            const keep = {};
+            underTest.release("A", {});
+            underTest.release("B", keep);
+
+            // Act
+            underTest.flush((key) => key === "A");
+
+            // Assert
+            sinon.assert.calledOnce(dispose);
+            assert.strictEqual(underTest.acquire("B"), keep);
+        });
+    });
+});
@@ -0,0 +1,243 @@
+// @flow
+/**
+ * The metrics about our renders that we expose at /metrics (see metrics.js).
+ *
+ * Everything is labelled with the entrypoint of the render, which is the
+ * last of its package URLs. The numbers come from the render's
+ * RequestStats, so they cover renders in render workers too. Since labels
+ * come from requests, only renders that have been authenticated and
+ * validated are recorded, so that nobody else can add series.
+ *
+ * Series live as long as we do, so we keep their number down (see
+ * getEntrypointLabel): entrypoints are labelled with "[hash]" in place of
+ * their content hashes, so that each deploy doesn't add series, and once
+ * there are MAX_ENTRYPOINT_LABELS entrypoints, the rest are labelled
+ * "other". Pending renders are forgotten once there are none for an
+ * entrypoint.
+ */
+import {URL} from "url";
+
+import metrics, {Counter, Gauge, Histogram} from "./metrics.js";
+import {getErrorCode} from "./error-codes.js";
+import {isRenderTimeoutError} from "./render-timeout.js";
+
+import type {RequestStats} from "./types.js";
+
+// How many entrypoints we label metrics with, before we label the rest
+// "other".
+const MAX_ENTRYPOINT_LABELS = 200;
+
+export const OTHER_ENTRYPOINT_LABEL = "other";
+
+// A content hash in a package URL path, as a path segment of its own or as
+// part of a file name, like the "0f3a9b1c" of "/entry-0f3a9b1c.js". The
+// first group is the separator in front of it.
+const CONTENT_HASH_REGEX = /(^|[-_./])[0-9a-f]{8,}(?=[-_./]|$)/gi;
+
+export type RenderFailurePhase =
+    | "fetch"
+    | "package-eval"
+    | "apollo"
+    | "render"
+    | "stream";
+
+const renderDuration = metrics.register(
+    new Histogram(
+        "render_duration_seconds",
+        "How long successful renders take, from fetching their packages to having their result.",
+        ["entrypoint"],
+    ),
+);
+
+const vmBuildDuration = metrics.register(
+    new Histogram(
+        "render_vm_build_seconds",
+        "How long it takes to build a render context for a render that can't reuse one.",
+        ["entrypoint"],
+    ),
+);
+
+const packageFetchDuration = metrics.register(
+    new Histogram(
+        "package_fetch_duration_seconds",
+        "How long renders wait for their packages to be fetched.",
+        ["entrypoint"],
+    ),
+);
+
+const packageCacheHits = metrics.register(
+    new Counter(
+        "package_cache_hits_total",
+        "How many packages renders got from the package cache.",
+        ["entrypoint"],
+    ),
+);
+
+const packageCacheMisses = metrics.register(
+    new Counter(
+        "package_cache_misses_total",
+        "How many packages renders had to fetch.",
+        ["entrypoint"],
+    ),
+);
+
+const packageFetchRetries = metrics.register(
+    new Counter(
+        "package_fetch_retries_total",
+        "How many times fetching a package for a render was retried.",
+        ["entrypoint"],
+    ),
+);
+
+const renderFailures = metrics.register(
+    new Counter(
+        "render_failures_total",
+        "How many renders failed, by the phase of the render that failed.",
+        ["entrypoint", "phase"],
+    ),
+);
+
+const pendingRenders = metrics.register(
+    new Gauge(
+        "pending_renders",
+        "How many renders are in progress, including those waiting for their turn.",
+        ["entrypoint"],
+    ),
+);
+
+/**
+ * Get the entrypoint of a render from its package URLs, if it has any.
+ */
+export const getEntrypoint = (urls: mixed): ?string => {
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return null;
+    }
+    const entrypoint = urls[urls.length - 1];
+    return typeof entrypoint === "string" ? entrypoint : null;
+};
+
+let entrypointLabels: Set<string> = new Set();
+
+/**
+ * Get the label for an entrypoint: its URL without any query or fragment,
+ * and with "[hash]" in place of content hashes, or "other" if we already
+ * label as many entrypoints as we are willing to.
+ */
+export const getEntrypointLabel = (entrypoint: string): string => {
+    let label;
+    try {
+        const url = new URL(entrypoint);
+        label = `${url.origin}${url.pathname.replace(
+            CONTENT_HASH_REGEX,
+            "$1[hash]",
+        )}`;
+    } catch (e) {
+        label = entrypoint;
+    }
+    if (!entrypointLabels.has(label)) {
+        if (entrypointLabels.size >= MAX_ENTRYPOINT_LABELS) {
+            return OTHER_ENTRYPOINT_LABEL;
+        }
+        entrypointLabels.add(label);
+    }
+    return label;
+};
+
+/**
+ * Forget the entrypoints that we label metrics with, for tests.
+ */
+export const resetEntrypointLabels = (): void => {
+    entrypointLabels = new Set();
+};
+
+/**
+ * Count renders as in progress until the returned function is called.
+ */
+export const trackPendingRenders = (
+    entrypoints: Array<?string>,
+): (() => void) => {
+    const labelled = entrypoints.filter(Boolean).map((entrypoint) => ({
+        entrypoint: getEntrypointLabel(entrypoint),
+    }));
+    labelled.forEach((labels) => pendingRenders.inc(labels));
+    return () =>
+        labelled.forEach((labels) => {
+            pendingRenders.dec(labels);
+            if (pendingRenders.get(labels) <= 0) {
+                pendingRenders.remove(labels);
+            }
+        });
+};
+
+const recordPackageStats = (
+    labels: {entrypoint: string},
+    requestStats: RequestStats,
+): void => {
+    packageCacheHits.inc(labels, requestStats.fromCache);
+    packageCacheMisses.inc(labels, requestStats.packageFetches);
+    packageFetchRetries.inc(labels, requestStats.packageFetchRetries);
+};
+
+/**
+ * Record the metrics for a successful render.
+ */
+export const recordRender = (
+    entrypoint: ?string,
+    requestStats: ?RequestStats,
+    durationMs: number,
+): void => {
+    if (entrypoint == null || requestStats == null) {
+        return;
+    }
+    const labels = {entrypoint: getEntrypointLabel(entrypoint)};
+    renderDuration.observe(labels, durationMs / 1000);
+    packageFetchDuration.observe(labels, requestStats.packageFetchMs / 1000);
+    if (requestStats.createdVmContext) {
+        vmBuildDuration.observe(labels, requestStats.vmContextBuildMs / 1000);
+    }
+    recordPackageStats(labels, requestStats);
+};
+
+/**
+ * Get the phase of a render that an error happened in. Timeouts say which
+ * phase they happened in, and other errors from evaluating packages or from
+ * Apollo have the code for that (see error-codes.js); otherwise, it is the
+ * given phase.
+ */
+export const getRenderFailurePhase = (
+    err: any,
+    phase: RenderFailurePhase,
+): RenderFailurePhase => {
+    if (isRenderTimeoutError(err)) {
+        return err.phase;
+    }
+    switch (getErrorCode(err, "render")) {
+        case "package-eval":
+            return "package-eval";
+
+        case "apollo":
+            return "apollo";
+
+        default:
+            return phase;
+    }
+};
+
+/**
+ * Record that a render failed, along with the packages it got, if we know
+ * about them.
+ */
+export const recordRenderFailure = (
+    entrypoint: ?string,
+    phase: RenderFailurePhase,
+    requestStats?: ?RequestStats,
+): void => {
+    if (entrypoint == null) {
+        return;
+    }
+    const label = getEntrypointLabel(entrypoint);
+    renderFailures.inc({entrypoint: label, phase});
+    if (requestStats != null) {
+        recordPackageStats({entrypoint: label}, requestStats);
+    }
+};
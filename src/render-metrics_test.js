@@ -0,0 +1,109 @@
+// @flow
+import {assert} from "chai";
+import metrics from "./metrics.js";
+import {
+    OTHER_ENTRYPOINT_LABEL,
+    getEntrypointLabel,
+    resetEntrypointLabels,
+    trackPendingRenders,
+} from "./render-metrics.js";
+
+describe("render-metrics", () => {
+    beforeEach(() => {
+        metrics.reset();
+        resetEntrypointLabels();
+    });
+
+    describe("#getEntrypointLabel", () => {
+        it("should replace content hashes in file names", () => {
+            // Arrange
+            const entrypoint = "https://cdn.ka.org/genfiles/entry-0f3a9b1c.js";
+
+            // Act
+            const result = getEntrypointLabel(entrypoint);
+
+            // Assert
+            assert.equal(result, "https://cdn.ka.org/genfiles/entry-[hash].js");
+        });
+
+        it("should replace content hashes that are path segments", () => {
+            // Arrange
+            const entrypoint =
+                "https://cdn.ka.org/genfiles/0123456789abcdef/entry.js";
+
+            // Act
+            const result = getEntrypointLabel(entrypoint);
+
+            // Assert
+            assert.equal(result, "https://cdn.ka.org/genfiles/[hash]/entry.js");
+        });
+
+        it("should leave out the query and fragment", () => {
+            // Arrange
+            const entrypoint = "https://cdn.ka.org/entry.js?v=12345#top";
+
+            // Act
+            const result = getEntrypointLabel(entrypoint);
+
+            // Assert
+            assert.equal(result, "https://cdn.ka.org/entry.js");
+        });
+
+        it("should leave words that aren't hashes alone", () => {
+            // Arrange
+            const entrypoint = "https://cdn.ka.org/decade/entry.js";
+
+            // Act
+            const result = getEntrypointLabel(entrypoint);
+
+            // Assert
+            assert.equal(result, entrypoint);
+        });
+
+        it("should label entrypoints past the limit as other", () => {
+            // Arrange
+            for (let i = 0; i < 200; i++) {
+                getEntrypointLabel(`https://cdn.ka.org/entry${i}.js`);
+            }
+
+            // Act
+            const result = getEntrypointLabel("https://cdn.ka.org/late.js");
+
+            // Assert
+            assert.equal(result, OTHER_ENTRYPOINT_LABEL);
+        });
+
+        it("should keep labelling entrypoints it labelled before the limit", () => {
+            // Arrange
+            for (let i = 0; i < 200; i++) {
+                getEntrypointLabel(`https://cdn.ka.org/entry${i}.js`);
+            }
+
+            // Act
+            const result = getEntrypointLabel("https://cdn.ka.org/entry0.js");
+
+            // Assert
+            assert.equal(result, "https://cdn.ka.org/entry0.js");
+        });
+    });
+
+    describe("#trackPendingRenders", () => {
+        it("should forget entrypoints once their renders are done", () => {
+            // Arrange
+            const stopFirst = trackPendingRenders(["https://cdn.ka.org/a.js"]);
+            const stopSecond = trackPendingRenders(["https://cdn.ka.org/b.js"]);
+
+            // Act
+            stopFirst();
+            const result = metrics.getMetrics();
+            stopSecond();
+
+            // Assert
+            assert.notInclude(result, "a.js");
+            assert.include(
+                result,
+                'pending_renders{entrypoint="https://cdn.ka.org/b.js"} 1\n',
+            );
+        });
+    });
+});
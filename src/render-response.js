@@ -0,0 +1,228 @@
+// @flow
+/**
+ * Responding to renders: with errors, or with a stream of HTML.
+ */
+import {getErrorCode, getErrorStatus} from "./error-codes.js";
+import {extractErrorInfo} from "./logging.js";
+import {STREAM_TRAILER_SEPARATOR, isReadableStream} from "./render-stream.js";
+import {isRenderTimeoutError} from "./render-timeout.js";
+import {isIntegrityMismatchError} from "./package-integrity.js";
+import {recordRender, recordRenderFailure} from "./render-metrics.js";
+import {isMissingSourceMaps, loadSourceMaps, mapStack} from "./source-maps.js";
+
+import type {$Response} from "express";
+import type {ErrorCode} from "./error-codes.js";
+import type {BadRequest} from "./request-validation.js";
+import type {
+    ConsoleEntry,
+    JavaScriptPackage,
+    Logger,
+    RenderResult,
+} from "./types.js";
+
+export type ErrorResponse = {
+    error: string,
+    code: ErrorCode,
+    stack?: ?string,
+    // The phase of a render that timed out, and the limit that it overran.
+    phase?: string,
+    timeoutMs?: number,
+    // The package that didn't match its integrity.
+    url?: string,
+    // What a render that is being debugged logged to its console before it
+    // failed.
+    console?: Array<ConsoleEntry>,
+    // What was wrong with a bad request.
+    value?: mixed,
+};
+
+/**
+ * Load the source maps for a stack, then call back with the stack rewritten
+ * through them. Source maps that can't be loaded are logged, and their
+ * frames left as they are.
+ */
+const logWhenSourceMapsLoaded = async (
+    logging: Logger,
+    stack: string,
+    jsPackages: Array<JavaScriptPackage>,
+    log: (mapped: string) => void,
+): Promise<void> => {
+    await loadSourceMaps(logging, stack, jsPackages);
+    log(mapStack(stack, jsPackages));
+};
+
+/**
+ * Log an error from a render and get the error response for it.
+ *
+ * Frames of the stack that are in the render's packages are rewritten
+ * through the packages' source maps (see source-maps.js). The response
+ * doesn't wait for source maps that we don't have yet, so it only has the
+ * frames that we could rewrite straight away, but the log does: if there
+ * are source maps to load, the error is logged once they have been.
+ *
+ * @param {string} context - The stage of the render that failed, for the
+ * logs.
+ * @param {ErrorCode} code - The code of the error if it doesn't have one
+ * of its own (see error-codes.js).
+ * @param {Array<JavaScriptPackage>} [jsPackages] - The packages of the
+ * render.
+ */
+export const logAndGetError = function(
+    logging: Logger,
+    context: string,
+    err: any,
+    globals: any,
+    code: ErrorCode,
+    jsPackages?: Array<JavaScriptPackage> = [],
+): ErrorResponse {
+    /**
+     * Let's log some info here.
+     *
+     * context:
+     *      Some context on the workflow or stage in which the error
+     *      occurred.
+     *
+     * globals.location:
+     *      What URL was being rendered
+     *
+     * errorString:
+     *      The given error as a string.
+     */
+    const location = (globals && globals["location"]) || "";
+    const loggedErr = err;
+    const logError = () =>
+        logging.error(
+            `${context} (${location}): ${extractErrorInfo(loggedErr)}`,
+        );
+
+    const stack =
+        err != null && typeof err.stack === "string" ? err.stack : null;
+    if (stack != null) {
+        err.stack = mapStack(stack, jsPackages);
+    }
+    if (stack != null && isMissingSourceMaps(stack, jsPackages)) {
+        logWhenSourceMapsLoaded(logging, stack, jsPackages, (mapped) => {
+            loggedErr.stack = mapped;
+            logError();
+        });
+    } else {
+        logError();
+    }
+
+    // Error handler for fetching failures.
+    if (err.error && (!err.response || !err.response.error)) {
+        // set for timeouts, in particular
+        err = err.error;
+    }
+
+    const response: ErrorResponse = {
+        error: `${err}`,
+        code: getErrorCode(err, code),
+        stack: err.stack,
+    };
+    if (isRenderTimeoutError(err)) {
+        response.phase = err.phase;
+        response.timeoutMs = err.timeoutMs;
+    }
+    if (isIntegrityMismatchError(err)) {
+        response.url = err.url;
+    }
+    if (Array.isArray(err.console)) {
+        response.console = err.console;
+    }
+    return response;
+};
+
+/**
+ * Get the error response for a request, or a job of a batch, that we
+ * can't do anything with.
+ */
+export const getBadRequestResponse = ({
+    error,
+    value,
+}: BadRequest): ErrorResponse => ({error, code: "validation", value});
+
+/**
+ * Respond to a request that we can't do anything with.
+ */
+export const respondBadRequest = (
+    logging: Logger,
+    res: $Response,
+    badRequest: BadRequest,
+) => {
+    logging.error(badRequest.error);
+    return res
+        .status(badRequest.status || getErrorStatus("validation"))
+        .json(getBadRequestResponse(badRequest));
+};
+
+/**
+ * Send a render result back as chunked HTML followed by a trailing JSON frame.
+ *
+ * The render is only recorded as a success (see render-metrics.js) once all
+ * of its HTML has been sent, since the stream can still fail until then.
+ *
+ * @param {number} startedAt - When we started on the render, for its
+ * duration.
+ */
+export const respondWithStream = (
+    logging: Logger,
+    res: $Response,
+    renderedState: RenderResult,
+    globals: any,
+    entrypoint: ?string,
+    jsPackages: Array<JavaScriptPackage>,
+    startedAt: number,
+): void => {
+    const {html, ...trailer} = renderedState;
+    const recordSuccess = () =>
+        recordRender(
+            entrypoint,
+            renderedState.requestStats,
+            Date.now() - startedAt,
+        );
+    let ended = false;
+    const writeTrailerAndEnd = (trailerData: mixed) => {
+        ended = true;
+        res.write(STREAM_TRAILER_SEPARATOR);
+        res.end(JSON.stringify(trailerData));
+    };
+
+    res.status(200).type("html");
+
+    if (!isReadableStream(html)) {
+        res.write(html == null ? "" : `${String(html)}`);
+        recordSuccess();
+        writeTrailerAndEnd(trailer);
+        return;
+    }
+
+    const htmlStream: any = html;
+    // If the caller goes away, stop rendering so that the render context
+    // gets cleaned up.
+    res.on("close", () => {
+        if (!ended) {
+            htmlStream.destroy();
+        }
+    });
+    htmlStream.pipe(
+        res,
+        {end: false},
+    );
+    htmlStream.on("end", () => {
+        recordSuccess();
+        writeTrailerAndEnd(trailer);
+    });
+    htmlStream.on("error", (err) => {
+        recordRenderFailure(entrypoint, "stream", renderedState.requestStats);
+        const errorResponse = logAndGetError(
+            logging,
+            "RENDER STREAM FAIL",
+            err,
+            globals,
+            "render",
+            jsPackages,
+        );
+        writeTrailerAndEnd(errorResponse);
+    });
+};
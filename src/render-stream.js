@@ -0,0 +1,123 @@
+// @flow
+/**
+ * Helpers for dealing with streamed render results.
+ *
+ * An entrypoint can resolve its render with `html` being a readable stream
+ * (for example, the result of React's `renderToNodeStream`) rather than a
+ * string. Because that stream is created inside the JSDOM VM context, it
+ * comes from the webpacked stream polyfill (or a WHATWG ReadableStream
+ * polyfill) rather than node's own stream module, so we can't rely on
+ * `instanceof` checks and instead inspect the shape of the object.
+ */
+import stream from "stream";
+
+/**
+ * When streaming a render back to the caller, the HTML is sent first and is
+ * followed by this separator and then a single JSON object containing the
+ * rest of the render result (css, data, requestStats, etc.).
+ *
+ * Callers should split the response body on the last occurrence of this
+ * separator.
+ */
+export const STREAM_TRAILER_SEPARATOR = "\n<!--__RRS_TRAILER__-->\n";
+
+const isNodeStyleStream = (value: any): boolean =>
+    value != null &&
+    typeof value === "object" &&
+    typeof value.pipe === "function" &&
+    typeof value.on === "function";
+
+const isWHATWGStream = (value: any): boolean =>
+    value != null &&
+    typeof value === "object" &&
+    typeof value.getReader === "function";
+
+/**
+ * Determine if the given value looks like a readable stream that we know how
+ * to consume.
+ */
+export const isReadableStream = (value: mixed): boolean =>
+    isNodeStyleStream(value) || isWHATWGStream(value);
+
+/**
+ * Chunks can come from a different realm (the VM context), so we convert
+ * anything that isn't a string into a Buffer from our realm.
+ */
+const toChunk = (chunk: any): string | Buffer =>
+    typeof chunk === "string" ? chunk : Buffer.from(chunk);
+
+const fromNodeStyleStream = (source: any): stream.Readable => {
+    const readable = new stream.Readable({
+        read() {
+            if (typeof source.resume === "function") {
+                source.resume();
+            }
+        },
+        destroy(err, callback) {
+            if (typeof source.destroy === "function") {
+                source.destroy();
+            }
+            callback(err || undefined);
+        },
+    });
+    source.on("data", (chunk) => {
+        if (!readable.push(toChunk(chunk)) && source.pause) {
+            source.pause();
+        }
+    });
+    source.on("end", () => readable.push(null));
+    source.on("error", (err) => readable.destroy(err));
+    return readable;
+};
+
+const fromWHATWGStream = (source: any): stream.Readable => {
+    const reader = source.getReader();
+    return new stream.Readable({
+        read() {
+            reader
+                .read()
+                .then(({done, value}) => {
+                    this.push(done ? null : toChunk(value));
+                    return null;
+                })
+                .catch((err) => this.destroy(err));
+        },
+        destroy(err, callback) {
+            Promise.resolve(reader.cancel && reader.cancel(err)).catch(
+                () => {},
+            );
+            callback(err || undefined);
+        },
+    });
+};
+
+/**
+ * Turn a node-style or WHATWG readable stream into one of our own node
+ * readable streams.
+ */
+export const toNodeReadable = (value: mixed): stream.Readable => {
+    if (isNodeStyleStream(value)) {
+        return fromNodeStyleStream(value);
+    }
+    if (isWHATWGStream(value)) {
+        return fromWHATWGStream(value);
+    }
+    throw new Error("Value is not a readable stream");
+};
+
+/**
+ * Read the entirety of a readable stream into a string.
+ */
+export const readStreamToString = (
+    readable: stream.Readable,
+): Promise<string> =>
+    new Promise((resolve, reject) => {
+        const chunks: Array<Buffer> = [];
+        readable.on("data", (chunk) =>
+            chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk),
+        );
+        readable.on("error", reject);
+        readable.on("end", () =>
+            resolve(Buffer.concat(chunks).toString("utf-8")),
+        );
+    });
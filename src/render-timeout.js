@@ -0,0 +1,126 @@
+// @flow
+/**
+ * Limits on how long a render can take.
+ *
+ * There are two limits. Each time we run code in a render context (such as
+ * evaluating a package or starting the render) that code has a CPU budget,
+ * enforced by `vm`, so that an infinite loop can't hang the process. On top
+ * of that, each render has a wall-clock deadline so that an entrypoint that
+ * never resolves its render promise can't hang the request.
+ *
+ * Either way, the render fails with a RenderTimeoutError that names the
+ * phase of the render that overran.
+ */
+import args from "./arguments.js";
+
+import type {RenderOptions} from "./types.js";
+
+export type RenderPhase = "package-eval" | "render";
+
+export class RenderTimeoutError extends Error {
+    phase: RenderPhase;
+    timeoutMs: number;
+
+    constructor(phase: RenderPhase, timeoutMs: number, message: string) {
+        super(message);
+        this.name = "RenderTimeoutError";
+        this.phase = phase;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Determine if an error is a RenderTimeoutError.
+ *
+ * This checks the name rather than the class, since errors from render
+ * workers are rebuilt as plain errors on the main thread.
+ */
+export const isRenderTimeoutError = (err: any): boolean %checks =>
+    err != null && err.name === "RenderTimeoutError";
+
+// How long past its deadline a render in a render worker can go before we
+// decide that the worker is stuck and terminate it (see
+// render-worker-pool.js).
+export const WORKER_TIMEOUT_GRACE_MS = 1000;
+
+// Node fires timers that are set for longer than this straight away.
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+/**
+ * The longest deadline that a request can ask for, in milliseconds.
+ *
+ * Requests can shorten the deadline set by --render-timeout, but not
+ * lengthen it. If there is no deadline, they can ask for one as long as we
+ * can set a timer for, grace period included.
+ */
+export const getMaxRenderTimeout = (): number =>
+    args.renderTimeout > 0
+        ? Math.min(
+              args.renderTimeout,
+              MAX_TIMER_DELAY_MS - WORKER_TIMEOUT_GRACE_MS,
+          )
+        : MAX_TIMER_DELAY_MS - WORKER_TIMEOUT_GRACE_MS;
+
+/**
+ * The wall-clock deadline for a render, in milliseconds. Zero means there
+ * is no deadline.
+ */
+export const getRenderTimeout = (options?: RenderOptions): number =>
+    options && options.timeout != null ? options.timeout : args.renderTimeout;
+
+/**
+ * The options to run code in a render context with, so that it is held to
+ * our CPU budget.
+ */
+export const getRunOptions = (): vm$ScriptOptions =>
+    args.scriptTimeout > 0 ? {timeout: args.scriptTimeout} : {};
+
+/**
+ * If the given error is from code that went over its CPU budget, turn it
+ * into a RenderTimeoutError for the given phase. Other errors are returned
+ * as they are.
+ */
+export const toRenderTimeoutError = (err: any, phase: RenderPhase): any => {
+    if (err == null || err.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+        return err;
+    }
+    return new RenderTimeoutError(
+        phase,
+        args.scriptTimeout,
+        `Render timed out during ${phase}: ` +
+            `code ran for more than ${args.scriptTimeout}ms`,
+    );
+};
+
+/**
+ * Make the error for a render that went past its deadline.
+ */
+export const deadlineError = (
+    phase: RenderPhase,
+    timeoutMs: number,
+): RenderTimeoutError =>
+    new RenderTimeoutError(
+        phase,
+        timeoutMs,
+        `Render timed out during ${phase}: ` +
+            `not finished within ${timeoutMs}ms`,
+    );
+
+/**
+ * Race a promise against a timeout, rejecting with the given error if the
+ * timeout is reached first. A timeout of Infinity means no timeout.
+ */
+export const withTimeout = <T>(
+    promise: Promise<T>,
+    timeoutMs: number,
+    getError: () => Error,
+): Promise<T> => {
+    if (timeoutMs === Infinity) {
+        return promise;
+    }
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(getError()), Math.max(timeoutMs, 0));
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
@@ -0,0 +1,132 @@
+// @flow
+/**
+ * The messages that pass between the main thread and render worker threads.
+ *
+ * The main thread asks a worker to render with a "render" message. While
+ * rendering, the worker sends "log" messages for the main thread to log
+ * against the request and "fetch" messages when JSDOM wants a script, which
+ * the main thread answers with "fetched". The render ends with a "result"
+ * or an "error" message. If the html is being streamed, the "result" is
+ * followed by "chunk" messages and then an "end" (or "error") message. The
+ * worker sends one "chunk" for each "pull" from the main thread, so that a
+ * slow caller doesn't leave the whole document buffered on the main thread.
+ * The main thread can send "cancel" to stop the stream early.
+ *
+ * A "flush" message tells the worker to dispose of its idle render contexts,
+ * or just those for the packages that its selector matches.
+ *
+ * A "warm" message tells the worker to evaluate packages in a render context
+ * and keep it for later renders. Like a render, it can send "log" and "fetch"
+ * messages, and it ends with a "warmed" or an "error" message.
+ */
+import type {
+    FlushSelector,
+    Globals,
+    JavaScriptPackage,
+    LogLevel,
+    RenderOptions,
+    RenderResult,
+    RequestStats,
+} from "./types.js";
+
+export type SerializedError = {
+    name: string,
+    message: string,
+    stack: ?string,
+    ...
+};
+
+export type RenderMessage = {
+    type: "render",
+    id: number,
+    jsPackages: Array<JavaScriptPackage>,
+    props: mixed,
+    globals: Globals,
+    requestStats?: RequestStats,
+    options?: RenderOptions,
+};
+
+export type FetchedMessage = {
+    type: "fetched",
+    fetchID: number,
+    content: string,
+    packageFetches: number,
+    fromCache: number,
+    error?: ?SerializedError,
+};
+
+export type WarmMessage = {
+    type: "warm",
+    id: number,
+    jsPackages: Array<JavaScriptPackage>,
+    globals: Globals,
+};
+
+export type ToWorkerMessage =
+    | RenderMessage
+    | WarmMessage
+    | FetchedMessage
+    | {type: "pull", id: number}
+    | {type: "cancel", id: number}
+    | {type: "flush", selector?: ?FlushSelector};
+
+export type FromWorkerMessage =
+    | {
+          type: "log",
+          // Null for things that the worker logs other than for a render.
+          id: ?number,
+          level: LogLevel,
+          message: string,
+          durationMs?: number,
+      }
+    | {type: "fetch", id: number, fetchID: number, url: string}
+    | {type: "result", id: number, result: RenderResult, streaming: boolean}
+    | {type: "chunk", id: number, chunk: string | Uint8Array}
+    | {type: "end", id: number}
+    | {type: "warmed", id: number}
+    | {type: "error", id: number, error: SerializedError};
+
+/**
+ * Errors can't be sent between threads as-is, so we send their details.
+ *
+ * Only the primitive properties of an error are kept, since other things
+ * (like the response on a fetch error) may not be copyable between threads.
+ * The exception is the console log of a render that is being debugged (see
+ * render.js), which is plain data.
+ */
+export const serializeError = (error: any): SerializedError => {
+    if (error == null || typeof error !== "object") {
+        return {name: "Error", message: `${error}`, stack: null};
+    }
+    const details = {};
+    Object.keys(error).forEach((key) => {
+        const value = error[key];
+        if (
+            value == null ||
+            ["string", "number", "boolean"].includes(typeof value)
+        ) {
+            details[key] = value;
+        }
+    });
+    if (Array.isArray(error.console)) {
+        details.console = error.console;
+    }
+    return {
+        ...details,
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+    };
+};
+
+/**
+ * Turn serialized error details back into an error.
+ */
+export const deserializeError = (serialized: SerializedError): Error => {
+    const {message, stack, ...details} = serialized;
+    const error = Object.assign(new Error(message), details);
+    if (stack != null) {
+        error.stack = stack;
+    }
+    return error;
+};
@@ -0,0 +1,569 @@
+// @flow
+/**
+ * Render in a pool of worker threads.
+ *
+ * Rendering is CPU-heavy and synchronous in places, so doing it on the main
+ * thread means one slow render holds up every other request, including
+ * health checks. Instead, the main thread handles HTTP, validation and
+ * package fetching, and hands renders off to worker threads (see
+ * render-worker.js) which own the render contexts.
+ *
+ * The number of workers is set by the --render-workers argument. With zero
+ * workers, we render on the main thread.
+ *
+ * Workers enforce the render deadline themselves (see render-timeout.js),
+ * but they can't do that while something in a render context is stuck in a
+ * loop outside of our CPU budget, such as in a timer callback. So if a
+ * render goes on for a while past its deadline, we terminate its worker and
+ * start a new one.
+ */
+import path from "path";
+import stream from "stream";
+import {Worker} from "worker_threads";
+
+import args from "./arguments.js";
+import fetchPackage from "./fetch_package.js";
+import {rootLogger} from "./logging.js";
+import render from "./render.js";
+import {
+    flushRenderContexts,
+    warmRenderContext,
+} from "./create-render-context.js";
+import {createUrlMatcher} from "./flush-selector.js";
+import {deserializeError, serializeError} from "./render-worker-messages.js";
+import {
+    RenderTimeoutError,
+    WORKER_TIMEOUT_GRACE_MS,
+    getRenderTimeout,
+} from "./render-timeout.js";
+import {getTracer} from "./tracing.js";
+
+import type {
+    FlushSelector,
+    Globals,
+    JavaScriptPackage,
+    Logger,
+    RenderOptions,
+    RenderResult,
+    RequestStats,
+} from "./types.js";
+import type {
+    FromWorkerMessage,
+    ToWorkerMessage,
+} from "./render-worker-messages.js";
+
+const WORKER_PATH = path.join(__dirname, "render-worker.js");
+
+type WorkerState = {
+    worker: Worker,
+    activeRenders: Set<number>,
+    // The packages of the last render, so that we can send renders of the
+    // same packages to the same worker, where its render context is warm.
+    lastPoolKey: ?string,
+};
+
+// A render, or the warming of a render context (which resolves with
+// nothing), that a worker is doing for us.
+type PendingRender = {
+    logging: Logger,
+    workerState: WorkerState,
+    resolve: (result: any) => void,
+    reject: (Error) => void,
+    htmlStream: ?stream.Readable,
+    watchdog: ?TimeoutID,
+    // Fetches packages for the worker as part of the render's trace.
+    fetchPackage: typeof fetchPackage,
+};
+
+const getPoolKey = (jsPackages: Array<JavaScriptPackage>): string =>
+    jsPackages.map(({url}) => url).join("\n");
+
+export class RenderWorkerPool {
+    _logging: Logger;
+    _workers: Array<WorkerState>;
+    _renders: Map<number, PendingRender>;
+    _nextID: number;
+    _closing: boolean;
+
+    constructor(size: number, logging: Logger) {
+        this._logging = logging;
+        this._workers = [];
+        this._renders = new Map();
+        this._nextID = 0;
+        this._closing = false;
+
+        for (let i = 0; i < size; i++) {
+            this._startWorker();
+        }
+    }
+
+    get size(): number {
+        return this._workers.length;
+    }
+
+    _createWorker(): Worker {
+        const workerData = {args: args.rawArgs};
+        if (process.env.NODE_ENV === "test") {
+            // Our tests run the untranspiled source through @babel/register,
+            // which worker threads don't inherit.
+            return new Worker(
+                `require("@babel/register");` +
+                    `require(${JSON.stringify(WORKER_PATH)});`,
+                {eval: true, workerData},
+            );
+        }
+        return new Worker(WORKER_PATH, {workerData});
+    }
+
+    _startWorker(): void {
+        const workerState: WorkerState = {
+            worker: this._createWorker(),
+            activeRenders: new Set(),
+            lastPoolKey: null,
+        };
+        const {worker} = workerState;
+        worker.on("message", (message: FromWorkerMessage) =>
+            this._handleMessage(workerState, message),
+        );
+        worker.on("error", (err: Error) => {
+            this._logging.error(`Render worker failed: ${err.stack || ""}`);
+        });
+        worker.on("exit", (exitCode: number) =>
+            this._handleExit(workerState, exitCode),
+        );
+        this._workers.push(workerState);
+    }
+
+    _handleExit(workerState: WorkerState, exitCode: number): void {
+        // Workers that we terminated have already been replaced.
+        const unexpected = this._workers.includes(workerState);
+        this._workers = this._workers.filter((w) => w !== workerState);
+        for (const id of workerState.activeRenders) {
+            this._fail(
+                id,
+                new Error(`Render worker exited with code ${exitCode}`),
+            );
+        }
+
+        if (unexpected && !this._closing) {
+            this._logging.warn(
+                `Render worker exited with code ${exitCode}; replacing it`,
+            );
+            this._startWorker();
+        }
+    }
+
+    _post(workerState: WorkerState, message: ToWorkerMessage): void {
+        workerState.worker.postMessage(message);
+    }
+
+    _finish(id: number): void {
+        const pending = this._renders.get(id);
+        if (pending != null) {
+            clearTimeout(pending.watchdog);
+            pending.workerState.activeRenders.delete(id);
+            this._renders.delete(id);
+        }
+    }
+
+    _fail(id: number, error: Error): void {
+        const pending = this._renders.get(id);
+        if (pending == null) {
+            return;
+        }
+        this._finish(id);
+        if (pending.htmlStream != null) {
+            pending.htmlStream.destroy(error);
+        } else {
+            pending.reject(error);
+        }
+    }
+
+    /**
+     * Fail a render that went well past its deadline and terminate its
+     * worker, since the worker did not fail the render itself. Any other
+     * renders on that worker fail too.
+     */
+    _handleStuckRender(id: number, timeoutMs: number): void {
+        const pending = this._renders.get(id);
+        if (pending == null) {
+            return;
+        }
+        const {workerState} = pending;
+        pending.logging.error(
+            `Render worker did not finish within ${timeoutMs}ms; terminating it`,
+        );
+        this._fail(
+            id,
+            new RenderTimeoutError(
+                "render",
+                timeoutMs,
+                `Render timed out during render: ` +
+                    `not finished within ${timeoutMs}ms, ` +
+                    `so its render worker was terminated`,
+            ),
+        );
+        this._workers = this._workers.filter((w) => w !== workerState);
+        this._startWorker();
+        workerState.worker.terminate();
+    }
+
+    _handleFetch(
+        workerState: WorkerState,
+        pending: PendingRender,
+        fetchID: number,
+        url: string,
+    ): void {
+        const fetchStats: RequestStats = {
+            pendingRenderRequests: 0,
+            queueWaitMs: 0,
+            packageFetches: 0,
+            fromCache: 0,
+            packageFetchRetries: 0,
+            packageFetchMs: 0,
+            vmContextSize: 0,
+            createdVmContext: false,
+            vmContextBuildMs: 0,
+            scriptCacheHits: 0,
+            scriptCacheMisses: 0,
+            packageCacheSize: 0,
+            packageCacheEntries: 0,
+            packageCacheEvictions: 0,
+        };
+        pending
+            .fetchPackage(pending.logging, url, "JSDOM", fetchStats)
+            .then(({content}) =>
+                this._post(workerState, {
+                    type: "fetched",
+                    fetchID,
+                    content,
+                    packageFetches: fetchStats.packageFetches,
+                    fromCache: fetchStats.fromCache,
+                }),
+            )
+            .catch((err) =>
+                this._post(workerState, {
+                    type: "fetched",
+                    fetchID,
+                    content: "",
+                    packageFetches: fetchStats.packageFetches,
+                    fromCache: fetchStats.fromCache,
+                    error: serializeError(err),
+                }),
+            );
+    }
+
+    _handleMessage(workerState: WorkerState, message: FromWorkerMessage): void {
+        if (message.type === "log" && message.id == null) {
+            this._logging.log({
+                level: message.level,
+                message: message.message,
+            });
+            return;
+        }
+        const pending =
+            message.id != null ? this._renders.get(message.id) : null;
+        if (pending == null) {
+            return;
+        }
+
+        switch (message.type) {
+            case "log":
+                pending.logging.log({
+                    level: message.level,
+                    message: message.message,
+                    durationMs: message.durationMs,
+                });
+                break;
+
+            case "fetch":
+                this._handleFetch(
+                    workerState,
+                    pending,
+                    message.fetchID,
+                    message.url,
+                );
+                break;
+
+            case "result": {
+                const {id, result, streaming} = message;
+                if (!streaming) {
+                    this._finish(id);
+                    pending.resolve(result);
+                    break;
+                }
+                const htmlStream = new stream.Readable({
+                    // Ask the worker for the next chunk once we want it.
+                    read: () => {
+                        if (this._renders.has(id)) {
+                            this._post(workerState, {type: "pull", id});
+                        }
+                    },
+                    destroy: (err, callback) => {
+                        // If we're destroyed before the worker is done, the
+                        // caller has gone away, so the worker can stop.
+                        if (this._renders.has(id)) {
+                            this._finish(id);
+                            this._post(workerState, {type: "cancel", id});
+                        }
+                        callback(err || undefined);
+                    },
+                });
+                pending.htmlStream = htmlStream;
+                pending.resolve({...result, html: htmlStream});
+                break;
+            }
+
+            case "chunk":
+                if (pending.htmlStream != null) {
+                    const {chunk} = message;
+                    pending.htmlStream.push(
+                        typeof chunk === "string"
+                            ? chunk
+                            : Buffer.from(
+                                  chunk.buffer,
+                                  chunk.byteOffset,
+                                  chunk.byteLength,
+                              ),
+                    );
+                }
+                break;
+
+            case "end":
+                this._finish(message.id);
+                if (pending.htmlStream != null) {
+                    pending.htmlStream.push(null);
+                }
+                break;
+
+            case "warmed":
+                this._finish(message.id);
+                pending.resolve();
+                break;
+
+            case "error":
+                this._fail(message.id, deserializeError(message.error));
+                break;
+        }
+    }
+
+    /**
+     * Pick the worker to render with. That's the least busy one, preferring
+     * one that last rendered the same packages.
+     */
+    _pickWorker(poolKey: string): WorkerState {
+        let best = this._workers[0];
+        for (const candidate of this._workers) {
+            const busier =
+                candidate.activeRenders.size - best.activeRenders.size;
+            if (
+                busier < 0 ||
+                (busier === 0 &&
+                    candidate.lastPoolKey === poolKey &&
+                    best.lastPoolKey !== poolKey)
+            ) {
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Render in one of our workers. This takes the same arguments as, and
+     * resolves the same way as, render() in render.js.
+     */
+    render(
+        logging: Logger,
+        jsPackages: Array<JavaScriptPackage>,
+        props: mixed,
+        globals: Globals,
+        requestStats?: RequestStats,
+        options?: RenderOptions,
+    ): Promise<RenderResult> {
+        if (this._closing || this._workers.length === 0) {
+            return Promise.reject(new Error("No render workers available"));
+        }
+
+        const id = this._nextID++;
+        const poolKey = getPoolKey(jsPackages);
+        const workerState = this._pickWorker(poolKey);
+        workerState.activeRenders.add(id);
+        workerState.lastPoolKey = poolKey;
+
+        const tracer = getTracer();
+        const timeoutMs = getRenderTimeout(options);
+        const watchdog =
+            timeoutMs > 0
+                ? setTimeout(
+                      () => this._handleStuckRender(id, timeoutMs),
+                      timeoutMs + WORKER_TIMEOUT_GRACE_MS,
+                  )
+                : null;
+
+        return new Promise((resolve, reject) => {
+            this._renders.set(id, {
+                logging,
+                workerState,
+                resolve,
+                reject,
+                htmlStream: null,
+                watchdog,
+                fetchPackage: tracer.bind(fetchPackage),
+            });
+            this._post(workerState, {
+                type: "render",
+                id,
+                jsPackages,
+                props,
+                globals,
+                requestStats,
+                options: {...options, traceparent: tracer.getTraceparent()},
+            });
+        });
+    }
+
+    /**
+     * Have every worker evaluate the given packages in a render context and
+     * keep it for later renders of them.
+     */
+    warm(
+        logging: Logger,
+        jsPackages: Array<JavaScriptPackage>,
+        globals: Globals,
+    ): Promise<void> {
+        if (this._closing || this._workers.length === 0) {
+            return Promise.reject(new Error("No render workers available"));
+        }
+
+        const poolKey = getPoolKey(jsPackages);
+        const tracer = getTracer();
+        return Promise.all(
+            this._workers.map(
+                (workerState) =>
+                    new Promise((resolve, reject) => {
+                        const id = this._nextID++;
+                        workerState.activeRenders.add(id);
+                        workerState.lastPoolKey = poolKey;
+                        this._renders.set(id, {
+                            logging,
+                            workerState,
+                            resolve,
+                            reject,
+                            htmlStream: null,
+                            watchdog: null,
+                            fetchPackage: tracer.bind(fetchPackage),
+                        });
+                        this._post(workerState, {
+                            type: "warm",
+                            id,
+                            jsPackages,
+                            globals,
+                        });
+                    }),
+            ),
+        ).then(() => undefined);
+    }
+
+    /**
+     * Have every worker dispose of its idle render contexts, or just those
+     * for the packages that the given selector matches.
+     */
+    flush(selector?: ?FlushSelector): void {
+        this._workers.forEach((workerState) =>
+            this._post(workerState, {type: "flush", selector}),
+        );
+    }
+
+    /**
+     * Stop all the workers. Any renders still in progress will fail.
+     */
+    async close(): Promise<void> {
+        this._closing = true;
+        await Promise.all(this._workers.map(({worker}) => worker.terminate()));
+    }
+}
+
+let pool: ?RenderWorkerPool = null;
+
+const getPool = (): RenderWorkerPool => {
+    if (pool == null) {
+        pool = new RenderWorkerPool(args.renderWorkers, rootLogger);
+    }
+    return pool;
+};
+
+/**
+ * Render using our worker pool, or on the main thread if we have no
+ * workers. This takes the same arguments as render() in render.js.
+ */
+export default function renderInWorker(
+    logging: Logger,
+    jsPackages: Array<JavaScriptPackage>,
+    props: mixed,
+    globals: Globals,
+    requestStats?: RequestStats,
+    options?: RenderOptions,
+): Promise<RenderResult> {
+    if (args.renderWorkers <= 0) {
+        return render(
+            logging,
+            jsPackages,
+            props,
+            globals,
+            requestStats,
+            options,
+        );
+    }
+    return getPool().render(
+        logging,
+        jsPackages,
+        props,
+        globals,
+        requestStats,
+        options,
+    );
+}
+
+/**
+ * Evaluate packages in a render context that later renders of them can
+ * reuse: in every render worker, or on the main thread if we have no
+ * workers.
+ */
+export const warmRenderContexts = (
+    logging: Logger,
+    jsPackages: Array<JavaScriptPackage>,
+    globals: Globals,
+): Promise<void> => {
+    if (args.renderWorkers <= 0) {
+        try {
+            warmRenderContext(logging, jsPackages, globals);
+            return Promise.resolve();
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+    return getPool().warm(logging, jsPackages, globals);
+};
+
+/**
+ * Dispose of the idle render contexts on the main thread and in every
+ * render worker, or just those for the packages that the given selector
+ * matches.
+ */
+export const flushAllRenderContexts = (selector?: ?FlushSelector): void => {
+    flushRenderContexts(selector ? createUrlMatcher(selector) : undefined);
+    if (pool != null) {
+        pool.flush(selector);
+    }
+};
+
+/**
+ * Stop the render workers, if we have any.
+ */
+export const closeRenderWorkers = async (): Promise<void> => {
+    if (pool != null) {
+        const closingPool = pool;
+        pool = null;
+        await closingPool.close();
+    }
+};
@@ -0,0 +1,338 @@
+// @flow
+import fs from "fs";
+import {assert} from "chai";
+import sinon from "sinon";
+import {rootLogger as logging} from "./logging.js";
+import * as RenderModule from "./render.js";
+import {readStreamToString} from "./render-stream.js";
+import renderInWorker, {RenderWorkerPool} from "./render-worker-pool.js";
+
+describe("RenderWorkerPool", function() {
+    // Starting a worker means transpiling our code again inside it.
+    this.timeout(20000);
+
+    const loadPackages = (packageNames) =>
+        packageNames.map((filename) => {
+            const filepath = `${__dirname}/testdata/${filename}`;
+            return {
+                content: fs.readFileSync(filepath, "utf-8"),
+                url: filepath,
+            };
+        });
+
+    let underTest;
+
+    before(() => {
+        underTest = new RenderWorkerPool(1, logging);
+    });
+
+    after(async () => {
+        await underTest.close();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should start the requested number of workers", () => {
+        // Arrange
+
+        // Act
+        const result = underTest.size;
+
+        // Assert
+        assert.equal(result, 1);
+    });
+
+    it("should render in a worker", async () => {
+        // Arrange
+        const packages = loadPackages(["basic/entry.js"]);
+        const props = {name: "NAME"};
+
+        // Act
+        const result = await underTest.render(logging, packages, props, {
+            location: "https://example.com",
+        });
+
+        // Assert
+        assert.deepEqual(result, {
+            html: 'HTML: {"name":"NAME"}',
+            css: 'CSS: {"name":"NAME"}',
+        });
+    });
+
+    it("should pass back the updated requestStats", async () => {
+        // Arrange
+        const packages = loadPackages(["basic/entry.js"]);
+        const requestStats = {
+            pendingRenderRequests: 0,
+            queueWaitMs: 0,
+            packageFetches: 0,
+            fromCache: 0,
+            packageFetchRetries: 0,
+            packageFetchMs: 0,
+            vmContextSize: 0,
+            createdVmContext: false,
+            vmContextBuildMs: 0,
+            scriptCacheHits: 0,
+            scriptCacheMisses: 0,
+            packageCacheSize: 0,
+            packageCacheEntries: 0,
+            packageCacheEvictions: 0,
+        };
+
+        // Act
+        const result = await underTest.render(
+            logging,
+            packages,
+            {},
+            {location: "https://example.com"},
+            requestStats,
+        );
+
+        // Assert
+        assert.isTrue(
+            result.requestStats && result.requestStats.createdVmContext,
+        );
+    });
+
+    it("should log worker messages with the given logger", async () => {
+        // Arrange
+        const packages = loadPackages(["basic/entry.js"]);
+        const logSpy = sinon.spy(logging, "log");
+
+        // Act
+        await underTest.render(
+            logging,
+            packages,
+            {},
+            {
+                location: "https://example.com",
+            },
+        );
+
+        // Assert
+        sinon.assert.calledWithMatch(logSpy, {
+            message: sinon.match("PROFILE(end): rendering"),
+        });
+    });
+
+    it("should log what a worker logs other than for a render", () => {
+        // Arrange
+        const logStub = sinon.stub(logging, "log");
+
+        // Act
+        underTest._handleMessage(underTest._workers[0], {
+            type: "log",
+            id: null,
+            level: "warn",
+            message: "Worker warning",
+        });
+
+        // Assert
+        sinon.assert.calledWith(logStub, {
+            level: "warn",
+            message: "Worker warning",
+        });
+    });
+
+    it("should reject with the render error", async () => {
+        // Arrange
+        const packages = [
+            {content: "var nothingRegistered = true;", url: "test.js"},
+        ];
+
+        // Act
+        const underTestPromise = underTest.render(
+            logging,
+            packages,
+            {},
+            {
+                location: "https://example.com",
+            },
+        );
+
+        // Assert
+        await assert.isRejected(
+            underTestPromise,
+            "No render callbacks registered",
+        );
+    });
+
+    it("should reject with the console log of a render that is debugged", async () => {
+        // Arrange
+        const packages = [
+            {content: 'console.warn("Nothing to register");', url: "test.js"},
+        ];
+
+        // Act
+        const err: any = await assert.isRejected(
+            underTest.render(
+                logging,
+                packages,
+                {},
+                {location: "https://example.com"},
+                undefined,
+                {debug: true},
+            ),
+            "No render callbacks registered",
+        );
+
+        // Assert
+        assert.deepEqual(err.console, [
+            {
+                level: "warn",
+                message: "Nothing to register",
+                source: "test.js:1:9",
+            },
+        ]);
+    });
+
+    it("should warm render contexts in every worker", async () => {
+        // Arrange
+        const packages = loadPackages(["basic/entry.js"]);
+
+        // Act
+        const underTestPromise = underTest.warm(logging, packages, {
+            location: "https://example.com",
+        });
+
+        // Assert
+        await assert.isFulfilled(underTestPromise);
+    });
+
+    it("should reject if the packages can't be evaluated when warming", async () => {
+        // Arrange
+        const packages = [
+            {content: "throw new Error('Broken package');", url: "test.js"},
+        ];
+
+        // Act
+        const underTestPromise = underTest.warm(logging, packages, {
+            location: "https://example.com",
+        });
+
+        // Assert
+        await assert.isRejected(underTestPromise, "Broken package");
+    });
+
+    it("should stream html from the worker", async () => {
+        // Arrange
+        const packages = loadPackages(["streaming/entry.js"]);
+        const props = {kind: "node", chunks: ["<div>", "WORKER", "</div>"]};
+
+        // Act
+        const result = await underTest.render(
+            logging,
+            packages,
+            props,
+            {location: "https://example.com"},
+            undefined,
+            {stream: true},
+        );
+        const html = await readStreamToString((result.html: any));
+
+        // Assert
+        assert.equal(html, "<div>WORKER</div>");
+    });
+
+    it("should stream html no faster than it is read", async () => {
+        // Arrange
+        const packages = loadPackages(["streaming/entry.js"]);
+        const chunk = "x".repeat(1024);
+        const chunks = Array(200).fill(chunk);
+        const props = {kind: "whatwg", chunks};
+        const result = await underTest.render(
+            logging,
+            packages,
+            props,
+            {location: "https://example.com"},
+            undefined,
+            {stream: true},
+        );
+        const htmlStream: any = result.html;
+
+        // Act
+        htmlStream.read(0);
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        const buffered = htmlStream.readableLength;
+        const html = await readStreamToString(htmlStream);
+
+        // Assert
+        assert.isAtMost(
+            buffered,
+            htmlStream.readableHighWaterMark + chunk.length,
+        );
+        assert.equal(html, chunks.join(""));
+    });
+
+    it("should terminate a worker that is stuck past the deadline", async () => {
+        // Arrange
+        const packages = [
+            {
+                content: `window.__registerForSSR__(() => {
+                    setTimeout(() => { while (true) {} }, 0);
+                    return new Promise(() => {});
+                });`,
+                url: "stuck.js",
+            },
+        ];
+
+        // Act
+        const underTestPromise = underTest.render(
+            logging,
+            packages,
+            {},
+            {location: "https://example.com"},
+            undefined,
+            {timeout: 100},
+        );
+
+        // Assert
+        await assert.isRejected(
+            underTestPromise,
+            /not finished within 100ms, so its render worker was terminated/,
+        );
+    });
+
+    it("should replace a terminated worker", async () => {
+        // Arrange
+        const packages = loadPackages(["basic/entry.js"]);
+
+        // Act
+        const result = await underTest.render(
+            logging,
+            packages,
+            {},
+            {
+                location: "https://example.com",
+            },
+        );
+
+        // Assert
+        assert.equal(underTest.size, 1);
+        assert.equal(result.html, "HTML: {}");
+    });
+});
+
+describe("renderInWorker", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should render on this thread when there are no render workers", async () => {
+        // Arrange
+        const renderStub = sinon
+            .stub(RenderModule, "default")
+            .returns(Promise.resolve({html: "HTML"}));
+        const packages = [{content: "", url: "test.js"}];
+        const globals = {location: "https://example.com"};
+
+        // Act
+        const result = await renderInWorker(logging, packages, {}, globals);
+
+        // Assert
+        assert.deepEqual(result, {html: "HTML"});
+        sinon.assert.calledWith(renderStub, logging, packages, {}, globals);
+    });
+});
@@ -0,0 +1,240 @@
+// @flow
+/**
+ * The entrypoint for a render worker thread.
+ *
+ * Render workers own the render contexts and do the actual rendering so that
+ * a CPU-heavy render doesn't block the main thread, which handles HTTP,
+ * validation and package fetching. See render-worker-pool.js for the
+ * messages that pass between the main thread and the workers.
+ *
+ * Workers fetch packages, and log, through the main thread, so that the
+ * package cache and the log transports are only set up there (see
+ * fetch_package.js and logging.js).
+ */
+import util from "util";
+import {parentPort} from "worker_threads";
+
+import render from "./render.js";
+import {
+    flushRenderContexts,
+    warmRenderContext,
+} from "./create-render-context.js";
+import {createUrlMatcher} from "./flush-selector.js";
+import {setPackageFetcher} from "./custom-resource-loader.js";
+import {isReadableStream} from "./render-stream.js";
+import {deserializeError, serializeError} from "./render-worker-messages.js";
+
+import type {
+    AbortablePromise,
+    JavaScriptPackage,
+    Logger,
+    RequestStats,
+} from "./types.js";
+import type {
+    FetchedMessage,
+    RenderMessage,
+    ToWorkerMessage,
+    WarmMessage,
+} from "./render-worker-messages.js";
+
+const port = parentPort;
+if (port == null) {
+    throw new Error("render-worker.js must be run in a worker thread");
+}
+
+const LOG_LEVELS = ["error", "warn", "info", "verbose", "debug", "silly"];
+
+// The IDs of the renders that each of our loggers is for.
+const renderIDs: WeakMap<Logger, number> = new WeakMap();
+
+// The streams of renders that are still streaming their html.
+const activeStreams: Map<number, any> = new Map();
+
+// The fetches that we've asked the main thread to make for us.
+const pendingFetches: Map<
+    number,
+    {resolve: (FetchedMessage) => void, reject: (Error) => void},
+> = new Map();
+let nextFetchID = 0;
+
+/**
+ * Make a logger that sends everything to the main thread, to be logged with
+ * the logger of the request that we're rendering for.
+ */
+const createWorkerLogger = (id: number): Logger => {
+    const log = (level: string, message: string, durationMs?: number) =>
+        port.postMessage({type: "log", id, level, message, durationMs});
+
+    const logger = {};
+    LOG_LEVELS.forEach((level) => {
+        logger[level] = (message: string, ...splat: Array<mixed>) =>
+            log(level, util.format(message, ...splat));
+    });
+    logger.startTimer = () => {
+        const start = Date.now();
+        return {
+            done: ({message, level = "info"}) =>
+                log(level, message, Date.now() - start),
+        };
+    };
+
+    const workerLogger: Logger = (logger: any);
+    renderIDs.set(workerLogger, id);
+    return workerLogger;
+};
+
+/**
+ * Fetch a package requested by JSDOM by asking the main thread for it.
+ */
+const fetchFromMainThread = (
+    logging: Logger,
+    url: string,
+    requester: "JSDOM",
+    requestStats?: ?RequestStats,
+): AbortablePromise<JavaScriptPackage> => {
+    const fetchID = nextFetchID++;
+    const fetched: Promise<FetchedMessage> = new Promise((resolve, reject) =>
+        pendingFetches.set(fetchID, {resolve, reject}),
+    );
+    port.postMessage({
+        type: "fetch",
+        id: renderIDs.get(logging),
+        fetchID,
+        url,
+    });
+
+    const result = fetched.then(({content, packageFetches, fromCache}) => {
+        if (requestStats) {
+            requestStats.packageFetches += packageFetches;
+            requestStats.fromCache += fromCache;
+        }
+        return {content, url};
+    });
+    // We can't stop the main thread's fetch, but the main thread caches
+    // the result, so it is not wasted.
+    (result: any).abort = () => {};
+    return (result: any);
+};
+
+const handleRender = async ({
+    id,
+    jsPackages,
+    props,
+    globals,
+    requestStats,
+    options,
+}: RenderMessage): Promise<void> => {
+    const logging = createWorkerLogger(id);
+    try {
+        const result = await render(
+            logging,
+            jsPackages,
+            props,
+            globals,
+            requestStats,
+            options,
+        );
+        const {html, ...rest} = result;
+
+        // Everything but the html stream goes back as JSON would (which is
+        // how it ends up in the response anyway) so that anything from the
+        // render that can't be copied between threads is dropped.
+        if (!isReadableStream(html)) {
+            port.postMessage({
+                type: "result",
+                id,
+                result: JSON.parse(JSON.stringify(result)),
+                streaming: false,
+            });
+            return;
+        }
+
+        const htmlStream: any = html;
+        activeStreams.set(id, htmlStream);
+        port.postMessage({
+            type: "result",
+            id,
+            result: JSON.parse(JSON.stringify(rest)),
+            streaming: true,
+        });
+        // We send a chunk each time the main thread pulls one, so that we
+        // go no faster than whoever the main thread is streaming to.
+        htmlStream.on("data", (chunk) => {
+            htmlStream.pause();
+            port.postMessage({type: "chunk", id, chunk});
+        });
+        htmlStream.pause();
+        htmlStream.on("end", () => {
+            activeStreams.delete(id);
+            port.postMessage({type: "end", id});
+        });
+        htmlStream.on("error", (err) => {
+            activeStreams.delete(id);
+            port.postMessage({type: "error", id, error: serializeError(err)});
+        });
+    } catch (err) {
+        port.postMessage({type: "error", id, error: serializeError(err)});
+    }
+};
+
+const handleWarm = ({id, jsPackages, globals}: WarmMessage): void => {
+    try {
+        warmRenderContext(createWorkerLogger(id), jsPackages, globals);
+        port.postMessage({type: "warmed", id});
+    } catch (err) {
+        port.postMessage({type: "error", id, error: serializeError(err)});
+    }
+};
+
+setPackageFetcher(fetchFromMainThread);
+
+port.on("message", (message: ToWorkerMessage) => {
+    switch (message.type) {
+        case "render":
+            handleRender(message);
+            break;
+
+        case "warm":
+            handleWarm(message);
+            break;
+
+        case "fetched": {
+            const pending = pendingFetches.get(message.fetchID);
+            pendingFetches.delete(message.fetchID);
+            if (pending == null) {
+                break;
+            }
+            if (message.error != null) {
+                pending.reject(deserializeError(message.error));
+            } else {
+                pending.resolve(message);
+            }
+            break;
+        }
+
+        case "pull": {
+            const htmlStream = activeStreams.get(message.id);
+            if (htmlStream != null) {
+                htmlStream.resume();
+            }
+            break;
+        }
+
+        case "cancel": {
+            const htmlStream = activeStreams.get(message.id);
+            activeStreams.delete(message.id);
+            if (htmlStream != null) {
+                htmlStream.destroy();
+            }
+            break;
+        }
+
+        case "flush":
+            flushRenderContexts(
+                message.selector
+                    ? createUrlMatcher(message.selector)
+                    : undefined,
+            );
+            break;
+    }
+});
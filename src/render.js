@@ -9,10 +9,25 @@
 import profile from "./profile.js";
 import createRenderContext from "./create-render-context.js";
 import configureApolloNetwork from "./configure-apollo-network.js";
+import {getTracer} from "./tracing.js";
+import {isApolloError, withErrorCode} from "./error-codes.js";
+import {
+    isReadableStream,
+    readStreamToString,
+    toNodeReadable,
+} from "./render-stream.js";
+import {
+    deadlineError,
+    getRenderTimeout,
+    toRenderTimeoutError,
+    withTimeout,
+} from "./render-timeout.js";
 
 import type {
+    ConsoleEntry,
     Globals,
     JavaScriptPackage,
+    RenderOptions,
     RenderResult,
     RequestStats,
     Logger,
@@ -145,6 +160,16 @@ const performRender = async (): Promise<RenderResult> => {
  *     be set before the entrypoint is require()'d.
  * @param {object} requestStats -- If defined, should be a dict. Used to
  *     store stats about the current request.
+ * @param {object} options -- Additional render options. If `stream` is
+ *     true and the entrypoint renders `html` as a readable stream, `html`
+ *     is returned as a node readable stream and the render context stays
+ *     alive until that stream has ended. `timeout` overrides the default
+ *     wall-clock deadline for the render (see render-timeout.js), which
+ *     includes streaming the html. `traceparent` is the trace that the
+ *     render is part of, if it isn't the current one (see tracing.js).
+ *     If `debug` is true, what the render logs to the console is returned
+ *     as `console` (see render-console.js), and is the `console` of the
+ *     error if the render fails.
  * @returns the results of the entrypoint render; this can be whatever you so
  * choose, but might look something like:
  *   {
@@ -155,7 +180,12 @@ const performRender = async (): Promise<RenderResult> => {
  *       }
  *   }
  *
- * html is the rendered html of the entry point.
+ * If the render overruns its deadline or CPU budget, we reject with a
+ * RenderTimeoutError. Other errors are given the code of the kind of
+ * failure that they are (see error-codes.js).
+ *
+ * html is the rendered html of the entry point. If the entrypoint renders
+ * to a stream and we are not streaming, the stream is read into a string.
  * css will only be returned if the entrypoint makes use of Aphrodite
  * (https://github.com/Khan/aphrodite).
  */
@@ -165,16 +195,41 @@ export default async function render(
     props: mixed,
     globals: Globals,
     requestStats?: RequestStats,
-) {
+    options?: RenderOptions,
+): Promise<RenderResult> {
+    const timeoutMs = getRenderTimeout(options);
+    const startTime = Date.now();
+    const getTimeLeft = () =>
+        timeoutMs > 0 ? startTime + timeoutMs - Date.now() : Infinity;
+    const consoleEntries: ?Array<ConsoleEntry> =
+        options && options.debug ? [] : null;
+    const withConsole = (err: any) => {
+        if (consoleEntries != null && err != null && typeof err === "object") {
+            err.console = [...consoleEntries];
+        }
+        return err;
+    };
+
     // Here we get the existing VM context for this request or create a new one
     // and configure it accordingly.
-    const context = createRenderContext(
-        logging,
-        globals ? globals["location"] : "http://www.khanacademy.org",
-        globals,
-        jsPackages,
-        requestStats,
-    );
+    let context;
+    try {
+        context = createRenderContext(
+            logging,
+            globals ? globals["location"] : "http://www.khanacademy.org",
+            globals,
+            jsPackages,
+            requestStats,
+            consoleEntries,
+        );
+    } catch (e) {
+        throw withConsole(
+            withErrorCode(
+                toRenderTimeoutError(e, "package-eval"),
+                "package-eval",
+            ),
+        );
+    }
 
     context.window.ssrProps = props;
 
@@ -183,11 +238,36 @@ export default async function render(
         `rendering ${(globals && globals["location"]) || ""}`,
     );
 
+    // When streaming, the context has to stay alive until the stream has
+    // been consumed, so the stream takes over the job of cleaning up.
+    let cleanupDeferred = false;
+    let succeeded = false;
+    const cleanup = (succeeded: boolean) => {
+        // We need to stop the JSDOM environment so code doesn't languish
+        // running timers and such. If the render went well, the context
+        // can be reused by a later render.
+        try {
+            context.close(succeeded);
+        } catch (e) {
+            logging.warn(`Error while closing JSDOM context: ${e}`);
+        }
+        renderProfile.end();
+    };
+
     try {
+        // Evaluating the packages is synchronous, so we can only check the
+        // deadline once it is done.
+        if (getTimeLeft() <= 0) {
+            throw deadlineError("package-eval", timeoutMs);
+        }
+
         // If Apollo is required, get it configured on the context.
         const apolloNetwork: ?ApolloNetworkConfiguration = (context.window
             .ApolloNetwork: any);
-        const apolloGlobals = configureApolloNetwork(apolloNetwork);
+        const apolloGlobals = configureApolloNetwork(
+            apolloNetwork,
+            (options && options.traceparent) || getTracer().getTraceparent(),
+        );
 
         /**
          * We attach these things to the context window so that when running
@@ -198,13 +278,56 @@ export default async function render(
         // Now that everything is setup, we can invoke our rendering.
         if (context.window.__rrs == null) {
             // This is a problem.
-            throw new Error("No render callbacks registered");
+            throw withErrorCode(
+                new Error("No render callbacks registered"),
+                "no-registration",
+            );
         }
 
         // To debug the performRender function, set a breakpoint on the
         // following line and then in the debug console, set
         // context.__DEBUG_RENDER__ to true before continuing.
-        const result = await context.run(performRender);
+        const result = await withTimeout(
+            context.run(performRender),
+            getTimeLeft(),
+            () => deadlineError("render", timeoutMs),
+        );
+
+        if (isReadableStream(result.html)) {
+            const html = toNodeReadable(result.html);
+            if (options && options.stream) {
+                cleanupDeferred = true;
+                const timeLeft = getTimeLeft();
+                const deadlineTimer =
+                    timeLeft === Infinity
+                        ? null
+                        : setTimeout(
+                              () =>
+                                  html.destroy(
+                                      deadlineError("render", timeoutMs),
+                                  ),
+                              timeLeft,
+                          );
+                let cleanedUp = false;
+                const cleanupOnce = (succeeded: boolean) => {
+                    if (!cleanedUp) {
+                        cleanedUp = true;
+                        clearTimeout(deadlineTimer);
+                        cleanup(succeeded);
+                    }
+                };
+                html.on("end", () => cleanupOnce(true));
+                html.on("error", () => cleanupOnce(false));
+                html.on("close", () => cleanupOnce(false));
+                result.html = html;
+            } else {
+                result.html = await withTimeout(
+                    readStreamToString(html),
+                    getTimeLeft(),
+                    () => deadlineError("render", timeoutMs),
+                );
+            }
+        }
 
         // If we passed in request-stats, we've modified them in this
         // function (to update the stats).  Pass back the updated
@@ -212,15 +335,21 @@ export default async function render(
         if (requestStats) {
             result.requestStats = requestStats;
         }
+        if (consoleEntries != null) {
+            result.console = [...consoleEntries];
+        }
+        succeeded = true;
         return result;
+    } catch (e) {
+        throw withConsole(
+            withErrorCode(
+                toRenderTimeoutError(e, "render"),
+                isApolloError(e) ? "apollo" : "render",
+            ),
+        );
     } finally {
-        // We need to kill the JSDOM environment so code doesn't languish
-        // running timers and such.
-        try {
-            context.close();
-        } catch (e) {
-            logging.warn(`Error while closing JSDOM context: ${e}`);
+        if (!cleanupDeferred) {
+            cleanup(succeeded);
         }
-        renderProfile.end();
     }
 }
@@ -2,6 +2,7 @@
 import fs from "fs";
 import {assert} from "chai";
 import render from "./render.js";
+import {getErrorCode} from "./error-codes.js";
 import {rootLogger as logging} from "./logging.js";
 import nock from "nock";
 
@@ -168,6 +169,42 @@ describe("render apollo", () => {
         assert.deepEqual(result, expectedBase);
     });
 
+    it("should continue the render's trace in requests to the GraphQL server", async () => {
+        // Arrange
+        const packages = loadPackages([
+            "webpacked/common/1.js",
+            "webpacked/common/2.js",
+            "webpacked/common/3.js",
+            "webpacked/apollo/simple/entry.js",
+        ]);
+        const traceparent =
+            "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01";
+        const graphQLScope = nock("https://www.ka.org", {
+            reqheaders: {traceparent},
+        })
+            .replyContentLength()
+            .post("/graphql")
+            .reply(200, validGraphQLResponse);
+
+        // Act
+        await render(
+            logging,
+            packages,
+            {},
+            {
+                location: "https://www.khanacademy.org",
+                ApolloNetwork: {
+                    url: "https://www.ka.org/graphql",
+                },
+            },
+            undefined,
+            {traceparent},
+        );
+
+        // Assert
+        graphQLScope.done();
+    });
+
     it("should handle a GraphQL syntax error", async () => {
         // Arrange
         const packages = loadPackages([
@@ -328,6 +365,35 @@ describe("render apollo", () => {
         );
     });
 
+    it("should say that GraphQL failures are Apollo errors", async () => {
+        // Arrange
+        const packages = loadPackages([
+            "webpacked/common/1.js",
+            "webpacked/common/2.js",
+            "webpacked/common/3.js",
+            "webpacked/apollo/simple/entry.js",
+        ]);
+        mockScope.post("/graphql").reply(500, "Interal Server Error");
+
+        // Act
+        const err = await assert.isRejected(
+            render(
+                logging,
+                packages,
+                {},
+                {
+                    location: "https://www.khanacademy.org",
+                    ApolloNetwork: {
+                        url: "https://www.ka.org/graphql",
+                    },
+                },
+            ),
+        );
+
+        // Assert
+        assert.equal(getErrorCode(err, "render"), "apollo");
+    });
+
     it("should handle a 500ms delay from GraphQL", async () => {
         // Arrange
         const packages = loadPackages([
@@ -3,7 +3,11 @@ import fs from "fs";
 import jsdom from "jsdom";
 import {assert} from "chai";
 import sinon from "sinon";
+import args from "./arguments.js";
 import render from "./render.js";
+import {getErrorCode} from "./error-codes.js";
+import {flushRenderContexts} from "./create-render-context.js";
+import {readStreamToString} from "./render-stream.js";
 import {rootLogger as logging} from "./logging.js";
 
 describe("render", () => {
@@ -202,4 +206,557 @@ describe("render", () => {
         // Assert
         assert.deepEqual(result, expectation);
     });
+
+    it("should read a node-style html stream into a string when not streaming", async () => {
+        // Arrange
+        const packages = loadPackages(["streaming/entry.js"]);
+        const props = {kind: "node", chunks: ["<div>", "STREAMED", "</div>"]};
+
+        // Act
+        const result = await render(logging, packages, props, {
+            location: "https://example.com",
+        });
+
+        // Assert
+        assert.deepEqual(result, {
+            html: "<div>STREAMED</div>",
+            css: 'CSS: ["<div>","STREAMED","</div>"]',
+        });
+    });
+
+    it("should read a WHATWG html stream into a string when not streaming", async () => {
+        // Arrange
+        const packages = loadPackages(["streaming/entry.js"]);
+        const props = {kind: "whatwg", chunks: ["<p>", "WHATWG", "</p>"]};
+
+        // Act
+        const result = await render(logging, packages, props, {
+            location: "https://example.com",
+        });
+
+        // Assert
+        assert.equal(result.html, "<p>WHATWG</p>");
+    });
+
+    it("should return html as a readable stream when streaming", async () => {
+        // Arrange
+        const packages = loadPackages(["streaming/entry.js"]);
+        const props = {kind: "node", chunks: ["<div>", "STREAMED", "</div>"]};
+
+        // Act
+        const result = await render(
+            logging,
+            packages,
+            props,
+            {location: "https://example.com"},
+            undefined,
+            {stream: true},
+        );
+        const html = await readStreamToString((result.html: any));
+
+        // Assert
+        assert.equal(html, "<div>STREAMED</div>");
+    });
+
+    it("should close the render context once the html stream has ended", async () => {
+        // Arrange
+        const packages = loadPackages(["streaming/entry.js"]);
+        const props = {kind: "whatwg", chunks: ["a", "b"]};
+        const result = await render(
+            logging,
+            packages,
+            props,
+            {location: "https://example.com"},
+            undefined,
+            {stream: true},
+        );
+        const window = (jsdom.JSDOM: any).returnValues[0].window;
+        const closeSpy = sinon.spy(window, "close");
+
+        // Act
+        const beforeEnd = closeSpy.called;
+        await readStreamToString((result.html: any));
+
+        // Assert
+        assert.isFalse(beforeEnd, "Should not close before the stream ends");
+        sinon.assert.calledOnce(closeSpy);
+    });
+
+    describe("with errors", () => {
+        [
+            {
+                code: "package-eval",
+                content: 'throw new Error("Boom");',
+            },
+            {
+                code: "no-registration",
+                content: "var nothingRegistered = true;",
+            },
+            {
+                code: "render",
+                content:
+                    "window.__registerForSSR__(() => {\n" +
+                    '    throw new Error("Boom");\n' +
+                    "});",
+            },
+        ].forEach(({code, content}) => {
+            it(`should give ${code} failures the ${code} code`, async () => {
+                // Arrange
+                const packages = [{content, url: "https://www.ka.org/a.js"}];
+
+                // Act
+                const err = await assert.isRejected(
+                    render(
+                        logging,
+                        packages,
+                        {},
+                        {
+                            location: "https://example.com",
+                        },
+                    ),
+                );
+
+                // Assert
+                assert.equal(getErrorCode(err, "fetch"), code);
+            });
+        });
+    });
+
+    describe("with debugging", () => {
+        it("should return what the render logged to the console", async () => {
+            // Arrange
+            sinon.stub(logging, "warn");
+            const packages = [
+                {
+                    content:
+                        'console.warn("Evaluated");\n' +
+                        "window.__registerForSSR__(() => {\n" +
+                        '    console.warn("Rendered");\n' +
+                        '    return Promise.resolve({html: "HTML"});\n' +
+                        "});",
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+
+            // Act
+            const result = await render(
+                logging,
+                packages,
+                {},
+                {location: "https://example.com"},
+                undefined,
+                {debug: true},
+            );
+
+            // Assert
+            assert.deepEqual(result.console, [
+                {
+                    level: "warn",
+                    message: "Evaluated",
+                    source: "https://www.ka.org/entry.js:1:9",
+                },
+                {
+                    level: "warn",
+                    message: "Rendered",
+                    source: "https://www.ka.org/entry.js:3:13",
+                },
+            ]);
+        });
+
+        it("should not return the console log when not debugging", async () => {
+            // Arrange
+            sinon.stub(logging, "warn");
+            const packages = [
+                {
+                    content:
+                        'console.warn("Evaluated");\n' +
+                        'window.__registerForSSR__(() => Promise.resolve({html: "HTML"}));',
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+
+            // Act
+            const result = await render(
+                logging,
+                packages,
+                {},
+                {
+                    location: "https://example.com",
+                },
+            );
+
+            // Assert
+            assert.notProperty(result, "console");
+        });
+
+        it("should give the console log with the error when the render fails", async () => {
+            // Arrange
+            sinon.stub(logging, "error");
+            const packages = [
+                {
+                    content:
+                        "window.__registerForSSR__(() => {\n" +
+                        '    console.error("Missing props");\n' +
+                        '    throw new Error("Boom");\n' +
+                        "});",
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+
+            // Act
+            const err: any = await assert.isRejected(
+                render(
+                    logging,
+                    packages,
+                    {},
+                    {location: "https://example.com"},
+                    undefined,
+                    {debug: true},
+                ),
+                /Boom/,
+            );
+
+            // Assert
+            assert.deepEqual(err.console, [
+                {
+                    level: "error",
+                    message: "Missing props",
+                    source: "https://www.ka.org/entry.js:2:13",
+                },
+            ]);
+        });
+    });
+
+    describe("with timeouts", () => {
+        beforeEach(() => {
+            sinon.stub(args, "scriptTimeout").get(() => 50);
+        });
+
+        it("should fail when evaluating a package uses too much CPU", async () => {
+            // Arrange
+            const packages = [{content: "while (true) {}", url: "loop.js"}];
+
+            // Act
+            const underTest = render(
+                logging,
+                packages,
+                {},
+                {
+                    location: "https://example.com",
+                },
+            );
+
+            // Assert
+            await assert.isRejected(
+                underTest,
+                /timed out during package-eval: code ran for more than 50ms/,
+            );
+        });
+
+        it("should fail when rendering uses too much CPU", async () => {
+            // Arrange
+            const packages = [
+                {
+                    content:
+                        "window.__registerForSSR__(() => { while (true) {} });",
+                    url: "loop.js",
+                },
+            ];
+
+            // Act
+            const underTest = render(
+                logging,
+                packages,
+                {},
+                {
+                    location: "https://example.com",
+                },
+            );
+
+            // Assert
+            await assert.isRejected(
+                underTest,
+                /timed out during render: code ran for more than 50ms/,
+            );
+        });
+
+        it("should fail when the render does not finish by the deadline", async () => {
+            // Arrange
+            const packages = [
+                {
+                    content:
+                        "window.__registerForSSR__(() => new Promise(() => {}));",
+                    url: "never.js",
+                },
+            ];
+
+            // Act
+            const underTest = render(
+                logging,
+                packages,
+                {},
+                {location: "https://example.com"},
+                undefined,
+                {timeout: 50},
+            );
+
+            // Assert
+            await assert.isRejected(
+                underTest,
+                /timed out during render: not finished within 50ms/,
+            );
+        });
+
+        it("should close the render context when the deadline passes", async () => {
+            // Arrange
+            const packages = [
+                {
+                    content:
+                        "window.__registerForSSR__(() => new Promise(() => {}));",
+                    url: "never.js",
+                },
+            ];
+            const underTest = render(
+                logging,
+                packages,
+                {},
+                {location: "https://example.com"},
+                undefined,
+                {timeout: 50},
+            );
+            const window = (jsdom.JSDOM: any).returnValues[0].window;
+            const closeSpy = sinon.spy(window, "close");
+
+            // Act
+            await underTest.catch(() => {});
+
+            // Assert
+            sinon.assert.calledOnce(closeSpy);
+        });
+
+        it("should end a stream that does not finish by the deadline", async () => {
+            // Arrange
+            const packages = [
+                {
+                    // A WHATWG-style stream that never ends.
+                    content: `window.__registerForSSR__(() => Promise.resolve({
+                        html: {
+                            getReader: () => ({
+                                read: () => new Promise(() => {}),
+                            }),
+                        },
+                    }));`,
+                    url: "stalled.js",
+                },
+            ];
+            const result = await render(
+                logging,
+                packages,
+                {},
+                {location: "https://example.com"},
+                undefined,
+                {stream: true, timeout: 50},
+            );
+
+            // Act
+            const underTest = readStreamToString((result.html: any));
+
+            // Assert
+            await assert.isRejected(
+                underTest,
+                /timed out during render: not finished within 50ms/,
+            );
+        });
+    });
+
+    describe("with context pooling", () => {
+        beforeEach(() => {
+            sinon.stub(args, "contextPoolSize").get(() => 1);
+        });
+
+        afterEach(() => {
+            flushRenderContexts();
+        });
+
+        it("should reuse the context for the same packages", async () => {
+            // Arrange
+            const packages = loadPackages(["basic/entry.js"]);
+            const requestStats = {
+                pendingRenderRequests: 0,
+                queueWaitMs: 0,
+                packageFetches: 0,
+                fromCache: 0,
+                packageFetchRetries: 0,
+                packageFetchMs: 0,
+                vmContextSize: 0,
+                createdVmContext: false,
+                vmContextBuildMs: 0,
+                scriptCacheHits: 0,
+                scriptCacheMisses: 0,
+                packageCacheSize: 0,
+                packageCacheEntries: 0,
+                packageCacheEvictions: 0,
+            };
+            await render(
+                logging,
+                packages,
+                {name: "FIRST"},
+                {
+                    location: "https://example.com",
+                },
+            );
+
+            // Act
+            const result = await render(
+                logging,
+                packages,
+                {name: "SECOND"},
+                {location: "https://example.com"},
+                requestStats,
+            );
+
+            // Assert
+            sinon.assert.calledOnce((jsdom.JSDOM: any));
+            assert.equal(result.html, 'HTML: {"name":"SECOND"}');
+            assert.isFalse(requestStats.createdVmContext);
+            assert.isAbove(requestStats.vmContextSize, 0);
+        });
+
+        it("should not reuse the context for different packages", async () => {
+            // Arrange
+            await render(
+                logging,
+                loadPackages(["basic/entry.js"]),
+                {},
+                {
+                    location: "https://example.com",
+                },
+            );
+
+            // Act
+            await render(
+                logging,
+                loadPackages(["globals/entry.js"]),
+                {},
+                {
+                    location: "https://example.com",
+                    KA: {language: "en"},
+                },
+            );
+
+            // Assert
+            sinon.assert.calledTwice((jsdom.JSDOM: any));
+        });
+
+        it("should apply the globals and location for each render", async () => {
+            // Arrange
+            const packages = loadPackages(["globals/entry.js"]);
+            await render(
+                logging,
+                packages,
+                {},
+                {
+                    location: "http://www.khanacademy.org/science/physics",
+                    KA: {language: "es"},
+                    extra: "EXTRA",
+                },
+            );
+
+            // Act
+            const result = await render(
+                logging,
+                packages,
+                {},
+                {
+                    location: "http://www.khanacademy.org/math",
+                    KA: {language: "fr"},
+                },
+            );
+
+            // Assert
+            const {window} = (jsdom.JSDOM: any).returnValues[0];
+            assert.equal(
+                result.html,
+                "HTML: LOC:http://www.khanacademy.org/math LANG:fr",
+            );
+            assert.isUndefined(window.extra);
+        });
+
+        it("should not reuse the context for a different origin", async () => {
+            // Arrange
+            const packages = loadPackages(["stateful/entry.js"]);
+            await render(
+                logging,
+                packages,
+                {name: "FIRST"},
+                {location: "https://a.example.com"},
+            );
+
+            // Act
+            const result = await render(
+                logging,
+                packages,
+                {name: "SECOND"},
+                {location: "https://b.example.com"},
+            );
+
+            // Assert
+            sinon.assert.calledTwice((jsdom.JSDOM: any));
+            assert.equal(result.html, "HTML: renders:1 previous:null");
+        });
+
+        it("should keep module-level state for the next render of the same origin", async () => {
+            // Arrange
+            const packages = loadPackages(["stateful/entry.js"]);
+            await render(
+                logging,
+                packages,
+                {name: "FIRST"},
+                {location: "https://example.com/first"},
+            );
+
+            // Act
+            const result = await render(
+                logging,
+                packages,
+                {name: "SECOND"},
+                {location: "https://example.com/second"},
+            );
+
+            // Assert
+            sinon.assert.calledOnce((jsdom.JSDOM: any));
+            assert.equal(result.html, "HTML: renders:2 previous:FIRST");
+        });
+
+        it("should remove nodes added to the document once released", async () => {
+            // Arrange
+            const packages = loadPackages(["basic/entry.js"]);
+            await render(
+                logging,
+                packages,
+                {},
+                {
+                    location: "https://example.com",
+                },
+            );
+            const {window} = (jsdom.JSDOM: any).returnValues[0];
+            const bodyNodeCount = window.document.body.childNodes.length;
+            window.document.body.appendChild(
+                window.document.createElement("div"),
+            );
+
+            // Act
+            await render(
+                logging,
+                packages,
+                {},
+                {
+                    location: "https://example.com",
+                },
+            );
+
+            // Assert
+            assert.equal(window.document.body.childNodes.length, bodyNodeCount);
+        });
+    });
 });
@@ -1,6 +1,6 @@
 // @flow
 import {getRequestID} from "./get-request-id.js";
-import type {Logger} from "./types.js";
+import {addLogContext} from "./logging.js";
 import type {$Response, $Request, NextFunction} from "express";
 
 export const requestIDMiddleware = (
@@ -8,18 +8,6 @@ export const requestIDMiddleware = (
     res: $Response,
     next: NextFunction,
 ): void => {
-    /**
-     * NOTE: the $Request type doesn't have a log field, officially.
-     * However, we know that the Google middleware adds it.
-     * $FlowIgnore
-     */
-    const requestLog: Logger = req.log;
-    if (requestLog == null) {
-        // The Google middleware must not be in use. Let's just skip on.
-        next();
-        return;
-    }
-
     const requestID = getRequestID(req);
     if (requestID == null) {
         // We couldn't get the GAE request ID, so let's skip on.
@@ -28,16 +16,10 @@ export const requestIDMiddleware = (
     }
 
     /**
-     * We have a requestID and we know req.log exists, so let's replace
-     * req.log with a derived child logger that adds the requestID metadata.
-     */
-
-    const requestIDLog = requestLog.child({requestID});
-    /*
-     * NOTE: the $Request type doesn't have a log field, officially.
-     * However, we know that the Google middleware adds it.
-     * $FlowIgnore
+     * We have a requestID, so let's replace the request's logger (the one
+     * the Google middleware added, if it is in use) with a derived child
+     * logger that adds the requestID metadata.
      */
-    req.log = requestIDLog;
+    addLogContext(req, {requestID});
     next();
 };
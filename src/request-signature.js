@@ -0,0 +1,110 @@
+// @flow
+/**
+ * Signed requests.
+ *
+ * Rather than sending our shared secret, clients sign each request with it.
+ * They send the time of the request, as whole seconds since the epoch, in
+ * the X-Render-Timestamp header, and an HMAC-SHA256 of that timestamp, a
+ * ".", and the raw request body in the X-Render-Signature header, as
+ * "sha256=<hex digest>" (see signRequest).
+ *
+ * A request is only accepted if it is signed with one of our secrets (see
+ * secret.js) and its timestamp is within --signature-max-age seconds of now,
+ * so that a captured request can't be replayed later.
+ */
+import crypto from "crypto";
+
+import args from "./arguments.js";
+import * as renderSecret from "./secret.js";
+
+import type {Logger, Secret} from "./types.js";
+
+export const TIMESTAMP_HEADER = "X-Render-Timestamp";
+export const SIGNATURE_HEADER = "X-Render-Signature";
+
+const SIGNATURE_PREFIX = "sha256=";
+
+export type SignedRequest = {
+    timestamp: ?string,
+    signature: ?string,
+    body: Buffer | string,
+};
+
+/**
+ * Sign a request body with the given secret.
+ *
+ * @returns {string} The value for the X-Render-Signature header.
+ */
+// Exported for use by clients, such as the benchmark/loadtest tool.
+export const signRequest = (
+    secret: string,
+    timestamp: string,
+    body: Buffer | string,
+): string =>
+    SIGNATURE_PREFIX +
+    crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.`)
+        .update(body)
+        .digest("hex");
+
+/**
+ * Determine if a timestamp is close enough to now to accept.
+ */
+const isFreshTimestamp = (timestamp: string): boolean => {
+    if (!/^\d+$/.test(timestamp)) {
+        return false;
+    }
+    const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+    return ageSeconds <= args.signatureMaxAge;
+};
+
+/**
+ * Determine if a request is signed with one of our secrets, and recently.
+ */
+export const verify = function(
+    logging: Logger,
+    {timestamp, signature, body}: SignedRequest,
+    done: (?Error, ?boolean) => void,
+): void {
+    if (args.dev) {
+        // Disable the need for signatures.
+        done(null, true);
+        return;
+    }
+
+    if (timestamp == null || signature == null) {
+        logging.error("Request is not signed");
+        done(null, false);
+        return;
+    }
+    if (!isFreshTimestamp(timestamp)) {
+        logging.error(`Request timestamp is invalid or stale: ${timestamp}`);
+        done(null, false);
+        return;
+    }
+
+    renderSecret.getAll(
+        logging,
+        (err: ?Error, secrets: ?Array<Secret>): void => {
+            if (err) {
+                done(err);
+                return;
+            }
+
+            const signingSecret = (secrets || []).find((secret) =>
+                renderSecret.secretsEqual(
+                    signRequest(secret.value, timestamp, body),
+                    signature,
+                ),
+            );
+            if (signingSecret == null) {
+                logging.error("Request signature is invalid");
+                done(null, false);
+                return;
+            }
+            renderSecret.logSecretUsed(logging, signingSecret);
+            done(null, true);
+        },
+    );
+};
@@ -0,0 +1,220 @@
+// @flow
+import {assert} from "chai";
+import sinon from "sinon";
+import args from "./arguments.js";
+import * as renderSecret from "./secret.js";
+import {rootLogger} from "./logging.js";
+import {signRequest, verify} from "./request-signature.js";
+
+import type {SignedRequest} from "./request-signature.js";
+
+const verifyAsync = (request: SignedRequest): Promise<?boolean> =>
+    new Promise((resolve, reject) =>
+        verify(rootLogger, request, (err, verified) =>
+            err ? reject(err) : resolve(verified),
+        ),
+    );
+
+describe("request-signature", () => {
+    const BODY = '{"urls":["https://cdn.ka.org/a.js"]}';
+    const NOW_SECONDS = 1500000000;
+    let devStub;
+    let getAllStub;
+
+    beforeEach(() => {
+        sinon.useFakeTimers(NOW_SECONDS * 1000);
+        devStub = sinon.stub(args, "dev").get(() => false);
+        sinon.stub(args, "signatureMaxAge").get(() => 300);
+        getAllStub = sinon
+            .stub(renderSecret, "getAll")
+            .callsFake((logging, callback) =>
+                callback(null, [
+                    {id: "secret:1", value: "new-sekret"},
+                    {id: "secret:2", value: "old-sekret"},
+                ]),
+            );
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("#signRequest", () => {
+        it("should give a sha256 HMAC of the timestamp and body", () => {
+            // Act
+            const result = signRequest("sekret", "1500000000", "{}");
+
+            // Assert
+            assert.match(result, /^sha256=[0-9a-f]{64}$/);
+        });
+
+        it("should give the same signature for a string or buffer body", () => {
+            // Act
+            const fromString = signRequest("sekret", "1500000000", BODY);
+            const fromBuffer = signRequest(
+                "sekret",
+                "1500000000",
+                Buffer.from(BODY),
+            );
+
+            // Assert
+            assert.equal(fromString, fromBuffer);
+        });
+    });
+
+    describe("#verify", () => {
+        it("should accept a request signed with the current secret", async () => {
+            // Arrange
+            const timestamp = `${NOW_SECONDS}`;
+            const signature = signRequest("new-sekret", timestamp, BODY);
+
+            // Act
+            const result = await verifyAsync({
+                timestamp,
+                signature,
+                body: Buffer.from(BODY),
+            });
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should accept a request signed with an older secret", async () => {
+            // Arrange
+            const timestamp = `${NOW_SECONDS}`;
+            const signature = signRequest("old-sekret", timestamp, BODY);
+
+            // Act
+            const result = await verifyAsync({
+                timestamp,
+                signature,
+                body: BODY,
+            });
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should reject a request signed with another secret", async () => {
+            // Arrange
+            const timestamp = `${NOW_SECONDS}`;
+            const signature = signRequest("bad-sekret", timestamp, BODY);
+
+            // Act
+            const result = await verifyAsync({
+                timestamp,
+                signature,
+                body: BODY,
+            });
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should reject a request whose body has changed", async () => {
+            // Arrange
+            const timestamp = `${NOW_SECONDS}`;
+            const signature = signRequest("new-sekret", timestamp, BODY);
+
+            // Act
+            const result = await verifyAsync({
+                timestamp,
+                signature,
+                body: BODY.replace("a.js", "evil.js"),
+            });
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should reject a request with a stale timestamp", async () => {
+            // Arrange
+            const timestamp = `${NOW_SECONDS - 301}`;
+            const signature = signRequest("new-sekret", timestamp, BODY);
+
+            // Act
+            const result = await verifyAsync({
+                timestamp,
+                signature,
+                body: BODY,
+            });
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should reject a request with a timestamp in the future", async () => {
+            // Arrange
+            const timestamp = `${NOW_SECONDS + 301}`;
+            const signature = signRequest("new-sekret", timestamp, BODY);
+
+            // Act
+            const result = await verifyAsync({
+                timestamp,
+                signature,
+                body: BODY,
+            });
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should reject a request with an invalid timestamp", async () => {
+            // Arrange
+            const timestamp = "soon";
+            const signature = signRequest("new-sekret", timestamp, BODY);
+
+            // Act
+            const result = await verifyAsync({
+                timestamp,
+                signature,
+                body: BODY,
+            });
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should reject a request that isn't signed", async () => {
+            // Act
+            const result = await verifyAsync({
+                timestamp: null,
+                signature: null,
+                body: BODY,
+            });
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should accept any request in dev", async () => {
+            // Arrange
+            devStub.get(() => true);
+
+            // Act
+            const result = await verifyAsync({
+                timestamp: null,
+                signature: null,
+                body: BODY,
+            });
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should fail if the secrets can't be read", async () => {
+            // Arrange
+            getAllStub.callsFake((logging, callback) =>
+                callback(new Error("File not found")),
+            );
+            const timestamp = `${NOW_SECONDS}`;
+            const signature = signRequest("new-sekret", timestamp, BODY);
+
+            // Act
+            const promise = verifyAsync({timestamp, signature, body: BODY});
+
+            // Assert
+            await assert.isRejected(promise, "File not found");
+        });
+    });
+});
@@ -0,0 +1,213 @@
+// @flow
+/**
+ * Checking the bodies of requests to our endpoints (see server.js).
+ *
+ * Each check returns the problem with the request, to respond to it with,
+ * or null if the request is valid.
+ */
+import {URL} from "url";
+
+import args from "./arguments.js";
+
+import {
+    PackageUrlNotAllowedError,
+    isAllowedPackageUrl,
+} from "./package-allowlist.js";
+import {isValidIntegrityMap} from "./package-integrity.js";
+import {getMaxRenderTimeout} from "./render-timeout.js";
+
+export type BadRequest = {
+    error: string,
+    value: mixed,
+    // The status to respond with, if not 400.
+    status?: number,
+};
+
+const isValidAbsoluteURL = (str: string): boolean => {
+    try {
+        // eslint-disable-next-line no-new
+        new URL(str);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * We filter out all non-JS URLs as we don't need to download them in
+ * order to render the page (for example .css files may be specified and
+ * we want to ignore them)
+ */
+export const getJsUrls = (urls: Array<string>): Array<string> =>
+    urls.filter((url) => url.startsWith("http") && url.endsWith(".js"));
+
+/**
+ * Check that we are allowed to fetch the JS packages in a list of URLs.
+ *
+ * Returns the problem, with a 403 status, if we aren't.
+ */
+const validateAllowedUrls = (urls: Array<string>): ?BadRequest => {
+    const notAllowedUrl = getJsUrls(urls).find(
+        (url) => !isAllowedPackageUrl(url),
+    );
+    if (notAllowedUrl != null) {
+        return {
+            error: new PackageUrlNotAllowedError(notAllowedUrl).message,
+            value: notAllowedUrl,
+            status: 403,
+        };
+    }
+    return null;
+};
+
+/**
+ * Check the urls, props, globals, timeout, integrity and debug flag of a
+ * render job, as sent to /render or as one of the jobs sent to /render/batch.
+ *
+ * Returns the problem with the job, or null if it is valid. If the job
+ * has a package URL that we aren't allowed to fetch from, the problem has
+ * a 403 status.
+ */
+export const validateRenderJob = (job: any): ?BadRequest => {
+    const {urls, props, globals, timeout, integrity, debug} = job || {};
+    if (!Array.isArray(urls) || !urls.every(isValidAbsoluteURL)) {
+        return {
+            error:
+                'Missing "urls" keyword in POST JSON input, ' +
+                'or one or more "urls" are not valid',
+            value: urls,
+        };
+    } else if (typeof props !== "object" || Array.isArray(props)) {
+        return {
+            error:
+                'Missing "props" keyword in POST JSON input, ' +
+                'or "props" is not an object, or it has non-string keys.',
+            value: props,
+        };
+    } else if (
+        globals &&
+        globals["location"] &&
+        !isValidAbsoluteURL(globals["location"])
+    ) {
+        return {
+            error: 'globals["location"] is not a valid URL',
+            value: props,
+        };
+    } else if (
+        timeout != null &&
+        (!Number.isInteger(timeout) ||
+            timeout <= 0 ||
+            timeout > getMaxRenderTimeout())
+    ) {
+        return {
+            error:
+                '"timeout" must be a positive whole number of milliseconds, ' +
+                `no more than ${getMaxRenderTimeout()}`,
+            value: timeout,
+        };
+    } else if (integrity != null && !isValidIntegrityMap(integrity)) {
+        return {
+            error:
+                '"integrity" must be an object of URLs to sha256, sha384 ' +
+                "or sha512 integrity metadata",
+            value: integrity,
+        };
+    } else if (debug != null && typeof debug !== "boolean") {
+        return {
+            error: '"debug" must be true or false',
+            value: debug,
+        };
+    } else if (getJsUrls(urls).length === 0) {
+        return {
+            error:
+                'Error in "urls" keyword in POST JSON input, ' +
+                "no valid JS urls were specified.",
+            value: urls,
+        };
+    }
+
+    return validateAllowedUrls(urls);
+};
+
+/**
+ * Check the jobs of a /render/batch request, though not the jobs themselves
+ * (see validateRenderJob).
+ *
+ * A batch renders all its jobs at once, so it can have no more jobs than
+ * --max-concurrent-renders (see admission-control.js).
+ *
+ * Returns the problem with the request, or null if it is valid.
+ */
+export const validateRenderBatch = (body: any): ?BadRequest => {
+    const {jobs} = body || {};
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+        return {
+            error:
+                'Missing "jobs" keyword in POST JSON input, ' +
+                'or "jobs" is not a non-empty array',
+            value: jobs,
+        };
+    } else if (
+        args.maxConcurrentRenders > 0 &&
+        jobs.length > args.maxConcurrentRenders
+    ) {
+        return {
+            error:
+                'Too many "jobs" in POST JSON input, there can be no more ' +
+                `than ${args.maxConcurrentRenders}`,
+            value: jobs.length,
+        };
+    }
+    return null;
+};
+
+/**
+ * Check the urls, globals, integrity and warm flag of a /prefetch request.
+ *
+ * Returns the problem with the request, or null if it is valid.
+ */
+export const validatePrefetchRequest = (body: any): ?BadRequest => {
+    const {urls, globals, integrity, warm} = body || {};
+    if (
+        !Array.isArray(urls) ||
+        !urls.every(isValidAbsoluteURL) ||
+        getJsUrls(urls).length === 0
+    ) {
+        return {
+            error:
+                'Missing "urls" keyword in POST JSON input, ' +
+                'or one or more "urls" are not valid, ' +
+                "or no valid JS urls were specified.",
+            value: urls,
+        };
+    } else if (
+        globals &&
+        globals["location"] &&
+        !isValidAbsoluteURL(globals["location"])
+    ) {
+        return {
+            error: 'globals["location"] is not a valid URL',
+            value: globals,
+        };
+    } else if (integrity != null && !isValidIntegrityMap(integrity)) {
+        return {
+            error:
+                '"integrity" must be an object of URLs to sha256, sha384 ' +
+                "or sha512 integrity metadata",
+            value: integrity,
+        };
+    } else if (warm != null && typeof warm !== "boolean") {
+        return {
+            error: '"warm" must be true or false',
+            value: warm,
+        };
+    } else if (warm && args.contextPoolSize <= 0) {
+        return {
+            error:
+                'Can\'t "warm" without a pool of render contexts to keep ' +
+                "the warmed one in (see --context-pool-size)",
+            value: warm,
+        };
+    }
+    return validateAllowedUrls(urls);
+};
@@ -0,0 +1,186 @@
+// @flow
+/**
+ * A cache of compiled package scripts.
+ *
+ * Compiling a package's code is a big part of building a render context, so
+ * we keep the compiled `vm.Script` for each package URL and reuse it for
+ * every context that evaluates that package. A `vm.Script` is not tied to a
+ * particular context, so this is safe to do.
+ *
+ * If a cache directory is configured, we also save V8's code cache data for
+ * each script to disk once it has run (so that lazily compiled functions are
+ * included) and use it when compiling that same package later, such as after
+ * the server restarts. V8 rejects code cache data that was produced by a
+ * different version of V8, in which case we just compile from scratch.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+
+import type {Logger, RequestStats} from "./types.js";
+
+type ScriptCacheEntry = {
+    content: string,
+    script: vm.Script,
+    savedCodeCache: boolean,
+};
+
+const hash = (value: string): string =>
+    crypto
+        .createHash("sha256")
+        .update(value)
+        .digest("hex");
+
+export class ScriptCache {
+    _getMaxEntries: () => number;
+    _getCacheDir: () => ?string;
+    // Map iteration order is insertion order, which we use to evict the
+    // least recently used script first.
+    _entries: Map<string, ScriptCacheEntry>;
+
+    /**
+     * @param {() => number} getMaxEntries - Get the maximum number of
+     * compiled scripts to keep. Zero disables caching.
+     * @param {() => ?string} getCacheDir - Get the directory in which to
+     * save code cache data, if any.
+     */
+    constructor(getMaxEntries: () => number, getCacheDir: () => ?string) {
+        this._getMaxEntries = getMaxEntries;
+        this._getCacheDir = getCacheDir;
+        this._entries = new Map();
+    }
+
+    get size(): number {
+        return this._entries.size;
+    }
+
+    _getCodeCachePath(url: string, content: string): ?string {
+        const cacheDir = this._getCacheDir();
+        if (!cacheDir) {
+            return null;
+        }
+        return path.join(cacheDir, `${hash(url)}-${hash(content)}.v8cache`);
+    }
+
+    _compile(logging: Logger, content: string, url: string): vm.Script {
+        const codeCachePath = this._getCodeCachePath(url, content);
+        let cachedData;
+        if (codeCachePath != null && fs.existsSync(codeCachePath)) {
+            try {
+                cachedData = fs.readFileSync(codeCachePath);
+            } catch (e) {
+                logging.warn(`Could not read code cache for ${url}: ${e}`);
+            }
+        }
+
+        const script = new vm.Script(content, {filename: url, cachedData});
+        if (cachedData != null) {
+            if (script.cachedDataRejected) {
+                logging.debug(`Code cache rejected for ${url}`);
+                fs.unlink((codeCachePath: any), () => {});
+            } else {
+                logging.silly(`Code cache used for ${url}`);
+            }
+        }
+        return script;
+    }
+
+    /**
+     * Get the compiled script for the given package, compiling it if we
+     * don't already have it.
+     */
+    getScript(
+        logging: Logger,
+        content: string,
+        url: string,
+        requestStats?: ?RequestStats,
+    ): vm.Script {
+        const existing = this._entries.get(url);
+        if (existing != null && existing.content === content) {
+            requestStats && requestStats.scriptCacheHits++;
+            // Move it to the end, so it is the most recently used.
+            this._entries.delete(url);
+            this._entries.set(url, existing);
+            return existing.script;
+        }
+
+        requestStats && requestStats.scriptCacheMisses++;
+        const script = this._compile(logging, content, url);
+        const maxEntries = this._getMaxEntries();
+        if (maxEntries > 0) {
+            this._entries.delete(url);
+            this._entries.set(url, {content, script, savedCodeCache: false});
+            for (const key of this._entries.keys()) {
+                if (this._entries.size <= maxEntries) {
+                    break;
+                }
+                this._entries.delete(key);
+            }
+        }
+        return script;
+    }
+
+    /**
+     * Save the code cache data for a script that has now been run, if we
+     * have a cache directory and haven't already saved it.
+     *
+     * The write is atomic so that a partially written file is never read.
+     */
+    saveCodeCache(logging: Logger, url: string): void {
+        const entry = this._entries.get(url);
+        if (entry == null || entry.savedCodeCache) {
+            return;
+        }
+        const codeCachePath = this._getCodeCachePath(url, entry.content);
+        if (codeCachePath == null) {
+            return;
+        }
+        entry.savedCodeCache = true;
+
+        const data = entry.script.createCachedData();
+        const tempPath = `${codeCachePath}.${process.pid}.tmp`;
+        const handleError = (err: Error) => {
+            logging.warn(
+                `Could not save code cache for ${url}: ${err.message}`,
+            );
+            fs.unlink(tempPath, () => {});
+        };
+        fs.mkdir(path.dirname(codeCachePath), {recursive: true}, (mkdirErr) => {
+            if (mkdirErr) {
+                handleError(mkdirErr);
+                return;
+            }
+            fs.writeFile(tempPath, data, (writeErr: ?Error) => {
+                if (writeErr) {
+                    handleError(writeErr);
+                    return;
+                }
+                fs.rename(tempPath, codeCachePath, (renameErr: ?Error) => {
+                    if (renameErr) {
+                        handleError(renameErr);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Forget compiled scripts. Code cache data on disk is kept.
+     *
+     * @param {(url: string) => boolean} [predicate] - If given, only the
+     * scripts for package URLs that match are forgotten; otherwise, all of
+     * them are.
+     */
+    flush(predicate?: (url: string) => boolean): void {
+        if (predicate == null) {
+            this._entries.clear();
+            return;
+        }
+        for (const url of Array.from(this._entries.keys())) {
+            if (predicate(url)) {
+                this._entries.delete(url);
+            }
+        }
+    }
+}
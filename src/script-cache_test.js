@@ -0,0 +1,252 @@
+// @flow
+import fs from "fs";
+import os from "os";
+import path from "path";
+import vm from "vm";
+
+import {assert} from "chai";
+import sinon from "sinon";
+import {rootLogger as logging} from "./logging.js";
+import {ScriptCache} from "./script-cache.js";
+
+import type {RequestStats} from "./types.js";
+
+describe("ScriptCache", () => {
+    const makeRequestStats = (): RequestStats => ({
+        pendingRenderRequests: 0,
+        queueWaitMs: 0,
+        packageFetches: 0,
+        fromCache: 0,
+        packageFetchRetries: 0,
+        packageFetchMs: 0,
+        vmContextSize: 0,
+        createdVmContext: true,
+        vmContextBuildMs: 0,
+        scriptCacheHits: 0,
+        scriptCacheMisses: 0,
+        packageCacheSize: 0,
+        packageCacheEntries: 0,
+        packageCacheEvictions: 0,
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("#getScript", () => {
+        it("should compile a script for the package", () => {
+            // Arrange
+            const underTest = new ScriptCache(() => 10, () => null);
+
+            // Act
+            const result = underTest.getScript(
+                logging,
+                "this._result = 42;",
+                "http://example.com/a.js",
+            );
+
+            // Assert
+            const sandbox = {};
+            result.runInNewContext(sandbox);
+            assert.equal(sandbox._result, 42);
+        });
+
+        it("should reuse the compiled script for the same package", () => {
+            // Arrange
+            const underTest = new ScriptCache(() => 10, () => null);
+            const requestStats = makeRequestStats();
+            const first = underTest.getScript(
+                logging,
+                "var a = 1;",
+                "http://example.com/a.js",
+                requestStats,
+            );
+
+            // Act
+            const result = underTest.getScript(
+                logging,
+                "var a = 1;",
+                "http://example.com/a.js",
+                requestStats,
+            );
+
+            // Assert
+            assert.strictEqual(result, first);
+            assert.equal(requestStats.scriptCacheHits, 1);
+            assert.equal(requestStats.scriptCacheMisses, 1);
+        });
+
+        it("should recompile if the content for the url changed", () => {
+            // Arrange
+            const underTest = new ScriptCache(() => 10, () => null);
+            const requestStats = makeRequestStats();
+            const first = underTest.getScript(
+                logging,
+                "var a = 1;",
+                "http://example.com/a.js",
+                requestStats,
+            );
+
+            // Act
+            const result = underTest.getScript(
+                logging,
+                "var a = 2;",
+                "http://example.com/a.js",
+                requestStats,
+            );
+
+            // Assert
+            assert.notStrictEqual(result, first);
+            assert.equal(requestStats.scriptCacheHits, 0);
+            assert.equal(requestStats.scriptCacheMisses, 2);
+        });
+
+        it("should not keep scripts if disabled", () => {
+            // Arrange
+            const underTest = new ScriptCache(() => 0, () => null);
+
+            // Act
+            underTest.getScript(logging, "var a = 1;", "http://a.com/a.js");
+
+            // Assert
+            assert.equal(underTest.size, 0);
+        });
+
+        it("should evict the least recently used script when full", () => {
+            // Arrange
+            const underTest = new ScriptCache(() => 2, () => null);
+            const requestStats = makeRequestStats();
+            underTest.getScript(logging, "1;", "http://a.com/1.js");
+            underTest.getScript(logging, "2;", "http://a.com/2.js");
+            underTest.getScript(logging, "1;", "http://a.com/1.js");
+
+            // Act
+            underTest.getScript(logging, "3;", "http://a.com/3.js");
+            underTest.getScript(
+                logging,
+                "1;",
+                "http://a.com/1.js",
+                requestStats,
+            );
+            underTest.getScript(
+                logging,
+                "2;",
+                "http://a.com/2.js",
+                requestStats,
+            );
+
+            // Assert
+            assert.equal(requestStats.scriptCacheHits, 1);
+            assert.equal(requestStats.scriptCacheMisses, 1);
+        });
+    });
+
+    describe("#flush", () => {
+        it("should forget every script", () => {
+            // Arrange
+            const underTest = new ScriptCache(() => 10, () => null);
+            underTest.getScript(logging, "1;", "http://a.com/1.js");
+            underTest.getScript(logging, "2;", "http://a.com/2.js");
+
+            // Act
+            underTest.flush();
+
+            // Assert
+            assert.equal(underTest.size, 0);
+        });
+
+        it("should forget just the scripts that match if given a predicate", () => {
+            // Arrange
+            const underTest = new ScriptCache(() => 10, () => null);
+            const requestStats = makeRequestStats();
+            underTest.getScript(logging, "1;", "http://a.com/1.js");
+            underTest.getScript(logging, "2;", "http://a.com/2.js");
+
+            // Act
+            underTest.flush((url) => url === "http://a.com/1.js");
+
+            // Assert
+            underTest.getScript(
+                logging,
+                "1;",
+                "http://a.com/1.js",
+                requestStats,
+            );
+            underTest.getScript(
+                logging,
+                "2;",
+                "http://a.com/2.js",
+                requestStats,
+            );
+            assert.equal(requestStats.scriptCacheHits, 1);
+            assert.equal(requestStats.scriptCacheMisses, 1);
+        });
+    });
+
+    describe("with a cache directory", () => {
+        let cacheDir;
+
+        beforeEach(() => {
+            cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "rrs-scripts-"));
+        });
+
+        afterEach(() => {
+            fs.readdirSync(cacheDir).forEach((file) =>
+                fs.unlinkSync(path.join(cacheDir, file)),
+            );
+            fs.rmdirSync(cacheDir);
+        });
+
+        const waitForFiles = async (dir: string): Promise<Array<string>> => {
+            for (let i = 0; i < 50; i++) {
+                const files = fs
+                    .readdirSync(dir)
+                    .filter((file) => file.endsWith(".v8cache"));
+                if (files.length > 0) {
+                    return files;
+                }
+                await new Promise((resolve) => setTimeout(resolve, 10));
+            }
+            return [];
+        };
+
+        it("should save code cache data once the script has run", async () => {
+            // Arrange
+            const underTest = new ScriptCache(() => 10, () => cacheDir);
+            const script = underTest.getScript(
+                logging,
+                "var f = function() { return 1; }; f();",
+                "http://example.com/a.js",
+            );
+            script.runInNewContext({});
+
+            // Act
+            underTest.saveCodeCache(logging, "http://example.com/a.js");
+            const files = await waitForFiles(cacheDir);
+
+            // Assert
+            assert.lengthOf(files, 1);
+        });
+
+        it("should compile with saved code cache data", async () => {
+            // Arrange
+            const content = "var f = function() { return 1; }; f();";
+            const first = new ScriptCache(() => 10, () => cacheDir);
+            first
+                .getScript(logging, content, "http://example.com/a.js")
+                .runInNewContext({});
+            first.saveCodeCache(logging, "http://example.com/a.js");
+            await waitForFiles(cacheDir);
+            const scriptSpy = sinon.spy(vm, "Script");
+            const underTest = new ScriptCache(() => 10, () => cacheDir);
+
+            // Act
+            underTest.getScript(logging, content, "http://example.com/a.js");
+
+            // Assert
+            const options = scriptSpy.firstCall.args[1];
+            assert.instanceOf(options.cachedData, Buffer);
+            assert.isFalse(scriptSpy.firstCall.returnValue.cachedDataRejected);
+        });
+    });
+});
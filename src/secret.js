@@ -6,55 +6,232 @@
  * for security, we require you to know a shared secret in order to
  * call /render.  This file exposes the secret as known by the server.
  *
+ * There can be more than one secret, so that a new secret can be added
+ * before clients switch to it and the old one removed after. Any of them is
+ * accepted. They come from:
+ *   - the RENDER_SECRETS environment variable, separated by commas or
+ *     whitespace,
+ *   - the secret file (--secret-file, by default the 'secret' file in the
+ *     server's base-directory), one per line, and
+ *   - the files in the secret directory (--secret-dir), one secret per
+ *     file.
+ * The first of them is the current one.
+ *
+ * Each secret has an id (like "env:1", "secret:2" or the name of its file in
+ * the secret directory), which we log when a request uses it, so that we
+ * know when an old secret is no longer used. We watch the secret file and
+ * directory, and reload the secrets when they change.
+ *
  * This is in its own module to allow for mocking in tests.  That's
  * also one reason we have this weird matches() indirection.
  */
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 
 import args from "./arguments.js";
 
-import type {Logger} from "./types.js";
+import type {Logger, Secret} from "./types.js";
 
-const secretPath: string = path.normalize(__dirname + "/../secret");
-let secret: string;
+export const SECRETS_ENV_VAR = "RENDER_SECRETS";
 
-// Exported for use by the benchmark/loadtest tool.
-export const get = function(
-    logging: Logger,
-    done: (?Error, ?string) => void,
-): void {
-    if (secret) {
-        done(null, secret);
+let cachedSecrets: ?{
+    source: string,
+    secrets: Array<Secret>,
+} = null;
+
+// The paths that we are watching for changes.
+const watchedPaths: Set<string> = new Set();
+
+/**
+ * Forget the secrets that we have loaded when something changes in the
+ * given directory. If a file name is given, only changes to that file
+ * count.
+ *
+ * We watch directories rather than files, since secret files are often
+ * replaced rather than changed (and may not exist yet).
+ */
+const watchForChanges = (dirPath: string, fileName?: string): void => {
+    const watchKey = fileName ? path.join(dirPath, fileName) : dirPath;
+    if (watchedPaths.has(watchKey)) {
         return;
     }
+    try {
+        const watcher = fs.watch(
+            dirPath,
+            {persistent: false},
+            (eventType, changedFileName) => {
+                if (!fileName || changedFileName === fileName) {
+                    cachedSecrets = null;
+                }
+            },
+        );
+        watcher.on("error", () => {
+            watcher.close();
+            watchedPaths.delete(watchKey);
+            cachedSecrets = null;
+        });
+        watchedPaths.add(watchKey);
+    } catch (e) {
+        // We can't watch a directory that doesn't exist, but then we have
+        // no secrets from it to go stale either.
+    }
+};
 
-    fs.readFile(secretPath, "utf-8", (err: ?Error, contents: string): void => {
-        if (err) {
+const readFile = (filePath: string): Promise<string> =>
+    new Promise((resolve, reject) =>
+        fs.readFile(filePath, "utf-8", (err: ?Error, contents: string) =>
+            err ? reject(err) : resolve(contents),
+        ),
+    );
+
+const readDir = (dirPath: string): Promise<Array<string>> =>
+    new Promise((resolve, reject) =>
+        fs.readdir(dirPath, (err: ?Error, fileNames: Array<string>) =>
+            err ? reject(err) : resolve(fileNames),
+        ),
+    );
+
+const getEnvSecrets = (): Array<Secret> =>
+    (process.env[SECRETS_ENV_VAR] || "")
+        .split(/[\s,]+/)
+        .filter((value) => value !== "")
+        .map((value, i) => ({id: `env:${i + 1}`, value}));
+
+const getFileSecrets = async (filePath: string): Promise<Array<Secret>> => {
+    watchForChanges(path.dirname(filePath), path.basename(filePath));
+    const contents = await readFile(filePath);
+    const name = path.basename(filePath);
+    return contents
+        .split("\n")
+        .map((line, i) => ({id: `${name}:${i + 1}`, value: line.trim()}))
+        .filter(({value}) => value !== "");
+};
+
+const getDirSecrets = async (dirPath: string): Promise<Array<Secret>> => {
+    watchForChanges(dirPath);
+    // We skip hidden files, which include the bookkeeping that Kubernetes
+    // keeps in mounted secret volumes.
+    const fileNames = (await readDir(dirPath))
+        .filter((fileName) => !fileName.startsWith("."))
+        .sort();
+    const contents: Array<string> = await Promise.all(
+        fileNames.map((fileName) =>
+            // Directories, or files that were removed as we read them, have
+            // no secret.
+            readFile(path.join(dirPath, fileName)).catch(() => ""),
+        ),
+    );
+    const secrets: Array<Secret> = [];
+    fileNames.forEach((fileName, i) => {
+        const value = contents[i].trim();
+        if (value !== "") {
+            secrets.push({id: fileName, value});
+        }
+    });
+    return secrets;
+};
+
+const loadSecrets = async (logging: Logger): Promise<Array<Secret>> => {
+    const secretFile = args.secretFile;
+    const secretDir = args.secretDir;
+    const envSecrets = getEnvSecrets();
+    const dirSecrets = secretDir ? await getDirSecrets(secretDir) : [];
+
+    let fileSecrets = [];
+    try {
+        fileSecrets = await getFileSecrets(secretFile);
+    } catch (err) {
+        // The secret file is only needed if there are no other secrets.
+        if (envSecrets.length > 0 || dirSecrets.length > 0) {
+            logging.debug(`Not using secret file: ${err.message}`);
+        } else {
             logging.error(
                 `FATAL ERROR (${err.message}): You must create a file:`,
             );
-            logging.error("    " + secretPath);
+            logging.error("    " + secretFile);
             logging.error("Its contents should be the secret-string at");
             logging.error("    https://phabricator.khanacademy.org/K121");
-            done(err);
-            return;
+            throw err;
         }
+    }
 
-        secret = contents.trim();
-        if (!secret) {
-            done(new Error("secret file is empty!"));
-            return;
-        }
+    const secrets = [...envSecrets, ...fileSecrets, ...dirSecrets];
+    if (secrets.length === 0) {
+        throw new Error("secret file is empty!");
+    }
+    return secrets;
+};
 
-        done(null, secret);
+/**
+ * Get all of the secrets that we accept, current one first.
+ */
+export const getAll = function(
+    logging: Logger,
+    done: (?Error, ?Array<Secret>) => void,
+): void {
+    const source = JSON.stringify([
+        args.secretFile,
+        args.secretDir,
+        process.env[SECRETS_ENV_VAR] || "",
+    ]);
+    if (cachedSecrets != null && cachedSecrets.source === source) {
+        done(null, cachedSecrets.secrets);
         return;
+    }
+
+    loadSecrets(logging)
+        .then((secrets) => {
+            cachedSecrets = {source, secrets};
+            return secrets;
+        })
+        .then((secrets) => done(null, secrets))
+        .catch((err) => done(err));
+};
+
+/**
+ * Compare a secret, or something derived from one, to what we expected it
+ * to be, taking the same time however much of it matches so that an
+ * attacker can't find it out a character at a time.
+ */
+export const secretsEqual = (expected: string, actual: string): boolean => {
+    // Hashing them first means they are the same length, so that we don't
+    // give away the length of the secret either.
+    const hash = (value) =>
+        crypto
+            .createHash("sha256")
+            .update(value)
+            .digest();
+    return crypto.timingSafeEqual(hash(expected), hash(actual));
+};
+
+/**
+ * Get the current secret.
+ */
+// Exported for use by the benchmark/loadtest tool.
+export const get = function(
+    logging: Logger,
+    done: (?Error, ?string) => void,
+): void {
+    getAll(logging, (err: ?Error, secrets: ?Array<Secret>): void => {
+        if (err) {
+            done(err);
+            return;
+        }
+        done(null, secrets && secrets[0].value);
     });
 };
 
+/**
+ * Log which secret a request was authenticated with.
+ */
+export const logSecretUsed = (logging: Logger, secret: Secret): void => {
+    logging.info(`Request authenticated with secret ${secret.id}`);
+};
+
 export const matches = function(
     logging: Logger,
-    actualSecret: string,
+    actualSecret: ?string,
     done: (?Error, ?boolean) => void,
 ): void {
     if (args.dev) {
@@ -63,13 +240,21 @@ export const matches = function(
         return;
     }
 
-    return get(logging, (err: ?Error, secret: ?string): void => {
+    return getAll(logging, (err: ?Error, secrets: ?Array<Secret>): void => {
         if (err) {
             done(err);
             return;
         }
 
-        done(null, secret === actualSecret);
+        const matchingSecret = (secrets || []).find(
+            (secret) =>
+                typeof actualSecret === "string" &&
+                secretsEqual(secret.value, actualSecret),
+        );
+        if (matchingSecret != null) {
+            logSecretUsed(logging, matchingSecret);
+        }
+        done(null, matchingSecret != null);
         return;
     });
 };
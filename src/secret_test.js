@@ -1,5 +1,7 @@
 // @flow
 import fs from "fs";
+import os from "os";
+import path from "path";
 import {promisify} from "util";
 
 import {assert} from "chai";
@@ -8,11 +10,14 @@ import args from "./arguments.js";
 import * as renderSecret from "./secret.js";
 import {rootLogger} from "./logging.js";
 
-import type {Logger} from "./types.js";
+import type {Logger, Secret} from "./types.js";
 
 const matches: (Logger, string) => Promise<boolean> = promisify(
     renderSecret.matches,
 );
+const getAll: (Logger) => Promise<Array<Secret>> = promisify(
+    renderSecret.getAll,
+);
 
 describe("secret", () => {
     afterEach(() => {
@@ -59,6 +64,26 @@ describe("secret", () => {
         await assert.isRejected(promise, "secret file is empty!");
     });
 
+    it("can match any of the secrets in the file", async () => {
+        // Arrange
+        sinon
+            .stub(fs, "readFile")
+            .callsFake(
+                (
+                    filePath: string,
+                    encoding: null,
+                    callback: (?Error, ?string) => void,
+                ) => callback(null, "sekret\n\nold-sekret\n"),
+            );
+        sinon.stub(args, "dev").get(() => false);
+
+        // Act
+        const valueMatches = await matches(rootLogger, "old-sekret");
+
+        // Assert
+        assert.isTrue(valueMatches, "Should match older secret value ");
+    });
+
     it("can match secret to actual value", async () => {
         // Arrange
         sinon
@@ -102,4 +127,123 @@ describe("secret", () => {
         // Assert
         assert.isTrue(valueMatches, "Should match secret value ");
     });
+
+    it("can get the current secret", async () => {
+        // Arrange
+        const get: (Logger) => Promise<?string> = promisify(renderSecret.get);
+
+        // Act
+        const secret = await get(rootLogger);
+
+        // Assert
+        assert.equal(secret, "sekret");
+    });
+
+    describe("#secretsEqual", () => {
+        it("should be true for the same secret", () => {
+            // Act
+            const result = renderSecret.secretsEqual("sekret", "sekret");
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should be false for a different secret of another length", () => {
+            // Act
+            const result = renderSecret.secretsEqual("sekret", "sekret2");
+
+            // Assert
+            assert.isFalse(result);
+        });
+    });
+
+    describe("with several sources", () => {
+        let tmpDir;
+        let secretFile;
+        let secretDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "secret-test-"));
+            secretFile = path.join(tmpDir, "secret");
+            secretDir = path.join(tmpDir, "secrets");
+            fs.mkdirSync(secretDir);
+            sinon.stub(args, "dev").get(() => false);
+            sinon.stub(args, "secretFile").get(() => secretFile);
+            sinon.stub(args, "secretDir").get(() => secretDir);
+        });
+
+        afterEach(() => {
+            delete process.env[renderSecret.SECRETS_ENV_VAR];
+            [secretDir, tmpDir].forEach((dir) => {
+                fs.readdirSync(dir).forEach((file) =>
+                    fs.unlinkSync(path.join(dir, file)),
+                );
+                fs.rmdirSync(dir);
+            });
+        });
+
+        it("should get secrets from every source, current first", async () => {
+            // Arrange
+            process.env[renderSecret.SECRETS_ENV_VAR] = "env-one, env-two";
+            fs.writeFileSync(secretFile, "file-one\nfile-two\n");
+            fs.writeFileSync(path.join(secretDir, "key-b"), "dir-b\n");
+            fs.writeFileSync(path.join(secretDir, "key-a"), "dir-a");
+            fs.writeFileSync(path.join(secretDir, ".hidden"), "hidden");
+
+            // Act
+            const secrets = await getAll(rootLogger);
+
+            // Assert
+            assert.deepEqual(secrets, [
+                {id: "env:1", value: "env-one"},
+                {id: "env:2", value: "env-two"},
+                {id: "secret:1", value: "file-one"},
+                {id: "secret:2", value: "file-two"},
+                {id: "key-a", value: "dir-a"},
+                {id: "key-b", value: "dir-b"},
+            ]);
+        });
+
+        it("should not need the secret file if there are other secrets", async () => {
+            // Arrange
+            fs.writeFileSync(path.join(secretDir, "key-a"), "dir-a");
+
+            // Act
+            const valueMatches = await matches(rootLogger, "dir-a");
+
+            // Assert
+            assert.isTrue(valueMatches);
+        });
+
+        it("should log the id of the secret that matched", async () => {
+            // Arrange
+            fs.writeFileSync(path.join(secretDir, "key-a"), "dir-a");
+            const infoSpy = sinon.spy(rootLogger, "info");
+
+            // Act
+            await matches(rootLogger, "dir-a");
+
+            // Assert
+            assert.isTrue(
+                infoSpy.calledWith("Request authenticated with secret key-a"),
+            );
+        });
+
+        it("should reload the secret file when it changes", async () => {
+            // Arrange
+            fs.writeFileSync(secretFile, "old-sekret");
+            await getAll(rootLogger);
+
+            // Act
+            fs.writeFileSync(secretFile, "new-sekret");
+            let valueMatches = false;
+            for (let i = 0; i < 50 && !valueMatches; i++) {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+                valueMatches = await matches(rootLogger, "new-sekret");
+            }
+
+            // Assert
+            assert.isTrue(valueMatches);
+        });
+    });
 });
@@ -2,26 +2,89 @@
 /**
  * The high-level logic for our serving endpoints (api routes).
  */
-import {URL} from "url";
 import bodyParser from "body-parser";
 import express from "express";
 
-import {extractErrorInfo, getLogger} from "./logging.js";
+import {addLogContext, getLogger} from "./logging.js";
 import profile from "./profile.js";
 
-import fetchPackage, {flushCache, flushUnusedCache} from "./fetch_package.js";
-import * as renderSecret from "./secret.js";
-import render from "./render.js";
+import fetchPackage, {
+    flushUnusedCache,
+    getCachedPackages,
+    getPackageCacheStats,
+} from "./fetch_package.js";
+import args from "./arguments.js";
+import admissionControl, {isAdmissionError} from "./admission-control.js";
+import renderInWorker from "./render-worker-pool.js";
+import {flushAllInstances} from "./flush-broadcast.js";
+import {isValidFlushSelector} from "./flush-selector.js";
+import {prefetchPackages} from "./prefetch.js";
+import {
+    drain,
+    getLivenessProblem,
+    getPendingRenders,
+    getReadinessProblems,
+    isDraining,
+    renderFinished,
+    renderStarted,
+} from "./health.js";
+import {getErrorStatus} from "./error-codes.js";
+import {
+    getBadRequestResponse,
+    logAndGetError,
+    respondBadRequest,
+    respondWithStream,
+} from "./render-response.js";
+import metrics, {METRICS_CONTENT_TYPE} from "./metrics.js";
+import {tracingMiddleware} from "./tracing.js";
+import {
+    getEntrypoint,
+    getRenderFailurePhase,
+    recordRender,
+    recordRenderFailure,
+    trackPendingRenders,
+} from "./render-metrics.js";
+import {getIntegrity} from "./package-integrity.js";
+import {
+    checkAuthentication,
+    checkScraperAuthentication,
+} from "./authentication-middleware.js";
+import {
+    getJsUrls,
+    validatePrefetchRequest,
+    validateRenderBatch,
+    validateRenderJob,
+} from "./request-validation.js";
 
 import type {$Request, $Response, NextFunction} from "express";
-import type {Logger, RenderBody, RequestStats} from "./types.js";
-
-// We keep track of how many render requests are currently "in
-// flight", to help us estimate how long a new request will take.
-let pendingRenderRequests = 0;
+import type {
+    CachedPackage,
+    FlushBody,
+    FlushSelector,
+    JavaScriptPackage,
+    Logger,
+    PrefetchBody,
+    RenderBatchBody,
+    RenderBody,
+    RenderJob,
+    RequestStats,
+} from "./types.js";
 
 const app = express();
-app.use(bodyParser.json({limit: "5mb"}));
+if (args.trustProxyHops > 0) {
+    // So that req.ip is the client's IP rather than our load balancer's.
+    app.set("trust proxy", args.trustProxyHops);
+}
+app.use(
+    bodyParser.json({
+        limit: "5mb",
+        // We keep the raw body so that we can check its signature.
+        verify: (req: $Request, res: $Response, buf: Buffer) => {
+            res.locals.rawBody = buf;
+        },
+    }),
+);
+app.use(tracingMiddleware);
 
 /**
  * Server-side render a react component.
@@ -44,12 +107,20 @@ app.use(bodyParser.json({limit: "5mb"}));
  *        "href": "http://www.google.com",
  *        "children": "Google"
  *    },
- *    "secret": "...."
+ *    "secret": "....",
+ *    "stream": false,
+ *    "timeout": 10000,
+ *    "debug": false,
+ *    "integrity": {
+ *        "http://kastatic.org/genfiles/javascript/en/corelibs-package-xx.js":
+ *            "sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC"
+ *    }
  * }
  *
  * 'urls' should be specified in topological-sort order; they are
  * executed in the order listed here. The last one should always be the
- * instigator of the render.
+ * instigator of the render. If any of them are not from a URL that we are
+ * allowed to fetch from (see package-allowlist.js), we respond with a 403.
  *
  * `globals` is a map of global variables to their values. These values will be
  * set in the JavaScript VM context before the entry point specified by
@@ -57,9 +128,28 @@ app.use(bodyParser.json({limit: "5mb"}));
  *
  * 'props' are passed as the props to the react component being rendered.
  *
- * 'secret' is a shared secret.  It must equal the value of the 'secret'
+ * The request must be signed with a shared secret, the value of the 'secret'
  * file in the server's base-directory, or the server will deny the request.
- * NOTE: In dev mode, the secret field is ignored.
+ * See request-signature.js for how. With --allow-body-secret, an unsigned
+ * request can send the shared secret itself as 'secret' instead.
+ * NOTE: In dev mode, neither is needed.
+ *
+ * 'stream' is optional. See "Streaming" below.
+ *
+ * 'timeout' is optional. It is how many milliseconds the render can take,
+ * overriding the server's --render-timeout. It can shorten the deadline
+ * set by --render-timeout, but not lengthen it.
+ *
+ * 'integrity' is optional. It maps package URLs from 'urls' to the hashes
+ * that their content must match, in the same syntax as the HTML `integrity`
+ * attribute (see package-integrity.js). If a package doesn't match, we
+ * respond with a 502 and the error also gives the "url" of the package.
+ *
+ * 'debug' is optional. If it is true, the response (or the error, if the
+ * render fails) also has a "console" list of what the render logged to the
+ * console, such as [{"level": "warn", "message": "...", "source":
+ * "http://kastatic.org/...:12:5"}] (see render-console.js). What a render
+ * logs to the console is always logged against its request.
  *
  * The return format is also json:
  * {
@@ -72,260 +162,638 @@ app.use(bodyParser.json({limit: "5mb"}));
  *
  * css will only be returned if the component makes use of Aphrodite
  * (https://github.com/Khan/aphrodite).
+ *
+ * If the request fails, we respond with json like this, with the status
+ * for its code (see error-codes.js for the codes):
+ * {
+ *     "error": "Error: No render callbacks registered",
+ *     "code": "no-registration",
+ *     "stack": "..."
+ * }
+ *
+ * Frames of the stack that are in the packages are rewritten through their
+ * source maps, if they have them and we have already loaded them (see
+ * source-maps.js).
+ *
+ * If the render takes too long, the error also gives the "phase" of the
+ * render that overran ("package-eval" or "render") and the "timeoutMs" that
+ * it overran.
+ *
+ * Streaming:
+ * If 'stream' is true, the response is sent as chunked text/html instead.
+ * The html is written as it is rendered (this works best if the entrypoint
+ * renders `html` as a readable stream, such as from `renderToNodeStream`),
+ * and is followed by STREAM_TRAILER_SEPARATOR (see render-stream.js) and then
+ * a JSON object holding everything else from the render result (css, data,
+ * requestStats, etc.). If the render fails after the html has started, the
+ * trailing JSON object holds the error instead.
  */
 
-// This middleware manages the number of connections, and logs about it.
-app.use(
-    "/render",
-    (req: $Request, res: $Response, next: NextFunction): mixed => {
-        // The number of concurrent requests will fluctuate as this
-        // request is evaluated.  We arbitrarily take the number at
-        // our-request-start as the value we log.
-        // We store the stats-to-log in `req` as a hacky way of holding
-        // per-request stats.
-        res.locals.requestStats = ({
-            pendingRenderRequests: pendingRenderRequests,
-            packageFetches: 0,
-            fromCache: 0,
-            vmContextSize: 0,
-            createdVmContext: false,
-        }: RequestStats);
+const createRequestStats = (
+    pendingRenderRequests: number,
+    queueWaitMs: number = 0,
+): RequestStats => ({
+    pendingRenderRequests,
+    queueWaitMs,
+    packageFetches: 0,
+    fromCache: 0,
+    packageFetchRetries: 0,
+    packageFetchMs: 0,
+    vmContextSize: 0,
+    createdVmContext: false,
+    vmContextBuildMs: 0,
+    scriptCacheHits: 0,
+    scriptCacheMisses: 0,
+    packageCacheSize: 0,
+    packageCacheEntries: 0,
+    packageCacheEvictions: 0,
+});
 
-        const logging = getLogger(req);
+/**
+ * Describe a request to /render or /render/batch for logging.
+ */
+const describeRenderRequest = (body: any): string => {
+    if (Array.isArray(body.jobs)) {
+        return `batch of ${body.jobs.length} jobs`;
+    }
+    const renderBody: RenderBody = body;
+    return renderBody.urls[renderBody.urls.length - 1];
+};
 
-        pendingRenderRequests++;
-        const renderProfile = profile.start(
-            logging,
-            `/render (active requests: ${pendingRenderRequests})`,
-        );
+/**
+ * The fields that we add to everything that is logged about a render, so
+ * that its log entries can be found by its entrypoint and location.
+ */
+const getRenderLogContext = (job: any): {[string]: string, ...} => {
+    const context = {};
+    const entrypoint = getEntrypoint(job && job.urls);
+    if (entrypoint != null) {
+        context.entrypoint = entrypoint;
+    }
+    const location = job && job.globals && job.globals.location;
+    if (typeof location === "string") {
+        context.location = location;
+    }
+    return context;
+};
 
-        // Register for the response finish so we can finish up our stats.
-        res.on("finish", () => {
-            pendingRenderRequests--;
-            if (res.statusCode < 300) {
-                // only log on successful fetches
-                const renderBody: RenderBody = (req.body: any);
-                renderProfile.end(
-                    `render-stats for ${
-                        renderBody.urls[renderBody.urls.length - 1]
-                    }: ${JSON.stringify(res.locals.requestStats) || ""}`,
-                );
-            }
-        });
+/**
+ * Refuse a request that would start new work, if we are draining. Returns
+ * whether it was refused.
+ */
+const refuseIfDraining = (logging: Logger, res: $Response, what: string) => {
+    if (!isDraining()) {
+        return false;
+    }
+    logging.warn(`Refusing ${what} while draining`);
+    res.set("Connection", "close");
+    res.status(503).json({error: "Server is shutting down"});
+    return true;
+};
+
+// This middleware sets up the logging for renders, and refuses them once
+// we are draining. It handles /render/batch too.
+app.use("/render", (req: $Request, res: $Response, next: NextFunction) => {
+    // The jobs of a batch each get their own context.
+    const logging =
+        req.body != null && Array.isArray(req.body.jobs)
+            ? getLogger(req)
+            : addLogContext(req, getRenderLogContext(req.body));
+    if (!refuseIfDraining(logging, res, "render")) {
         next();
-    },
-);
+    }
+});
+
+app.use("/prefetch", (req: $Request, res: $Response, next: NextFunction) => {
+    if (!refuseIfDraining(getLogger(req), res, "prefetch")) {
+        next();
+    }
+});
 
-const checkSecret = function(
+// This middleware manages the number of connections, and logs about it.
+// It goes after checkAuthentication on the render routes, so that requests
+// we won't render don't take the place of ones we will.
+//
+// We keep track of how many render requests are currently "in flight"
+// (see health.js), to help us estimate how long a new request will take
+// and so that we know when we have drained.
+//
+// Each request then waits for its turn to render (see
+// admission-control.js). If it doesn't get one, we respond with a 503 and
+// say when to retry.
+const admitRender = async function(
     req: $Request,
     res: $Response,
     next: NextFunction,
-): mixed {
+): Promise<void> {
     const logging = getLogger(req);
-    const {secret}: RenderBody = (req.body: any);
-    renderSecret.matches(
+
+    // The number of concurrent requests will fluctuate as this
+    // request is evaluated.  We arbitrarily take the number at
+    // our-request-start as the value we log.
+    // We store the stats-to-log in `req` as a hacky way of holding
+    // per-request stats.
+    const requestStats = createRequestStats(getPendingRenders());
+    res.locals.requestStats = requestStats;
+
+    // Only renders that are valid are labelled with their entrypoints in
+    // our metrics, so that requests can't make up labels as they please.
+    // The rest are turned away once they are admitted.
+    const {jobs}: RenderBatchBody = (req.body: any) || {};
+    const renderJobs: Array<any> = Array.isArray(jobs) ? jobs : [req.body];
+    const entrypoints = renderJobs
+        .filter((job) => validateRenderJob(job) == null)
+        .map((job) => getEntrypoint(job.urls));
+
+    const pendingRenderRequests = renderStarted();
+    const stopTrackingRenders = trackPendingRenders(entrypoints);
+    const renderProfile = profile.start(
         logging,
-        secret,
-        (err: ?Error, secretMatches: ?boolean) => {
-            if (err != null || !secretMatches) {
-                res.status(400).send({error: "Missing or invalid secret"});
-                return;
-            }
-            next();
-        },
+        `/render (active requests: ${pendingRenderRequests})`,
     );
-};
 
-const logAndGetError = function(
-    logging: Logger,
-    context: string,
-    err: any,
-    globals: any,
-): mixed {
-    const errorString = extractErrorInfo(err);
-
-    /**
-     * Let's log some info here.
-     *
-     * context:
-     *      Some context on the workflow or stage in which the error
-     *      occurred.
-     *
-     * globals.location:
-     *      What URL was being rendered
-     *
-     * errorString:
-     *      The given error as a string.
-     */
-    logging.error(`${context} (${globals["location"]}): ${errorString}`);
-
-    // Error handler for fetching failures.
-    if (err.error && (!err.response || !err.response.error)) {
-        // set for timeouts, in particular
-        err = err.error;
-    }
+    // A batch waits for a turn for each of its jobs, since it renders
+    // them all at once.
+    const renders = Array.isArray(jobs) ? Math.max(jobs.length, 1) : 1;
+    let admitted = false;
+    const admission = admissionControl.admit(logging, renders);
 
-    return {
-        error: `${err}`,
-        stack: err.stack,
+    // Register for the response finish so we can finish up our stats.
+    // If the client goes away first, we only get the close.
+    let finished = false;
+    const onFinished = () => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        renderFinished();
+        stopTrackingRenders();
+        if (admitted) {
+            admissionControl.release(renders);
+        } else {
+            admission.abort();
+        }
     };
-};
-
-const respond400BadRequest = (
-    logging: Logger,
-    res: $Response,
-    error,
-    value,
-) => {
-    logging.error(error);
-    return res.status(400).json({error, value});
-};
+    res.on("finish", onFinished);
+    res.on("close", onFinished);
+    res.on("finish", () => {
+        if (res.statusCode < 300) {
+            // only log on successful fetches
+            const description = describeRenderRequest(req.body);
+            renderProfile.end(
+                `render-stats for ${description}: ${JSON.stringify(
+                    res.locals.requestStats,
+                ) || ""}`,
+                "debug",
+                {requestStats: res.locals.requestStats},
+            );
+        }
+    });
 
-const isValidAbsoluteURL = (str: string): boolean => {
+    let queueWaitMs;
     try {
-        // eslint-disable-next-line no-new
-        new URL(str);
-        return true;
-    } catch (e) {
-        return false;
+        queueWaitMs = await admission;
+    } catch (err) {
+        if (finished) {
+            return;
+        }
+        if (isAdmissionError(err)) {
+            res.set("Retry-After", `${err.retryAfter}`);
+            res.status(503).json({error: err.message});
+            return;
+        }
+        next(err);
+        return;
+    }
+
+    admitted = true;
+    if (finished) {
+        // The client went away while we were waiting.
+        admissionControl.release(renders);
+        return;
     }
+    requestStats.queueWaitMs = queueWaitMs;
+    next();
 };
-app.post("/render", checkSecret, async (req: $Request, res: $Response) => {
-    // Validate the input.
-    const {urls, props, globals}: RenderBody = (req.body: any);
-    const logging = getLogger(req);
 
-    if (!Array.isArray(urls) || !urls.every(isValidAbsoluteURL)) {
-        return respond400BadRequest(
-            logging,
-            res,
-            'Missing "urls" keyword in POST JSON input, ' +
-                'or one or more "urls" are not valid',
+app.post(
+    "/render",
+    checkAuthentication,
+    admitRender,
+    async (req: $Request, res: $Response) => {
+        // Validate the input.
+        const {
             urls,
-        );
-    } else if (typeof props !== "object" || Array.isArray(props)) {
-        return respond400BadRequest(
-            logging,
-            res,
-            'Missing "props" keyword in POST JSON input, ' +
-                'or "props" is not an object, or it has non-string keys.',
             props,
-        );
-    } else if (
-        globals &&
-        globals["location"] &&
-        !isValidAbsoluteURL(globals["location"])
-    ) {
-        return respond400BadRequest(
-            logging,
-            res,
-            'globals["location"] is not a valid URL',
-            props,
-        );
-    }
+            globals,
+            stream,
+            timeout,
+            integrity,
+            debug,
+        }: RenderBody = (req.body: any);
+        const logging = getLogger(req);
 
-    // We filter out all non-JS URLs as we don't need to download them in
-    // order to render the page (for example .css files may be specified and
-    // we want to ignore them)
-    const jsUrls = urls.filter(
-        (url) => url.startsWith("http") && url.endsWith(".js"),
-    );
+        const badRequest = validateRenderJob(req.body);
+        if (badRequest != null) {
+            return respondBadRequest(logging, res, badRequest);
+        }
+        const jsUrls = getJsUrls(urls);
+        const entrypoint = getEntrypoint(urls);
+        const startedAt = Date.now();
 
-    if (jsUrls.length === 0) {
-        return respond400BadRequest(
-            logging,
-            res,
-            'Error in "urls" keyword in POST JSON input, ' +
-                "no valid JS urls were specified.",
-            urls,
-        );
-    }
+        // Fetch the entry point and its dependencies.
+        const requestStats: RequestStats = (res.locals.requestStats: any);
+        const fetchPackages = async () => {
+            /**
+             * Remove any unused files from the fetch_package cache. We do this
+             * before we start any requests to make sure we don't overfill the
+             * cache with all the new data we download.
+             */
+            flushUnusedCache();
 
-    // Fetch the entry point and its dependencies.
-    const requestStats: RequestStats = (res.locals.requestStats: any);
-    const fetchPackages = async () => {
-        /**
-         * Remove any unused files from the fetch_package cache. We do this
-         * before we start any requests to make sure we don't overfill the
-         * cache with all the new data we download.
-         */
-        flushUnusedCache();
+            try {
+                const fetchPromises = jsUrls.map((url) =>
+                    fetchPackage(
+                        logging,
+                        url,
+                        "SERVER",
+                        requestStats,
+                        getIntegrity(integrity, url),
+                    ),
+                );
+                const fetched = await Promise.all(fetchPromises);
+                requestStats.packageFetchMs = Date.now() - startedAt;
+                return fetched;
+            } catch (err) {
+                recordRenderFailure(entrypoint, "fetch", requestStats);
+                const errorResponse = logAndGetError(
+                    logging,
+                    "FETCH FAIL",
+                    err,
+                    globals,
+                    "fetch",
+                );
+                res.status(getErrorStatus(errorResponse.code)).json(
+                    errorResponse,
+                );
+                return null;
+            }
+        };
+
+        const packages = await fetchPackages();
+        if (packages == null) {
+            return;
+        }
 
         try {
-            const fetchPromises = jsUrls.map((url) =>
-                fetchPackage(logging, url, "SERVER", requestStats),
+            const renderedState = await renderInWorker(
+                logging,
+                packages,
+                props,
+                globals,
+                requestStats,
+                {stream: !!stream, timeout, debug: !!debug},
+            );
+
+            // We store the updated request-stats in renderedState
+            // (the only way to get the updated data back from our
+            // render worker); pop that out into update req.requestStats.
+            res.locals.requestStats = renderedState.requestStats;
+            if (stream) {
+                // When streaming, the request stats go out in the trailing
+                // JSON frame along with everything else.
+                respondWithStream(
+                    logging,
+                    res,
+                    renderedState,
+                    globals,
+                    entrypoint,
+                    packages,
+                    startedAt,
+                );
+                return;
+            }
+            recordRender(
+                entrypoint,
+                renderedState.requestStats,
+                Date.now() - startedAt,
             );
-            return await Promise.all(fetchPromises);
+            delete renderedState.requestStats;
+            res.json(renderedState);
         } catch (err) {
+            recordRenderFailure(
+                entrypoint,
+                getRenderFailurePhase(err, "render"),
+                requestStats,
+            );
             const errorResponse = logAndGetError(
                 logging,
-                "FETCH FAIL",
+                "RENDER FAIL",
                 err,
                 globals,
+                "render",
+                packages,
             );
-            res.status(500).json(errorResponse);
-            return null;
+            res.status(getErrorStatus(errorResponse.code)).json(errorResponse);
         }
-    };
+    },
+);
 
-    const packages = await fetchPackages();
-    if (packages == null) {
-        return;
-    }
+/**
+ * Server-side render several components at once.
+ *
+ * This is for pages that need more than one independently rendered
+ * component. The post data is sent in the request body as json, in the
+ * following format:
+ * {
+ *    "jobs": [
+ *        {
+ *            "urls": [...],
+ *            "globals": {...},
+ *            "props": {...},
+ *            "timeout": 10000,
+ *            "debug": false,
+ *            "integrity": {...}
+ *        },
+ *        ...
+ *    ],
+ *    "secret": "...."
+ * }
+ *
+ * Each job is just like the body of a /render request, without the secret
+ * (and streaming isn't supported). The request is authenticated just like a
+ * /render request. The packages for all the jobs are
+ * fetched once and the jobs are rendered concurrently. The batch waits for
+ * a turn to render for each of its jobs, so it can have no more jobs than
+ * --max-concurrent-renders, if that is set.
+ *
+ * The return format is also json:
+ * {
+ *     "results": [
+ *         {"html": "...", "css": {...}},
+ *         {"error": "...", "stack": "..."},
+ *         ...
+ *     ]
+ * }
+ *
+ * There is one result for each job, in the same order as the jobs. A job
+ * that is invalid, or whose packages could not be fetched, or whose render
+ * failed, gets an error result in the same format as a failed /render
+ * request; the other jobs are unaffected.
+ */
+app.post(
+    "/render/batch",
+    checkAuthentication,
+    admitRender,
+    async (req: $Request, res: $Response) => {
+        const {jobs}: RenderBatchBody = (req.body: any);
+        const logging = getLogger(req);
 
-    try {
-        const renderedState = await render(
-            logging,
-            packages,
-            props,
-            globals,
-            requestStats,
-        );
+        const badRequest = validateRenderBatch(req.body);
+        if (badRequest != null) {
+            return respondBadRequest(logging, res, badRequest);
+        }
+
+        // Each job gets its own stats, since the jobs render at the same
+        // time. A package that several jobs use counts towards the job that
+        // fetched it.
+        const requestStats: RequestStats = (res.locals.requestStats: any);
+        const jobStats: Array<?RequestStats> = jobs.map(() => null);
 
-        // We store the updated request-stats in renderedState
-        // (the only way to get the updated data back from our
-        // subprocess); pop that out into update req.requestStats.
-        res.locals.requestStats = renderedState.requestStats;
-        delete renderedState.requestStats;
-        res.json(renderedState);
-    } catch (err) {
-        const errorResponse = logAndGetError(
-            logging,
-            "RENDER FAIL",
-            err,
-            globals,
-        );
         /**
-         * Even in the case of a bad render, we want to categorize this as
-         * a server error.
+         * Remove any unused files from the fetch_package cache. We do this
+         * before we start any requests to make sure we don't overfill the
+         * cache with all the new data we download.
          */
-        res.status(500).json(errorResponse);
-    }
-});
+        flushUnusedCache();
+
+        // Each package is only fetched once, however many jobs use it
+        // (unless they expect it to have different integrities).
+        const fetches: Map<string, Promise<JavaScriptPackage>> = new Map();
+        const fetchOnce = (
+            url: string,
+            integrity: ?string,
+            stats: RequestStats,
+        ): Promise<JavaScriptPackage> => {
+            const key = integrity == null ? url : `${url} ${integrity}`;
+            let fetch = fetches.get(key);
+            if (fetch == null) {
+                fetch = fetchPackage(logging, url, "SERVER", stats, integrity);
+                fetches.set(key, fetch);
+            }
+            return fetch;
+        };
+
+        const renderJob = async (job: RenderJob, index: number) => {
+            const jobLogging = logging.child({
+                ...getRenderLogContext(job),
+                job: index,
+            });
+            const badRequest = validateRenderJob(job);
+            if (badRequest != null) {
+                jobLogging.error(`Batch job ${index}: ${badRequest.error}`);
+                return getBadRequestResponse(badRequest);
+            }
+            const {urls, props, globals, timeout, integrity, debug} = job;
+            const entrypoint = getEntrypoint(urls);
+            const startedAt = Date.now();
+            const stats = createRequestStats(
+                requestStats.pendingRenderRequests,
+                requestStats.queueWaitMs,
+            );
+
+            let packages;
+            try {
+                packages = await Promise.all(
+                    getJsUrls(urls).map((url) =>
+                        fetchOnce(url, getIntegrity(integrity, url), stats),
+                    ),
+                );
+                stats.packageFetchMs = Date.now() - startedAt;
+            } catch (err) {
+                recordRenderFailure(entrypoint, "fetch", stats);
+                return logAndGetError(
+                    jobLogging,
+                    "FETCH FAIL",
+                    err,
+                    globals,
+                    "fetch",
+                );
+            }
+
+            try {
+                const renderedState = await renderInWorker(
+                    jobLogging,
+                    packages,
+                    props,
+                    globals,
+                    stats,
+                    {timeout, debug: !!debug},
+                );
+                jobStats[index] = renderedState.requestStats;
+                recordRender(
+                    entrypoint,
+                    renderedState.requestStats,
+                    Date.now() - startedAt,
+                );
+                delete renderedState.requestStats;
+                return renderedState;
+            } catch (err) {
+                const phase = getRenderFailurePhase(err, "render");
+                recordRenderFailure(entrypoint, phase, stats);
+                return logAndGetError(
+                    jobLogging,
+                    "RENDER FAIL",
+                    err,
+                    globals,
+                    "render",
+                    packages,
+                );
+            }
+        };
+
+        const results = await Promise.all(jobs.map(renderJob));
+        res.locals.requestStats = {...requestStats, jobs: jobStats};
+        res.json({results});
+    },
+);
 
 /**
- * Flush the cache.
+ * Fetch packages into the package cache before they are needed, and
+ * optionally evaluate them in a render context that later renders of the
+ * same packages can reuse (see prefetch.js).
+ *
+ * The post data is sent in the request body as json, in the following format:
+ * {
+ *    "urls": ["http://kastatic.org/genfiles/javascript/en/corelibs-package-xx.js",
+ *             "http://kastatic.org/genfiles/javascript/en/shared-package-xx.js",
+ *             "http://kastatic.org/genfiles/javascript/en/content-library-xx.js"],
+ *    "warm": true,
+ *    "globals": {"location": "http://khanacademy.org/science/physics", ...},
+ *    "integrity": {"http://kastatic.org/...": "sha384-...", ...},
+ *    "secret": "...."
+ * }
+ *
+ * 'urls' are as for /render. 'warm', 'globals' and 'integrity' are
+ * optional; 'globals' and 'integrity' are as for /render. With 'warm', the
+ * packages are evaluated as a /render of the same urls would, if they were
+ * all fetched, and the render context is kept for a later render. That
+ * needs --context-pool-size, and waits for a turn like a /render does: we
+ * respond with a 503 and a Retry-After header if we are too busy.
+ *
+ * The request is authenticated just like a /render request.
+ *
+ * We respond with json in the following format, with a 502 status if any
+ * package couldn't be fetched or evaluated:
+ * {
+ *    "fetched": ["http://kastatic.org/...", ...],
+ *    "failed": [{"url": "http://kastatic.org/...", "error": "..."}, ...],
+ *    "warmed": true,
+ *    "warmError": null
+ * }
+ */
+app.post(
+    "/prefetch",
+    checkAuthentication,
+    async (req: $Request, res: $Response, next: NextFunction) => {
+        const logging = getLogger(req);
+        const badRequest = validatePrefetchRequest(req.body);
+        if (badRequest != null) {
+            return respondBadRequest(logging, res, badRequest);
+        }
+
+        const {urls, globals, integrity, warm}: PrefetchBody = (req.body: any);
+        try {
+            const result = await prefetchPackages(logging, getJsUrls(urls), {
+                integrity,
+                warm,
+                globals,
+            });
+            const failed = result.failed.length > 0 || result.warmError != null;
+            res.status(failed ? 502 : 200).json(result);
+        } catch (err) {
+            if (isAdmissionError(err)) {
+                res.set("Retry-After", `${err.retryAfter}`);
+                res.status(503).json({error: err.message});
+                return;
+            }
+            next(err);
+        }
+    },
+);
+
+/**
+ * Flush the cache, along with any idle render contexts and compiled scripts
+ * that were built from the cached packages, on every instance.
  *
  * This can be useful when there are weird errors that may be due to bad
- * caching, or for testing.
+ * caching, or for testing. /_api/cache shows what is cached.
  *
  * The post data is sent in the request body as json, in the following format:
  * {
- *    "secret": "...."
+ *    "secret": "....",
+ *    "urls": ["https://cdn.example.com/genfiles/bad.js", ...],
+ *    "glob": "https://cdn.example.com/genfiles/*.js",
+ *    "regex": "/genfiles/bad-[0-9a-f]+\\.js$"
  * }
  *
- * 'secret' is a shared secret.  It must equal the value of the 'secret'
- * file in the server's base-directory, or the server will deny the request.
- * NOTE: In dev mode, the secret field is ignored.
+ * The request is authenticated just like a /render request, so 'secret' is
+ * only needed for unsigned requests with --allow-body-secret.
  *
- * We respond with the instance that was flushed.
- * TODO(WEB-1410): how do we flush *all* the instances??
- *                 Datastore! See graphql-gateway
+ * 'urls', 'glob' and 'regex' are optional. If any of them is given, only
+ * the packages whose URLs match one of them are flushed (see
+ * flush-selector.js), and we respond with json in the following format:
+ * {
+ *    "evicted": ["https://cdn.example.com/genfiles/bad.js", ...],
+ *    "instances": ["<instance id>", ...]
+ * }
+ * where 'evicted' has the URLs of the packages that any instance evicted
+ * from its package cache.
+ *
+ * The other instances are told to flush over the --flush-transport (see
+ * flush-broadcast.js). Without a selective flush, we respond with the
+ * instances that were flushed, one per line: this one first, then those
+ * that acknowledged the flush.
  */
-app.post("/flush", checkSecret, (req: $Request, res: $Response) => {
-    flushCache();
-    res.send((process.env["GAE_INSTANCE"] || "dev") + "\n");
-});
+app.post(
+    "/flush",
+    checkAuthentication,
+    async (req: $Request, res: $Response, next: NextFunction) => {
+        const {urls, glob, regex}: FlushBody = (req.body: any) || {};
+        if (urls == null && glob == null && regex == null) {
+            try {
+                const results = await flushAllInstances();
+                res.send(results.map(({instance}) => `${instance}\n`).join(""));
+            } catch (err) {
+                next(err);
+            }
+            return;
+        }
+
+        const selector: FlushSelector = {urls, glob, regex};
+        if (!isValidFlushSelector(selector)) {
+            return respondBadRequest(getLogger(req), res, {
+                error:
+                    '"urls" must be an array of URLs, and "glob" and ' +
+                    '"regex" must be a glob and a regular expression',
+                value: selector,
+            });
+        }
+        try {
+            const results = await flushAllInstances(selector);
+            const evicted = new Set();
+            results.forEach((result) =>
+                result.evicted.forEach((url) => evicted.add(url)),
+            );
+            res.json({
+                evicted: Array.from(evicted).sort(),
+                instances: results.map(({instance}) => instance),
+            });
+        } catch (err) {
+            next(err);
+        }
+    },
+);
 
 app.get("/_api/ping", (req: $Request, res: $Response) => res.send("pong!\n"));
 
@@ -333,11 +801,164 @@ app.get("/_api/version", (req: $Request, res: $Response) => {
     // This will return the module version ID we set when deploying.
     res.send((process.env["GAE_VERSION"] || "dev") + "\n");
 });
+/**
+ * Get the stats of the package cache, as json:
+ * {
+ *     "size": 1234567,
+ *     "maxSize": 268435456,
+ *     "entryCount": 12,
+ *     "evictions": 0
+ * }
+ *
+ * Sizes are in bytes. Evictions are how many packages have been evicted
+ * since the server started, to keep the cache within its maximum size.
+ *
+ * The request is authenticated like /metrics.
+ */
+app.get(
+    "/_api/package-cache-stats",
+    checkScraperAuthentication,
+    (req: $Request, res: $Response) => res.json(getPackageCacheStats()),
+);
+
+/**
+ * Our metrics, for Prometheus to scrape (see render-metrics.js).
+ *
+ * The metrics are labelled with the entrypoints of renders, which are
+ * package URLs, so they are only for those who may render. The request is
+ * authenticated just like a /render request, with an empty body, or by our
+ * shared secret as a bearer token ("Authorization: Bearer <secret>"), which
+ * Prometheus can send with the "authorization" setting of its scrape
+ * config.
+ */
+app.get(
+    "/metrics",
+    checkScraperAuthentication,
+    (req: $Request, res: $Response) =>
+        res.type(METRICS_CONTENT_TYPE).send(metrics.getMetrics()),
+);
+
+const describeCachedPackage = ({
+    url,
+    size,
+    fetchedAt,
+    lastUsed,
+    hits,
+}: CachedPackage) => ({
+    url,
+    size,
+    fetchedAt: fetchedAt == null ? null : new Date(fetchedAt).toISOString(),
+    lastUsed: new Date(lastUsed).toISOString(),
+    hits,
+});
+
+/**
+ * List the packages in the package cache, most recently used first, as
+ * json:
+ * {
+ *     "packages": [
+ *         {
+ *             "url": "https://cdn.example.com/genfiles/a.js",
+ *             "size": 12345,
+ *             "fetchedAt": "2020-01-01T12:00:00.000Z",
+ *             "lastUsed": "2020-01-01T12:30:00.000Z",
+ *             "hits": 42
+ *         },
+ *         ...
+ *     ]
+ * }
+ *
+ * Sizes are in bytes. Hits are how many times the package has been used
+ * from the cache since the server started. fetchedAt is null for packages
+ * that were cached on disk by an older version of the server.
+ *
+ * The request is authenticated like /metrics, as are the other requests
+ * that describe the package cache.
+ */
+app.get(
+    "/_api/cache",
+    checkScraperAuthentication,
+    (req: $Request, res: $Response) =>
+        res.json({packages: getCachedPackages().map(describeCachedPackage)}),
+);
+
+/**
+ * Describe one package in the package cache, in the same format as each of
+ * the packages from /_api/cache. The package URL should be URL-encoded, as
+ * in /_api/cache/https%3A%2F%2Fcdn.example.com%2Fgenfiles%2Fa.js.
+ *
+ * We respond with a 404 if the package isn't cached.
+ */
+app.get(
+    /^\/_api\/cache\/(.+)$/,
+    checkScraperAuthentication,
+    (req: $Request, res: $Response) => {
+        const url = req.params["0"];
+        const cachedPackage = getCachedPackages().find(
+            (candidate) => candidate.url === url,
+        );
+        if (cachedPackage == null) {
+            res.status(404).json({error: "Package is not cached", value: url});
+            return;
+        }
+        res.json(describeCachedPackage(cachedPackage));
+    },
+);
+
+/**
+ * Respond to a readiness check: with "ok!" if we are ready for traffic, or
+ * with a 503 and the reasons we aren't (see health.js). If we can't tell,
+ * we aren't ready either.
+ */
+const checkReadiness = async (req: $Request, res: $Response) => {
+    const logging = getLogger(req);
+    let problems;
+    try {
+        problems = await getReadinessProblems(logging);
+    } catch (err) {
+        logging.error(`Unable to check readiness: ${err.message}`);
+        problems = [`unable to check readiness (${err.message})`];
+    }
+    if (problems.length > 0) {
+        res.status(503).send(`not ready: ${problems.join(", ")}\n`);
+        return;
+    }
+    res.send("ok!\n");
+};
+
+/**
+ * Respond to a liveness check: with "ok!" if our event loop hasn't been
+ * blocked for too long recently, or with a 503 if it has.
+ */
+const checkLiveness = (req: $Request, res: $Response) => {
+    const problem = getLivenessProblem();
+    if (problem != null) {
+        getLogger(req).error(`Failing liveness check: ${problem}`);
+        res.status(503).send(`not alive: ${problem}\n`);
+        return;
+    }
+    res.send("ok!\n");
+};
+
+// App Engine flexible's split health checks.
+app.get("/readiness_check", checkReadiness);
+app.get("/liveness_check", checkLiveness);
+
 // These are used by the Managed VM lifecycle functions:
 // https://cloud.google.com/appengine/docs/managed-vms/custom-runtimes#lifecycle_events
-app.get("/_ah/health", (req: $Request, res: $Response) => res.send("ok!\n"));
+// The legacy health check decides if we get traffic, so it is a readiness
+// check.
+app.get("/_ah/health", checkReadiness);
 app.get("/_ah/start", (req: $Request, res: $Response) => res.send("ok!\n"));
-app.get("/_ah/stop", (req: $Request, res: $Response) => res.send("ok!\n"));
+
+/**
+ * Stop accepting renders, wait for those in progress to finish and then stop
+ * the server (see drain in health.js). We respond once we have drained.
+ */
+app.get("/_ah/stop", async (req: $Request, res: $Response) => {
+    await drain(getLogger(req));
+    res.send("ok!\n");
+});
 
 // Simplistic priming endpoint. Calling this endpoint uses CPU and thus
 // hopefully causes the autoscaler to spin up more instances. This endpoint
@@ -1,11 +1,35 @@
 // @flow
+import crypto from "crypto";
 import fs from "fs";
 import {assert} from "chai";
 import nock from "nock";
 import sinon from "sinon";
 import supertest from "supertest";
+import {SourceMapGenerator} from "source-map";
+import {SpanKind} from "@opentelemetry/api";
+import {
+    InMemorySpanExporter,
+    SimpleSpanProcessor,
+} from "@opentelemetry/sdk-trace-base";
+import args from "./arguments.js";
 import * as renderSecret from "./secret.js";
+import authFailureLimiter from "./auth-failure-limiter.js";
+import admissionControl, {AdmissionError} from "./admission-control.js";
+import metrics from "./metrics.js";
+import * as flushBroadcast from "./flush-broadcast.js";
+import * as fetchPackageModule from "./fetch_package.js";
+import * as prefetch from "./prefetch.js";
+import * as health from "./health.js";
+import {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signRequest,
+} from "./request-signature.js";
+import {resetEntrypointLabels} from "./render-metrics.js";
+import {STREAM_TRAILER_SEPARATOR} from "./render-stream.js";
 import server from "./server.js";
+import {setTracer} from "./tracing.js";
+import {OpenTelemetryTracer} from "./opentelemetry-tracer.js";
 import {rootLogger as logging} from "./logging.js";
 
 describe("API endpoint /_api/ping", () => {
@@ -32,27 +56,804 @@ describe("API endpoint /_api/version", () => {
     });
 });
 
+describe("API endpoint /_api/package-cache-stats", () => {
+    const agent = supertest.agent(server);
+
+    it("should return the package cache stats", async () => {
+        // Arrange
+
+        // Act
+        const result = await agent.get("/_api/package-cache-stats");
+
+        // Assert
+        assert.deepEqual(Object.keys(result.body).sort(), [
+            "entryCount",
+            "evictions",
+            "maxSize",
+            "size",
+        ]);
+    });
+});
+
+describe("API endpoint /_api/cache", () => {
+    const agent = supertest.agent(server);
+    const cachedPackages = [
+        {
+            url: "https://cdn.example.com/a.js",
+            size: 1234,
+            fetchedAt: Date.UTC(2020, 0, 1, 12),
+            lastUsed: Date.UTC(2020, 0, 1, 13),
+            hits: 42,
+        },
+        {
+            url: "https://cdn.example.com/b.js",
+            size: 5678,
+            fetchedAt: null,
+            lastUsed: Date.UTC(2020, 0, 1, 11),
+            hits: 0,
+        },
+    ];
+
+    beforeEach(() => {
+        sinon
+            .stub(fetchPackageModule, "getCachedPackages")
+            .returns(cachedPackages);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        authFailureLimiter.clear();
+    });
+
+    it("should list the cached packages", async () => {
+        // Act
+        const result = await agent.get("/_api/cache");
+
+        // Assert
+        assert.deepEqual(result.body, {
+            packages: [
+                {
+                    url: "https://cdn.example.com/a.js",
+                    size: 1234,
+                    fetchedAt: "2020-01-01T12:00:00.000Z",
+                    lastUsed: "2020-01-01T13:00:00.000Z",
+                    hits: 42,
+                },
+                {
+                    url: "https://cdn.example.com/b.js",
+                    size: 5678,
+                    fetchedAt: null,
+                    lastUsed: "2020-01-01T11:00:00.000Z",
+                    hits: 0,
+                },
+            ],
+        });
+    });
+
+    it("should describe one cached package", async () => {
+        // Act
+        const result = await agent.get(
+            `/_api/cache/${encodeURIComponent("https://cdn.example.com/b.js")}`,
+        );
+
+        // Assert
+        assert.deepEqual(result.body, {
+            url: "https://cdn.example.com/b.js",
+            size: 5678,
+            fetchedAt: null,
+            lastUsed: "2020-01-01T11:00:00.000Z",
+            hits: 0,
+        });
+    });
+
+    it("should respond with a 404 for a package that isn't cached", async () => {
+        // Act
+        const result = await agent.get(
+            `/_api/cache/${encodeURIComponent("https://cdn.example.com/c.js")}`,
+        );
+
+        // Assert
+        assert.equal(result.status, 404);
+    });
+
+    it("should require authentication", async () => {
+        // Arrange
+        sinon.stub(args, "dev").get(() => false);
+        sinon.stub(logging, "error");
+        sinon.stub(logging, "warn");
+
+        // Act
+        const result = await agent.get("/_api/cache");
+
+        // Assert
+        assert.equal(result.status, 401);
+    });
+});
+
 describe("API endpoint /_ah/health", () => {
     const agent = supertest.agent(server);
 
-    it("should return ok!", (done) => {
-        agent.get("/_ah/health").expect("ok!\n", done);
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should return ok!", (done) => {
+        agent.get("/_ah/health").expect("ok!\n", done);
+    });
+
+    it("should respond with a 503 until we have warmed up", async () => {
+        // Arrange
+        sinon.stub(prefetch, "isWarmedUp").returns(false);
+
+        // Act
+        const result = await agent.get("/_ah/health");
+
+        // Assert
+        assert.equal(result.status, 503);
+    });
+
+    it("should respond with a 503 if it can't tell whether we are ready", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        sinon.stub(health, "getReadinessProblems").rejects(new Error("Boom"));
+
+        // Act
+        const result = await agent.get("/_ah/health");
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(
+            result.text,
+            "not ready: unable to check readiness (Boom)\n",
+        );
+    });
+});
+
+describe("API endpoint /prefetch", () => {
+    const agent = supertest.agent(server);
+    let prefetchStub;
+
+    beforeEach(() => {
+        prefetchStub = sinon.stub(prefetch, "prefetchPackages").resolves({
+            fetched: ["https://www.ka.org/a.js"],
+            failed: [],
+            warmed: true,
+            warmError: null,
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should prefetch the JS packages", async () => {
+        // Arrange
+        sinon.stub(args, "contextPoolSize").get(() => 1);
+        const globals = {location: "https://www.ka.org/page"};
+
+        // Act
+        const result = await agent.post("/prefetch").send({
+            urls: ["https://www.ka.org/a.js", "https://www.ka.org/a.css"],
+            warm: true,
+            globals,
+        });
+
+        // Assert
+        sinon.assert.calledWith(
+            prefetchStub,
+            sinon.match.any,
+            ["https://www.ka.org/a.js"],
+            {integrity: undefined, warm: true, globals},
+        );
+        assert.equal(result.status, 200);
+        assert.deepEqual(result.body, {
+            fetched: ["https://www.ka.org/a.js"],
+            failed: [],
+            warmed: true,
+            warmError: null,
+        });
+    });
+
+    it("should respond with a 502 if a package couldn't be fetched", async () => {
+        // Arrange
+        prefetchStub.resolves({
+            fetched: [],
+            failed: [{url: "https://www.ka.org/a.js", error: "Not Found"}],
+            warmed: false,
+            warmError: null,
+        });
+
+        // Act
+        const result = await agent
+            .post("/prefetch")
+            .send({urls: ["https://www.ka.org/a.js"]});
+
+        // Assert
+        assert.equal(result.status, 502);
+    });
+
+    [
+        {},
+        {urls: "https://www.ka.org/a.js"},
+        {urls: ["https://www.ka.org/a.css"]},
+        {urls: ["https://www.ka.org/a.js"], warm: "yes"},
+        {urls: ["https://www.ka.org/a.js"], globals: {location: "nowhere"}},
+        {urls: ["https://www.ka.org/a.js"], integrity: {a: "md5-abc"}},
+    ].forEach((body) => {
+        it(`should respond with a 400 for ${JSON.stringify(
+            body,
+        )}`, async () => {
+            // Arrange
+            sinon.stub(logging, "error");
+
+            // Act
+            const result = await agent.post("/prefetch").send(body);
+
+            // Assert
+            assert.equal(result.status, 400);
+            sinon.assert.notCalled(prefetchStub);
+        });
+    });
+
+    it("should respond with a 400 for warming without a context pool", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+
+        // Act
+        const result = await agent
+            .post("/prefetch")
+            .send({urls: ["https://www.ka.org/a.js"], warm: true});
+
+        // Assert
+        assert.equal(result.status, 400);
+        assert.include(result.body.error, "--context-pool-size");
+        sinon.assert.notCalled(prefetchStub);
+    });
+
+    it("should respond with a 503 if it is too busy to warm", async () => {
+        // Arrange
+        sinon.stub(args, "contextPoolSize").get(() => 1);
+        prefetchStub.rejects(
+            new AdmissionError(
+                "queue-full",
+                3,
+                "Refusing render, the render queue is full",
+            ),
+        );
+
+        // Act
+        const result = await agent
+            .post("/prefetch")
+            .send({urls: ["https://www.ka.org/a.js"], warm: true});
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(result.header["retry-after"], "3");
+    });
+
+    it("should respond with a 403 for a package URL that isn't allowed", async () => {
+        // Arrange
+        sinon
+            .stub(args, "allowedPackageUrls")
+            .get(() => ["https://www.ka.org/"]);
+        sinon.stub(logging, "error");
+
+        // Act
+        const result = await agent
+            .post("/prefetch")
+            .send({urls: ["https://evil.example.com/a.js"]});
+
+        // Assert
+        assert.equal(result.status, 403);
+        sinon.assert.notCalled(prefetchStub);
+    });
+
+    it("should respond with a 500 if prefetching fails", async () => {
+        // Arrange
+        prefetchStub.rejects(new Error("Boom"));
+
+        // Act
+        const result = await agent
+            .post("/prefetch")
+            .send({urls: ["https://www.ka.org/a.js"]});
+
+        // Assert
+        assert.equal(result.status, 500);
+    });
+});
+
+describe("API endpoint /_ah/start", () => {
+    const agent = supertest.agent(server);
+
+    it("should return ok!", (done) => {
+        agent.get("/_ah/start").expect("ok!\n", done);
+    });
+});
+
+describe("API endpoint /_ah/stop", () => {
+    const agent = supertest.agent(server);
+
+    beforeEach(() => {
+        sinon.stub(logging, "info");
+        sinon.stub(logging, "warn");
+    });
+
+    afterEach(() => {
+        health.resetDraining();
+        sinon.restore();
+    });
+
+    it("should return ok!", (done) => {
+        agent.get("/_ah/stop").expect("ok!\n", done);
+    });
+
+    it("should call the drain handlers before responding", async () => {
+        // Arrange
+        const handler = sinon.stub();
+        health.onDrained(handler);
+
+        // Act
+        await agent.get("/_ah/stop");
+
+        // Assert
+        sinon.assert.calledOnce(handler);
+    });
+
+    it("should stop being ready", async () => {
+        // Arrange
+        await agent.get("/_ah/stop");
+
+        // Act
+        const result = await agent.get("/readiness_check");
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(result.text, "not ready: draining\n");
+    });
+
+    it("should refuse renders with a 503", async () => {
+        // Arrange
+        await agent.get("/_ah/stop");
+
+        // Act
+        const result = await agent.post("/render").send({
+            urls: ["https://www.khanacademy.org/a.js"],
+            props: {},
+            globals: {location: "https://www.khanacademy.org/"},
+        });
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(result.header["connection"], "close");
+    });
+
+    it("should refuse prefetches with a 503", async () => {
+        // Arrange
+        const prefetchStub = sinon.stub(prefetch, "prefetchPackages");
+        await agent.get("/_ah/stop");
+
+        // Act
+        const result = await agent
+            .post("/prefetch")
+            .send({urls: ["https://www.khanacademy.org/a.js"]});
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(result.header["connection"], "close");
+        sinon.assert.notCalled(prefetchStub);
+    });
+});
+
+describe("API endpoint /readiness_check", () => {
+    const agent = supertest.agent(server);
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should return ok!", (done) => {
+        agent.get("/readiness_check").expect("ok!\n", done);
+    });
+
+    it("should respond with a 503 and the reasons when not ready", async () => {
+        // Arrange
+        sinon.stub(prefetch, "isWarmedUp").returns(false);
+        sinon.stub(args, "readinessMaxPendingRenders").get(() => 1);
+        health.renderStarted();
+
+        // Act
+        const result = await agent.get("/readiness_check");
+        health.renderFinished();
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(
+            result.text,
+            "not ready: warming up, 1 renders in progress\n",
+        );
+    });
+});
+
+describe("API endpoint /liveness_check", () => {
+    const agent = supertest.agent(server);
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should return ok!", (done) => {
+        agent.get("/liveness_check").expect("ok!\n", done);
+    });
+
+    it("should respond with a 503 when the event loop has been blocked", async () => {
+        // Arrange
+        sinon
+            .stub(health, "getLivenessProblem")
+            .returns("event loop was blocked for 20000ms");
+        sinon.stub(logging, "error");
+
+        // Act
+        const result = await agent.get("/liveness_check");
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(
+            result.text,
+            "not alive: event loop was blocked for 20000ms\n",
+        );
+    });
+});
+
+describe("API endpoint /flush", () => {
+    const agent = supertest.agent(server);
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should respond with the instances that were flushed", async () => {
+        // Arrange
+        sinon
+            .stub(flushBroadcast, "flushAllInstances")
+            .resolves([
+                {instance: "a", evicted: []},
+                {instance: "b", evicted: []},
+            ]);
+
+        // Act
+        const result = await agent.post("/flush").send({});
+
+        // Assert
+        assert.equal(result.text, "a\nb\n");
+    });
+
+    it("should only flush the selected packages", async () => {
+        // Arrange
+        const flushStub = sinon
+            .stub(flushBroadcast, "flushAllInstances")
+            .resolves([]);
+        const selector = {
+            urls: ["https://a.com/bad.js"],
+            glob: "*/bad-*.js",
+            regex: "/v1/",
+        };
+
+        // Act
+        await agent.post("/flush").send(selector);
+
+        // Assert
+        sinon.assert.calledWith(flushStub, selector);
+    });
+
+    it("should respond with the packages that were evicted", async () => {
+        // Arrange
+        sinon.stub(flushBroadcast, "flushAllInstances").resolves([
+            {instance: "a", evicted: ["https://b.com/bad.js"]},
+            {
+                instance: "b",
+                evicted: ["https://b.com/bad.js", "https://a.com/bad.js"],
+            },
+        ]);
+
+        // Act
+        const result = await agent.post("/flush").send({glob: "*/bad.js"});
+
+        // Assert
+        assert.deepEqual(result.body, {
+            evicted: ["https://a.com/bad.js", "https://b.com/bad.js"],
+            instances: ["a", "b"],
+        });
+    });
+
+    [{}, {glob: "*/bad.js"}].forEach((body) => {
+        it(`should respond with a 500 if flushing fails for ${JSON.stringify(
+            body,
+        )}`, async () => {
+            // Arrange
+            sinon
+                .stub(flushBroadcast, "flushAllInstances")
+                .rejects(new Error("Boom"));
+
+            // Act
+            const result = await agent.post("/flush").send(body);
+
+            // Assert
+            assert.equal(result.status, 500);
+        });
+    });
+
+    it("should respond with a 400 for an invalid selector", async () => {
+        // Arrange
+        const flushStub = sinon.stub(flushBroadcast, "flushAllInstances");
+        sinon.stub(logging, "error");
+
+        // Act
+        const result = await agent.post("/flush").send({regex: "("});
+
+        // Assert
+        assert.equal(result.status, 400);
+        sinon.assert.notCalled(flushStub);
+    });
+});
+
+describe("API endpoint /metrics", () => {
+    const agent = supertest.agent(server);
+
+    before(() => {
+        nock.disableNetConnect();
+        nock.enableNetConnect("127.0.0.1");
+    });
+
+    beforeEach(() => {
+        metrics.reset();
+        resetEntrypointLabels();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        nock.cleanAll();
+    });
+
+    it("should respond in the Prometheus text format", async () => {
+        // Act
+        const result = await agent.get("/metrics");
+
+        // Assert
+        assert.equal(result.status, 200);
+        assert.match(
+            result.header["content-type"],
+            /^text\/plain;.*version=0\.0\.4/,
+        );
+        assert.include(result.text, "# TYPE render_duration_seconds histogram");
+    });
+
+    it("should count failed renders by entrypoint and phase", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        const mockScope = nock("https://www.ka.org");
+        // We attempt retry 3 times on a 404 error
+        mockScope
+            .get("/entry.js")
+            .times(3)
+            .reply(404);
+        await agent.post("/render").send({
+            urls: ["https://www.ka.org/entry.js"],
+            props: {},
+            globals: {location: "https://www.ka.org/"},
+        });
+
+        // Act
+        const result = await agent.get("/metrics");
+
+        // Assert
+        assert.include(
+            result.text,
+            'render_failures_total{entrypoint="https://www.ka.org/entry.js",phase="fetch"} 1\n',
+        );
+        assert.include(
+            result.text,
+            'package_fetch_retries_total{entrypoint="https://www.ka.org/entry.js"} 2\n',
+        );
+        assert.notInclude(result.text, "pending_renders{");
+    });
+
+    it("should label renders by entrypoint without its content hash", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        nock("https://www.ka.org")
+            .get("/entry-0123456789abcdef.js")
+            .reply(200, 'throw new Error("Boom");');
+        await agent.post("/render").send({
+            urls: ["https://www.ka.org/entry-0123456789abcdef.js"],
+            props: {},
+            globals: {location: "https://www.ka.org/"},
+        });
+
+        // Act
+        const result = await agent.get("/metrics");
+
+        // Assert
+        assert.include(
+            result.text,
+            'render_failures_total{entrypoint="https://www.ka.org/entry-[hash].js",phase="package-eval"} 1\n',
+        );
+    });
+
+    it("should count a package that throws as failing to evaluate", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        nock("https://www.ka.org")
+            .get("/entry.js")
+            .reply(200, 'throw new Error("Boom");');
+        await agent.post("/render").send({
+            urls: ["https://www.ka.org/entry.js"],
+            props: {},
+            globals: {location: "https://www.ka.org/"},
+        });
+
+        // Act
+        const result = await agent.get("/metrics");
+
+        // Assert
+        assert.include(
+            result.text,
+            'render_failures_total{entrypoint="https://www.ka.org/entry.js",phase="package-eval"} 1\n',
+        );
+        assert.notInclude(result.text, 'phase="render"');
+    });
+
+    it("should not label anything with the entrypoints of invalid renders", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        await agent.post("/render").send({
+            urls: ["https://www.ka.org/made-up.js"],
+            props: "not an object",
+        });
+        await agent.post("/render/batch").send({
+            jobs: [{urls: ["https://www.ka.org/made-up-too.js"]}],
+        });
+
+        // Act
+        const result = await agent.get("/metrics");
+
+        // Assert
+        assert.notInclude(result.text, "made-up");
     });
-});
 
-describe("API endpoint /_ah/start", () => {
-    const agent = supertest.agent(server);
+    it("should count a streamed render that fails only as a failure", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        nock("https://www.ka.org")
+            .get("/entry.js")
+            .reply(
+                200,
+                "window.__registerForSSR__(() => Promise.resolve({\n" +
+                    "    html: {getReader: () => ({\n" +
+                    '        read: () => Promise.reject(new Error("Boom")),\n' +
+                    "        cancel: () => Promise.resolve(),\n" +
+                    "    })},\n" +
+                    "}));",
+            );
+        await agent.post("/render").send({
+            urls: ["https://www.ka.org/entry.js"],
+            props: {},
+            globals: {location: "https://www.ka.org/"},
+            stream: true,
+        });
 
-    it("should return ok!", (done) => {
-        agent.get("/_ah/start").expect("ok!\n", done);
+        // Act
+        const result = await agent.get("/metrics");
+
+        // Assert
+        assert.include(
+            result.text,
+            'render_failures_total{entrypoint="https://www.ka.org/entry.js",phase="stream"} 1\n',
+        );
+        assert.notInclude(
+            result.text,
+            'render_duration_seconds_count{entrypoint="https://www.ka.org/entry.js"}',
+        );
+    });
+
+    it("should time a streamed render once it has been sent", async () => {
+        // Arrange
+        nock("https://www.ka.org")
+            .get("/entry.js")
+            .reply(
+                200,
+                "window.__registerForSSR__(() => Promise.resolve({\n" +
+                    "    html: {getReader: () => ({\n" +
+                    "        read: () => Promise.resolve({done: true}),\n" +
+                    "        cancel: () => Promise.resolve(),\n" +
+                    "    })},\n" +
+                    "}));",
+            );
+        await agent.post("/render").send({
+            urls: ["https://www.ka.org/entry.js"],
+            props: {},
+            globals: {location: "https://www.ka.org/"},
+            stream: true,
+        });
+
+        // Act
+        const result = await agent.get("/metrics");
+
+        // Assert
+        assert.include(
+            result.text,
+            'render_duration_seconds_count{entrypoint="https://www.ka.org/entry.js"} 1\n',
+        );
+        assert.notInclude(result.text, 'phase="stream"');
     });
 });
 
-describe("API endpoint /_ah/stop", () => {
+describe("Request tracing", () => {
     const agent = supertest.agent(server);
+    const TRACE_ID = "0af7651916cd43dd8448eb211c80319c";
+    const INCOMING_TRACEPARENT = `00-${TRACE_ID}-b7ad6b7169203331-01`;
 
-    it("should return ok!", (done) => {
-        agent.get("/_ah/stop").expect("ok!\n", done);
+    let exporter;
+
+    before(() => {
+        nock.disableNetConnect();
+        nock.enableNetConnect("127.0.0.1");
+    });
+
+    beforeEach(() => {
+        exporter = new InMemorySpanExporter();
+        setTracer(new OpenTelemetryTracer(new SimpleSpanProcessor(exporter)));
+    });
+
+    afterEach(() => {
+        setTracer(null);
+        sinon.restore();
+        nock.cleanAll();
+    });
+
+    it("should trace requests as part of the trace in their traceparent", async () => {
+        // Act
+        await agent.get("/_api/ping").set("traceparent", INCOMING_TRACEPARENT);
+
+        // Assert
+        const [result] = exporter.getFinishedSpans();
+        assert.equal(result.name, "GET /_api/ping");
+        assert.equal(result.kind, SpanKind.SERVER);
+        assert.equal(result.spanContext().traceId, TRACE_ID);
+        assert.equal(result.parentSpanId, "b7ad6b7169203331");
+        assert.equal(result.attributes["http.status_code"], 200);
+    });
+
+    it("should continue the trace when fetching packages", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        const mockScope = nock("https://www.ka.org")
+            .matchHeader(
+                "traceparent",
+                new RegExp(`^00-${TRACE_ID}-[0-9a-f]{16}-01$`),
+            )
+            .get("/entry.js")
+            .times(3)
+            .reply(404);
+
+        // Act
+        await agent
+            .post("/render")
+            .set("traceparent", INCOMING_TRACEPARENT)
+            .send({
+                urls: ["https://www.ka.org/entry.js"],
+                props: {},
+                globals: {location: "https://www.ka.org/"},
+            });
+
+        // Assert
+        mockScope.done();
+        const fetchSpans = exporter
+            .getFinishedSpans()
+            .filter(({name}) => name.startsWith("PROFILE: FETCH"));
+        assert.lengthOf(fetchSpans, 3);
+        fetchSpans.forEach((span) =>
+            assert.equal(span.spanContext().traceId, TRACE_ID),
+        );
     });
 });
 
@@ -115,48 +916,441 @@ describe("API endpoint /render", function() {
         });
 
         // Act
-        // We test the actual rendered contents in render_test.js.  Here
-        // we just test that we get *some* output.
+        // We test the actual rendered contents in render_test.js.  Here
+        // we just test that we get *some* output.
+        const result = await agent.post("/render").send(testJson);
+
+        // Assert
+        assert.ok(result.body.html);
+        assert.include(result.body.html, "number!");
+        assert.ok(result.body.css);
+        mockScope.done();
+    });
+
+    it("should stream html followed by a trailing JSON frame", async () => {
+        // Arrange
+        const testJson = {
+            urls: [
+                "https://www.khanacademy.org/webpacked/common/1.js",
+                "https://www.khanacademy.org/webpacked/common/2.js",
+                "https://www.khanacademy.org/webpacked/common/3.js",
+                "https://www.khanacademy.org/webpacked/simple/entry.js",
+            ],
+            props: {name: "streamed!"},
+            secret: "sekret",
+            stream: true,
+        };
+        testJson.urls.forEach((url) => {
+            const path = url.substr("https://www.khanacademy.org".length);
+            const contents = fs.readFileSync(
+                `${__dirname}/testdata${path}`,
+                "utf-8",
+            );
+            mockScope.get(path).reply(200, contents);
+        });
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 200);
+        assert.include(result.headers["content-type"], "text/html");
+        const separatorIndex = result.text.lastIndexOf(
+            STREAM_TRAILER_SEPARATOR,
+        );
+        const html = result.text.substring(0, separatorIndex);
+        const trailer = JSON.parse(
+            result.text.substring(
+                separatorIndex + STREAM_TRAILER_SEPARATOR.length,
+            ),
+        );
+        assert.include(html, "streamed!");
+        assert.ok(trailer.css);
+        assert.ok(trailer.requestStats);
+        mockScope.done();
+    });
+
+    it("should respond with the console log when debugging", async () => {
+        // Arrange
+        mockScope
+            .get("/debug/entry.js")
+            .reply(
+                200,
+                "window.__registerForSSR__(() => {\n" +
+                    '    console.warn("Missing name");\n' +
+                    '    return Promise.resolve({html: "HTML"});\n' +
+                    "});",
+            );
+        const warnSpy = sinon.spy(logging, "warn");
+
+        // Act
+        const result = await agent.post("/render").send({
+            urls: ["https://www.khanacademy.org/debug/entry.js"],
+            props: {},
+            secret: "sekret",
+            debug: true,
+        });
+
+        // Assert
+        assert.equal(result.status, 200);
+        assert.deepEqual(result.body.console, [
+            {
+                level: "warn",
+                message: "Missing name",
+                source: "https://www.khanacademy.org/debug/entry.js:2:13",
+            },
+        ]);
+        sinon.assert.calledWith(warnSpy, sinon.match("Console: Missing name"));
+    });
+
+    it("should give the console log with a failed render when debugging", async () => {
+        // Arrange
+        mockScope
+            .get("/debug/entry.js")
+            .reply(
+                200,
+                "window.__registerForSSR__(() => {\n" +
+                    '    console.error("Missing name");\n' +
+                    '    throw new Error("Boom");\n' +
+                    "});",
+            );
+
+        // Act
+        const result = await agent.post("/render").send({
+            urls: ["https://www.khanacademy.org/debug/entry.js"],
+            props: {},
+            secret: "sekret",
+            debug: true,
+        });
+
+        // Assert
+        assert.equal(result.status, 500);
+        assert.include(result.body.error, "Boom");
+        assert.lengthOf(result.body.console, 1);
+        assert.equal(result.body.console[0].message, "Missing name");
+    });
+
+    it("should fail on invalid inputs", (done) => {
+        const url = "https://www.khanacademy.org/foo";
+        const invalidInputs = [
+            {secret: "sekret"},
+            {props: {bar: 4}, secret: "sekret"},
+            {urls: [], props: {bar: 4}, secret: "sekret"},
+            {urls: [1, 2], props: {bar: 4}, secret: "sekret"},
+            {urls: ["foo"], props: {bar: 4}, secret: "sekret"},
+            {urls: ["/foo"], props: {bar: 4}, secret: "sekret"},
+            {urls: [url], props: {bar: 4}, secret: "sekret"},
+            {urls: [url], props: "foo", secret: "sekret"},
+            {urls: [url], props: [{}, {}], secret: "sekret"},
+            {urls: [`${url}.css`], props: {bar: 4}, secret: "sekret"},
+            {urls: [`${url}.js`], props: {}, secret: "sekret", timeout: 0},
+            {urls: [`${url}.js`], props: {}, secret: "sekret", timeout: "1"},
+            {urls: [`${url}.js`], props: {}, secret: "sekret", integrity: []},
+            {urls: [`${url}.js`], props: {}, secret: "sekret", debug: "yes"},
+            {
+                urls: [`${url}.js`],
+                props: {},
+                secret: "sekret",
+                integrity: {[`${url}.js`]: "md5-abc="},
+            },
+        ];
+        let remainingTests = invalidInputs.length;
+
+        invalidInputs.forEach((testJson) => {
+            agent
+                .post("/render")
+                .send(testJson)
+                .expect((res) => assert.equal(400, res.status))
+                .end(() => {
+                    if (--remainingTests === 0) {
+                        done();
+                    }
+                });
+        });
+    });
+
+    [
+        {renderTimeout: 30000, timeout: 30001},
+        {renderTimeout: 0, timeout: 2147482648},
+    ].forEach(({renderTimeout, timeout}) => {
+        it(`should respond with a 400 for a timeout of ${timeout} with --render-timeout ${renderTimeout}`, async () => {
+            // Arrange
+            sinon.stub(args, "renderTimeout").get(() => renderTimeout);
+            const testJson = {
+                urls: ["https://www.khanacademy.org/foo.js"],
+                props: {},
+                secret: "sekret",
+                timeout,
+            };
+
+            // Act
+            const result = await agent.post("/render").send(testJson);
+
+            // Assert
+            assert.equal(result.status, 400);
+            assert.include(result.body.error, '"timeout"');
+        });
+    });
+
+    [
+        {renderTimeout: 30000, timeout: 30000},
+        {renderTimeout: 0, timeout: 2147482647},
+    ].forEach(({renderTimeout, timeout}) => {
+        it(`should accept a timeout of ${timeout} with --render-timeout ${renderTimeout}`, async () => {
+            // Arrange
+            sinon.stub(args, "renderTimeout").get(() => renderTimeout);
+            const testJson = {
+                urls: ["https://www.khanacademy.org/timeout/entry.js"],
+                props: {},
+                secret: "sekret",
+                timeout,
+            };
+            mockScope
+                .get("/timeout/entry.js")
+                .reply(
+                    200,
+                    'window.__registerForSSR__(() => ({html: "<p>ok</p>"}));',
+                );
+
+            // Act
+            const result = await agent.post("/render").send(testJson);
+
+            // Assert
+            assert.equal(result.status, 200);
+            assert.equal(result.body.html, "<p>ok</p>");
+            mockScope.done();
+        });
+    });
+
+    it("should respond with a 403 for urls that are not allowed", async () => {
+        // Arrange
+        sinon
+            .stub(args, "allowedPackageUrls")
+            .get(() => ["https://www.khanacademy.org/webpacked/"]);
+        const testJson = {
+            urls: [
+                "https://www.khanacademy.org/webpacked/common/1.js",
+                "https://evil.example.com/webpacked/simple/entry.js",
+            ],
+            props: {},
+            secret: "sekret",
+        };
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 403);
+        assert.deepEqual(result.body, {
+            error:
+                "Package URL is not allowed: " +
+                "https://evil.example.com/webpacked/simple/entry.js",
+            code: "validation",
+            value: "https://evil.example.com/webpacked/simple/entry.js",
+        });
+    });
+
+    it("should respond with a 503 and Retry-After when the render queue is full", async () => {
+        // Arrange
+        sinon.stub(args, "maxConcurrentRenders").get(() => 1);
+        sinon.stub(args, "renderQueueSize").get(() => 0);
+        sinon.stub(args, "renderQueueTimeout").get(() => 5000);
+        sinon.stub(logging, "warn");
+        await admissionControl.admit(logging);
+        const testJson = {
+            urls: ["https://www.khanacademy.org/webpacked/simple/entry.js"],
+            props: {},
+            secret: "sekret",
+        };
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+        admissionControl.clear();
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(result.header["retry-after"], "5");
+        assert.deepEqual(result.body, {error: "Too many renders are waiting"});
+    });
+
+    it("should authenticate renders before they wait for their turn", async () => {
+        // Arrange
+        sinon.stub(args, "maxConcurrentRenders").get(() => 1);
+        sinon.stub(args, "renderQueueSize").get(() => 0);
+        await admissionControl.admit(logging);
+        const testJson = {
+            urls: ["https://www.khanacademy.org/webpacked/simple/entry.js"],
+            props: {},
+        };
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+        const stats = admissionControl.getStats();
+        admissionControl.clear();
+
+        // Assert
+        assert.equal(result.status, 401);
+        assert.deepEqual(stats, {
+            active: 1,
+            queued: 0,
+            refusedQueueFull: 0,
+            refusedQueueTimeout: 0,
+        });
+    });
+
+    it("should respond with a 503 when a render waits too long in the queue", async () => {
+        // Arrange
+        sinon.stub(args, "maxConcurrentRenders").get(() => 1);
+        sinon.stub(args, "renderQueueTimeout").get(() => 50);
+        sinon.stub(logging, "warn");
+        await admissionControl.admit(logging);
+        const testJson = {
+            urls: ["https://www.khanacademy.org/webpacked/simple/entry.js"],
+            props: {},
+            secret: "sekret",
+        };
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+        admissionControl.clear();
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.equal(result.header["retry-after"], "1");
+        assert.deepEqual(result.body, {error: "Timed out waiting to render"});
+    });
+
+    it("should respond with a 504 when the render times out", async () => {
+        // Arrange
+        const testJson = {
+            urls: ["https://www.khanacademy.org/never/entry.js"],
+            props: {},
+            secret: "sekret",
+            timeout: 50,
+            globals: {
+                location: "http://www.example.com",
+            },
+        };
+        mockScope
+            .get("/never/entry.js")
+            .reply(
+                200,
+                "window.__registerForSSR__(() => new Promise(() => {}));",
+            );
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 504);
+        assert.include(result.body, {
+            code: "timeout",
+            phase: "render",
+            timeoutMs: 50,
+        });
+        mockScope.done();
+    });
+
+    it("should respond with a 502 when a package doesn't match its integrity", async () => {
+        // Arrange
+        const url = "https://www.khanacademy.org/webpacked/simple/entry.js";
+        const expectedHash = crypto
+            .createHash("sha384")
+            .update("window.__expected = true;")
+            .digest("base64");
+        const testJson = {
+            urls: [url],
+            props: {},
+            secret: "sekret",
+            integrity: {[url]: `sha384-${expectedHash}`},
+            globals: {
+                location: "http://www.example.com",
+            },
+        };
+        mockScope
+            .get("/webpacked/simple/entry.js")
+            .reply(200, "window.__compromised = true;");
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 502);
+        assert.include(result.body, {code: "fetch", url});
+        assert.include(result.body.error, "IntegrityMismatchError");
+        mockScope.done();
+    });
+
+    it("should respond with a 500 when the packages don't register a render", async () => {
+        // Arrange
+        const testJson = {
+            urls: ["https://www.khanacademy.org/unregistered/entry.js"],
+            props: {},
+            secret: "sekret",
+            globals: {
+                location: "http://www.example.com",
+            },
+        };
+        mockScope
+            .get("/unregistered/entry.js")
+            .reply(200, "window.__unregistered = true;");
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 500);
+        assert.equal(result.body.code, "no-registration");
+        mockScope.done();
+    });
+
+    it("should source map the logs of failed renders, and their stacks once it has the source map", async () => {
+        // Arrange
+        const url = "https://www.khanacademy.org/mapped/entry.js";
+        const sourceMap = new SourceMapGenerator({file: "entry.js"});
+        sourceMap.addMapping({
+            generated: {line: 2, column: 10},
+            original: {line: 42, column: 4},
+            source: "webpack:///src/component.js",
+        });
+        const testJson = {
+            urls: [url],
+            props: {},
+            secret: "sekret",
+            globals: {
+                location: "http://www.example.com",
+            },
+        };
+        const content =
+            "window.__registerForSSR__(() => {\n" +
+            '    throw new Error("Boom");\n' +
+            "});\n" +
+            "//# sourceMappingURL=entry.js.map\n";
+        mockScope
+            .get("/mapped/entry.js")
+            .times(2)
+            .reply(200, content);
+        mockScope.get("/mapped/entry.js.map").reply(200, sourceMap.toString());
+        const firstResult = await agent.post("/render").send(testJson);
+        // The error is logged once the source map has been loaded.
+        while (errorLoggingSpy.notCalled) {
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+        const firstLog = errorLoggingSpy.firstCall.args[0];
+
+        // Act
         const result = await agent.post("/render").send(testJson);
 
         // Assert
-        assert.ok(result.body.html);
-        assert.include(result.body.html, "number!");
-        assert.ok(result.body.css);
+        assert.include(firstResult.body.stack, `${url}:2:11`);
+        assert.include(firstLog, "webpack:///src/component.js:42:5");
+        assert.equal(result.status, 500);
+        assert.equal(result.body.code, "render");
+        assert.include(result.body.stack, "webpack:///src/component.js:42:5");
+        assert.notInclude(result.body.stack, `${url}:2:11`);
         mockScope.done();
     });
 
-    it("should fail on invalid inputs", (done) => {
-        const url = "https://www.khanacademy.org/foo";
-        const invalidInputs = [
-            {},
-            {props: {bar: 4}, secret: "sekret"},
-            {urls: [], props: {bar: 4}, secret: "sekret"},
-            {urls: [1, 2], props: {bar: 4}, secret: "sekret"},
-            {urls: ["foo"], props: {bar: 4}, secret: "sekret"},
-            {urls: ["/foo"], props: {bar: 4}, secret: "sekret"},
-            {urls: [url], props: {bar: 4}, secret: "sekret"},
-            {urls: [url], props: "foo", secret: "sekret"},
-            {urls: [url], props: [{}, {}], secret: "sekret"},
-            {urls: [url], props: {bar: 4}},
-            {urls: [url], props: {bar: 4}, secret: "bad"},
-            {urls: [`${url}.css`], props: {bar: 4}, secret: "bad"},
-        ];
-        let remainingTests = invalidInputs.length;
-
-        invalidInputs.forEach((testJson) => {
-            agent
-                .post("/render")
-                .send(testJson)
-                .expect((res) => assert.equal(400, res.status))
-                .end(() => {
-                    if (--remainingTests === 0) {
-                        done();
-                    }
-                });
-        });
-    });
-
     it("should log render-stats", async () => {
         // Arrange
         const doneFake = sinon.fake();
@@ -203,10 +1397,19 @@ describe("API endpoint /render", function() {
             expectedEntry +
             ": {" +
             '"pendingRenderRequests":0,' +
+            '"queueWaitMs":0,' +
             '"packageFetches":4,' +
             '"fromCache":0,' +
+            '"packageFetchRetries":0,' +
+            '"packageFetchMs":TIME,' +
             '"vmContextSize":843478,' +
-            '"createdVmContext":true' +
+            '"createdVmContext":true,' +
+            '"vmContextBuildMs":TIME,' +
+            '"scriptCacheHits":0,' +
+            '"scriptCacheMisses":4,' +
+            '"packageCacheSize":0,' +
+            '"packageCacheEntries":0,' +
+            '"packageCacheEvictions":0' +
             "}";
 
         // Act
@@ -224,7 +1427,11 @@ describe("API endpoint /render", function() {
                     message.startsWith(expectedEntry)
                 ) {
                     foundEntry = true;
-                    matchedStats = message;
+                    // Timings vary from run to run, so we don't check them.
+                    matchedStats = message.replace(
+                        /"(packageFetchMs|vmContextBuildMs)":\d+/g,
+                        '"$1":TIME',
+                    );
                 }
             });
         });
@@ -238,6 +1445,63 @@ describe("API endpoint /render", function() {
         mockScope.done();
     });
 
+    it("should log render-stats as separate fields", async () => {
+        // Arrange
+        const doneFake = sinon.fake();
+        sinon.stub(logging, "startTimer").returns({done: doneFake});
+        const testJson = {
+            urls: [
+                "https://www.khanacademy.org/webpacked/common/1.js",
+                "https://www.khanacademy.org/webpacked/common/2.js",
+                "https://www.khanacademy.org/webpacked/common/3.js",
+                "https://www.khanacademy.org/webpacked/simple/entry.js",
+            ],
+            props: {name: "number!"},
+            secret: "sekret",
+        };
+        testJson.urls.forEach((url) => {
+            const path = url.substr("https://www.khanacademy.org".length);
+            const contents = fs.readFileSync(
+                `${__dirname}/testdata${path}`,
+                "utf-8",
+            );
+            mockScope.get(path).reply(200, contents);
+        });
+
+        // Act
+        await agent.post("/render").send(testJson);
+
+        // Assert
+        const result = doneFake.args
+            .map(([info]) => info)
+            .find(({message}) => message.includes("render-stats"));
+        assert.equal(result && result.requestStats.packageFetches, 4);
+        mockScope.done();
+    });
+
+    it("should log about a render with its entrypoint and location", async () => {
+        // Arrange
+        const childSpy = sinon.spy(logging, "child");
+        const testJson = {
+            urls: ["https://www.khanacademy.org/webpacked/simple/entry.js"],
+            props: {},
+            secret: "sekret",
+            globals: {location: "http://www.example.com"},
+        };
+        mockScope
+            .get("/webpacked/simple/entry.js")
+            .times(3)
+            .reply(404);
+
+        // Act
+        await agent.post("/render").send(testJson);
+
+        // Assert
+        sinon.assert.calledWith(childSpy, {
+            entrypoint: "https://www.khanacademy.org/webpacked/simple/entry.js",
+            location: "http://www.example.com",
+        });
+    });
     it("should log an error on fetching failure", async () => {
         // Arrange
         const testProps = {
@@ -297,4 +1561,371 @@ describe("API endpoint /render", function() {
         );
         mockScope.done();
     });
+
+    it("should respond with a 502 on fetching failure", async () => {
+        // Arrange
+        const testJson = {
+            urls: ["https://www.khanacademy.org/missing/entry.js"],
+            props: {},
+            secret: "sekret",
+        };
+        // We attempt retry 3 times on a 404 error
+        mockScope
+            .get("/missing/entry.js")
+            .times(3)
+            .reply(404);
+
+        // Act
+        const result = await agent.post("/render").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 502);
+        assert.equal(result.body.code, "fetch");
+        mockScope.done();
+    });
+});
+
+describe("API endpoint /render/batch", function() {
+    const agent = supertest.agent(server);
+
+    let mockScope;
+
+    const commonUrls = [
+        "https://www.khanacademy.org/webpacked/common/1.js",
+        "https://www.khanacademy.org/webpacked/common/2.js",
+        "https://www.khanacademy.org/webpacked/common/3.js",
+    ];
+    const entryUrl = "https://www.khanacademy.org/webpacked/simple/entry.js";
+
+    const mockPackage = (url: string) => {
+        const path = url.substr("https://www.khanacademy.org".length);
+        const contents = fs.readFileSync(
+            `${__dirname}/testdata${path}`,
+            "utf-8",
+        );
+        mockScope.get(path).reply(200, contents);
+    };
+
+    before(() => {
+        nock.disableNetConnect();
+        nock.enableNetConnect("127.0.0.1");
+    });
+
+    beforeEach(() => {
+        mockScope = nock("https://www.khanacademy.org");
+        sinon
+            .stub(renderSecret, "matches")
+            .callsFake((logging, secret, callback) =>
+                callback(null, secret === "sekret"),
+            );
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        nock.cleanAll();
+    });
+
+    it("should render each job, fetching shared packages once", async () => {
+        // Arrange
+        const testJson = {
+            jobs: [
+                {urls: [...commonUrls, entryUrl], props: {name: "first!"}},
+                {urls: [...commonUrls, entryUrl], props: {name: "second!"}},
+            ],
+            secret: "sekret",
+        };
+        // Each package can only be fetched once.
+        [...commonUrls, entryUrl].forEach(mockPackage);
+
+        // Act
+        const result = await agent.post("/render/batch").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 200);
+        assert.lengthOf(result.body.results, 2);
+        assert.include(result.body.results[0].html, "first!");
+        assert.include(result.body.results[1].html, "second!");
+        mockScope.done();
+    });
+
+    it("should give per-job errors without failing the batch", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        const testJson = {
+            jobs: [
+                {urls: [...commonUrls, entryUrl], props: {name: "fine!"}},
+                {urls: ["https://www.khanacademy.org/foo"], props: {}},
+                {
+                    urls: ["https://www.khanacademy.org/missing.js"],
+                    props: {},
+                },
+            ],
+            secret: "sekret",
+        };
+        [...commonUrls, entryUrl].forEach(mockPackage);
+        // We attempt retry 3 times on a 404 error
+        mockScope
+            .get("/missing.js")
+            .times(3)
+            .reply(404);
+
+        // Act
+        const result = await agent.post("/render/batch").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 200);
+        const [fine, invalid, missing] = result.body.results;
+        assert.include(fine.html, "fine!");
+        assert.include(invalid.error, "no valid JS urls were specified");
+        assert.equal(invalid.code, "validation");
+        assert.equal(missing.error, "Error: Not Found");
+        assert.equal(missing.code, "fetch");
+        mockScope.done();
+    });
+
+    it("should fail when there are no jobs", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        const testJson = {jobs: [], secret: "sekret"};
+
+        // Act
+        const result = await agent.post("/render/batch").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 400);
+    });
+
+    it("should fail when there are more jobs than --max-concurrent-renders", async () => {
+        // Arrange
+        sinon.stub(logging, "error");
+        sinon.stub(args, "maxConcurrentRenders").get(() => 2);
+        const job = {urls: [...commonUrls, entryUrl], props: {}};
+        const testJson = {jobs: [job, job, job], secret: "sekret"};
+
+        // Act
+        const result = await agent.post("/render/batch").send(testJson);
+
+        // Assert
+        assert.equal(result.status, 400);
+        assert.include(result.body, {code: "validation", value: 3});
+    });
+
+    it("should wait for a turn to render for each job", async () => {
+        // Arrange
+        sinon.stub(logging, "warn");
+        sinon.stub(args, "maxConcurrentRenders").get(() => 2);
+        sinon.stub(args, "renderQueueSize").get(() => 0);
+        await admissionControl.admit(logging);
+        const job = {urls: [...commonUrls, entryUrl], props: {}};
+        const testJson = {jobs: [job, job], secret: "sekret"};
+
+        // Act
+        const result = await agent.post("/render/batch").send(testJson);
+        admissionControl.clear();
+
+        // Assert
+        assert.equal(result.status, 503);
+        assert.deepEqual(result.body, {error: "Too many renders are waiting"});
+    });
+});
+
+describe("Request authentication", () => {
+    const agent = supertest.agent(server);
+    const body = JSON.stringify({secret: "sekret"});
+    let getAllStub;
+
+    beforeEach(() => {
+        sinon.stub(args, "dev").get(() => false);
+        getAllStub = sinon
+            .stub(renderSecret, "getAll")
+            .callsFake((logging, callback) =>
+                callback(null, [{id: "secret:1", value: "sekret"}]),
+            );
+        sinon.stub(logging, "error");
+        sinon.stub(logging, "warn");
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        authFailureLimiter.clear();
+    });
+
+    const postSigned = (secret: string) => {
+        const timestamp = `${Math.floor(Date.now() / 1000)}`;
+        return agent
+            .post("/flush")
+            .type("json")
+            .set(TIMESTAMP_HEADER, timestamp)
+            .set(SIGNATURE_HEADER, signRequest(secret, timestamp, body));
+    };
+
+    const allowBodySecret = () => {
+        sinon.stub(args, "allowBodySecret").get(() => true);
+        sinon
+            .stub(renderSecret, "matches")
+            .callsFake((logging, secret, callback) =>
+                callback(null, secret === "sekret"),
+            );
+    };
+
+    ["/metrics", "/_api/package-cache-stats", "/_api/cache"].forEach((path) => {
+        it(`should accept our secret as a bearer token for ${path}`, async () => {
+            // Arrange
+            sinon
+                .stub(renderSecret, "matches")
+                .callsFake((logging, secret, callback) =>
+                    callback(null, secret === "sekret"),
+                );
+
+            // Act
+            const result = await agent
+                .get(path)
+                .set("Authorization", "Bearer sekret");
+
+            // Assert
+            assert.equal(result.status, 200);
+        });
+    });
+
+    it("should respond with a 403 for a bad bearer token for /metrics", async () => {
+        // Arrange
+        sinon
+            .stub(renderSecret, "matches")
+            .callsFake((logging, secret, callback) =>
+                callback(null, secret === "sekret"),
+            );
+
+        // Act
+        const result = await agent
+            .get("/metrics")
+            .set("Authorization", "Bearer bad");
+
+        // Assert
+        assert.equal(result.status, 403);
+        assert.deepEqual(result.body, {
+            error: "Invalid bearer token",
+            code: "auth",
+        });
+    });
+
+    [
+        "/metrics",
+        "/_api/package-cache-stats",
+        "/_api/cache",
+        `/_api/cache/${encodeURIComponent("https://cdn.example.com/a.js")}`,
+    ].forEach((path) => {
+        it(`should respond with a 401 for ${path} without credentials`, async () => {
+            // Act
+            const result = await agent.get(path);
+
+            // Assert
+            assert.equal(result.status, 401);
+        });
+    });
+
+    it("should accept a signed request", async () => {
+        // Act
+        const result = await postSigned("sekret").send(body);
+
+        // Assert
+        assert.equal(result.status, 200);
+    });
+
+    it("should respond with a 403 for a bad signature", async () => {
+        // Act
+        const result = await postSigned("bad").send(body);
+
+        // Assert
+        assert.equal(result.status, 403);
+        assert.deepEqual(result.body, {
+            error: "Invalid signature",
+            code: "auth",
+        });
+    });
+
+    it("should respond with a 401 for an unsigned request", async () => {
+        // Act
+        const result = await agent
+            .post("/flush")
+            .type("json")
+            .send(body);
+
+        // Assert
+        assert.equal(result.status, 401);
+        assert.deepEqual(result.body, {
+            error: "Missing signature",
+            code: "auth",
+        });
+    });
+
+    it("should accept an unsigned request with a body secret if allowed", async () => {
+        // Arrange
+        allowBodySecret();
+
+        // Act
+        const result = await agent
+            .post("/flush")
+            .type("json")
+            .send(body);
+
+        // Assert
+        assert.equal(result.status, 200);
+    });
+
+    it("should respond with a 403 for a bad body secret", async () => {
+        // Arrange
+        allowBodySecret();
+
+        // Act
+        const result = await agent.post("/flush").send({secret: "bad"});
+
+        // Assert
+        assert.equal(result.status, 403);
+        assert.deepEqual(result.body, {
+            error: "Invalid secret",
+            code: "auth",
+        });
+    });
+
+    it("should respond with a 401 for a missing body secret", async () => {
+        // Arrange
+        allowBodySecret();
+
+        // Act
+        const result = await agent.post("/flush").send({});
+
+        // Assert
+        assert.equal(result.status, 401);
+        assert.deepEqual(result.body, {
+            error: "Missing secret",
+            code: "auth",
+        });
+    });
+
+    it("should respond with a 500 if the secrets can't be read", async () => {
+        // Arrange
+        getAllStub.callsFake((logging, callback) =>
+            callback(new Error("File not found")),
+        );
+
+        // Act
+        const result = await postSigned("sekret").send(body);
+
+        // Assert
+        assert.equal(result.status, 500);
+    });
+
+    it("should block a client after repeated failures", async () => {
+        // Arrange
+        sinon.stub(args, "authFailureLimit").get(() => 2);
+        await postSigned("bad").send(body);
+        await postSigned("bad").send(body);
+
+        // Act
+        const result = await postSigned("sekret").send(body);
+
+        // Assert
+        assert.equal(result.status, 429);
+        assert.equal(result.header["retry-after"], "30");
+    });
 });
@@ -0,0 +1,88 @@
+// @flow
+/**
+ * Shutting down gracefully, such as when pm2 restarts us or we are
+ * redeployed.
+ *
+ * We stop accepting new connections and let the renders in progress finish,
+ * for up to --drain-timeout milliseconds (see drain in health.js). Then we
+ * abort any package fetches that are still going, close our render contexts
+ * and workers, and flush our traces and logs, after which it is safe to exit.
+ */
+import {abortInFlightRequests} from "./fetch_package.js";
+import {stopFlushBroadcast} from "./flush-broadcast.js";
+import {drain, stopEventLoopMonitor} from "./health.js";
+import {extractErrorInfo, flushLogs} from "./logging.js";
+import {
+    closeRenderWorkers,
+    flushAllRenderContexts,
+} from "./render-worker-pool.js";
+import {getTracer} from "./tracing.js";
+
+import type {Logger} from "./types.js";
+
+// The most time we give our logs to be written out.
+const LOG_FLUSH_TIMEOUT_MS = 5000;
+
+let shuttingDown: ?Promise<void> = null;
+
+const doShutdown = async (
+    logging: Logger,
+    server: ?http$Server,
+    reason: string,
+): Promise<void> => {
+    logging.info(`Shutting down: ${reason}`);
+    try {
+        if (server != null && server.listening) {
+            server.close();
+        }
+
+        await drain(logging);
+
+        const aborted = abortInFlightRequests();
+        if (aborted > 0) {
+            logging.warn(`Aborted ${aborted} package fetches`);
+        }
+
+        flushAllRenderContexts();
+        await closeRenderWorkers();
+        await stopFlushBroadcast();
+        stopEventLoopMonitor();
+        await getTracer().shutdown();
+        logging.info("Shut down");
+    } catch (err) {
+        logging.error(`Unable to shut down cleanly: ${extractErrorInfo(err)}`);
+    }
+    await flushLogs(logging, LOG_FLUSH_TIMEOUT_MS);
+};
+
+/**
+ * Determine if we have started shutting down.
+ */
+export const isShuttingDown = (): boolean => shuttingDown != null;
+
+/**
+ * Shut down gracefully. The returned promise resolves once it is safe to
+ * exit, even if something went wrong along the way; the logger can't be used
+ * after that.
+ *
+ * Shutting down more than once waits for the same shutdown.
+ *
+ * @param {string} reason - Why we are shutting down, for the logs.
+ */
+export const shutdown = (
+    logging: Logger,
+    server: ?http$Server,
+    reason: string,
+): Promise<void> => {
+    if (shuttingDown == null) {
+        shuttingDown = doShutdown(logging, server, reason);
+    }
+    return shuttingDown;
+};
+
+/**
+ * Forget that we were shutting down, for tests.
+ */
+export const resetShutdown = (): void => {
+    shuttingDown = null;
+};
@@ -0,0 +1,126 @@
+// @flow
+import {assert} from "chai";
+import sinon from "sinon";
+import * as fetchPackageModule from "./fetch_package.js";
+import * as flushBroadcast from "./flush-broadcast.js";
+import * as health from "./health.js";
+import * as loggingModule from "./logging.js";
+import * as renderWorkerPool from "./render-worker-pool.js";
+import {isShuttingDown, resetShutdown, shutdown} from "./shutdown.js";
+import {NoopTracer, setTracer} from "./tracing.js";
+
+describe("shutdown", () => {
+    const logging = loggingModule.rootLogger;
+    let steps;
+    let server;
+    let drainStub;
+    let abortStub;
+    let closeWorkersStub;
+    let flushLogsStub;
+
+    beforeEach(() => {
+        steps = [];
+        const step = (name) => () => {
+            steps.push(name);
+        };
+        server = {
+            listening: true,
+            close: sinon.stub().callsFake(step("close")),
+        };
+        drainStub = sinon.stub(health, "drain").callsFake(step("drain"));
+        abortStub = sinon
+            .stub(fetchPackageModule, "abortInFlightRequests")
+            .callsFake(step("abort"));
+        sinon
+            .stub(renderWorkerPool, "flushAllRenderContexts")
+            .callsFake(step("flushContexts"));
+        closeWorkersStub = sinon
+            .stub(renderWorkerPool, "closeRenderWorkers")
+            .callsFake(step("closeWorkers"));
+        sinon
+            .stub(flushBroadcast, "stopFlushBroadcast")
+            .callsFake(step("stopFlushBroadcast"));
+        sinon.stub(health, "stopEventLoopMonitor");
+        const tracer = new NoopTracer();
+        sinon.stub(tracer, "shutdown").callsFake(step("shutdownTracer"));
+        setTracer(tracer);
+        flushLogsStub = sinon
+            .stub(loggingModule, "flushLogs")
+            .callsFake(step("flushLogs"));
+        sinon.stub(logging, "info");
+        sinon.stub(logging, "warn");
+        sinon.stub(logging, "error");
+    });
+
+    afterEach(() => {
+        resetShutdown();
+        setTracer(null);
+        sinon.restore();
+    });
+
+    it("should stop listening, drain and clean up before flushing the logs", async () => {
+        // Act
+        await shutdown(logging, (server: any), "received SIGTERM");
+
+        // Assert
+        assert.deepEqual(steps, [
+            "close",
+            "drain",
+            "abort",
+            "flushContexts",
+            "closeWorkers",
+            "stopFlushBroadcast",
+            "shutdownTracer",
+            "flushLogs",
+        ]);
+    });
+
+    it("should log the package fetches that it aborted", async () => {
+        // Arrange
+        abortStub.returns(2);
+
+        // Act
+        await shutdown(logging, (server: any), "received SIGTERM");
+
+        // Assert
+        sinon.assert.calledWith(logging.warn, "Aborted 2 package fetches");
+    });
+
+    it("should not close a server that isn't listening", async () => {
+        // Arrange
+        server.listening = false;
+
+        // Act
+        await shutdown(logging, (server: any), "received SIGTERM");
+
+        // Assert
+        sinon.assert.notCalled(server.close);
+    });
+
+    it("should still flush the logs if cleaning up fails", async () => {
+        // Arrange
+        closeWorkersStub.rejects(new Error("Stuck worker"));
+
+        // Act
+        await shutdown(logging, (server: any), "received SIGTERM");
+
+        // Assert
+        sinon.assert.calledWith(
+            logging.error,
+            sinon.match("Unable to shut down cleanly"),
+        );
+        sinon.assert.calledOnce(flushLogsStub);
+    });
+
+    it("should only shut down once", async () => {
+        // Act
+        await Promise.all([
+            shutdown(logging, (server: any), "received SIGTERM"),
+            shutdown(logging, (server: any), "received SIGINT"),
+        ]);
+
+        // Assert
+        assert.isTrue(isShuttingDown());
+        sinon.assert.calledOnce(drainStub);
+    });
+});
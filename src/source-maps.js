@@ -0,0 +1,286 @@
+// @flow
+/**
+ * Rewriting the stacks of errors from renders through the source maps of
+ * the packages, so that they point at the code that was written rather than
+ * at lines of minified bundles.
+ *
+ * A package says where its source map is with a sourceMappingURL comment at
+ * its end, which is either a URL relative to the package or a data: URL.
+ * Source maps are fetched just like packages (see fetch_package.js), so they
+ * must be at URLs that we are allowed to fetch packages from, and they are
+ * kept in the package cache like packages are. Parsing one is slow too, so
+ * we also keep the last few that we've parsed.
+ *
+ * Parsing a big source map blocks for a while, so we never fetch or parse
+ * one while a request waits for its error response. mapStack rewrites a
+ * stack with the source maps that we have already parsed; loadSourceMaps
+ * loads the rest, for whoever can wait for them, like the logs.
+ *
+ * Only frames in the packages of the render are rewritten. If a package has
+ * no source map, or we don't have it yet, its frames are left as they are.
+ */
+import {URL} from "url";
+
+import {SourceMapConsumer} from "source-map";
+
+import fetchPackage from "./fetch_package.js";
+
+import type {JavaScriptPackage, Logger} from "./types.js";
+
+type CachedSourceMap = {
+    // The URL of the package that the source map is for.
+    packageUrl: string,
+    // The parsed source map, once it has been loaded.
+    consumer: ?SourceMapConsumer,
+    // The loading of the source map, until it has been loaded.
+    loading: ?Promise<void>,
+};
+
+// How many source maps we keep, including those that are being loaded.
+const MAX_SOURCE_MAPS = 20;
+
+// The location in a stack frame, like "https://www.ka.org/entry.js:1:2345".
+const FRAME_LOCATION_REGEX = /([^\s()]+):(\d+):(\d+)/g;
+
+const DATA_URL_REGEX = /^data:[^,]*?(;base64)?,(.*)$/;
+
+// The source maps that we have, by their URL, or by the URL of their
+// package if they are inline. Map iteration order is insertion order, which
+// we use to evict the least recently used source map first.
+const sourceMaps: Map<string, CachedSourceMap> = new Map();
+
+/**
+ * Get the sourceMappingURL of a package, if it has one.
+ */
+export const getSourceMappingUrl = (content: string): ?string => {
+    const index = content.lastIndexOf("sourceMappingURL=");
+    if (
+        index < 0 ||
+        !/\/\/[#@]\s*$/.test(content.slice(Math.max(0, index - 4), index))
+    ) {
+        return null;
+    }
+    const match = /^sourceMappingURL=(\S+)\s*$/.exec(content.slice(index));
+    return match && match[1];
+};
+
+/**
+ * Get where the source map of a package is, and the key that we keep it
+ * under, or null if it doesn't have one.
+ */
+const getSourceMapLocation = ({
+    content,
+    url,
+}: JavaScriptPackage): ?{key: string, sourceMappingUrl: string} => {
+    const sourceMappingUrl = getSourceMappingUrl(content);
+    if (sourceMappingUrl == null) {
+        return null;
+    }
+    const key = DATA_URL_REGEX.test(sourceMappingUrl)
+        ? url
+        : new URL(sourceMappingUrl, url).href;
+    return {key, sourceMappingUrl};
+};
+
+const parseSourceMap = async (
+    logging: Logger,
+    packageUrl: string,
+    sourceMappingUrl: string,
+): Promise<SourceMapConsumer> => {
+    // Parsing blocks, so we make sure that it happens after whoever asked
+    // for the source map has gone on with what they were doing.
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const dataUrl = DATA_URL_REGEX.exec(sourceMappingUrl);
+    if (dataUrl != null) {
+        const [, base64, data] = dataUrl;
+        const rawSourceMap = base64
+            ? Buffer.from(data, "base64").toString("utf8")
+            : decodeURIComponent(data);
+        return new SourceMapConsumer(JSON.parse(rawSourceMap), packageUrl);
+    }
+
+    const url = new URL(sourceMappingUrl, packageUrl).href;
+    // There's no point retrying; the stack is still useful without it.
+    const {content} = await fetchPackage(
+        logging,
+        url,
+        "SOURCEMAP",
+        null,
+        null,
+        0,
+    );
+    return new SourceMapConsumer(JSON.parse(content), url);
+};
+
+/**
+ * Load the source map of a package into the ones that we keep, unless we
+ * already have it or are already loading it.
+ */
+const loadSourceMap = (
+    logging: Logger,
+    jsPackage: JavaScriptPackage,
+): Promise<void> => {
+    const location = getSourceMapLocation(jsPackage);
+    if (location == null) {
+        return Promise.resolve();
+    }
+    const {key, sourceMappingUrl} = location;
+    const cached = sourceMaps.get(key);
+    if (cached != null) {
+        return cached.loading || Promise.resolve();
+    }
+
+    const sourceMap: CachedSourceMap = {
+        packageUrl: jsPackage.url,
+        consumer: null,
+        loading: null,
+    };
+    sourceMap.loading = (async () => {
+        try {
+            sourceMap.consumer = await parseSourceMap(
+                logging,
+                jsPackage.url,
+                sourceMappingUrl,
+            );
+        } catch (e) {
+            // If we couldn't get it, we'll try again next time.
+            if (sourceMaps.get(key) === sourceMap) {
+                sourceMaps.delete(key);
+            }
+            logging.warn(
+                `Unable to get the source map for ${jsPackage.url}: ${e.message}`,
+            );
+        } finally {
+            sourceMap.loading = null;
+        }
+    })();
+    sourceMaps.set(key, sourceMap);
+    for (const oldKey of sourceMaps.keys()) {
+        if (sourceMaps.size <= MAX_SOURCE_MAPS) {
+            break;
+        }
+        sourceMaps.delete(oldKey);
+    }
+    return sourceMap.loading || Promise.resolve();
+};
+
+/**
+ * Get the frame URLs of a stack.
+ */
+const getFrameUrls = (stack: string): Set<string> => {
+    const frameUrls = new Set();
+    stack.replace(FRAME_LOCATION_REGEX, (location, url) => {
+        frameUrls.add(url);
+        return location;
+    });
+    return frameUrls;
+};
+
+/**
+ * Load the source maps of the packages that have frames in a stack, so
+ * that mapStack can rewrite it. This never fails; source maps that can't
+ * be loaded are logged.
+ */
+export const loadSourceMaps = async (
+    logging: Logger,
+    stack: string,
+    jsPackages: Array<JavaScriptPackage>,
+): Promise<void> => {
+    const frameUrls = getFrameUrls(stack);
+    await Promise.all(
+        jsPackages
+            .filter(({url}) => frameUrls.has(url))
+            .map((jsPackage) => loadSourceMap(logging, jsPackage)),
+    );
+};
+
+/**
+ * Whether there are source maps for the frames of a stack that haven't been
+ * loaded yet, so that mapStack would leave those frames as they are.
+ */
+export const isMissingSourceMaps = (
+    stack: string,
+    jsPackages: Array<JavaScriptPackage>,
+): boolean => {
+    const frameUrls = getFrameUrls(stack);
+    return jsPackages
+        .filter(({url}) => frameUrls.has(url))
+        .some((jsPackage) => {
+            const location = getSourceMapLocation(jsPackage);
+            if (location == null) {
+                return false;
+            }
+            const cached = sourceMaps.get(location.key);
+            return cached == null || cached.consumer == null;
+        });
+};
+
+/**
+ * Rewrite the frames of a stack that are in the given packages to where
+ * they are in the packages' sources.
+ *
+ * This only uses the source maps that have already been loaded, so it
+ * doesn't wait on anything; see loadSourceMaps for the rest.
+ */
+export const mapStack = (
+    stack: string,
+    jsPackages: Array<JavaScriptPackage>,
+): string => {
+    if (jsPackages.length === 0) {
+        return stack;
+    }
+
+    const frameUrls = getFrameUrls(stack);
+    const consumers: Map<string, SourceMapConsumer> = new Map();
+    jsPackages
+        .filter(({url}) => frameUrls.has(url))
+        .forEach((jsPackage) => {
+            const location = getSourceMapLocation(jsPackage);
+            if (location == null) {
+                return;
+            }
+            const cached = sourceMaps.get(location.key);
+            const consumer = cached && cached.consumer;
+            if (cached == null || consumer == null) {
+                return;
+            }
+            // This one was just used, so it's the last to be evicted.
+            sourceMaps.delete(location.key);
+            sourceMaps.set(location.key, cached);
+            consumers.set(jsPackage.url, consumer);
+        });
+
+    return stack.replace(
+        FRAME_LOCATION_REGEX,
+        (location, url, line, column) => {
+            const consumer = consumers.get(url);
+            if (consumer == null) {
+                return location;
+            }
+            // Source map columns count from zero, but stack columns don't.
+            const original = consumer.originalPositionFor({
+                line: parseInt(line, 10),
+                column: parseInt(column, 10) - 1,
+            });
+            if (original.source == null || original.line == null) {
+                return location;
+            }
+            return `${original.source}:${original.line}:${(original.column ||
+                0) + 1}`;
+        },
+    );
+};
+
+/**
+ * Forget the source maps, or just those whose URLs, or the URLs of whose
+ * packages, match.
+ */
+export const flushSourceMaps = (matches?: (url: string) => boolean): void => {
+    Array.from(sourceMaps.entries())
+        .filter(
+            ([url, {packageUrl}]) =>
+                matches == null || matches(url) || matches(packageUrl),
+        )
+        .forEach(([url]) => sourceMaps.delete(url));
+};
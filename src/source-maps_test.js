@@ -0,0 +1,302 @@
+// @flow
+import {assert} from "chai";
+import nock from "nock";
+import sinon from "sinon";
+import {SourceMapGenerator} from "source-map";
+import args from "./arguments.js";
+import {flushCache} from "./fetch_package.js";
+import {rootLogger as logging} from "./logging.js";
+import {
+    flushSourceMaps,
+    getSourceMappingUrl,
+    isMissingSourceMaps,
+    loadSourceMaps,
+    mapStack,
+} from "./source-maps.js";
+
+describe("source-maps", () => {
+    // A source map that says that all of line 2 of the package is line 42
+    // of component.js.
+    const createSourceMap = (): string => {
+        const generator = new SourceMapGenerator({file: "entry.js"});
+        generator.addMapping({
+            generated: {line: 2, column: 0},
+            original: {line: 42, column: 4},
+            source: "webpack:///src/component.js",
+        });
+        return generator.toString();
+    };
+
+    const STACK =
+        "Error: Boom\n" +
+        "    at render (https://www.ka.org/entry.js:2:11)\n" +
+        "    at https://www.ka.org/other.js:2:11\n" +
+        "    at performRender (evalmachine.<anonymous>:10:5)";
+
+    before(() => {
+        nock.disableNetConnect();
+        nock.enableNetConnect("127.0.0.1");
+    });
+
+    afterEach(() => {
+        flushSourceMaps();
+        flushCache();
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    describe("#getSourceMappingUrl", () => {
+        it("should get the sourceMappingURL at the end of a package", () => {
+            // Arrange
+            const content = "var a;\n//# sourceMappingURL=entry.js.map\n";
+
+            // Act
+            const result = getSourceMappingUrl(content);
+
+            // Assert
+            assert.equal(result, "entry.js.map");
+        });
+
+        [
+            "var a;",
+            'var a = "sourceMappingURL=entry.js.map";',
+            "//# sourceMappingURL=entry.js.map\nvar a;",
+        ].forEach((content) => {
+            it(`should get nothing for ${JSON.stringify(content)}`, () => {
+                // Act
+                const result = getSourceMappingUrl(content);
+
+                // Assert
+                assert.isNull(result);
+            });
+        });
+    });
+
+    describe("#mapStack", () => {
+        it("should rewrite frames through a source map that is fetched", async () => {
+            // Arrange
+            const scope = nock("https://www.ka.org")
+                .get("/maps/entry.js.map")
+                .reply(200, createSourceMap());
+            const jsPackages = [
+                {
+                    content:
+                        "var a;\nthrow new Error();\n//# sourceMappingURL=maps/entry.js.map",
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+            await loadSourceMaps(logging, STACK, jsPackages);
+
+            // Act
+            const result = mapStack(STACK, jsPackages);
+
+            // Assert
+            assert.equal(
+                result,
+                "Error: Boom\n" +
+                    "    at render (webpack:///src/component.js:42:5)\n" +
+                    "    at https://www.ka.org/other.js:2:11\n" +
+                    "    at performRender (evalmachine.<anonymous>:10:5)",
+            );
+            scope.done();
+        });
+
+        it("should rewrite frames through an inline source map", async () => {
+            // Arrange
+            const data = Buffer.from(createSourceMap()).toString("base64");
+            const jsPackages = [
+                {
+                    content: `var a;\nthrow new Error();\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${data}`,
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+            await loadSourceMaps(logging, STACK, jsPackages);
+
+            // Act
+            const result = mapStack(STACK, jsPackages);
+
+            // Assert
+            assert.include(
+                result,
+                "at render (webpack:///src/component.js:42:5)",
+            );
+        });
+
+        it("should reuse a source map that it has already parsed", async () => {
+            // Arrange
+            const scope = nock("https://www.ka.org")
+                .get("/entry.js.map")
+                .once()
+                .reply(200, createSourceMap());
+            const jsPackages = [
+                {
+                    content: "var a;\n//# sourceMappingURL=entry.js.map",
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+            await loadSourceMaps(logging, STACK, jsPackages);
+            await loadSourceMaps(logging, STACK, jsPackages);
+
+            // Act
+            const result = mapStack(STACK, jsPackages);
+
+            // Assert
+            assert.include(result, "webpack:///src/component.js:42:5");
+            scope.done();
+        });
+
+        it("should leave the stack alone if the source map can't be fetched", async () => {
+            // Arrange
+            sinon.stub(logging, "error");
+            const warnStub = sinon.stub(logging, "warn");
+            nock("https://www.ka.org")
+                .get("/entry.js.map")
+                .reply(404);
+            const jsPackages = [
+                {
+                    content: "var a;\n//# sourceMappingURL=entry.js.map",
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+
+            // Act
+            await loadSourceMaps(logging, STACK, jsPackages);
+            const result = mapStack(STACK, jsPackages);
+
+            // Assert
+            assert.equal(result, STACK);
+            sinon.assert.calledWith(
+                warnStub,
+                sinon.match(
+                    "Unable to get the source map for https://www.ka.org/entry.js",
+                ),
+            );
+        });
+
+        it("should not fetch source maps for packages that aren't in the stack", async () => {
+            // Arrange
+            const jsPackages = [
+                {
+                    content: "var a;\n//# sourceMappingURL=unused.js.map",
+                    url: "https://www.ka.org/unused.js",
+                },
+            ];
+
+            // Act
+            await loadSourceMaps(logging, STACK, jsPackages);
+            const result = mapStack(STACK, jsPackages);
+
+            // Assert
+            assert.equal(result, STACK);
+        });
+
+        it("should leave frames alone whose source maps haven't been loaded", () => {
+            // Arrange
+            const jsPackages = [
+                {
+                    content: "var a;\n//# sourceMappingURL=entry.js.map",
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+
+            // Act
+            const result = mapStack(STACK, jsPackages);
+
+            // Assert
+            assert.equal(result, STACK);
+        });
+
+        it("should get a source map from the package cache once it has forgotten it", async () => {
+            // Arrange
+            sinon.stub(args, "useCache").get(() => true);
+            const scope = nock("https://www.ka.org")
+                .get("/entry.js.map")
+                .once()
+                .reply(200, createSourceMap());
+            const jsPackages = [
+                {
+                    content: "var a;\n//# sourceMappingURL=entry.js.map",
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+            await loadSourceMaps(logging, STACK, jsPackages);
+            flushSourceMaps();
+            await loadSourceMaps(logging, STACK, jsPackages);
+
+            // Act
+            const result = mapStack(STACK, jsPackages);
+
+            // Assert
+            assert.include(result, "webpack:///src/component.js:42:5");
+            scope.done();
+        });
+
+        it("should not parse source maps while it rewrites a stack", async () => {
+            // Arrange
+            const data = Buffer.from(createSourceMap()).toString("base64");
+            const jsPackages = [
+                {
+                    content: `var a;\n//# sourceMappingURL=data:application/json;base64,${data}`,
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+            const parseSpy = sinon.spy(JSON, "parse");
+
+            // Act
+            mapStack(STACK, jsPackages);
+
+            // Assert
+            sinon.assert.notCalled(parseSpy);
+            await loadSourceMaps(logging, STACK, jsPackages);
+        });
+    });
+
+    describe("#isMissingSourceMaps", () => {
+        it("should be missing a source map that hasn't been loaded", () => {
+            // Arrange
+            const jsPackages = [
+                {
+                    content: "var a;\n//# sourceMappingURL=entry.js.map",
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+
+            // Act
+            const result = isMissingSourceMaps(STACK, jsPackages);
+
+            // Assert
+            assert.isTrue(result);
+        });
+
+        it("should not be missing a source map that has been loaded", async () => {
+            // Arrange
+            const data = Buffer.from(createSourceMap()).toString("base64");
+            const jsPackages = [
+                {
+                    content: `var a;\n//# sourceMappingURL=data:application/json;base64,${data}`,
+                    url: "https://www.ka.org/entry.js",
+                },
+            ];
+            await loadSourceMaps(logging, STACK, jsPackages);
+
+            // Act
+            const result = isMissingSourceMaps(STACK, jsPackages);
+
+            // Assert
+            assert.isFalse(result);
+        });
+
+        it("should not be missing source maps for packages without them", () => {
+            // Arrange
+            const jsPackages = [
+                {content: "var a;", url: "https://www.ka.org/entry.js"},
+            ];
+
+            // Act
+            const result = isMissingSourceMaps(STACK, jsPackages);
+
+            // Assert
+            assert.isFalse(result);
+        });
+    });
+});
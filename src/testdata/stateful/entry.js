@@ -0,0 +1,18 @@
+/**
+ * A test file with module-level state: it counts its renders and remembers
+ * who it last rendered for. Pooled render contexts keep this state between
+ * renders.
+ */
+let renders = 0;
+let lastName = null;
+
+const renderElement = async (props) => {
+    renders++;
+    const previous = lastName;
+    lastName = props.name;
+    return Promise.resolve({
+        html: `HTML: renders:${renders} previous:${previous}`,
+    });
+};
+
+__registerForSSR__(renderElement);
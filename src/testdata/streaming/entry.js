@@ -0,0 +1,67 @@
+/**
+ * This is a simple test file that renders its html as a stream, like React's
+ * renderToNodeStream would. The kind of stream is chosen by the `kind` prop:
+ * "node" gives a node-style stream and "whatwg" gives a WHATWG-style stream.
+ * Each chunk is one of the strings in the `chunks` prop.
+ */
+const createNodeStyleStream = (chunks) => {
+    const listeners = {data: [], end: [], error: []};
+    const emit = (event, arg) => listeners[event].forEach((fn) => fn(arg));
+    let paused = false;
+    let index = 0;
+    const flow = () => {
+        while (!paused && index < chunks.length) {
+            emit("data", chunks[index++]);
+        }
+        if (index === chunks.length) {
+            index++;
+            emit("end");
+        }
+    };
+    const nodeStream = {
+        on: (event, fn) => {
+            listeners[event].push(fn);
+            if (event === "data") {
+                setTimeout(flow, 0);
+            }
+            return nodeStream;
+        },
+        pipe: () => {
+            throw new Error("Not implemented in this test stream");
+        },
+        pause: () => {
+            paused = true;
+        },
+        resume: () => {
+            if (paused) {
+                paused = false;
+                setTimeout(flow, 0);
+            }
+        },
+    };
+    return nodeStream;
+};
+
+const createWHATWGStyleStream = (chunks) => ({
+    getReader: () => {
+        let index = 0;
+        return {
+            read: () =>
+                Promise.resolve(
+                    index < chunks.length
+                        ? {done: false, value: chunks[index++]}
+                        : {done: true, value: undefined},
+                ),
+            cancel: () => Promise.resolve(),
+        };
+    },
+});
+
+const renderElement = async (props) => Promise.resolve({
+    html: props.kind === "whatwg"
+        ? createWHATWGStyleStream(props.chunks)
+        : createNodeStyleStream(props.chunks),
+    css: `CSS: ${JSON.stringify(props.chunks)}`
+});
+
+__registerForSSR__(renderElement);
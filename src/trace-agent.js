@@ -1,9 +1,11 @@
 // @flow
+import {isMainThread} from "worker_threads";
 import args from "./arguments.js";
-
 // Start logging agent for Cloud Trace (https://cloud.google.com/trace/).
 import * as traceAgent from "@google-cloud/trace-agent";
-
+// Render worker threads don't handle requests, so there is nothing for them
+// to trace. We only want the agent if it is what we trace with (see
+// tracing.js).
 export const tracer = traceAgent.start({
-    enabled: !args.dev,
+    enabled: !args.dev && isMainThread && args.tracing === "stackdriver",
 });
@@ -0,0 +1,264 @@
+// @flow
+/**
+ * Tracing, so that we can see where the time goes in our requests.
+ *
+ * --tracing picks how we trace:
+ *
+ *   - "stackdriver": the Stackdriver trace agent (see trace-agent.js). It
+ *     patches http, so it traces incoming and outgoing requests, and
+ *     continues traces across them, itself.
+ *   - "opentelemetry": OpenTelemetry (see opentelemetry-tracer.js), which
+ *     exports spans to --otlp-endpoint and continues traces from, and onto,
+ *     W3C traceparent headers.
+ *   - "none": no tracing at all.
+ *
+ * Render worker threads don't handle requests, so they don't trace. The
+ * traceparent of a render is sent to them along with the render instead,
+ * so that their Apollo requests continue its trace.
+ */
+import {isMainThread} from "worker_threads";
+import args from "./arguments.js";
+import {rootLogger} from "./logging.js";
+import {tracer as traceAgent} from "./trace-agent.js";
+import {createOtlpTracer} from "./opentelemetry-tracer.js";
+
+import type {$Request, $Response, NextFunction} from "express";
+import type {Span, Tracer} from "@google-cloud/trace-agent";
+
+export type SpanKind = "internal" | "server" | "client";
+
+export type SpanAttributeValue = string | number | boolean;
+
+export type SpanAttributes = {[name: string]: SpanAttributeValue, ...};
+
+export type SpanOptions = {
+    kind?: SpanKind,
+    attributes?: SpanAttributes,
+};
+
+export interface ISpan {
+    /**
+     * The traceparent header that continues the trace from this span, if
+     * we pass traces on that way.
+     */
+    +traceparent: ?string;
+
+    setAttribute(name: string, value: SpanAttributeValue): void;
+
+    /**
+     * Mark the span as having failed with the given error.
+     */
+    recordError(error: mixed): void;
+
+    /**
+     * End the span. Only the first call counts.
+     */
+    end(): void;
+}
+
+export interface ITracer {
+    /**
+     * Start a span that is a child of the current span, if there is one.
+     */
+    startSpan(name: string, options?: SpanOptions): ISpan;
+
+    /**
+     * Start a span for a request that we received. It continues the trace
+     * in the given traceparent header if that is valid, or else it starts
+     * a new trace.
+     */
+    startRequestSpan(
+        name: string,
+        traceparent: ?string,
+        options?: SpanOptions,
+    ): ISpan;
+
+    /**
+     * Call fn with the given span as the current span.
+     */
+    withSpan<T>(span: ISpan, fn: () => T): T;
+
+    /**
+     * Wrap fn so that it is called with the span that is current now as
+     * the current span. This is for work that is done on behalf of a
+     * request but isn't started by it, like fetches that render workers
+     * ask for.
+     */
+    bind<F: Function>(fn: F): F;
+
+    /**
+     * The traceparent header that continues the current trace, for the
+     * requests that we make, if there is one.
+     */
+    getTraceparent(): ?string;
+
+    /**
+     * Export the spans that haven't been yet, and stop.
+     */
+    shutdown(): Promise<void>;
+}
+
+class NoopSpan implements ISpan {
+    +traceparent: ?string = null;
+
+    setAttribute(name: string, value: SpanAttributeValue): void {}
+
+    recordError(error: mixed): void {}
+
+    end(): void {}
+}
+
+export class NoopTracer implements ITracer {
+    startSpan(name: string, options?: SpanOptions): ISpan {
+        return new NoopSpan();
+    }
+
+    startRequestSpan(
+        name: string,
+        traceparent: ?string,
+        options?: SpanOptions,
+    ): ISpan {
+        return new NoopSpan();
+    }
+
+    withSpan<T>(span: ISpan, fn: () => T): T {
+        return fn();
+    }
+
+    bind<F: Function>(fn: F): F {
+        return fn;
+    }
+
+    getTraceparent(): ?string {
+        return null;
+    }
+
+    shutdown(): Promise<void> {
+        return Promise.resolve();
+    }
+}
+
+class StackdriverSpan implements ISpan {
+    +traceparent: ?string = null;
+    _span: Span;
+
+    constructor(span: Span) {
+        this._span = span;
+    }
+
+    setAttribute(name: string, value: SpanAttributeValue): void {
+        this._span.addLabel(name, value);
+    }
+
+    recordError(error: mixed): void {
+        this._span.addLabel(
+            "error",
+            error instanceof Error ? error.message : String(error),
+        );
+    }
+
+    end(): void {
+        this._span.endSpan();
+    }
+}
+
+/**
+ * Tracing with the Stackdriver trace agent. The agent keeps track of the
+ * current span and traces our requests itself, so all we do is add spans.
+ */
+export class StackdriverTracer extends NoopTracer {
+    _tracer: Tracer;
+
+    constructor(tracer: Tracer) {
+        super();
+        this._tracer = tracer;
+    }
+
+    startSpan(name: string, options?: SpanOptions): ISpan {
+        const span = new StackdriverSpan(this._tracer.createChildSpan({name}));
+        const attributes = (options && options.attributes) || {};
+        Object.keys(attributes).forEach((key) =>
+            span.setAttribute(key, attributes[key]),
+        );
+        return span;
+    }
+}
+
+/**
+ * Make the tracer that --tracing asks for.
+ */
+export const createTracer = (): ITracer => {
+    if (!isMainThread) {
+        return new NoopTracer();
+    }
+    switch (args.tracing) {
+        case "stackdriver":
+            return new StackdriverTracer(traceAgent);
+
+        case "opentelemetry":
+            return createOtlpTracer(args.otlpEndpoint, rootLogger);
+
+        default:
+            return new NoopTracer();
+    }
+};
+
+let tracer: ?ITracer = null;
+
+/**
+ * Get our tracer.
+ */
+export const getTracer = (): ITracer => {
+    if (tracer == null) {
+        tracer = createTracer();
+    }
+    return tracer;
+};
+
+/**
+ * Use the given tracer, such as one with the OpenTelemetry SDK's
+ * InMemorySpanExporter in tests. Given null, we go back to the one that --tracing asks for.
+ */
+export const setTracer = (newTracer: ?ITracer): void => {
+    tracer = newTracer;
+};
+
+/**
+ * Trace each request that we receive, continuing the trace from its
+ * traceparent header if it has one.
+ *
+ * The rest of the request is handled with its span as the current span.
+ * Middleware that waits on stream events, like the body parser, can lose
+ * track of that, so this goes after those.
+ */
+export const tracingMiddleware = (
+    req: $Request,
+    res: $Response,
+    next: NextFunction,
+): void => {
+    const tracer = getTracer();
+    const span = tracer.startRequestSpan(
+        `${req.method} ${req.path}`,
+        req.header("traceparent"),
+        {
+            kind: "server",
+            attributes: {
+                "http.method": req.method,
+                "http.target": req.originalUrl,
+            },
+        },
+    );
+
+    // If the client goes away first, we only get the close.
+    const onFinished = () => {
+        span.setAttribute("http.status_code", res.statusCode);
+        if (res.statusCode >= 500) {
+            span.recordError(`Responded with ${res.statusCode}`);
+        }
+        span.end();
+    };
+    res.on("finish", onFinished);
+    res.on("close", onFinished);
+
+    tracer.withSpan(span, next);
+};
@@ -18,6 +18,7 @@ export type Info = {
 };
 
 export type LogLevel = $Keys<NpmLogLevels>;
+export type LogFormat = "text" | "json";
 export type Logger = WinstonLogger<NpmLogLevels>;
 
 export type Globals = {
@@ -26,11 +27,56 @@ export type Globals = {
     ...
 };
 
+// Package URLs to the integrity metadata that their content must match.
+export type IntegrityMap = {
+    +[url: string]: string,
+    ...,
+};
+
 export type RenderBody = {
     +urls: Array<string>,
     +globals: Globals,
     +props: mixed,
-    +secret: string,
+    +secret?: string,
+    +stream?: boolean,
+    +timeout?: number,
+    +integrity?: IntegrityMap,
+    +debug?: boolean,
+};
+
+export type RenderJob = {
+    +urls: Array<string>,
+    +globals: Globals,
+    +props: mixed,
+    +timeout?: number,
+    +integrity?: IntegrityMap,
+    +debug?: boolean,
+};
+
+export type RenderBatchBody = {
+    +jobs: Array<RenderJob>,
+    +secret?: string,
+};
+
+export type PrefetchBody = {
+    +urls: Array<string>,
+    +globals?: Globals,
+    +integrity?: IntegrityMap,
+    +warm?: boolean,
+    +secret?: string,
+};
+
+export type FlushBody = {
+    +secret?: string,
+    +urls?: Array<string>,
+    +glob?: string,
+    +regex?: string,
+};
+
+// A secret that requests can be authenticated with (see secret.js).
+export type Secret = {
+    +id: string,
+    +value: string,
 };
 
 export type JavaScriptPackage = {
@@ -40,26 +86,140 @@ export type JavaScriptPackage = {
 
 export type RequestStats = {
     pendingRenderRequests: number,
+    // How long the request waited for its turn to render (see
+    // admission-control.js), so that we can tell overload from slow renders.
+    queueWaitMs: number,
     packageFetches: number,
     fromCache: number,
+    // How many times fetching a package was retried.
+    packageFetchRetries: number,
+    // How long we waited for our packages to be fetched.
+    packageFetchMs: number,
     vmContextSize: number,
     createdVmContext: boolean,
+    // How long it took to build the render context, if we created one.
+    vmContextBuildMs: number,
+    scriptCacheHits: number,
+    scriptCacheMisses: number,
+    // The state of the package cache once our packages were fetched.
+    packageCacheSize: number,
+    packageCacheEntries: number,
+    // The total evictions from the package cache so far.
+    packageCacheEvictions: number,
 };
 
 export interface RenderContext extends JSDOM {
-    close: () => void;
+    close: (reusable?: boolean) => void;
     run: <TReturns>(
         fnOrText: (() => TReturns) | string,
         options?: vm$ScriptOptions,
     ) => TReturns;
 }
 
+export type RenderOptions = {
+    +stream?: boolean,
+    // The wall-clock deadline for the render, in milliseconds, if not the
+    // default.
+    +timeout?: number,
+    // The traceparent header of the trace that the render is part of, for
+    // renders that happen outside of it, like in render workers.
+    +traceparent?: ?string,
+    // Whether to return what the render logs to the console.
+    +debug?: boolean,
+};
+
+// The console methods whose calls in a render we log (see
+// render-console.js).
+export type ConsoleLevel =
+    | "error"
+    | "warn"
+    | "info"
+    | "log"
+    | "debug"
+    | "trace";
+
+export type ConsoleEntry = {
+    // The console method that was called, or "error" for errors from JSDOM.
+    level: ConsoleLevel,
+    message: string,
+    // Where the console was called from, like
+    // "https://www.ka.org/entry.js:12:5", if we know.
+    source: ?string,
+};
+
 export type RenderResult = {
+    html?: mixed,
     data?: any,
     requestStats?: RequestStats,
+    // What the render logged to the console, if it was being debugged.
+    console?: Array<ConsoleEntry>,
     ...
 };
 
+/**
+ * A cache for fetched packages.
+ *
+ * This is the cache interface that superagent-cache-plugin expects (the one
+ * that cache-service modules implement), plus `flushUnused` and `getStats`.
+ */
+export interface IPackageCache {
+    get(key: string, cb: (err: ?Error, value: mixed) => void): void;
+    set(
+        key: string,
+        value: mixed,
+        expiration?: ?number,
+        cb?: ?() => void,
+    ): void;
+    del(
+        keys: string | Array<string>,
+        cb?: ?(err: ?Error, count: number) => void,
+    ): void;
+    flush(cb?: ?() => void): void;
+    flushUnused(maxIdleSeconds: number): void;
+    /**
+     * Delete the entries whose keys match, returning their keys.
+     */
+    flushMatching(predicate: (key: string) => boolean): Array<string>;
+    getStats(): PackageCacheStats;
+    /**
+     * Describe every entry, without its value.
+     */
+    getEntries(): Array<PackageCacheEntry>;
+}
+
+export type PackageCacheEntry = {
+    key: string,
+    // The bytes that the entry takes up.
+    size: number,
+    // When the entry was added, in milliseconds since the epoch, if known.
+    fetchedAt: ?number,
+    // When the entry was last used, in milliseconds since the epoch.
+    lastUsed: number,
+    // How many times the entry has been used since this process started.
+    hits: number,
+};
+
+// A package in the package cache, as reported by /_api/cache.
+export type CachedPackage = {
+    url: string,
+    size: number,
+    fetchedAt: ?number,
+    lastUsed: number,
+    hits: number,
+};
+
+export type PackageCacheStats = {
+    // The bytes of cached packages.
+    size: number,
+    // The most bytes of cached packages that we keep.
+    maxSize: number,
+    entryCount: number,
+    // How many packages have been evicted to stay within maxSize.
+    evictions: number,
+};
+
+export type PackageCacheBackend = "memory" | "filesystem";
+
 export type PackageJson = {
     version: string,
     description: string,
@@ -72,10 +232,91 @@ export type PackageJson = {
  * interpreting this as `get(void)` being redefined.
  * See https://github.com/gajus/eslint-plugin-flowtype/issues/431
  */
+// Which packages to flush, by URL (see flush-selector.js). A package is
+// flushed if it matches any of them.
+export type FlushSelector = {
+    // Exact package URLs.
+    urls?: Array<string>,
+    // A glob over package URLs, where * matches anything and ? matches any
+    // one character.
+    glob?: string,
+    // A regular expression over package URLs.
+    regex?: string,
+};
+
+// The messages that instances send each other to flush their caches (see
+// flush-broadcast.js). A flush without a selector flushes everything, and
+// the ack for a flush with one says which package URLs were evicted.
+export type FlushMessage =
+    | {type: "flush", id: string, from: string, selector?: ?FlushSelector}
+    | {
+          type: "ack",
+          id: string,
+          from: string,
+          to: string,
+          evicted?: Array<string>,
+      };
+
+// What an instance flushed.
+export type FlushResult = {
+    instance: string,
+    // The URLs of the packages that were evicted from its package cache by
+    // a selective flush.
+    evicted: Array<string>,
+};
+
+export interface IFlushTransport {
+    /**
+     * Send a message to every instance, perhaps including this one.
+     */
+    publish(message: FlushMessage): Promise<void>;
+
+    /**
+     * Call the given handler with each message that is published.
+     */
+    subscribe(handler: (message: FlushMessage) => mixed): void;
+
+    close(): Promise<void>;
+}
+
+export type FlushTransportType = "none" | "udp";
+
+export type TracingBackend = "stackdriver" | "opentelemetry" | "none";
+
 export interface IProvideArguments {
     get port(): number;
     get dev(): boolean;
     get logLevel(): LogLevel;
     get useCache(): boolean;
+    get contextPoolSize(): number;
+    get scriptCacheSize(): number;
+    get scriptCacheDir(): ?string;
+    get renderWorkers(): number;
+    get renderTimeout(): number;
+    get scriptTimeout(): number;
+    get packageCache(): PackageCacheBackend;
+    get packageCacheDir(): string;
+    get packageCacheSize(): number;
+    get allowedPackageUrls(): Array<string>;
+    get allowedPackageUrlsFile(): ?string;
+    get signatureMaxAge(): number;
+    get allowBodySecret(): boolean;
+    get secretFile(): string;
+    get secretDir(): ?string;
+    get authFailureLimit(): number;
+    get authFailureWindow(): number;
+    get trustProxyHops(): number;
+    get flushTransport(): FlushTransportType;
+    get flushPort(): number;
+    get flushPeers(): Array<string>;
+    get flushAckTimeout(): number;
+    get warmupManifest(): ?string;
+    get readinessMaxPendingRenders(): number;
+    get livenessMaxEventLoopDelay(): number;
+    get drainTimeout(): number;
+    get tracing(): TracingBackend;
+    get otlpEndpoint(): string;
+    get logFormat(): LogFormat;
+    get logFile(): ?string;
 }
 /* eslint-enable flowtype/no-dupe-keys */